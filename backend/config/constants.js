@@ -0,0 +1,20 @@
+// Shared registry vocabularies (used by more than one router)
+
+// Valid training types
+export const VALID_TRAINING_TYPES = [
+  "Basic Life Support Training",
+  "Basic Life Support and Standard First Aid Training",
+  "Basic Life Support Training of trainers",
+  "Standard First Aid Training of trainers",
+];
+
+// Valid participant types
+export const VALID_PARTICIPANT_TYPES = ["Lay Rescuer", "Healthcare Provider"];
+
+// Validity used for a training type with no row in validity_rules
+// (the renewal period printed on ID cards before rules were configurable)
+export const DEFAULT_VALIDITY = { years: 2, days: 2 };
+
+// Days a deleted certificate stays in the recycle bin when no retention
+// period has been set
+export const DEFAULT_RETENTION_DAYS = 30;
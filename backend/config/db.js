@@ -1,18 +1,34 @@
 import pkg from "pg";
-const { Pool } = pkg;
+const { Pool, types } = pkg;
 import dotenv from "dotenv";
 
 dotenv.config();
 
+// Return DATE columns as "YYYY-MM-DD" strings instead of midnight-local
+// Date objects, so calendar dates never shift with the server's timezone
+const DATE_OID = 1082;
+types.setTypeParser(DATE_OID, (value) => value);
+
 // Use the full connection string if available (Render uses this),
 // otherwise fallback to individual local variables.
 const isProduction = process.env.NODE_ENV === "production";
 
+// Every connection uses the same timezone, so CURRENT_TIMESTAMP defaults,
+// CURRENT_DATE and date filters agree whatever the server's default is.
+// Production has to name it: CURRENT_DATE decides when certificates
+// expire, so it must roll over at the registry's midnight, not UTC's.
+// Changing it on a live database shifts how stored timestamps are read.
+if (isProduction && !process.env.DB_TIMEZONE) {
+  throw new Error("DB_TIMEZONE must be set in production");
+}
+const DB_TIMEZONE = process.env.DB_TIMEZONE || "UTC";
+
 const pool = new Pool({
   connectionString:
     process.env.DATABASE_URL ||
     `postgresql://${process.env.DB_USER}:${process.env.DB_PASSWORD}@${process.env.DB_HOST}:${process.env.DB_PORT}/${process.env.DB_NAME}`,
   ssl: process.env.DATABASE_URL ? { rejectUnauthorized: false } : false,
+  options: `-c TimeZone=${DB_TIMEZONE}`,
 });
 
 pool.on("connect", () => {
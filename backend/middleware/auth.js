@@ -1,28 +1,115 @@
 import jwt from "jsonwebtoken";
 import pool from "../config/db.js";
+import { REQUIRED_ROLES_SETTING } from "../services/twoFactor.js";
 
-export const protect = async (req, res, next) => {
+// Roles recognised by the registry. Keep in sync with frontend/src/permissions.js
+export const ROLES = {
+  ADMIN: "admin",
+  ENCODER: "encoder",
+  VIEWER: "viewer",
+  SIGNATORY: "signatory",
+};
+
+export const VALID_ROLES = Object.values(ROLES);
+
+// Refuse a request with no valid session. The code tells the frontend to
+// try POST /api/auth/refresh before giving up.
+const unauthenticated = (res, message) =>
+  res.status(401).json({ message, code: "UNAUTHENTICATED" });
+
+/**
+ * Build the session check. The access token must name a session that is
+ * still active, so revoking a session takes effect at once. Accounts whose
+ * role requires two-factor but have not enrolled yet are refused everywhere
+ * except on routes that let them enrol.
+ * @param {boolean} allowEnrolment - Let such accounts through
+ * @returns {Function} Express middleware
+ */
+const authenticate = (allowEnrolment) => async (req, res, next) => {
   try {
     const token = req.cookies.token;
     if (!token) {
-      return res.status(401).json({ message: "Not authorized, no token" });
+      return unauthenticated(res, "Not authorized, no token");
     }
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Tokens issued for a login step (see /login/two-factor) are not sessions
+    if (decoded.purpose || !decoded.sid) {
+      return unauthenticated(res, "Not authorized, token failed");
+    }
+
     const user = await pool.query(
-      "SELECT id, username FROM users WHERE id = $1",
-      [decoded.id],
+      `SELECT u.id, u.username, u.role, u.token_version,
+        u.totp_enabled_at IS NOT NULL AS two_factor_enabled,
+        COALESCE(s.setting_value, '[]')::jsonb ? u.role
+          AS two_factor_required,
+        se.id IS NOT NULL AS session_active
+      FROM users u
+      LEFT JOIN system_settings s ON s.setting_key = $2
+      LEFT JOIN sessions se
+        ON se.id = $3
+        AND se.user_id = u.id
+        AND se.revoked_at IS NULL
+        AND se.expires_at > CURRENT_TIMESTAMP
+      WHERE u.id = $1 AND u.disabled_at IS NULL`,
+      [decoded.id, REQUIRED_ROLES_SETTING, decoded.sid],
     );
     if (user.rows.length === 0) {
-      return res
-        .status(401)
-        .json({ message: "Not authorized, user not found" });
+      return unauthenticated(
+        res,
+        "Not authorized, account not found or disabled",
+      );
+    }
+
+    // Changing or resetting the password bumps token_version, which signs
+    // out every session issued before it
+    const { token_version, two_factor_required, session_active, ...account } =
+      user.rows[0];
+    if ((decoded.tv ?? 0) !== token_version || !session_active) {
+      return unauthenticated(res, "Session expired, please log in again");
+    }
+
+    account.two_factor_setup_required =
+      two_factor_required && !account.two_factor_enabled;
+    if (account.two_factor_setup_required && !allowEnrolment) {
+      return res.status(403).json({
+        message: "Set up two-factor authentication to continue",
+        code: "TWO_FACTOR_SETUP_REQUIRED",
+      });
     }
 
-    req.user = user.rows[0];
+    req.user = account;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
-    console.error(error);
-    res.status(401).json({ message: "Not authorized, token failed" });
+    // An expired access token is routine; the client refreshes it
+    if (error.name !== "TokenExpiredError") console.error(error);
+    unauthenticated(res, "Not authorized, token failed");
   }
 };
+
+export const protect = authenticate(false);
+
+// For /me and the two-factor enrolment routes
+export const protectAllowingEnrolment = authenticate(true);
+
+/**
+ * Restrict a route to the given roles. Must run after `protect`.
+ * @param {...string} roles - Roles allowed to access the route
+ * @returns {Function} Express middleware
+ */
+export const authorize = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ message: "Not authorized, no user" });
+    }
+
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({
+        message: `Role '${req.user.role}' is not allowed to perform this action`,
+      });
+    }
+
+    next();
+  };
+};
@@ -0,0 +1,134 @@
+import crypto from "crypto";
+import rateLimit, { ipKeyGenerator } from "express-rate-limit";
+import { REFRESH_COOKIE } from "../services/sessions.js";
+
+const WINDOW_MS = 15 * 60 * 1000;
+
+// Requests allowed per window on the public auth endpoints. IP_LIMIT
+// applies to each group of endpoints separately.
+const IP_LIMIT = parseInt(process.env.AUTH_RATE_LIMIT_IP) || 50;
+const USERNAME_LIMIT = parseInt(process.env.AUTH_RATE_LIMIT_USERNAME) || 10;
+const REGISTER_LIMIT = parseInt(process.env.AUTH_RATE_LIMIT_REGISTER) || 20;
+
+// Failed refreshes allowed per session per window. Every open tab refreshes
+// on its own, and refresh tokens are too long to guess, so this only has to
+// stop a runaway client.
+const REFRESH_LIMIT = parseInt(process.env.AUTH_RATE_LIMIT_REFRESH) || 300;
+
+// Lookups allowed per window on the public certificate verification page.
+// Codes end in the sequential certificate ID, so this is what stops the
+// registry being read out by walking through them.
+const VERIFY_LIMIT = parseInt(process.env.VERIFY_RATE_LIMIT) || 60;
+
+/**
+ * Reply in the { message } shape the rest of the API uses, with the wait
+ * in seconds so the client can show it
+ */
+const limitReached = (req, res, next, options) => {
+  const resetTime = req.rateLimit?.resetTime;
+  const retryAfter = resetTime
+    ? Math.max(1, Math.ceil((resetTime.getTime() - Date.now()) / 1000))
+    : Math.ceil(options.windowMs / 1000);
+
+  res.status(options.statusCode).json({
+    message: "Too many attempts, please try again later",
+    retry_after: retryAfter,
+  });
+};
+
+/**
+ * A per-IP limiter with its own counter, so requests to one group of
+ * endpoints never use up another group's allowance
+ * @param {number} limit - Requests allowed per window
+ * @param {Object} [options] - Extra express-rate-limit options
+ */
+const perIpLimiter = (limit, options = {}) =>
+  rateLimit({
+    windowMs: WINDOW_MS,
+    limit,
+    standardHeaders: "draft-8",
+    legacyHeaders: false,
+    handler: limitReached,
+    ...options,
+  });
+
+// The limiters below that guard a secret (password, code or token) count
+// only failed requests, so people who get it right are never locked out.
+
+/**
+ * Per-IP limit for failed sign-ins (login and its two-factor step)
+ */
+export const loginLimiter = perIpLimiter(IP_LIMIT, {
+  skipSuccessfulRequests: true,
+});
+
+/**
+ * Per-IP limit for registrations. Every attempt counts, since each
+ * successful one creates an account.
+ */
+export const registerLimiter = perIpLimiter(REGISTER_LIMIT);
+
+/**
+ * Per-IP limit for failed password changes and reset-link redemptions
+ */
+export const passwordLimiter = perIpLimiter(IP_LIMIT, {
+  skipSuccessfulRequests: true,
+});
+
+/**
+ * Per-IP limit for failed two-factor code checks when enabling or turning
+ * off two-factor authentication or replacing backup codes
+ */
+export const twoFactorLimiter = perIpLimiter(IP_LIMIT, {
+  skipSuccessfulRequests: true,
+});
+
+/**
+ * Per-IP limit for failed invitation link lookups
+ */
+export const invitationLimiter = perIpLimiter(IP_LIMIT, {
+  skipSuccessfulRequests: true,
+});
+
+/**
+ * Per-session limit for failed session refreshes, keyed on the refresh
+ * cookie (hashed, so the store never holds a live token) or on the IP when
+ * there is none. It is not shared with any sign-in limiter: a refresh
+ * turned away logs the user out.
+ */
+export const refreshLimiter = rateLimit({
+  windowMs: WINDOW_MS,
+  limit: REFRESH_LIMIT,
+  skipSuccessfulRequests: true,
+  standardHeaders: "draft-8",
+  legacyHeaders: false,
+  keyGenerator: (req) => {
+    const token = req.cookies?.[REFRESH_COOKIE];
+    return token
+      ? `session:${crypto.createHash("sha256").update(token).digest("hex")}`
+      : ipKeyGenerator(req.ip);
+  },
+  handler: limitReached,
+});
+
+/**
+ * Per-username limit for failed logins, so one account cannot be guessed at
+ * from many addresses. Requests without a username fall through to the
+ * route's own validation.
+ */
+export const loginUsernameLimiter = rateLimit({
+  windowMs: WINDOW_MS,
+  limit: USERNAME_LIMIT,
+  skipSuccessfulRequests: true,
+  standardHeaders: false,
+  legacyHeaders: false,
+  keyGenerator: (req) =>
+    `username:${String(req.body?.username).trim().toLowerCase()}`,
+  skip: (req) => typeof req.body?.username !== "string",
+  handler: limitReached,
+});
+
+/**
+ * Per-IP limit for public certificate lookups (GET /api/verify/:code)
+ */
+export const verifyLimiter = perIpLimiter(VERIFY_LIMIT);
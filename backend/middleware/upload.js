@@ -0,0 +1,33 @@
+import multer from "multer";
+
+/**
+ * Accept one multipart file in `field`, held in memory as req.file, along
+ * with any text fields (req.body). Oversized or unexpected files get a
+ * { message } reply instead of reaching the route.
+ * @param {string} field - Form field carrying the file
+ * @param {number} maxBytes - Largest file accepted
+ * @returns {Function} Express middleware
+ */
+export const acceptUpload = (field, maxBytes) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1 },
+  }).single(field);
+
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (!err) return next();
+      if (err.code === "LIMIT_FILE_SIZE") {
+        return res.status(413).json({
+          message: `File is larger than ${maxBytes / 1024} KB`,
+        });
+      }
+      if (err instanceof multer.MulterError) {
+        return res
+          .status(400)
+          .json({ message: `Upload error: ${err.message}` });
+      }
+      return next(err);
+    });
+  };
+};
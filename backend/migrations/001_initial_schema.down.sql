@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS system_settings;
+DROP TABLE IF EXISTS certificates;
+DROP TABLE IF EXISTS users;
@@ -0,0 +1,46 @@
+-- Baseline schema for the registry.
+-- Uses IF NOT EXISTS so deployments that were set up by hand can adopt it.
+
+CREATE TABLE IF NOT EXISTS users (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(50) NOT NULL UNIQUE,
+  password VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS certificates (
+  id SERIAL PRIMARY KEY,
+  participant_name VARCHAR(255) NOT NULL,
+  training_type VARCHAR(255),
+  training_date VARCHAR(100),
+  venue VARCHAR(255),
+  facility VARCHAR(255),
+  participant_type VARCHAR(50),
+  age INTEGER,
+  position VARCHAR(255),
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE certificates
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_certificates_training_date
+  ON certificates (training_date);
+CREATE INDEX IF NOT EXISTS idx_certificates_training_type
+  ON certificates (training_type);
+CREATE INDEX IF NOT EXISTS idx_certificates_created_at
+  ON certificates (created_at);
+
+CREATE TABLE IF NOT EXISTS system_settings (
+  id SERIAL PRIMARY KEY,
+  setting_key VARCHAR(100) NOT NULL,
+  setting_value TEXT,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- POST /settings upserts with ON CONFLICT (setting_key)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_system_settings_setting_key
+  ON system_settings (setting_key);
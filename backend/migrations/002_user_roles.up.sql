@@ -0,0 +1,10 @@
+-- Roles for access control (see backend/middleware/auth.js)
+
+ALTER TABLE users
+  ADD COLUMN role VARCHAR(20) NOT NULL DEFAULT 'viewer'
+  CHECK (role IN ('admin', 'encoder', 'viewer', 'signatory'));
+
+-- Accounts created before roles existed keep encoding rights,
+-- and the oldest account becomes the administrator.
+UPDATE users SET role = 'encoder';
+UPDATE users SET role = 'admin' WHERE id = (SELECT MIN(id) FROM users);
@@ -0,0 +1,2 @@
+ALTER TABLE certificates DROP COLUMN IF EXISTS training_id;
+DROP TABLE IF EXISTS trainings;
@@ -0,0 +1,67 @@
+-- Training batches (events) as a first-class entity.
+-- Every certificate belongs to exactly one training.
+
+CREATE TABLE trainings (
+  id SERIAL PRIMARY KEY,
+  training_type VARCHAR(255),
+  -- Date text exactly as printed on certificates, e.g. "January 23-25, 2026"
+  date_label VARCHAR(100),
+  start_date DATE,
+  end_date DATE,
+  venue VARCHAR(255),
+  facility VARCHAR(255),
+  lead_instructor VARCHAR(255),
+  capacity INTEGER CHECK (capacity IS NULL OR capacity > 0),
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CHECK (start_date IS NULL OR end_date IS NULL OR end_date >= start_date)
+);
+
+CREATE INDEX idx_trainings_start_date ON trainings (start_date);
+CREATE INDEX idx_trainings_training_type ON trainings (training_type);
+
+-- Backfill one training per legacy batch. Batches used to be keyed on the
+-- date and type text only; the venue is now part of the key so that two
+-- trainings held on the same day at different venues stay apart.
+ALTER TABLE trainings ADD COLUMN legacy_key TEXT;
+
+INSERT INTO trainings (training_type, date_label, venue, legacy_key, created_at)
+SELECT
+  MIN(training_type),
+  MIN(training_date),
+  MIN(venue),
+  legacy_key,
+  MIN(created_at)
+FROM (
+  SELECT
+    *,
+    UPPER(REGEXP_REPLACE(COALESCE(training_date, ''), '\s+', '', 'g'))
+      || '|' || UPPER(REGEXP_REPLACE(COALESCE(training_type, ''), '\s+', '', 'g'))
+      || '|' || UPPER(REGEXP_REPLACE(COALESCE(venue, ''), '\s+', '', 'g')) AS legacy_key
+  FROM certificates
+) AS keyed
+GROUP BY legacy_key;
+
+ALTER TABLE certificates
+  ADD COLUMN training_id INTEGER REFERENCES trainings (id) ON DELETE RESTRICT;
+
+UPDATE certificates c
+SET training_id = t.id
+FROM trainings t
+WHERE t.legacy_key =
+  UPPER(REGEXP_REPLACE(COALESCE(c.training_date, ''), '\s+', '', 'g'))
+  || '|' || UPPER(REGEXP_REPLACE(COALESCE(c.training_type, ''), '\s+', '', 'g'))
+  || '|' || UPPER(REGEXP_REPLACE(COALESCE(c.venue, ''), '\s+', '', 'g'));
+
+ALTER TABLE trainings DROP COLUMN legacy_key;
+ALTER TABLE certificates ALTER COLUMN training_id SET NOT NULL;
+
+CREATE INDEX idx_certificates_training_id ON certificates (training_id);
+
+-- One training per type + dates + venue (whitespace/case-insensitive), so
+-- concurrent saves of the same roster cannot create duplicate batches
+CREATE UNIQUE INDEX idx_trainings_identity ON trainings (
+  UPPER(REGEXP_REPLACE(COALESCE(training_type, ''), '\s+', '', 'g')),
+  UPPER(REGEXP_REPLACE(COALESCE(date_label, ''), '\s+', '', 'g')),
+  UPPER(REGEXP_REPLACE(COALESCE(venue, ''), '\s+', '', 'g'))
+);
@@ -0,0 +1,6 @@
+-- Parsed dates and canonical labels are valid under the previous schema,
+-- and merged trainings cannot be split again, so only the flag is removed.
+
+DROP INDEX IF EXISTS idx_trainings_dates_need_review;
+
+ALTER TABLE trainings DROP COLUMN IF EXISTS dates_need_review;
@@ -0,0 +1,137 @@
+-- Structured training dates. Legacy trainings only carry the free-text
+-- date_label; parse it into start_date/end_date, rewrite the label in the
+-- canonical printed form, and flag the labels that cannot be parsed.
+-- The parser mirrors parseDateLabel() in utils/dates.js.
+
+ALTER TABLE trainings
+  ADD COLUMN dates_need_review BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE FUNCTION parse_training_date_label(
+  label TEXT,
+  OUT start_date DATE,
+  OUT end_date DATE
+) AS $$
+DECLARE
+  months CONSTANT TEXT[] := ARRAY[
+    'JANUARY', 'FEBRUARY', 'MARCH', 'APRIL', 'MAY', 'JUNE', 'JULY',
+    'AUGUST', 'SEPTEMBER', 'OCTOBER', 'NOVEMBER', 'DECEMBER'
+  ];
+  txt TEXT;
+  m TEXT[];
+  sm INT;
+  em INT;
+BEGIN
+  IF label IS NULL THEN
+    RETURN;
+  END IF;
+
+  txt := UPPER(label);
+  txt := REGEXP_REPLACE(txt, '[.,]', ' ', 'g');
+  txt := REGEXP_REPLACE(txt, '\s+TO\s+', '-', 'g');
+  txt := REGEXP_REPLACE(txt, '\s*[-–—]\s*', '-', 'g');
+  txt := TRIM(REGEXP_REPLACE(txt, '\s+', ' ', 'g'));
+
+  BEGIN
+    IF txt ~ '^\d{4}-\d{2}-\d{2}$' THEN
+      start_date := txt::DATE;
+      end_date := start_date;
+
+    ELSIF txt ~ '^[A-Z]+ \d{1,2}(-\d{1,2})? \d{4}$' THEN
+      m := REGEXP_MATCH(txt, '^([A-Z]+) (\d{1,2})(?:-(\d{1,2}))? (\d{4})$');
+      SELECT i INTO sm FROM generate_subscripts(months, 1) AS i
+        WHERE LENGTH(m[1]) >= 3 AND months[i] LIKE m[1] || '%';
+      start_date := MAKE_DATE(m[4]::INT, sm, m[2]::INT);
+      end_date := MAKE_DATE(m[4]::INT, sm, COALESCE(m[3], m[2])::INT);
+
+    ELSIF txt ~ '^[A-Z]+ \d{1,2}-[A-Z]+ \d{1,2} \d{4}$' THEN
+      m := REGEXP_MATCH(txt, '^([A-Z]+) (\d{1,2})-([A-Z]+) (\d{1,2}) (\d{4})$');
+      SELECT i INTO sm FROM generate_subscripts(months, 1) AS i
+        WHERE LENGTH(m[1]) >= 3 AND months[i] LIKE m[1] || '%';
+      SELECT i INTO em FROM generate_subscripts(months, 1) AS i
+        WHERE LENGTH(m[3]) >= 3 AND months[i] LIKE m[3] || '%';
+      start_date := MAKE_DATE(m[5]::INT, sm, m[2]::INT);
+      end_date := MAKE_DATE(m[5]::INT, em, m[4]::INT);
+
+    ELSIF txt ~ '^[A-Z]+ \d{1,2} \d{4}-[A-Z]+ \d{1,2} \d{4}$' THEN
+      m := REGEXP_MATCH(txt, '^([A-Z]+) (\d{1,2}) (\d{4})-([A-Z]+) (\d{1,2}) (\d{4})$');
+      SELECT i INTO sm FROM generate_subscripts(months, 1) AS i
+        WHERE LENGTH(m[1]) >= 3 AND months[i] LIKE m[1] || '%';
+      SELECT i INTO em FROM generate_subscripts(months, 1) AS i
+        WHERE LENGTH(m[4]) >= 3 AND months[i] LIKE m[4] || '%';
+      start_date := MAKE_DATE(m[3]::INT, sm, m[2]::INT);
+      end_date := MAKE_DATE(m[6]::INT, em, m[5]::INT);
+    END IF;
+  EXCEPTION WHEN OTHERS THEN
+    -- Unknown month (NULL) or impossible day such as February 30
+    start_date := NULL;
+    end_date := NULL;
+  END;
+
+  IF end_date < start_date THEN
+    start_date := NULL;
+    end_date := NULL;
+  END IF;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+UPDATE trainings t
+SET start_date = parsed.start_date, end_date = parsed.end_date
+FROM (
+  SELECT id, (parse_training_date_label(date_label)).*
+  FROM trainings
+  WHERE start_date IS NULL
+) AS parsed
+WHERE t.id = parsed.id AND parsed.start_date IS NOT NULL;
+
+UPDATE trainings SET dates_need_review = TRUE WHERE start_date IS NULL;
+
+DROP FUNCTION parse_training_date_label(TEXT);
+
+-- Labels such as "Jan 23-25, 2026" and "January 23-25, 2026" were separate
+-- trainings; now that both resolve to the same dates, merge them into the
+-- oldest one before the labels are rewritten (idx_trainings_identity).
+CREATE TEMP TABLE training_merges ON COMMIT DROP AS
+SELECT id, keep_id
+FROM (
+  SELECT
+    id,
+    MIN(id) OVER (
+      PARTITION BY
+        UPPER(REGEXP_REPLACE(COALESCE(training_type, ''), '\s+', '', 'g')),
+        start_date,
+        end_date,
+        UPPER(REGEXP_REPLACE(COALESCE(venue, ''), '\s+', '', 'g'))
+    ) AS keep_id
+  FROM trainings
+  WHERE start_date IS NOT NULL
+) AS grouped
+WHERE id <> keep_id;
+
+UPDATE certificates c
+SET training_id = m.keep_id
+FROM training_merges m
+WHERE c.training_id = m.id;
+
+DELETE FROM trainings t USING training_merges m WHERE t.id = m.id;
+
+-- Canonical label, same format as formatDateRange() in utils/dates.js
+UPDATE trainings
+SET date_label = CASE
+  WHEN start_date = end_date
+    THEN TO_CHAR(start_date, 'FMMonth FMDD, YYYY')
+  WHEN DATE_PART('year', start_date) <> DATE_PART('year', end_date)
+    THEN TO_CHAR(start_date, 'FMMonth FMDD, YYYY') || '-' || TO_CHAR(end_date, 'FMMonth FMDD, YYYY')
+  WHEN DATE_PART('month', start_date) <> DATE_PART('month', end_date)
+    THEN TO_CHAR(start_date, 'FMMonth FMDD') || '-' || TO_CHAR(end_date, 'FMMonth FMDD, YYYY')
+  ELSE TO_CHAR(start_date, 'FMMonth FMDD') || '-' || TO_CHAR(end_date, 'FMDD, YYYY')
+END
+WHERE start_date IS NOT NULL;
+
+UPDATE certificates c
+SET training_date = t.date_label
+FROM trainings t
+WHERE t.id = c.training_id
+  AND c.training_date IS DISTINCT FROM t.date_label;
+
+CREATE INDEX idx_trainings_dates_need_review ON trainings (dates_need_review)
+  WHERE dates_need_review;
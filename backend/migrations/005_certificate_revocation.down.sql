@@ -0,0 +1,8 @@
+DROP TABLE IF EXISTS certificate_status_changes;
+
+DROP INDEX IF EXISTS idx_certificates_revoked;
+
+ALTER TABLE certificates
+  DROP COLUMN IF EXISTS revocation_reason,
+  DROP COLUMN IF EXISTS revoked_by,
+  DROP COLUMN IF EXISTS revoked_at;
@@ -0,0 +1,24 @@
+-- Certificates can be revoked (e.g. for misconduct during the skills test)
+-- instead of deleted. The columns hold the current revocation; every revoke
+-- and reinstate is kept in certificate_status_changes.
+
+ALTER TABLE certificates
+  ADD COLUMN revoked_at TIMESTAMP,
+  ADD COLUMN revoked_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+  ADD COLUMN revocation_reason TEXT;
+
+CREATE INDEX idx_certificates_revoked
+  ON certificates (training_id)
+  WHERE revoked_at IS NOT NULL;
+
+CREATE TABLE certificate_status_changes (
+  id SERIAL PRIMARY KEY,
+  certificate_id INTEGER NOT NULL REFERENCES certificates (id) ON DELETE CASCADE,
+  action VARCHAR(20) NOT NULL CHECK (action IN ('revoked', 'reinstated')),
+  reason TEXT NOT NULL,
+  changed_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+  changed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_certificate_status_changes_certificate
+  ON certificate_status_changes (certificate_id, changed_at);
@@ -0,0 +1,8 @@
+DROP INDEX IF EXISTS idx_certificates_expires_on;
+DROP INDEX IF EXISTS idx_certificates_renewed_from;
+
+ALTER TABLE certificates
+  DROP COLUMN IF EXISTS renewed_from_id,
+  DROP COLUMN IF EXISTS expires_on;
+
+DROP TABLE IF EXISTS validity_rules;
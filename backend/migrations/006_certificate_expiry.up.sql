@@ -0,0 +1,41 @@
+-- Certificates expire a configurable time after their training ends, and a
+-- renewal is a new certificate pointing back at the one it replaces.
+
+CREATE TABLE validity_rules (
+  training_type VARCHAR(255) PRIMARY KEY,
+  validity_years INTEGER NOT NULL CHECK (validity_years >= 0),
+  validity_days INTEGER NOT NULL DEFAULT 0 CHECK (validity_days >= 0),
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CHECK (validity_years > 0 OR validity_days > 0)
+);
+
+-- Every type starts on the 2 years + 2 days printed on ID cards
+INSERT INTO validity_rules (training_type, validity_years, validity_days) VALUES
+  ('Basic Life Support Training', 2, 2),
+  ('Basic Life Support and Standard First Aid Training', 2, 2),
+  ('Basic Life Support Training of trainers', 2, 2),
+  ('Standard First Aid Training of trainers', 2, 2);
+
+ALTER TABLE certificates
+  ADD COLUMN expires_on DATE,
+  ADD COLUMN renewed_from_id INTEGER REFERENCES certificates (id) ON DELETE SET NULL;
+
+-- A certificate can be renewed only once
+CREATE UNIQUE INDEX idx_certificates_renewed_from ON certificates (renewed_from_id);
+CREATE INDEX idx_certificates_expires_on ON certificates (expires_on);
+
+-- Backfill from the training dates; certificates whose dates still need
+-- review get no expiry until they are fixed
+UPDATE certificates c
+SET expires_on = (
+  SELECT (
+    COALESCE(t.end_date, t.start_date)
+    + make_interval(
+      years => COALESCE(r.validity_years, 2),
+      days => COALESCE(r.validity_days, 2)
+    )
+  )::date
+  FROM trainings t
+  LEFT JOIN validity_rules r ON r.training_type = c.training_type
+  WHERE t.id = c.training_id
+);
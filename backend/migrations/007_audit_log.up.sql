@@ -0,0 +1,34 @@
+-- Append-only record of every change to certificates, trainings, settings,
+-- validity rules and user accounts, with the row before and after.
+
+CREATE TABLE audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  entity_type VARCHAR(30) NOT NULL,
+  entity_id VARCHAR(100),
+  action VARCHAR(30) NOT NULL,
+  -- No foreign key: entries outlive the accounts that made them, and the
+  -- username is kept as it was at the time
+  actor_id INTEGER,
+  actor_username VARCHAR(50),
+  before_data JSONB,
+  after_data JSONB,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_audit_log_entity ON audit_log (entity_type, entity_id, created_at);
+CREATE INDEX idx_audit_log_actor ON audit_log (actor_id, created_at);
+CREATE INDEX idx_audit_log_created_at ON audit_log (created_at);
+
+CREATE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER audit_log_no_update_or_delete
+  BEFORE UPDATE OR DELETE ON audit_log
+  FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+
+CREATE TRIGGER audit_log_no_truncate
+  BEFORE TRUNCATE ON audit_log
+  FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only();
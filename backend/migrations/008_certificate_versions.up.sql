@@ -0,0 +1,15 @@
+-- Every edit of a certificate is kept as a numbered version holding the
+-- editable fields as they stood after that edit. Version 1 is the
+-- certificate as it was before its first tracked edit.
+
+CREATE TABLE certificate_versions (
+  id SERIAL PRIMARY KEY,
+  certificate_id INTEGER NOT NULL REFERENCES certificates (id) ON DELETE CASCADE,
+  version_no INTEGER NOT NULL,
+  data JSONB NOT NULL,
+  -- Version restored to produce this one, if any
+  restored_from INTEGER,
+  created_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (certificate_id, version_no)
+);
@@ -0,0 +1,11 @@
+-- Binned certificates would reappear as live records once the columns are
+-- gone, so they are purged first
+DELETE FROM certificates WHERE deleted_at IS NOT NULL;
+
+DELETE FROM system_settings WHERE setting_key = 'recycle_bin_retention_days';
+
+DROP INDEX IF EXISTS idx_certificates_deleted_at;
+
+ALTER TABLE certificates
+  DROP COLUMN IF EXISTS deleted_by,
+  DROP COLUMN IF EXISTS deleted_at;
@@ -0,0 +1,12 @@
+-- Deleting a certificate moves it to the recycle bin instead of removing
+-- the row. Binned certificates are hidden everywhere else and purged for
+-- good once they have been in the bin longer than the retention period
+-- (system_settings.recycle_bin_retention_days).
+
+ALTER TABLE certificates
+  ADD COLUMN deleted_at TIMESTAMP,
+  ADD COLUMN deleted_by INTEGER REFERENCES users (id) ON DELETE SET NULL;
+
+CREATE INDEX idx_certificates_deleted_at
+  ON certificates (deleted_at)
+  WHERE deleted_at IS NOT NULL;
@@ -0,0 +1,6 @@
+DROP TABLE IF EXISTS password_reset_tokens;
+
+ALTER TABLE users
+  DROP COLUMN IF EXISTS password_changed_at,
+  DROP COLUMN IF EXISTS token_version,
+  DROP COLUMN IF EXISTS email;
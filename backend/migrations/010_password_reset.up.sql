@@ -0,0 +1,21 @@
+-- Password change and admin-issued password resets. A reset link carries a
+-- one-time token; only its SHA-256 hash is stored. token_version is copied
+-- into every session token, so bumping it signs out existing sessions.
+
+ALTER TABLE users
+  ADD COLUMN email VARCHAR(255),
+  ADD COLUMN token_version INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN password_changed_at TIMESTAMP;
+
+CREATE TABLE password_reset_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  created_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_password_reset_tokens_user
+  ON password_reset_tokens (user_id);
@@ -0,0 +1,6 @@
+-- Temporary account lockout after repeated failed logins. The counter is
+-- reset by a successful login and whenever a lockout starts.
+
+ALTER TABLE users
+  ADD COLUMN failed_login_count INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN locked_until TIMESTAMP;
@@ -0,0 +1,8 @@
+DROP TABLE IF EXISTS backup_codes;
+
+DELETE FROM system_settings WHERE setting_key = 'two_factor_required_roles';
+
+ALTER TABLE users
+  DROP COLUMN IF EXISTS totp_last_step,
+  DROP COLUMN IF EXISTS totp_enabled_at,
+  DROP COLUMN IF EXISTS totp_secret;
@@ -0,0 +1,19 @@
+-- Optional TOTP two-factor authentication. totp_secret is set when
+-- enrolment starts and only counts once totp_enabled_at is set;
+-- totp_last_step stops a code from being used twice. Backup codes are
+-- single-use and stored as SHA-256 hashes. Roles that must use two-factor
+-- are listed in system_settings.two_factor_required_roles.
+
+ALTER TABLE users
+  ADD COLUMN totp_secret VARCHAR(64),
+  ADD COLUMN totp_enabled_at TIMESTAMP,
+  ADD COLUMN totp_last_step BIGINT;
+
+CREATE TABLE backup_codes (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  code_hash CHAR(64) NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, code_hash)
+);
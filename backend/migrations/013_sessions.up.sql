@@ -0,0 +1,22 @@
+-- Server-side sessions. Each login creates a row holding the SHA-256 hash
+-- of its refresh token, which is replaced on every refresh; the hash it
+-- replaced is kept to detect a stolen token being replayed. Short-lived
+-- access tokens name their session, so revoking the row signs the device
+-- out at once.
+
+CREATE TABLE sessions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  refresh_token_hash CHAR(64) NOT NULL UNIQUE,
+  previous_token_hash CHAR(64),
+  user_agent VARCHAR(512),
+  ip_address VARCHAR(64),
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  rotated_at TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP
+);
+
+CREATE INDEX idx_sessions_user ON sessions (user_id);
+CREATE INDEX idx_sessions_previous_token ON sessions (previous_token_hash);
@@ -0,0 +1,5 @@
+DELETE FROM system_settings WHERE setting_key = 'self_registration';
+
+ALTER TABLE users
+  DROP COLUMN IF EXISTS last_login_at,
+  DROP COLUMN IF EXISTS disabled_at;
@@ -0,0 +1,6 @@
+-- Account status for the admin user console: disabled accounts cannot sign
+-- in, and the time of each user's last successful login is kept.
+
+ALTER TABLE users
+  ADD COLUMN disabled_at TIMESTAMP,
+  ADD COLUMN last_login_at TIMESTAMP;
@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS invitations;
+
+ALTER TABLE users
+  DROP COLUMN IF EXISTS office;
@@ -0,0 +1,22 @@
+-- Invitation-based onboarding. An admin issues a single-use, expiring link
+-- that carries the role and office the new account gets; only the SHA-256
+-- hash of its token is stored.
+
+ALTER TABLE users
+  ADD COLUMN office VARCHAR(150);
+
+CREATE TABLE invitations (
+  id SERIAL PRIMARY KEY,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  role VARCHAR(20) NOT NULL
+    CHECK (role IN ('admin', 'encoder', 'viewer', 'signatory')),
+  office VARCHAR(150),
+  created_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  used_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_invitations_created_at ON invitations (created_at);
@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS certificate_photos;
+
+ALTER TABLE certificates
+  DROP COLUMN IF EXISTS photo_updated_at;
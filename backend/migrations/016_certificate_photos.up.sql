@@ -0,0 +1,15 @@
+-- Participant photos printed on ID cards. The image is kept in its own
+-- table so certificate queries stay light; photo_updated_at tells the
+-- frontend a photo exists and changes whenever it is replaced.
+
+ALTER TABLE certificates
+  ADD COLUMN photo_updated_at TIMESTAMP;
+
+CREATE TABLE certificate_photos (
+  certificate_id INTEGER PRIMARY KEY
+    REFERENCES certificates (id) ON DELETE CASCADE,
+  content_type VARCHAR(50) NOT NULL,
+  data BYTEA NOT NULL,
+  uploaded_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,9 @@
+// Copies signatures back into system_settings as data URLs and photos into
+// certificate_photos before the files table is dropped.
+
+import { restoreLegacyImages } from "../services/files.js";
+
+export default async (client) => {
+  const restored = await restoreLegacyImages(client);
+  if (restored > 0) console.log(`Copied ${restored} image(s) out of storage`);
+};
@@ -0,0 +1,8 @@
+-- 017_file_storage.down.js has copied every signature back into
+-- system_settings and every photo back into certificate_photos by the time
+-- this runs. Stored objects are left where they are.
+
+ALTER TABLE certificates
+  DROP COLUMN IF EXISTS photo_file_id;
+
+DROP TABLE IF EXISTS files;
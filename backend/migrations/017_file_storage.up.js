@@ -0,0 +1,12 @@
+// Moves photos out of certificate_photos, and signatures saved as data URLs
+// out of system_settings, into file storage. It runs in the migration's
+// transaction: if it fails, every database copy stays where it was
+// (objects already written to storage are left behind, with no files row
+// to prune them by).
+
+import { moveLegacyImages } from "../services/files.js";
+
+export default async (client) => {
+  const moved = await moveLegacyImages(client);
+  if (moved > 0) console.log(`Moved ${moved} image(s) into file storage`);
+};
@@ -0,0 +1,21 @@
+-- Uploaded files: officer signatures and participant photos. The bytes are
+-- kept by the storage driver (STORAGE_DRIVER: local disk or S3); this table
+-- records where each one is. Settings point at a file as "file:<id>" and
+-- certificates through photo_file_id.
+-- 017_file_storage.up.js then moves photos still in certificate_photos, and
+-- signatures still saved as data URLs, into storage. certificate_photos is
+-- left empty rather than dropped: it belongs to 016, and rolling this
+-- migration back copies the photos into it again.
+
+CREATE TABLE files (
+  id SERIAL PRIMARY KEY,
+  storage_key VARCHAR(255) NOT NULL UNIQUE,
+  purpose VARCHAR(20) NOT NULL CHECK (purpose IN ('signature', 'photo')),
+  content_type VARCHAR(50) NOT NULL,
+  size_bytes INTEGER NOT NULL,
+  uploaded_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE certificates
+  ADD COLUMN photo_file_id INTEGER REFERENCES files (id) ON DELETE SET NULL;
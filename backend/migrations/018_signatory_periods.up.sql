@@ -0,0 +1,20 @@
+-- Signatories of past terms. Each period keeps a copy of the signatory
+-- settings (officer names, positions, signatures and signer lists) for the
+-- trainings completed between effective_from and effective_to, inclusive.
+-- Certificates of trainings outside every period use the current settings.
+-- Signatures are "file:<id>" references, as in system_settings.
+
+CREATE TABLE signatory_periods (
+  id SERIAL PRIMARY KEY,
+  effective_from DATE NOT NULL,
+  effective_to DATE NOT NULL,
+  signatories JSONB NOT NULL DEFAULT '{}',
+  created_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CHECK (effective_from <= effective_to),
+  -- A training date resolves to at most one period
+  CONSTRAINT signatory_periods_no_overlap EXCLUDE USING gist (
+    daterange(effective_from, effective_to, '[]') WITH &&
+  )
+);
@@ -0,0 +1,6 @@
+-- Fails while a certificate has both a live renewal and one in the recycle
+-- bin; purge or restore one of them first.
+
+DROP INDEX idx_certificates_renewed_from;
+CREATE UNIQUE INDEX idx_certificates_renewed_from
+  ON certificates (renewed_from_id);
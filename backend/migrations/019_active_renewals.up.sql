@@ -0,0 +1,8 @@
+-- A certificate can be renewed only once, but a renewal in the recycle bin
+-- no longer counts: the original can be renewed again, and restoring the
+-- binned renewal is refused while the new one exists.
+
+DROP INDEX idx_certificates_renewed_from;
+CREATE UNIQUE INDEX idx_certificates_renewed_from
+  ON certificates (renewed_from_id)
+  WHERE deleted_at IS NULL;
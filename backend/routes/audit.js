@@ -0,0 +1,147 @@
+import express from "express";
+import pool from "../config/db.js";
+import { protect, authorize, ROLES } from "../middleware/auth.js";
+import { isIsoDate } from "../utils/dates.js";
+import { escapeLike } from "../utils/sql.js";
+import { AUDIT_ENTITIES, AUDIT_ACTIONS } from "../services/audit.js";
+
+const router = express.Router();
+
+// ============================================================================
+// CONSTANTS AND CONFIGURATION
+// ============================================================================
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 200;
+
+const ENTITY_TYPES = Object.values(AUDIT_ENTITIES);
+const ACTIONS = Object.values(AUDIT_ACTIONS);
+
+// Role guards (always placed after `protect`)
+const adminOnly = authorize(ROLES.ADMIN);
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Validate audit log filters
+ * @param {Object} query - Request query
+ * @returns {Object} Validation result
+ */
+const validateFilters = (query) => {
+  const errors = [];
+
+  if (query.entity_type && !ENTITY_TYPES.includes(query.entity_type)) {
+    errors.push(`entity_type must be one of: ${ENTITY_TYPES.join(", ")}`);
+  }
+
+  if (query.action && !ACTIONS.includes(query.action)) {
+    errors.push(`action must be one of: ${ACTIONS.join(", ")}`);
+  }
+
+  for (const field of ["date_from", "date_to"]) {
+    if (query[field] && !isIsoDate(query[field])) {
+      errors.push(`${field} must be a date (YYYY-MM-DD)`);
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+  };
+};
+
+// ============================================================================
+// AUDIT ROUTES
+// ============================================================================
+
+/**
+ * GET /api/auth/audit
+ * Browse the audit log, newest first (admin only)
+ *
+ * Query: entity_type, entity_id, action, actor, date_from, date_to,
+ *        page, pageSize
+ */
+router.get("/", protect, adminOnly, async (req, res) => {
+  try {
+    const validation = validateFilters(req.query);
+    if (!validation.valid) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: validation.errors,
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const pageSize = Math.min(
+      Math.max(parseInt(req.query.pageSize) || DEFAULT_PAGE_SIZE, 1),
+      MAX_PAGE_SIZE,
+    );
+
+    const clauses = [];
+    const values = [];
+
+    if (req.query.entity_type) {
+      values.push(req.query.entity_type);
+      clauses.push(`entity_type = $${values.length}`);
+    }
+
+    if (req.query.entity_id?.trim()) {
+      values.push(req.query.entity_id.trim());
+      clauses.push(`entity_id = $${values.length}`);
+    }
+
+    if (req.query.action) {
+      values.push(req.query.action);
+      clauses.push(`action = $${values.length}`);
+    }
+
+    if (req.query.actor?.trim()) {
+      values.push(`%${escapeLike(req.query.actor.trim())}%`);
+      clauses.push(`actor_username ILIKE $${values.length}`);
+    }
+
+    if (req.query.date_from) {
+      values.push(req.query.date_from);
+      clauses.push(`created_at >= $${values.length}::date`);
+    }
+
+    // date_to includes the whole day
+    if (req.query.date_to) {
+      values.push(req.query.date_to);
+      clauses.push(`created_at < $${values.length}::date + 1`);
+    }
+
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(" AND ")}` : "";
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*)::int AS total FROM audit_log ${where}`,
+      values,
+    );
+    const total = countResult.rows[0].total;
+
+    const entries = await pool.query(
+      `SELECT * FROM audit_log
+       ${where}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, pageSize, (page - 1) * pageSize],
+    );
+
+    return res.json({
+      data: entries.rows,
+      pagination: {
+        page,
+        pageSize,
+        total,
+        totalPages: Math.max(Math.ceil(total / pageSize), 1),
+      },
+    });
+  } catch (err) {
+    console.error("Get audit log error:", err);
+    return res.status(500).json({ message: "Failed to fetch audit log" });
+  }
+});
+
+export default router;
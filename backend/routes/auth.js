@@ -2,7 +2,111 @@ import express from "express";
 import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
 import pool from "../config/db.js";
-import { protect } from "../middleware/auth.js";
+import {
+  protect,
+  protectAllowingEnrolment,
+  authorize,
+  ROLES,
+  VALID_ROLES,
+} from "../middleware/auth.js";
+import { acceptUpload } from "../middleware/upload.js";
+import {
+  VALID_TRAINING_TYPES,
+  VALID_PARTICIPANT_TYPES,
+} from "../config/constants.js";
+import {
+  resolveCertificateTraining,
+  applyTraining,
+} from "../services/trainings.js";
+import { refreshCertificateExpiry } from "../services/validity.js";
+import {
+  recordAudit,
+  AUDIT_ENTITIES,
+  AUDIT_ACTIONS,
+} from "../services/audit.js";
+import {
+  saveCertificateVersion,
+  getCertificateVersions,
+  getCertificateVersion,
+} from "../services/certificateVersions.js";
+import {
+  updatePassword,
+  createResetToken,
+  consumeResetToken,
+} from "../services/passwords.js";
+import { sendMail, isMailLoggedOnly } from "../services/mail.js";
+import {
+  recordFailedLogin,
+  clearFailedLogins,
+  LOCKOUT_MINUTES,
+  LOCKOUT_SECONDS_SQL,
+} from "../services/lockout.js";
+import {
+  getRequiredRoles,
+  setRequiredRoles,
+  REQUIRED_ROLES_SETTING,
+  startEnrolment,
+  checkTotpCode,
+  checkSecondFactor,
+  createBackupCodes,
+  countBackupCodes,
+  enableTwoFactor,
+  disableTwoFactor,
+} from "../services/twoFactor.js";
+import { buildOtpAuthUri } from "../utils/totp.js";
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeSessionByToken,
+  revokeUserSessions,
+  listSessions,
+  SESSION_IDLE_DAYS,
+  REFRESH_COOKIE,
+} from "../services/sessions.js";
+import {
+  isSelfRegistrationOpen,
+  setSelfRegistrationOpen,
+  SELF_REGISTRATION_SETTING,
+  setAccountDisabled,
+  recordLogin,
+} from "../services/accounts.js";
+import {
+  createInvitation,
+  findInvitation,
+  claimInvitation,
+  recordInvitationUser,
+  listInvitations,
+  revokeInvitation,
+} from "../services/invitations.js";
+import {
+  loginLimiter,
+  loginUsernameLimiter,
+  registerLimiter,
+  passwordLimiter,
+  twoFactorLimiter,
+  invitationLimiter,
+  refreshLimiter,
+} from "../middleware/rateLimit.js";
+import { isIsoDate } from "../utils/dates.js";
+import { escapeLike } from "../utils/sql.js";
+import { setPhoto, getPhotoFile, clearPhoto } from "../services/photos.js";
+import {
+  FILE_PURPOSES,
+  validateUpload,
+  storeFile,
+  getFile,
+  readFile,
+  getFileUrl,
+} from "../services/files.js";
+import {
+  SIGNATORY_KEYS,
+  prepareSignatories,
+  presentSignatories,
+  namesAnOfficer,
+  getCurrentTermStart,
+  closeSignatoryTerm,
+} from "../services/signatories.js";
 
 const router = express.Router();
 
@@ -10,42 +114,286 @@ const router = express.Router();
 // CONSTANTS AND CONFIGURATION
 // ============================================================================
 
+// Access tokens are short-lived; the refresh token (scoped to the auth
+// routes) renews them for as long as the session stays active
+const ACCESS_TOKEN_TTL_MINUTES = 15;
+
 const COOKIE_OPTIONS = {
   httpOnly: true,
   sameSite: "none",
   secure: true,
-  maxAge: 30 * 24 * 60 * 60 * 1000,
+  maxAge: ACCESS_TOKEN_TTL_MINUTES * 60 * 1000,
+};
+
+const REFRESH_COOKIE_OPTIONS = {
+  ...COOKIE_OPTIONS,
+  path: "/api/auth",
+  maxAge: SESSION_IDLE_DAYS * 24 * 60 * 60 * 1000,
 };
 
 const PASSWORD_MIN_LENGTH = 8;
 const USERNAME_MIN_LENGTH = 3;
 const USERNAME_MAX_LENGTH = 50;
 
-// Valid training types
-const VALID_TRAINING_TYPES = [
-  "Basic Life Support Training",
-  "Basic Life Support and Standard First Aid Training",
-  "Basic Life Support Training of trainers",
-  "Standard First Aid Training of trainers",
+// Certificate list pagination
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 500;
+
+// Rows accepted by one POST /certificates/bulk request
+const MAX_BULK_ROWS = 500;
+
+// Certificate fields saved as trimmed text
+const CERTIFICATE_TEXT_FIELDS = [
+  "training_type",
+  "training_date",
+  "venue",
+  "facility",
+  "participant_type",
+  "position",
 ];
 
-// Valid participant types
-const VALID_PARTICIPANT_TYPES = ["Lay Rescuer", "Healthcare Provider"];
+// Columns the certificate list may be sorted by (query value -> SQL column)
+const CERT_SORT_COLUMNS = {
+  id: "c.id",
+  participant_name: "c.participant_name",
+  training_type: "c.training_type",
+  training_date: "t.start_date",
+  facility: "c.facility",
+  participant_type: "c.participant_type",
+  created_at: "c.created_at",
+  updated_at: "c.updated_at",
+  expires_on: "c.expires_on",
+};
+
+// Columns the batch (training) list may be sorted by
+const BATCH_SORT_COLUMNS = {
+  latest: "last_created_at",
+  training_date: "start_date",
+  training_type: "training_type",
+  count: "cert_count",
+};
+
+// Look-ahead window for the "expiring soon" filter, in days
+const DEFAULT_EXPIRING_WITHIN = 90;
+const MAX_EXPIRING_WITHIN = 3650;
+
+// Postgres error code raised by idx_certificates_renewed_from
+const UNIQUE_VIOLATION = "23505";
+
+// Postgres error code raised by signatory_periods_no_overlap
+const EXCLUSION_VIOLATION = "23P01";
+
+// Longest revoke/reinstate reason accepted
+const MAX_REASON_LENGTH = 500;
+
+// Role given to self-registered accounts (the very first account becomes admin)
+const DEFAULT_ROLE = ROLES.VIEWER;
+
+// Arbitrary key held while a registration decides its role, so two
+// registrations on an empty users table cannot both become admin
+const REGISTRATION_LOCK_ID = 727002;
+
+const SELF_REGISTRATION_CLOSED =
+  "Self-registration is closed. Ask an administrator for an invitation.";
+
+// How long an admin-issued password reset link stays valid
+const RESET_TOKEN_TTL_MINUTES = 60;
+
+// Frontend origin used to build links sent by email
+const APP_URL = process.env.APP_URL || "http://localhost:5173";
+
+const EMAIL_MAX_LENGTH = 255;
+
+// Invitation links: default and longest lifetime, and how many the admin
+// list shows
+const INVITATION_TTL_DAYS = 7;
+const MAX_INVITATION_TTL_DAYS = 30;
+const INVITATION_LIST_LIMIT = 100;
+
+const OFFICE_MAX_LENGTH = 150;
+
+// Name shown next to the account in authenticator apps
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "DOH Training Registry";
+
+// Marks the short-lived token handed out between the password and the
+// two-factor step of a login
+const TWO_FACTOR_CHALLENGE = "two_factor";
+const TWO_FACTOR_CHALLENGE_TTL = "5m";
+
+// Role guards (always placed after `protect`)
+const adminOnly = authorize(ROLES.ADMIN);
+const canWriteCerts = authorize(ROLES.ADMIN, ROLES.ENCODER);
+const canWriteSettings = authorize(ROLES.ADMIN, ROLES.SIGNATORY);
 
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
 
 /**
- * Generate JWT token
+ * Generate JWT access token
  * @param {number} id - User ID
+ * @param {number} tokenVersion - User's token_version; the token stops
+ *   working once it is bumped (see protect)
+ * @param {number} sessionId - Session the token belongs to
  * @returns {string} JWT token
  */
-const generateToken = (id) => {
+const generateToken = (id, tokenVersion, sessionId) => {
   if (!process.env.JWT_SECRET) {
     throw new Error("JWT_SECRET is not defined in environment variables"); // This is where it crashes!
   }
-  return jwt.sign({ id }, process.env.JWT_SECRET, { expiresIn: "30d" });
+  return jwt.sign(
+    { id, tv: tokenVersion, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: `${ACCESS_TOKEN_TTL_MINUTES}m` },
+  );
+};
+
+/**
+ * Device details stored with a session
+ * @param {Object} req - Express request
+ * @returns {Object} { userAgent, ip }
+ */
+const describeClient = (req) => ({
+  userAgent: req.get("user-agent") || null,
+  ip: req.ip || null,
+});
+
+/**
+ * Set the session cookies
+ * @param {Object} res - Express response
+ * @param {Object} user - Row with id and token_version
+ * @param {number} sessionId - Session ID
+ * @param {string|null} [refreshToken] - New refresh token, if one was issued
+ */
+const setSessionCookies = (res, user, sessionId, refreshToken = null) => {
+  res.cookie(
+    "token",
+    generateToken(user.id, user.token_version, sessionId),
+    COOKIE_OPTIONS,
+  );
+  if (refreshToken) {
+    res.cookie(REFRESH_COOKIE, refreshToken, REFRESH_COOKIE_OPTIONS);
+  }
+};
+
+/**
+ * Remove the session cookies (clearCookie sets its own expiry, so maxAge
+ * is dropped from the options)
+ * @param {Object} res - Express response
+ */
+const clearSessionCookies = (res) => {
+  const { maxAge: _accessAge, ...accessOptions } = COOKIE_OPTIONS;
+  const { maxAge: _refreshAge, ...refreshOptions } = REFRESH_COOKIE_OPTIONS;
+  res.clearCookie("token", accessOptions);
+  res.clearCookie(REFRESH_COOKIE, refreshOptions);
+};
+
+/**
+ * Refuse a login because the account is locked
+ * @param {Object} res - Express response
+ * @param {number} seconds - Time left on the lockout
+ * @returns {Object} 423 response with retry_after in seconds
+ */
+const accountLocked = (res, seconds) => {
+  const minutes = Math.ceil(seconds / 60);
+  return res.status(423).json({
+    message: `Account locked after too many failed attempts. Try again in ${minutes} minute${minutes === 1 ? "" : "s"}`,
+    retry_after: seconds,
+  });
+};
+
+/**
+ * Count a failed login or two-factor attempt and refuse it, locking the
+ * account once too many attempts have failed
+ * @param {Object} res - Express response
+ * @param {number} userId - User ID
+ * @param {string} message - Message for an attempt that did not lock
+ * @returns {Object} 401 response, or 423 if this attempt locked the account
+ */
+const refuseLogin = async (res, userId, message) => {
+  const client = await pool.connect();
+  let attempt;
+  try {
+    await client.query("BEGIN");
+    attempt = await recordFailedLogin(client, userId);
+    if (attempt.lockout_seconds > 0) {
+      await recordAudit(client, {
+        entityType: AUDIT_ENTITIES.USER,
+        entityId: userId,
+        action: AUDIT_ACTIONS.LOCKOUT,
+        actor: null,
+        after: { lockout_minutes: LOCKOUT_MINUTES },
+      });
+    }
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  if (attempt.lockout_seconds > 0) {
+    return accountLocked(res, attempt.lockout_seconds);
+  }
+  return res.status(401).json({ message });
+};
+
+/**
+ * Refuse a registration whose invitation cannot be used
+ * @param {Object} res - Express response
+ * @param {Object|null} invitation - Result of findInvitation
+ * @returns {Object} 400 response with the invitation status as code
+ */
+const invitationUnavailable = (res, invitation) => {
+  const messages = {
+    used: "This invitation has already been used",
+    revoked: "This invitation has been revoked",
+    expired: "This invitation has expired",
+  };
+  const status = invitation?.status ?? "invalid";
+  return res.status(400).json({
+    message: messages[status] || "This invitation link is not valid",
+    code: `INVITATION_${status.toUpperCase()}`,
+  });
+};
+
+/**
+ * Refuse a login because an admin disabled the account
+ * @param {Object} res - Express response
+ * @returns {Object} 403 response
+ */
+const accountDisabled = (res) =>
+  res.status(403).json({
+    message: "This account has been disabled. Contact an administrator.",
+    code: "ACCOUNT_DISABLED",
+  });
+
+/**
+ * Start a session: record it, set the cookies and build the user returned
+ * by the login routes
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} userData - Users row
+ * @returns {Object} User data (without password or secrets)
+ */
+const startSession = async (req, res, userData) => {
+  await clearFailedLogins(pool, userData.id);
+  await recordLogin(pool, userData.id);
+  const session = await createSession(pool, userData.id, describeClient(req));
+  setSessionCookies(res, userData, session.id, session.refreshToken);
+
+  const twoFactorEnabled = !!userData.totp_enabled_at;
+  const requiredRoles = await getRequiredRoles(pool);
+  return {
+    id: userData.id,
+    username: userData.username,
+    role: userData.role,
+    created_at: userData.created_at,
+    two_factor_enabled: twoFactorEnabled,
+    two_factor_setup_required:
+      requiredRoles.includes(userData.role) && !twoFactorEnabled,
+  };
 };
 
 /**
@@ -127,6 +475,27 @@ const validatePassword = (password) => {
   return { valid: true };
 };
 
+/**
+ * Validate an email address
+ * @param {string} email - Email to validate
+ * @returns {Object} Validation result
+ */
+const validateEmail = (email) => {
+  if (!email || typeof email !== "string" || !email.trim()) {
+    return { valid: false, message: "Email is required" };
+  }
+
+  const trimmed = email.trim().toLowerCase();
+  if (
+    trimmed.length > EMAIL_MAX_LENGTH ||
+    !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(trimmed)
+  ) {
+    return { valid: false, message: "Email address is not valid" };
+  }
+
+  return { valid: true, value: trimmed };
+};
+
 /**
  * Validate certificate data
  * @param {Object} data - Certificate data
@@ -136,10 +505,25 @@ const validateCertificateData = (data) => {
   const errors = [];
 
   // Required fields
-  if (!data.participant_name || !data.participant_name.trim()) {
+  if (
+    typeof data.participant_name !== "string" ||
+    !data.participant_name.trim()
+  ) {
     errors.push("participant_name is required");
   }
 
+  // Free-text fields are trimmed when saved, so anything else (a number
+  // from a spreadsheet cell, say) is rejected here rather than failing there
+  for (const field of CERTIFICATE_TEXT_FIELDS) {
+    if (
+      data[field] !== undefined &&
+      data[field] !== null &&
+      typeof data[field] !== "string"
+    ) {
+      errors.push(`${field} must be text`);
+    }
+  }
+
   // Validate training type if provided
   if (
     data.training_type &&
@@ -150,6 +534,21 @@ const validateCertificateData = (data) => {
     );
   }
 
+  // Validate structured training dates if provided
+  for (const field of ["start_date", "end_date"]) {
+    if (data[field] && !isIsoDate(data[field])) {
+      errors.push(`${field} must be a date in YYYY-MM-DD format`);
+    }
+  }
+
+  if (
+    isIsoDate(data.start_date) &&
+    isIsoDate(data.end_date) &&
+    data.end_date < data.start_date
+  ) {
+    errors.push("end_date cannot be before start_date");
+  }
+
   // Validate participant type if provided
   if (
     data.participant_type &&
@@ -181,9 +580,12 @@ const validateCertificateData = (data) => {
  */
 const sanitizeCertificateData = (data) => {
   return {
+    training_id: parseInt(data.training_id) || null,
     participant_name: data.participant_name?.trim() || null,
     training_type: data.training_type?.trim() || null,
     training_date: data.training_date?.trim() || null,
+    start_date: data.start_date || null,
+    end_date: data.end_date || data.start_date || null,
     venue: data.venue?.trim() || null,
     facility: data.facility?.trim() || null,
     participant_type: data.participant_type?.trim() || null,
@@ -192,17 +594,396 @@ const sanitizeCertificateData = (data) => {
   };
 };
 
+/**
+ * Attach the training's structured dates to a certificate row, matching
+ * the shape GET /certificates returns
+ * @param {Object} cert - Certificate row
+ * @param {Object} training - Training row
+ * @returns {Object} Certificate with start_date, end_date, dates_need_review
+ */
+const withTrainingDates = (cert, training) => ({
+  ...cert,
+  start_date: training.start_date,
+  end_date: training.end_date,
+  dates_need_review: training.dates_need_review,
+});
+
+/**
+ * Insert a sanitized certificate already linked to its training
+ * @param {Object} db - pg pool or client
+ * @param {Object} cert - Sanitized certificate data, plus renewed_from_id
+ *   when it renews an older certificate
+ * @returns {Object} Inserted certificate row, with its expiry date
+ */
+const insertCertificate = async (db, cert) => {
+  const { rows } = await db.query(
+    `INSERT INTO certificates (
+      training_id,
+      participant_name,
+      training_type,
+      training_date,
+      venue,
+      facility,
+      participant_type,
+      age,
+      position,
+      renewed_from_id
+    ) VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING id`,
+    [
+      cert.training_id,
+      cert.participant_name,
+      cert.training_type,
+      cert.training_date,
+      cert.venue,
+      cert.facility,
+      cert.participant_type,
+      cert.age,
+      cert.position,
+      cert.renewed_from_id ?? null,
+    ],
+  );
+  return refreshCertificateExpiry(db, rows[0].id);
+};
+
+/**
+ * Apply an edit to a certificate, storing it as a new version and in the
+ * audit log, in one transaction
+ * @param {Object} existing - Certificate row before the edit
+ * @param {Object} cert - Sanitized certificate data linked to its training
+ * @param {Object} actor - User making the edit
+ * @param {number|null} [restoredFrom] - Version number being restored
+ * @returns {Object} Updated certificate row, with its expiry date
+ */
+const updateCertificate = async (
+  existing,
+  cert,
+  actor,
+  restoredFrom = null,
+) => {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    await client.query(
+      `UPDATE certificates SET 
+        participant_name = $1, 
+        training_type = $2, 
+        training_date = $3, 
+        venue = $4, 
+        facility = $5, 
+        participant_type = $6, 
+        age = $7, 
+        position = $8,
+        training_id = $9,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $10`,
+      [
+        cert.participant_name,
+        cert.training_type,
+        cert.training_date,
+        cert.venue,
+        cert.facility,
+        cert.participant_type,
+        cert.age,
+        cert.position,
+        cert.training_id,
+        existing.id,
+      ],
+    );
+    const updated = await refreshCertificateExpiry(client, existing.id);
+
+    await saveCertificateVersion(
+      client,
+      existing,
+      updated,
+      actor.id,
+      restoredFrom,
+    );
+
+    await recordAudit(client, {
+      entityType: AUDIT_ENTITIES.CERTIFICATE,
+      entityId: existing.id,
+      action: restoredFrom ? AUDIT_ACTIONS.RESTORE : AUDIT_ACTIONS.UPDATE,
+      actor,
+      before: existing,
+      after: updated,
+    });
+
+    await client.query("COMMIT");
+    return updated;
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Revoke or reinstate a certificate and log the change, in one transaction
+ * @param {number} certId - Certificate ID
+ * @param {string} action - "revoked" or "reinstated"
+ * @param {string} reason - Why the status changed
+ * @param {Object} actor - User making the change
+ * @returns {Object|null} Updated certificate row, or null if not found
+ */
+const changeCertificateStatus = async (certId, action, reason, actor) => {
+  const actorId = actor.id;
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const before = await client.query(
+      "SELECT * FROM certificates WHERE id = $1 FOR UPDATE",
+      [certId],
+    );
+
+    const updated =
+      action === "revoked"
+        ? await client.query(
+            `UPDATE certificates SET
+              revoked_at = CURRENT_TIMESTAMP,
+              revoked_by = $1,
+              revocation_reason = $2,
+              updated_at = CURRENT_TIMESTAMP
+            WHERE id = $3
+            RETURNING *`,
+            [actorId, reason, certId],
+          )
+        : await client.query(
+            `UPDATE certificates SET
+              revoked_at = NULL,
+              revoked_by = NULL,
+              revocation_reason = NULL,
+              updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+            RETURNING *`,
+            [certId],
+          );
+
+    await client.query(
+      `INSERT INTO certificate_status_changes
+        (certificate_id, action, reason, changed_by)
+      VALUES ($1, $2, $3, $4)`,
+      [certId, action, reason, actorId],
+    );
+
+    await recordAudit(client, {
+      entityType: AUDIT_ENTITIES.CERTIFICATE,
+      entityId: certId,
+      action:
+        action === "revoked" ? AUDIT_ACTIONS.REVOKE : AUDIT_ACTIONS.REINSTATE,
+      actor,
+      before: before.rows[0],
+      after: updated.rows[0],
+    });
+
+    await client.query("COMMIT");
+    return updated.rows[0];
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Validate a revoke/reinstate reason
+ * @param {string} reason - Raw reason
+ * @returns {Object} Validation result with the trimmed value
+ */
+const validateReason = (reason) => {
+  if (typeof reason !== "string" || !reason.trim()) {
+    return { valid: false, message: "A reason is required" };
+  }
+
+  if (reason.trim().length > MAX_REASON_LENGTH) {
+    return {
+      valid: false,
+      message: `Reason must be at most ${MAX_REASON_LENGTH} characters`,
+    };
+  }
+
+  return { valid: true, value: reason.trim() };
+};
+
+/**
+ * Parse page/pageSize query parameters
+ * @param {Object} query - Express query object
+ * @returns {Object} page, pageSize and offset
+ */
+const parsePagination = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const pageSize = Math.min(
+    Math.max(parseInt(query.pageSize) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE,
+  );
+  return { page, pageSize, offset: (page - 1) * pageSize };
+};
+
+/**
+ * Parse sort/order query parameters against a whitelist
+ * @param {Object} query - Express query object
+ * @param {Object} columns - Allowed sort keys mapped to SQL columns
+ * @param {string} fallback - Sort key used when none (or an unknown one) is given
+ * @returns {string} ORDER BY expression
+ */
+const parseSort = (query, columns, fallback) => {
+  const column = columns[query.sort] || columns[fallback];
+  const direction = query.order === "asc" ? "ASC" : "DESC";
+  return `${column} ${direction} NULLS LAST`;
+};
+
+/**
+ * Build the WHERE clause shared by the certificate and batch listings.
+ * The queries join certificates `c` with their training `t`.
+ * @param {Object} query - Express query object
+ * @returns {Object} SQL where clause, bound values, and validation errors
+ */
+const buildCertificateFilters = (query) => {
+  const clauses = [];
+  const values = [];
+  const errors = [];
+
+  const addClause = (sql, ...params) => {
+    let text = sql;
+    params.forEach((param) => {
+      values.push(param);
+      text = text.replace("?", `$${values.length}`);
+    });
+    clauses.push(text);
+  };
+
+  // Certificates in the recycle bin are only listed by the bin itself
+  clauses.push("c.deleted_at IS NULL");
+
+  if (query.training_type) {
+    addClause("c.training_type = ?", query.training_type);
+  }
+
+  if (query.participant_type) {
+    addClause("c.participant_type = ?", query.participant_type);
+  }
+
+  if (query.facility?.trim()) {
+    addClause("c.facility ILIKE ?", `%${escapeLike(query.facility.trim())}%`);
+  }
+
+  // Record date range (YYYY-MM-DD, inclusive), on the day the certificate
+  // was encoded in the database's pinned timezone (config/db.js)
+  for (const [param, condition] of [
+    ["date_from", "c.created_at >= ?::date"],
+    ["date_to", "c.created_at < ?::date + 1"],
+  ]) {
+    if (!query[param]) continue;
+    if (!isIsoDate(query[param])) {
+      errors.push(`${param} must be a date in YYYY-MM-DD format`);
+      continue;
+    }
+    addClause(condition, query[param]);
+  }
+
+  // Training date range (YYYY-MM-DD, inclusive): trainings held at least
+  // partly within it. Trainings whose dates still need review have none.
+  for (const [param, condition] of [
+    ["training_from", "COALESCE(t.end_date, t.start_date) >= ?"],
+    ["training_to", "t.start_date <= ?"],
+  ]) {
+    if (!query[param]) continue;
+    if (!isIsoDate(query[param])) {
+      errors.push(`${param} must be a date in YYYY-MM-DD format`);
+      continue;
+    }
+    addClause(condition, query[param]);
+  }
+
+  if (query.batch) {
+    const trainingId = parseInt(query.batch);
+    if (isNaN(trainingId)) {
+      errors.push("batch must be a training ID");
+    } else {
+      addClause("c.training_id = ?", trainingId);
+    }
+  }
+
+  // Expiry watch: certificates already expired, or expiring within N days.
+  // Revoked certificates and ones already renewed need no follow-up.
+  if (query.expiry === "expired" || query.expiry === "expiring") {
+    clauses.push(
+      "c.revoked_at IS NULL AND NOT EXISTS (SELECT 1 FROM certificates r WHERE r.renewed_from_id = c.id AND r.deleted_at IS NULL)",
+    );
+    if (query.expiry === "expired") {
+      clauses.push("c.expires_on < CURRENT_DATE");
+    } else {
+      const within = query.expiring_within
+        ? parseInt(query.expiring_within)
+        : DEFAULT_EXPIRING_WITHIN;
+      if (isNaN(within) || within < 1 || within > MAX_EXPIRING_WITHIN) {
+        errors.push(
+          `expiring_within must be between 1 and ${MAX_EXPIRING_WITHIN} days`,
+        );
+      } else {
+        addClause(
+          "c.expires_on BETWEEN CURRENT_DATE AND CURRENT_DATE + ?::int",
+          within,
+        );
+      }
+    }
+  } else if (query.expiry) {
+    errors.push("expiry must be expired or expiring");
+  }
+
+  // Revocation status: active or revoked
+  if (query.status === "active") {
+    clauses.push("c.revoked_at IS NULL");
+  } else if (query.status === "revoked") {
+    clauses.push("c.revoked_at IS NOT NULL");
+  } else if (query.status) {
+    errors.push("status must be active or revoked");
+  }
+
+  if (query.search?.trim()) {
+    const term = `%${escapeLike(query.search.trim())}%`;
+    addClause(
+      "(c.participant_name ILIKE ? OR c.training_date ILIKE ? OR c.venue ILIKE ? OR c.facility ILIKE ?)",
+      term,
+      term,
+      term,
+      term,
+    );
+  }
+
+  return {
+    where: clauses.length > 0 ? `WHERE ${clauses.join(" AND ")}` : "",
+    values,
+    errors,
+  };
+};
+
 // ============================================================================
 // AUTHENTICATION ROUTES
 // ============================================================================
 
 /**
  * POST /api/auth/register
- * Register a new user
+ * Register a new user, either through an invitation link or, while
+ * self-registration is open, with the default role
+ *
+ * Body: { username, password, invitation? } - invitation is the token from
+ * the link
  */
-router.post("/register", async (req, res) => {
+router.post("/register", registerLimiter, async (req, res) => {
   try {
-    const { username, password } = req.body;
+    const { username, password, invitation } = req.body;
+
+    if (invitation !== undefined && typeof invitation !== "string") {
+      return res.status(400).json({ message: "Invalid invitation" });
+    }
+
+    if (!invitation && !(await isSelfRegistrationOpen(pool))) {
+      return res.status(403).json({ message: SELF_REGISTRATION_CLOSED });
+    }
 
     // Validate username
     const usernameValidation = validateUsername(username);
@@ -229,26 +1010,91 @@ router.post("/register", async (req, res) => {
     // Hash password
     const hashedPassword = await bcrypt.hash(password, 10);
 
-    // Create user
-    const newUser = await pool.query(
-      "INSERT INTO users (username, password) VALUES ($1, $2) RETURNING id, username, created_at",
-      [usernameValidation.value, hashedPassword],
-    );
+    const client = await pool.connect();
+    let newUser;
+    try {
+      await client.query("BEGIN");
+
+      // The invitation is claimed first, so a link used twice at once only
+      // creates one account
+      let invite = null;
+      if (invitation) {
+        invite = await claimInvitation(client, invitation);
+        if (!invite) {
+          await client.query("ROLLBACK");
+          return invitationUnavailable(
+            res,
+            await findInvitation(pool, invitation),
+          );
+        }
+      }
 
-    // Generate token
-    const token = generateToken(newUser.rows[0].id);
+      // Bootstrap: the first account on a fresh deployment administers the
+      // rest. Registrations take turns from here to COMMIT, so the count
+      // below sees any account created concurrently.
+      await client.query("SELECT pg_advisory_xact_lock($1)", [
+        REGISTRATION_LOCK_ID,
+      ]);
+      const userCount = await client.query(
+        "SELECT COUNT(*)::int AS count FROM users",
+      );
+      // Checked again now that the count is settled: the first admin may
+      // have registered since the check above, closing registration
+      if (
+        !invite &&
+        userCount.rows[0].count > 0 &&
+        !(await isSelfRegistrationOpen(client))
+      ) {
+        await client.query("ROLLBACK");
+        return res.status(403).json({ message: SELF_REGISTRATION_CLOSED });
+      }
+      const role =
+        userCount.rows[0].count === 0
+          ? ROLES.ADMIN
+          : (invite?.role ?? DEFAULT_ROLE);
+
+      // Create user
+      newUser = await client.query(
+        `INSERT INTO users (username, password, role, office)
+        VALUES ($1, $2, $3, $4)
+        RETURNING id, username, role, office, created_at`,
+        [
+          usernameValidation.value,
+          hashedPassword,
+          role,
+          invite?.office ?? null,
+        ],
+      );
+
+      if (invite) {
+        await recordInvitationUser(client, invite.id, newUser.rows[0].id);
+      }
 
-    // Set cookie
-    res.cookie("token", token, COOKIE_OPTIONS);
+      await recordAudit(client, {
+        entityType: AUDIT_ENTITIES.USER,
+        entityId: newUser.rows[0].id,
+        action: AUDIT_ACTIONS.REGISTER,
+        actor: newUser.rows[0],
+        after: invite
+          ? { ...newUser.rows[0], invitation_id: invite.id }
+          : newUser.rows[0],
+      });
 
-    // Return user data (without password)
-    return res.status(201).json({
-      user: {
-        id: newUser.rows[0].id,
-        username: newUser.rows[0].username,
-        created_at: newUser.rows[0].created_at,
-      },
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    // Return user data (without password); new accounts start at
+    // token_version 0
+    const user = await startSession(req, res, {
+      ...newUser.rows[0],
+      token_version: 0,
     });
+    return res.status(201).json({ user });
   } catch (err) {
     console.error("Registration error:", err);
     return res
@@ -257,11 +1103,72 @@ router.post("/register", async (req, res) => {
   }
 });
 
+/**
+ * GET /api/auth/registration
+ * Whether the register page accepts new accounts (public)
+ */
+router.get("/registration", async (req, res) => {
+  try {
+    return res.json({ open: await isSelfRegistrationOpen(pool) });
+  } catch (err) {
+    console.error("Get registration setting error:", err);
+    return res
+      .status(500)
+      .json({ message: "Failed to fetch registration setting" });
+  }
+});
+
+/**
+ * PUT /api/auth/registration
+ * Open or close self-registration (admin only)
+ *
+ * Body: { open: boolean }
+ */
+router.put("/registration", protect, adminOnly, async (req, res) => {
+  try {
+    const { open } = req.body;
+    if (typeof open !== "boolean") {
+      return res.status(400).json({ message: "open must be true or false" });
+    }
+
+    const before = await isSelfRegistrationOpen(pool);
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+
+      await setSelfRegistrationOpen(client, open);
+
+      await recordAudit(client, {
+        entityType: AUDIT_ENTITIES.SETTINGS,
+        entityId: null,
+        action: AUDIT_ACTIONS.UPDATE,
+        actor: req.user,
+        before: { [SELF_REGISTRATION_SETTING]: before },
+        after: { [SELF_REGISTRATION_SETTING]: open },
+      });
+
+      await client.query("COMMIT");
+
+      return res.json({ open });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.error("Update registration setting error:", err);
+    return res
+      .status(500)
+      .json({ message: "Failed to update registration setting" });
+  }
+});
+
 /**
  * POST /api/auth/login
  * Authenticate user and return token
  */
-router.post("/login", async (req, res) => {
+router.post("/login", loginLimiter, loginUsernameLimiter, async (req, res) => {
   try {
     const { username, password } = req.body;
 
@@ -272,7 +1179,9 @@ router.post("/login", async (req, res) => {
 
     // Find user
     const user = await pool.query(
-      "SELECT id, username, password, created_at FROM users WHERE username = $1",
+      `SELECT id, username, password, role, token_version, created_at,
+        totp_enabled_at, disabled_at, ${LOCKOUT_SECONDS_SQL} AS lockout_seconds
+      FROM users WHERE username = $1`,
       [username.trim()],
     );
 
@@ -282,27 +1191,39 @@ router.post("/login", async (req, res) => {
 
     const userData = user.rows[0];
 
+    // A locked account is refused before the password is checked
+    if (userData.lockout_seconds > 0) {
+      return accountLocked(res, userData.lockout_seconds);
+    }
+
     // Compare password
     const isMatch = await bcrypt.compare(password, userData.password);
 
     if (!isMatch) {
-      return res.status(401).json({ message: "Invalid credentials" });
+      return refuseLogin(res, userData.id, "Invalid credentials");
     }
 
-    // Generate token
-    const token = generateToken(userData.id);
+    // Only revealed once the password is right
+    if (userData.disabled_at) {
+      return accountDisabled(res);
+    }
 
-    // Set cookie
-    res.cookie("token", token, COOKIE_OPTIONS);
+    // Accounts with two-factor get a short-lived challenge instead of a
+    // session; failed attempts are only cleared once the code is accepted
+    if (userData.totp_enabled_at) {
+      const challenge = jwt.sign(
+        {
+          id: userData.id,
+          tv: userData.token_version,
+          purpose: TWO_FACTOR_CHALLENGE,
+        },
+        process.env.JWT_SECRET,
+        { expiresIn: TWO_FACTOR_CHALLENGE_TTL },
+      );
+      return res.json({ two_factor_required: true, challenge });
+    }
 
-    // Return user data (without password)
-    return res.json({
-      user: {
-        id: userData.id,
-        username: userData.username,
-        created_at: userData.created_at,
-      },
-    });
+    return res.json({ user: await startSession(req, res, userData) });
   } catch (err) {
     console.error("Login error:", err);
     return res.status(500).json({ message: "Server error during login" });
@@ -310,242 +1231,2185 @@ router.post("/login", async (req, res) => {
 });
 
 /**
- * GET /api/auth/me
- * Get current user info (protected route)
+ * POST /api/auth/login/two-factor
+ * Second login step for accounts with two-factor enabled (public)
+ *
+ * Body: { challenge, code } - challenge from POST /login; code from the
+ * authenticator app, or an unused backup code
  */
-router.get("/me", protect, async (req, res) => {
+router.post("/login/two-factor", loginLimiter, async (req, res) => {
   try {
-    // req.user is set by protect middleware
-    return res.json(req.user);
-  } catch (err) {
-    console.error("Get user error:", err);
-    return res.status(500).json({ message: "Server error" });
-  }
-});
+    const { challenge, code } = req.body;
+
+    if (!challenge || !code) {
+      return res
+        .status(400)
+        .json({ message: "Authentication code is required" });
+    }
+
+    const expired = () =>
+      res.status(401).json({
+        message: "Sign-in attempt expired, please log in again",
+        code: "CHALLENGE_EXPIRED",
+      });
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challenge, process.env.JWT_SECRET);
+    } catch {
+      return expired();
+    }
+    if (decoded.purpose !== TWO_FACTOR_CHALLENGE) {
+      return expired();
+    }
+
+    const user = await pool.query(
+      `SELECT id, username, role, token_version, created_at, totp_secret,
+        totp_enabled_at, disabled_at, ${LOCKOUT_SECONDS_SQL} AS lockout_seconds
+      FROM users WHERE id = $1`,
+      [decoded.id],
+    );
+    const userData = user.rows[0];
+
+    // The password may have changed, or two-factor been reset, since the
+    // first step
+    if (!userData?.totp_enabled_at || userData.token_version !== decoded.tv) {
+      return expired();
+    }
+
+    if (userData.disabled_at) {
+      return accountDisabled(res);
+    }
+
+    if (userData.lockout_seconds > 0) {
+      return accountLocked(res, userData.lockout_seconds);
+    }
+
+    const method = await checkSecondFactor(pool, userData, String(code));
+    if (!method) {
+      return refuseLogin(res, userData.id, "Invalid authentication code");
+    }
+
+    const response = { user: await startSession(req, res, userData) };
+    if (method === "backup_code") {
+      response.backup_codes_remaining = await countBackupCodes(
+        pool,
+        userData.id,
+      );
+    }
+    return res.json(response);
+  } catch (err) {
+    console.error("Two-factor login error:", err);
+    return res.status(500).json({ message: "Server error during login" });
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * Get current user info (protected route)
+ */
+router.get("/me", protectAllowingEnrolment, async (req, res) => {
+  try {
+    // req.user is set by protect middleware
+    return res.json(req.user);
+  } catch (err) {
+    console.error("Get user error:", err);
+    return res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Trade the refresh token cookie for a new access token and a new refresh
+ * token (public; the cookie is the credential)
+ */
+router.post("/refresh", refreshLimiter, async (req, res) => {
+  try {
+    const refreshToken = req.cookies[REFRESH_COOKIE];
+    if (!refreshToken) {
+      return res.status(401).json({ message: "No session to refresh" });
+    }
+
+    const session = await rotateSession(
+      pool,
+      refreshToken,
+      describeClient(req),
+    );
+    if (!session) {
+      clearSessionCookies(res);
+      return res
+        .status(401)
+        .json({ message: "Session expired, please log in again" });
+    }
+
+    const user = await pool.query(
+      "SELECT id, token_version FROM users WHERE id = $1",
+      [session.user_id],
+    );
+    setSessionCookies(res, user.rows[0], session.id, session.refreshToken);
+
+    return res.json({ message: "Session refreshed" });
+  } catch (err) {
+    console.error("Refresh error:", err);
+    return res.status(500).json({ message: "Failed to refresh session" });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Logout user: revoke the session and clear its cookies
+ */
+router.post("/logout", async (req, res) => {
+  try {
+    const refreshToken = req.cookies[REFRESH_COOKIE];
+    if (refreshToken) {
+      await revokeSessionByToken(pool, refreshToken);
+    }
+    clearSessionCookies(res);
+
+    return res.status(200).json({ message: "Identity De-authorized" });
+  } catch (err) {
+    console.error("Logout error:", err);
+    return res.status(500).json({ message: "Server error during logout" });
+  }
+});
+
+/**
+ * POST /api/auth/change-password
+ * Change the current user's password. Other sessions are signed out; this
+ * one gets a fresh token.
+ *
+ * Body: { current_password, new_password }
+ */
+router.post("/change-password", passwordLimiter, protect, async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body;
+
+    if (!current_password) {
+      return res.status(400).json({ message: "Current password is required" });
+    }
+
+    const passwordValidation = validatePassword(new_password);
+    if (!passwordValidation.valid) {
+      return res.status(400).json({ message: passwordValidation.message });
+    }
+
+    const existing = await pool.query(
+      "SELECT password FROM users WHERE id = $1",
+      [req.user.id],
+    );
+    const isMatch = await bcrypt.compare(
+      current_password,
+      existing.rows[0].password,
+    );
+    if (!isMatch) {
+      return res.status(401).json({ message: "Current password is incorrect" });
+    }
+
+    if (current_password === new_password) {
+      return res.status(400).json({
+        message: "New password must be different from the current one",
+      });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+
+      const updated = await updatePassword(client, req.user.id, new_password);
+      await revokeUserSessions(client, req.user.id, req.sessionId);
+
+      await recordAudit(client, {
+        entityType: AUDIT_ENTITIES.USER,
+        entityId: req.user.id,
+        action: AUDIT_ACTIONS.PASSWORD_CHANGE,
+        actor: req.user,
+        after: { password_changed_at: updated.password_changed_at },
+      });
+
+      await client.query("COMMIT");
+
+      setSessionCookies(res, updated, req.sessionId);
+
+      return res.json({ message: "Password changed" });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.error("Change password error:", err);
+    return res.status(500).json({ message: "Failed to change password" });
+  }
+});
+
+/**
+ * POST /api/auth/reset-password
+ * Set a new password with a one-time reset token (no login required).
+ * Every existing session of the account is signed out.
+ *
+ * Body: { token, new_password }
+ */
+router.post("/reset-password", passwordLimiter, async (req, res) => {
+  try {
+    const { token, new_password } = req.body;
+
+    if (!token || typeof token !== "string") {
+      return res.status(400).json({ message: "Reset token is required" });
+    }
+
+    const passwordValidation = validatePassword(new_password);
+    if (!passwordValidation.valid) {
+      return res.status(400).json({ message: passwordValidation.message });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+
+      const userId = await consumeResetToken(client, token);
+      if (!userId) {
+        await client.query("ROLLBACK");
+        return res
+          .status(400)
+          .json({ message: "Reset link is invalid or has expired" });
+      }
+
+      const updated = await updatePassword(client, userId, new_password);
+      await revokeUserSessions(client, userId);
+
+      await recordAudit(client, {
+        entityType: AUDIT_ENTITIES.USER,
+        entityId: userId,
+        action: AUDIT_ACTIONS.PASSWORD_RESET,
+        actor: updated,
+        after: { password_changed_at: updated.password_changed_at },
+      });
+
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    return res.json({ message: "Password reset; please log in" });
+  } catch (err) {
+    console.error("Reset password error:", err);
+    return res.status(500).json({ message: "Failed to reset password" });
+  }
+});
+
+// ============================================================================
+// SESSION ROUTES
+// ============================================================================
+
+/**
+ * GET /api/auth/sessions
+ * Active sessions (signed-in devices) of the current user; the one making
+ * the request is flagged as current
+ */
+router.get("/sessions", protect, async (req, res) => {
+  try {
+    const sessions = await listSessions(pool, req.user.id);
+    return res.json(
+      sessions.map((session) => ({
+        ...session,
+        current: session.id === req.sessionId,
+      })),
+    );
+  } catch (err) {
+    console.error("Get sessions error:", err);
+    return res.status(500).json({ message: "Failed to fetch sessions" });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Sign out one of the current user's devices. Revoking the current session
+ * logs this browser out.
+ */
+router.delete("/sessions/:id", protect, async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id);
+    if (isNaN(sessionId)) {
+      return res.status(400).json({ message: "Invalid session ID" });
+    }
+
+    if (!(await revokeSession(pool, sessionId, req.user.id))) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+    if (sessionId === req.sessionId) {
+      clearSessionCookies(res);
+    }
+
+    return res.json({ message: "Session signed out" });
+  } catch (err) {
+    console.error("Revoke session error:", err);
+    return res.status(500).json({ message: "Failed to sign out session" });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions
+ * Sign out every device of the current user except this one
+ */
+router.delete("/sessions", protect, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(pool, req.user.id, req.sessionId);
+    return res.json({
+      message: `${revoked} other session(s) signed out`,
+      revoked,
+    });
+  } catch (err) {
+    console.error("Revoke sessions error:", err);
+    return res.status(500).json({ message: "Failed to sign out sessions" });
+  }
+});
+
+// ============================================================================
+// TWO-FACTOR ROUTES
+// ============================================================================
+
+/**
+ * GET /api/auth/two-factor
+ * Two-factor status of the current user
+ */
+router.get("/two-factor", protectAllowingEnrolment, async (req, res) => {
+  try {
+    return res.json({
+      enabled: req.user.two_factor_enabled,
+      required: (await getRequiredRoles(pool)).includes(req.user.role),
+      backup_codes_remaining: req.user.two_factor_enabled
+        ? await countBackupCodes(pool, req.user.id)
+        : 0,
+    });
+  } catch (err) {
+    console.error("Get two-factor status error:", err);
+    return res
+      .status(500)
+      .json({ message: "Failed to fetch two-factor status" });
+  }
+});
+
+/**
+ * POST /api/auth/two-factor/setup
+ * Start enrolment: returns a new secret and the otpauth:// URI to show as a
+ * QR code. Two-factor stays off until POST /two-factor/enable.
+ */
+router.post("/two-factor/setup", protectAllowingEnrolment, async (req, res) => {
+  try {
+    const secret = await startEnrolment(pool, req.user.id);
+    if (!secret) {
+      return res
+        .status(409)
+        .json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    return res.json({
+      secret,
+      otpauth_url: buildOtpAuthUri(secret, req.user.username, TOTP_ISSUER),
+    });
+  } catch (err) {
+    console.error("Two-factor setup error:", err);
+    return res
+      .status(500)
+      .json({ message: "Failed to start two-factor setup" });
+  }
+});
+
+/**
+ * POST /api/auth/two-factor/enable
+ * Finish enrolment with a code from the authenticator app. Returns the
+ * backup codes (shown once). Other sessions are signed out; this one gets a
+ * fresh token.
+ *
+ * Body: { code }
+ */
+router.post(
+  "/two-factor/enable",
+  twoFactorLimiter,
+  protectAllowingEnrolment,
+  async (req, res) => {
+    try {
+      const existing = await pool.query(
+        "SELECT id, totp_secret, totp_enabled_at FROM users WHERE id = $1",
+        [req.user.id],
+      );
+      const account = existing.rows[0];
+
+      if (account.totp_enabled_at) {
+        return res
+          .status(409)
+          .json({ message: "Two-factor authentication is already enabled" });
+      }
+      if (!account.totp_secret) {
+        return res
+          .status(400)
+          .json({ message: "Start two-factor setup first" });
+      }
+
+      const client = await pool.connect();
+      let updated, backupCodes;
+      try {
+        await client.query("BEGIN");
+
+        if (!(await checkTotpCode(client, account, String(req.body.code)))) {
+          await client.query("ROLLBACK");
+          return res
+            .status(400)
+            .json({ message: "Invalid authentication code" });
+        }
+
+        updated = await enableTwoFactor(client, req.user.id);
+        await revokeUserSessions(client, req.user.id, req.sessionId);
+        backupCodes = await createBackupCodes(client, req.user.id);
+
+        await recordAudit(client, {
+          entityType: AUDIT_ENTITIES.USER,
+          entityId: req.user.id,
+          action: AUDIT_ACTIONS.TWO_FACTOR_ENABLE,
+          actor: req.user,
+          after: { totp_enabled_at: updated.totp_enabled_at },
+        });
+
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+      } finally {
+        client.release();
+      }
+
+      setSessionCookies(res, updated, req.sessionId);
+
+      return res.json({
+        message: "Two-factor authentication enabled",
+        backup_codes: backupCodes,
+      });
+    } catch (err) {
+      console.error("Two-factor enable error:", err);
+      return res
+        .status(500)
+        .json({ message: "Failed to enable two-factor authentication" });
+    }
+  },
+);
+
+/**
+ * POST /api/auth/two-factor/backup-codes
+ * Replace the current user's backup codes (the old ones stop working)
+ *
+ * Body: { code } - current code from the authenticator app
+ */
+router.post(
+  "/two-factor/backup-codes",
+  twoFactorLimiter,
+  protect,
+  async (req, res) => {
+    try {
+      if (!req.user.two_factor_enabled) {
+        return res
+          .status(400)
+          .json({ message: "Two-factor authentication is not enabled" });
+      }
+
+      const existing = await pool.query(
+        "SELECT id, totp_secret FROM users WHERE id = $1",
+        [req.user.id],
+      );
+      if (
+        !(await checkTotpCode(pool, existing.rows[0], String(req.body.code)))
+      ) {
+        return res.status(400).json({ message: "Invalid authentication code" });
+      }
+
+      const backupCodes = await createBackupCodes(pool, req.user.id);
+      return res.json({ backup_codes: backupCodes });
+    } catch (err) {
+      console.error("Backup codes error:", err);
+      return res.status(500).json({ message: "Failed to create backup codes" });
+    }
+  },
+);
+
+/**
+ * POST /api/auth/two-factor/disable
+ * Turn two-factor off for the current user. Not allowed while their role
+ * requires it.
+ *
+ * Body: { password }
+ */
+router.post(
+  "/two-factor/disable",
+  twoFactorLimiter,
+  protect,
+  async (req, res) => {
+    try {
+      if (!req.user.two_factor_enabled) {
+        return res
+          .status(400)
+          .json({ message: "Two-factor authentication is not enabled" });
+      }
+      if ((await getRequiredRoles(pool)).includes(req.user.role)) {
+        return res.status(403).json({
+          message: "Two-factor authentication is required for your role",
+        });
+      }
+
+      const existing = await pool.query(
+        "SELECT password FROM users WHERE id = $1",
+        [req.user.id],
+      );
+      const isMatch = await bcrypt.compare(
+        String(req.body.password ?? ""),
+        existing.rows[0].password,
+      );
+      if (!isMatch) {
+        return res.status(401).json({ message: "Password is incorrect" });
+      }
+
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+
+        await disableTwoFactor(client, req.user.id);
+
+        await recordAudit(client, {
+          entityType: AUDIT_ENTITIES.USER,
+          entityId: req.user.id,
+          action: AUDIT_ACTIONS.TWO_FACTOR_DISABLE,
+          actor: req.user,
+        });
+
+        await client.query("COMMIT");
+
+        return res.json({ message: "Two-factor authentication disabled" });
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+      } finally {
+        client.release();
+      }
+    } catch (err) {
+      console.error("Two-factor disable error:", err);
+      return res
+        .status(500)
+        .json({ message: "Failed to disable two-factor authentication" });
+    }
+  },
+);
+
+/**
+ * GET /api/auth/two-factor/policy
+ * Roles that must use two-factor authentication (admin only)
+ */
+router.get("/two-factor/policy", protect, adminOnly, async (req, res) => {
+  try {
+    return res.json({ required_roles: await getRequiredRoles(pool) });
+  } catch (err) {
+    console.error("Get two-factor policy error:", err);
+    return res
+      .status(500)
+      .json({ message: "Failed to fetch two-factor policy" });
+  }
+});
+
+/**
+ * PUT /api/auth/two-factor/policy
+ * Set the roles that must use two-factor authentication (admin only).
+ * Members of those roles who have not enrolled are asked to on their next
+ * request.
+ *
+ * Body: { required_roles: ["admin", "signatory"] }
+ */
+router.put("/two-factor/policy", protect, adminOnly, async (req, res) => {
+  try {
+    const { required_roles } = req.body;
+
+    if (
+      !Array.isArray(required_roles) ||
+      required_roles.some((role) => !VALID_ROLES.includes(role))
+    ) {
+      return res.status(400).json({
+        message: `required_roles must be a list of: ${VALID_ROLES.join(", ")}`,
+      });
+    }
+
+    const roles = [...new Set(required_roles)];
+    const before = await getRequiredRoles(pool);
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+
+      await setRequiredRoles(client, roles);
+
+      await recordAudit(client, {
+        entityType: AUDIT_ENTITIES.SETTINGS,
+        entityId: null,
+        action: AUDIT_ACTIONS.UPDATE,
+        actor: req.user,
+        before: { [REQUIRED_ROLES_SETTING]: before },
+        after: { [REQUIRED_ROLES_SETTING]: roles },
+      });
+
+      await client.query("COMMIT");
+
+      return res.json({ required_roles: roles });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.error("Update two-factor policy error:", err);
+    return res
+      .status(500)
+      .json({ message: "Failed to update two-factor policy" });
+  }
+});
+
+// ============================================================================
+// CERTIFICATE ROUTES
+// ============================================================================
+
+/**
+ * GET /api/auth/certificates
+ * Get a page of certificates
+ *
+ * Query: page, pageSize, sort, order (asc|desc), training_type,
+ * participant_type, facility, date_from, date_to (encoded),
+ * training_from, training_to, batch, status, expiry (expired|expiring),
+ * expiring_within (days), search
+ */
+router.get("/certificates", protect, async (req, res) => {
+  try {
+    const { page, pageSize, offset } = parsePagination(req.query);
+    const orderBy = parseSort(req.query, CERT_SORT_COLUMNS, "id");
+    const { where, values, errors } = buildCertificateFilters(req.query);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ message: "Invalid filters", errors });
+    }
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*)::int AS total
+       FROM certificates c
+       JOIN trainings t ON t.id = c.training_id
+       ${where}`,
+      values,
+    );
+    const total = countResult.rows[0].total;
+
+    const certs = await pool.query(
+      `SELECT c.*, t.start_date, t.end_date, t.dates_need_review,
+              u.username AS revoked_by_username,
+              (SELECT r.id FROM certificates r
+                WHERE r.renewed_from_id = c.id AND r.deleted_at IS NULL)
+                AS renewal_id
+       FROM certificates c
+       JOIN trainings t ON t.id = c.training_id
+       LEFT JOIN users u ON u.id = c.revoked_by
+       ${where}
+       ORDER BY ${orderBy}, c.id DESC
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, pageSize, offset],
+    );
+
+    return res.json({
+      data: certs.rows,
+      pagination: {
+        page,
+        pageSize,
+        total,
+        totalPages: Math.max(Math.ceil(total / pageSize), 1),
+      },
+    });
+  } catch (err) {
+    console.error("Get certificates error:", err);
+    return res.status(500).json({ message: "Failed to fetch certificates" });
+  }
+});
+
+/**
+ * GET /api/auth/certificates/batches
+ * Get a page of training batches (certificates grouped by training)
+ *
+ * Accepts the same filters as GET /certificates; sort is one of
+ * latest, training_date, training_type, count
+ */
+router.get("/certificates/batches", protect, async (req, res) => {
+  try {
+    const { page, pageSize, offset } = parsePagination(req.query);
+    const orderBy = parseSort(req.query, BATCH_SORT_COLUMNS, "latest");
+    const { where, values, errors } = buildCertificateFilters(req.query);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ message: "Invalid filters", errors });
+    }
+
+    const grouped = `
+      SELECT
+        t.id AS batch_id,
+        UPPER(COALESCE(t.date_label, 'NO DATE')) AS display_date,
+        UPPER(COALESCE(t.training_type, 'UNSPECIFIED')) AS training_type,
+        t.start_date,
+        t.end_date,
+        t.venue,
+        t.facility,
+        t.lead_instructor,
+        t.capacity,
+        t.dates_need_review,
+        COUNT(*)::int AS cert_count,
+        COUNT(c.revoked_at)::int AS revoked_count,
+        MAX(c.created_at) AS last_created_at
+      FROM certificates c
+      JOIN trainings t ON t.id = c.training_id
+      ${where}
+      GROUP BY t.id`;
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*)::int AS total FROM (${grouped}) AS batches`,
+      values,
+    );
+    const total = countResult.rows[0].total;
+
+    const batches = await pool.query(
+      `${grouped}
+       ORDER BY ${orderBy}, batch_id
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, pageSize, offset],
+    );
+
+    return res.json({
+      data: batches.rows,
+      pagination: {
+        page,
+        pageSize,
+        total,
+        totalPages: Math.max(Math.ceil(total / pageSize), 1),
+      },
+    });
+  } catch (err) {
+    console.error("Get batches error:", err);
+    return res.status(500).json({ message: "Failed to fetch batches" });
+  }
+});
+
+/**
+ * GET /api/auth/certificates/stats
+ * Registry totals for the dashboard
+ */
+router.get("/certificates/stats", protect, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT
+        COUNT(*)::int AS total_certificates,
+        COUNT(DISTINCT training_id)::int AS total_batches,
+        COUNT(revoked_at)::int AS total_revoked
+      FROM certificates
+      WHERE deleted_at IS NULL`,
+    );
+    return res.json(rows[0]);
+  } catch (err) {
+    console.error("Get certificate stats error:", err);
+    return res.status(500).json({ message: "Failed to fetch registry stats" });
+  }
+});
+
+/**
+ * GET /api/auth/certificates/date/:date
+ * Get certificates by date
+ */
+router.get("/certificates/date/:date", protect, async (req, res) => {
+  try {
+    const { date } = req.params;
+
+    // Validate date parameter
+    if (!date || date.trim() === "") {
+      return res.status(400).json({ message: "Date parameter is required" });
+    }
+
+    const results = await pool.query(
+      `SELECT c.*, t.start_date, t.end_date, t.dates_need_review,
+              u.username AS revoked_by_username,
+              (SELECT r.id FROM certificates r
+                WHERE r.renewed_from_id = c.id AND r.deleted_at IS NULL)
+                AS renewal_id
+       FROM certificates c
+       JOIN trainings t ON t.id = c.training_id
+       LEFT JOIN users u ON u.id = c.revoked_by
+       WHERE c.deleted_at IS NULL
+         AND (c.training_date LIKE $1 OR c.created_at::date = $2)
+       ORDER BY c.id ASC`,
+      [`%${date.trim()}%`, date.trim()],
+    );
+
+    return res.json(results.rows);
+  } catch (err) {
+    console.error("Get certificates by date error:", err);
+    return res
+      .status(500)
+      .json({ message: "Failed to fetch certificates by date" });
+  }
+});
+
+/**
+ * POST /api/auth/certificates
+ * Create a new certificate (admin, encoder)
+ */
+router.post("/certificates", protect, canWriteCerts, async (req, res) => {
+  console.log("Incoming Data:", req.body);
+  try {
+    // Validate certificate data
+    const validation = validateCertificateData(req.body);
+    if (!validation.valid) {
+      console.log("Validation Failed:", validation.errors);
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: validation.errors,
+      });
+    }
+
+    // Sanitize data and link it to its training batch
+    const data = sanitizeCertificateData(req.body);
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+
+      const training = await resolveCertificateTraining(client, data);
+      if (!training) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ message: "Training not found" });
+      }
+      const sanitized = applyTraining(data, training);
+
+      // Insert into database
+      const newCert = await insertCertificate(client, sanitized);
+
+      await recordAudit(client, {
+        entityType: AUDIT_ENTITIES.CERTIFICATE,
+        entityId: newCert.id,
+        action: AUDIT_ACTIONS.CREATE,
+        actor: req.user,
+        after: newCert,
+      });
+
+      await client.query("COMMIT");
+
+      return res.status(201).json(withTrainingDates(newCert, training));
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.error("Create certificate error:", err);
+    return res.status(500).json({ message: "Failed to create certificate" });
+  }
+});
+
+/**
+ * POST /api/auth/certificates/bulk
+ * Create many certificates in one transaction: either every row is saved
+ * or none is (admin, encoder)
+ *
+ * Body: { rows: [certificate, ...] }
+ * On failure, `errors` maps each failing row's index to its messages
+ */
+router.post("/certificates/bulk", protect, canWriteCerts, async (req, res) => {
+  let client;
+  try {
+    const { rows } = req.body;
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res
+        .status(400)
+        .json({ message: "rows must be a non-empty array" });
+    }
+
+    if (rows.length > MAX_BULK_ROWS) {
+      return res.status(400).json({
+        message: `A batch can hold at most ${MAX_BULK_ROWS} rows`,
+      });
+    }
+
+    // Validate every row up front so the encoder sees all problems at once
+    const errors = {};
+    rows.forEach((row, index) => {
+      const validation = validateCertificateData(row || {});
+      if (!validation.valid) errors[index] = validation.errors;
+    });
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ message: "Validation failed", errors });
+    }
+
+    client = await pool.connect();
+    await client.query("BEGIN");
+    try {
+      const created = [];
+      for (const [index, row] of rows.entries()) {
+        const data = sanitizeCertificateData(row);
+        const training = await resolveCertificateTraining(client, data);
+        if (!training) {
+          errors[index] = ["Training not found"];
+          continue;
+        }
+        const cert = await insertCertificate(
+          client,
+          applyTraining(data, training),
+        );
+        await recordAudit(client, {
+          entityType: AUDIT_ENTITIES.CERTIFICATE,
+          entityId: cert.id,
+          action: AUDIT_ACTIONS.CREATE,
+          actor: req.user,
+          after: cert,
+        });
+        created.push(withTrainingDates(cert, training));
+      }
+
+      if (Object.keys(errors).length > 0) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ message: "Validation failed", errors });
+      }
+
+      await client.query("COMMIT");
+
+      return res.status(201).json({ data: created, count: created.length });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    }
+  } catch (err) {
+    console.error("Bulk create certificates error:", err);
+    return res.status(500).json({
+      message: "Failed to save batch; no certificates were created",
+    });
+  } finally {
+    client?.release();
+  }
+});
+
+/**
+ * PUT /api/auth/certificates/:id
+ * Update an existing certificate (admin, encoder)
+ */
+router.put("/certificates/:id", protect, canWriteCerts, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ID
+    const certId = parseInt(id);
+    if (isNaN(certId)) {
+      return res.status(400).json({ message: "Invalid certificate ID" });
+    }
+
+    // Check if certificate exists
+    const existing = await pool.query(
+      "SELECT * FROM certificates WHERE id = $1 AND deleted_at IS NULL",
+      [certId],
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ message: "Certificate not found" });
+    }
+
+    // Validate certificate data
+    const validation = validateCertificateData(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: validation.errors,
+      });
+    }
+
+    // Sanitize data and link it to its training batch
+    const data = sanitizeCertificateData(req.body);
+    const training = await resolveCertificateTraining(pool, data);
+    if (!training) {
+      return res.status(400).json({ message: "Training not found" });
+    }
+    // Update certificate
+    const updated = await updateCertificate(
+      existing.rows[0],
+      applyTraining(data, training),
+      req.user,
+    );
+
+    return res.json(withTrainingDates(updated, training));
+  } catch (err) {
+    console.error("Update certificate error:", err);
+    // This sends the SPECIFIC error (like "column age does not exist") to the console
+    return res.status(500).json({ message: err.message });
+  }
+});
+
+/**
+ * DELETE /api/auth/certificates/:id
+ * Move a certificate to the recycle bin (admin only)
+ */
+router.delete("/certificates/:id", protect, adminOnly, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Validate ID
+    const certId = parseInt(id);
+    if (isNaN(certId)) {
+      return res.status(400).json({ message: "Invalid certificate ID" });
+    }
+
+    // Check if certificate exists
+    const existing = await pool.query(
+      "SELECT * FROM certificates WHERE id = $1 AND deleted_at IS NULL",
+      [certId],
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ message: "Certificate not found" });
+    }
+
+    // Move it to the recycle bin; it is purged after the retention period
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+
+      const deleted = await client.query(
+        `UPDATE certificates SET
+          deleted_at = CURRENT_TIMESTAMP,
+          deleted_by = $1
+        WHERE id = $2
+        RETURNING *`,
+        [req.user.id, certId],
+      );
+
+      await recordAudit(client, {
+        entityType: AUDIT_ENTITIES.CERTIFICATE,
+        entityId: certId,
+        action: AUDIT_ACTIONS.DELETE,
+        actor: req.user,
+        before: existing.rows[0],
+        after: deleted.rows[0],
+      });
+
+      await client.query("COMMIT");
+
+      return res.json({ message: "Certificate moved to the recycle bin" });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.error("Delete certificate error:", err);
+    return res.status(500).json({ message: "Failed to delete certificate" });
+  }
+});
+
+/**
+ * POST /api/auth/certificates/:id/renew
+ * Issue a new certificate for the same participant under a new training,
+ * linked back to the certificate it renews (admin, encoder)
+ *
+ * Body: training_id, or the training fields (training_type, start_date,
+ * end_date, venue); participant fields may be updated as well
+ */
+router.post(
+  "/certificates/:id/renew",
+  protect,
+  canWriteCerts,
+  async (req, res) => {
+    try {
+      const certId = parseInt(req.params.id);
+      if (isNaN(certId)) {
+        return res.status(400).json({ message: "Invalid certificate ID" });
+      }
+
+      const existing = await pool.query(
+        `SELECT c.*,
+                COALESCE(t.end_date, t.start_date) AS completion_date,
+                (SELECT r.id FROM certificates r
+                  WHERE r.renewed_from_id = c.id AND r.deleted_at IS NULL)
+                  AS renewal_id
+         FROM certificates c
+         JOIN trainings t ON t.id = c.training_id
+         WHERE c.id = $1 AND c.deleted_at IS NULL`,
+        [certId],
+      );
+      const previous = existing.rows[0];
+      if (!previous) {
+        return res.status(404).json({ message: "Certificate not found" });
+      }
+      if (previous.revoked_at) {
+        return res
+          .status(409)
+          .json({ message: "A revoked certificate cannot be renewed" });
+      }
+      if (previous.renewal_id) {
+        return res.status(409).json({
+          message: `Certificate was already renewed (record ${previous.renewal_id})`,
+        });
+      }
+
+      // The participant carries over; the training comes from the request
+      const body = {
+        participant_name: previous.participant_name,
+        participant_type: previous.participant_type,
+        facility: previous.facility,
+        age: previous.age,
+        position: previous.position,
+        training_type: previous.training_type,
+        ...req.body,
+      };
+
+      const validation = validateCertificateData(body);
+      if (!validation.valid) {
+        return res.status(400).json({
+          message: "Validation failed",
+          errors: validation.errors,
+        });
+      }
+
+      const data = sanitizeCertificateData(body);
+      if (!data.training_id && !data.start_date && !data.training_date) {
+        return res
+          .status(400)
+          .json({ message: "Choose the training the renewal is for" });
+      }
+
+      // The training lookup (which may create it), the new certificate and
+      // its audit entry are saved together or not at all
+      const client = await pool.connect();
+      let renewal;
+      let training;
+      try {
+        await client.query("BEGIN");
+
+        training = await resolveCertificateTraining(client, data);
+        if (!training) {
+          await client.query("ROLLBACK");
+          return res.status(400).json({ message: "Training not found" });
+        }
+        if (
+          training.id === previous.training_id ||
+          (training.start_date &&
+            previous.completion_date &&
+            training.start_date <= previous.completion_date)
+        ) {
+          await client.query("ROLLBACK");
+          return res.status(400).json({
+            message: "A renewal must be for a later training",
+          });
+        }
+
+        renewal = await insertCertificate(client, {
+          ...applyTraining(data, training),
+          renewed_from_id: previous.id,
+        });
+
+        await recordAudit(client, {
+          entityType: AUDIT_ENTITIES.CERTIFICATE,
+          entityId: renewal.id,
+          action: AUDIT_ACTIONS.RENEW,
+          actor: req.user,
+          after: renewal,
+        });
+
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+      } finally {
+        client.release();
+      }
+
+      return res.status(201).json(withTrainingDates(renewal, training));
+    } catch (err) {
+      if (err.code === UNIQUE_VIOLATION) {
+        return res
+          .status(409)
+          .json({ message: "Certificate was already renewed" });
+      }
+      console.error("Renew certificate error:", err);
+      return res.status(500).json({ message: "Failed to renew certificate" });
+    }
+  },
+);
+
+/**
+ * POST /api/auth/certificates/:id/revoke
+ * Revoke a certificate, keeping the record (admin only)
+ *
+ * Body: { reason }
+ */
+router.post(
+  "/certificates/:id/revoke",
+  protect,
+  adminOnly,
+  async (req, res) => {
+    try {
+      const certId = parseInt(req.params.id);
+      if (isNaN(certId)) {
+        return res.status(400).json({ message: "Invalid certificate ID" });
+      }
+
+      const reason = validateReason(req.body.reason);
+      if (!reason.valid) {
+        return res.status(400).json({ message: reason.message });
+      }
+
+      const existing = await pool.query(
+        "SELECT id, revoked_at FROM certificates WHERE id = $1 AND deleted_at IS NULL",
+        [certId],
+      );
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ message: "Certificate not found" });
+      }
+      if (existing.rows[0].revoked_at) {
+        return res
+          .status(409)
+          .json({ message: "Certificate is already revoked" });
+      }
+
+      const cert = await changeCertificateStatus(
+        certId,
+        "revoked",
+        reason.value,
+        req.user,
+      );
+
+      return res.json({ ...cert, revoked_by_username: req.user.username });
+    } catch (err) {
+      console.error("Revoke certificate error:", err);
+      return res.status(500).json({ message: "Failed to revoke certificate" });
+    }
+  },
+);
+
+/**
+ * POST /api/auth/certificates/:id/reinstate
+ * Reinstate a revoked certificate (admin only)
+ *
+ * Body: { reason }
+ */
+router.post(
+  "/certificates/:id/reinstate",
+  protect,
+  adminOnly,
+  async (req, res) => {
+    try {
+      const certId = parseInt(req.params.id);
+      if (isNaN(certId)) {
+        return res.status(400).json({ message: "Invalid certificate ID" });
+      }
+
+      const reason = validateReason(req.body.reason);
+      if (!reason.valid) {
+        return res.status(400).json({ message: reason.message });
+      }
+
+      const existing = await pool.query(
+        "SELECT id, revoked_at FROM certificates WHERE id = $1 AND deleted_at IS NULL",
+        [certId],
+      );
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ message: "Certificate not found" });
+      }
+      if (!existing.rows[0].revoked_at) {
+        return res.status(409).json({ message: "Certificate is not revoked" });
+      }
+
+      const cert = await changeCertificateStatus(
+        certId,
+        "reinstated",
+        reason.value,
+        req.user,
+      );
+
+      return res.json({ ...cert, revoked_by_username: null });
+    } catch (err) {
+      console.error("Reinstate certificate error:", err);
+      return res
+        .status(500)
+        .json({ message: "Failed to reinstate certificate" });
+    }
+  },
+);
+
+/**
+ * GET /api/auth/certificates/:id/status-history
+ * Revocations and reinstatements of a certificate, oldest first
+ */
+router.get("/certificates/:id/status-history", protect, async (req, res) => {
+  try {
+    const certId = parseInt(req.params.id);
+    if (isNaN(certId)) {
+      return res.status(400).json({ message: "Invalid certificate ID" });
+    }
+
+    const { rows } = await pool.query(
+      `SELECT s.id, s.action, s.reason, s.changed_at,
+              u.username AS changed_by_username
+       FROM certificate_status_changes s
+       LEFT JOIN users u ON u.id = s.changed_by
+       WHERE s.certificate_id = $1
+       ORDER BY s.changed_at, s.id`,
+      [certId],
+    );
+
+    return res.json(rows);
+  } catch (err) {
+    console.error("Get certificate status history error:", err);
+    return res
+      .status(500)
+      .json({ message: "Failed to fetch certificate status history" });
+  }
+});
+
+/**
+ * GET /api/auth/certificates/:id/versions
+ * Get the edit history of a certificate, newest first
+ */
+router.get("/certificates/:id/versions", protect, async (req, res) => {
+  try {
+    const certId = parseInt(req.params.id);
+    if (isNaN(certId)) {
+      return res.status(400).json({ message: "Invalid certificate ID" });
+    }
+
+    return res.json(await getCertificateVersions(pool, certId));
+  } catch (err) {
+    console.error("Get certificate versions error:", err);
+    return res
+      .status(500)
+      .json({ message: "Failed to fetch certificate versions" });
+  }
+});
+
+/**
+ * POST /api/auth/certificates/:id/versions/:version/restore
+ * Roll a certificate back to an earlier version. The restore is itself
+ * stored as a new version, so it can be undone (admin, encoder)
+ */
+router.post(
+  "/certificates/:id/versions/:version/restore",
+  protect,
+  canWriteCerts,
+  async (req, res) => {
+    try {
+      const certId = parseInt(req.params.id);
+      const versionNo = parseInt(req.params.version);
+      if (isNaN(certId) || isNaN(versionNo)) {
+        return res.status(400).json({ message: "Invalid certificate version" });
+      }
+
+      const existing = await pool.query(
+        "SELECT * FROM certificates WHERE id = $1 AND deleted_at IS NULL",
+        [certId],
+      );
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ message: "Certificate not found" });
+      }
+
+      const version = await getCertificateVersion(pool, certId, versionNo);
+      if (!version) {
+        return res.status(404).json({ message: "Version not found" });
+      }
+
+      // Training details come from the version's training, as on any edit
+      const data = sanitizeCertificateData(version.data);
+      const training = await resolveCertificateTraining(pool, data);
+      if (!training) {
+        return res.status(409).json({
+          message: "The training of this version no longer exists",
+        });
+      }
+
+      const updated = await updateCertificate(
+        existing.rows[0],
+        applyTraining(data, training),
+        req.user,
+        versionNo,
+      );
+
+      return res.json(withTrainingDates(updated, training));
+    } catch (err) {
+      console.error("Restore certificate version error:", err);
+      return res
+        .status(500)
+        .json({ message: "Failed to restore certificate version" });
+    }
+  },
+);
+
+/**
+ * GET /api/auth/certificates/:id/photo
+ * The participant's photo as an image
+ */
+router.get("/certificates/:id/photo", protect, async (req, res) => {
+  try {
+    const certId = parseInt(req.params.id);
+    if (isNaN(certId)) {
+      return res.status(400).json({ message: "Invalid certificate ID" });
+    }
+
+    const file = await getPhotoFile(pool, certId);
+    const data = file && (await readFile(file));
+    if (!data) {
+      return res.status(404).json({ message: "No photo for this record" });
+    }
+
+    res.set("Content-Type", file.content_type);
+    res.set("Cache-Control", "private, no-cache");
+    return res.send(data);
+  } catch (err) {
+    console.error("Get certificate photo error:", err);
+    return res.status(500).json({ message: "Failed to fetch photo" });
+  }
+});
+
+/**
+ * PUT /api/auth/certificates/:id/photo
+ * Store or replace the participant's photo (admin, encoder)
+ *
+ * Body: multipart form with a PNG or JPEG in the "photo" field
+ */
+router.put(
+  "/certificates/:id/photo",
+  protect,
+  canWriteCerts,
+  acceptUpload("photo", FILE_PURPOSES.photo.maxBytes),
+  async (req, res) => {
+    try {
+      const certId = parseInt(req.params.id);
+      if (isNaN(certId)) {
+        return res.status(400).json({ message: "Invalid certificate ID" });
+      }
+
+      const check = validateUpload("photo", req.file?.buffer);
+      if (!check.valid) {
+        return res.status(400).json({ message: check.message });
+      }
+
+      const existing = await pool.query(
+        `SELECT id, photo_updated_at FROM certificates
+         WHERE id = $1 AND deleted_at IS NULL`,
+        [certId],
+      );
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ message: "Certificate not found" });
+      }
+
+      const file = await storeFile(
+        pool,
+        {
+          purpose: "photo",
+          contentType: check.contentType,
+          buffer: req.file.buffer,
+        },
+        req.user.id,
+      );
+
+      const client = await pool.connect();
+      let photoUpdatedAt;
+      try {
+        await client.query("BEGIN");
+
+        photoUpdatedAt = await setPhoto(client, certId, file.id);
+
+        await recordAudit(client, {
+          entityType: AUDIT_ENTITIES.CERTIFICATE,
+          entityId: certId,
+          action: AUDIT_ACTIONS.UPDATE,
+          actor: req.user,
+          before: { photo_updated_at: existing.rows[0].photo_updated_at },
+          after: { photo_updated_at: photoUpdatedAt },
+        });
+
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+      } finally {
+        client.release();
+      }
+
+      return res.json({ photo_updated_at: photoUpdatedAt });
+    } catch (err) {
+      console.error("Save certificate photo error:", err);
+      return res.status(500).json({ message: "Failed to save photo" });
+    }
+  },
+);
 
 /**
- * POST /api/auth/logout
- * Logout user by clearing token cookie
+ * DELETE /api/auth/certificates/:id/photo
+ * Remove the participant's photo (admin, encoder)
+ */
+router.delete(
+  "/certificates/:id/photo",
+  protect,
+  canWriteCerts,
+  async (req, res) => {
+    try {
+      const certId = parseInt(req.params.id);
+      if (isNaN(certId)) {
+        return res.status(400).json({ message: "Invalid certificate ID" });
+      }
+
+      const client = await pool.connect();
+      let removed;
+      try {
+        await client.query("BEGIN");
+
+        const existing = await client.query(
+          "SELECT photo_updated_at FROM certificates WHERE id = $1 FOR UPDATE",
+          [certId],
+        );
+        removed = await clearPhoto(client, certId);
+        if (removed) {
+          await recordAudit(client, {
+            entityType: AUDIT_ENTITIES.CERTIFICATE,
+            entityId: certId,
+            action: AUDIT_ACTIONS.UPDATE,
+            actor: req.user,
+            before: { photo_updated_at: existing.rows[0]?.photo_updated_at },
+            after: { photo_updated_at: null },
+          });
+        }
+
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+      } finally {
+        client.release();
+      }
+
+      if (!removed) {
+        return res.status(404).json({ message: "No photo for this record" });
+      }
+      return res.json({ message: "Photo removed" });
+    } catch (err) {
+      console.error("Delete certificate photo error:", err);
+      return res.status(500).json({ message: "Failed to remove photo" });
+    }
+  },
+);
+
+// ============================================================================
+// FILE ROUTES
+// ============================================================================
+
+/**
+ * POST /api/auth/files
+ * Upload an officer signature for use in the settings (admin, signatory).
+ * The file is kept for a day unless a setting refers to it by then.
+ *
+ * Body: multipart form with "purpose" ("signature") and the image in "file"
+ * Returns: { id, url } - url is the value to save in the settings
+ */
+router.post(
+  "/files",
+  protect,
+  canWriteSettings,
+  acceptUpload("file", FILE_PURPOSES.signature.maxBytes),
+  async (req, res) => {
+    try {
+      const { purpose } = req.body;
+      if (purpose !== "signature") {
+        return res.status(400).json({ message: "purpose must be signature" });
+      }
+
+      const check = validateUpload(purpose, req.file?.buffer);
+      if (!check.valid) {
+        return res.status(400).json({ message: check.message });
+      }
+
+      const file = await storeFile(
+        pool,
+        { purpose, contentType: check.contentType, buffer: req.file.buffer },
+        req.user.id,
+      );
+
+      return res.status(201).json({ id: file.id, url: getFileUrl(file.id) });
+    } catch (err) {
+      console.error("Upload file error:", err);
+      return res.status(500).json({ message: "Failed to upload file" });
+    }
+  },
+);
+
+/**
+ * GET /api/auth/files/:id
+ * A stored file's contents. Files never change once uploaded, so they may
+ * be cached.
  */
-router.post("/logout", (req, res) => {
+router.get("/files/:id", protect, async (req, res) => {
   try {
-    // clearCookie is more readable and handles the expiration for you
-    res.clearCookie("token", {
-      ...COOKIE_OPTIONS,
-      // Ensure we remove maxAge/expires from the options spread
-      // so clearCookie can set its own 'expired' timestamp
-    });
+    const fileId = parseInt(req.params.id);
+    if (isNaN(fileId)) {
+      return res.status(400).json({ message: "Invalid file ID" });
+    }
 
-    return res.status(200).json({ message: "Identity De-authorized" });
+    const file = await getFile(pool, fileId);
+    const data = file && (await readFile(file));
+    if (!data) {
+      return res.status(404).json({ message: "File not found" });
+    }
+
+    res.set("Content-Type", file.content_type);
+    res.set("Cache-Control", "private, max-age=31536000, immutable");
+    return res.send(data);
   } catch (err) {
-    console.error("Logout error:", err);
-    return res.status(500).json({ message: "Server error during logout" });
+    console.error("Get file error:", err);
+    return res.status(500).json({ message: "Failed to fetch file" });
   }
 });
 
 // ============================================================================
-// CERTIFICATE ROUTES
+// INVITATION ROUTES
 // ============================================================================
 
 /**
- * GET /api/auth/certificates
- * Get all certificates
+ * GET /api/auth/invitations
+ * Recent invitations with their status (admin only)
  */
-router.get("/certificates", async (req, res) => {
+router.get("/invitations", protect, adminOnly, async (req, res) => {
   try {
-    const allCerts = await pool.query(
-      "SELECT * FROM certificates ORDER BY id DESC",
-    );
-    return res.json(allCerts.rows);
+    return res.json(await listInvitations(pool, INVITATION_LIST_LIMIT));
   } catch (err) {
-    console.error("Get certificates error:", err);
-    return res.status(500).json({ message: "Failed to fetch certificates" });
+    console.error("Get invitations error:", err);
+    return res.status(500).json({ message: "Failed to fetch invitations" });
   }
 });
 
 /**
- * GET /api/auth/certificates/date/:date
- * Get certificates by date
+ * GET /api/auth/invitations/token/:token
+ * Role and office an invitation link grants, for the register page
+ * (public). Used, revoked and expired links are reported as such.
  */
-router.get("/certificates/date/:date", async (req, res) => {
+router.get("/invitations/token/:token", invitationLimiter, async (req, res) => {
   try {
-    const { date } = req.params;
+    const invitation = await findInvitation(pool, req.params.token);
+    if (!invitation) {
+      return res.status(404).json({ message: "Invitation not found" });
+    }
 
-    // Validate date parameter
-    if (!date || date.trim() === "") {
-      return res.status(400).json({ message: "Date parameter is required" });
+    const { id: _id, ...details } = invitation;
+    return res.json(details);
+  } catch (err) {
+    console.error("Get invitation error:", err);
+    return res.status(500).json({ message: "Failed to fetch invitation" });
+  }
+});
+
+/**
+ * POST /api/auth/invitations
+ * Create a single-use invitation link (admin only). The link is only
+ * returned here.
+ *
+ * Body: { role, office?, expires_in_days? }
+ */
+router.post("/invitations", protect, adminOnly, async (req, res) => {
+  try {
+    const { role, office, expires_in_days } = req.body;
+
+    if (!VALID_ROLES.includes(role)) {
+      return res.status(400).json({
+        message: `role must be one of: ${VALID_ROLES.join(", ")}`,
+      });
     }
 
-    const results = await pool.query(
-      `SELECT * FROM certificates 
-       WHERE training_date LIKE $1 
-          OR created_at::date = $2 
-       ORDER BY id ASC`,
-      [`%${date.trim()}%`, date.trim()],
-    );
+    if (
+      office !== undefined &&
+      office !== null &&
+      (typeof office !== "string" || office.trim().length > OFFICE_MAX_LENGTH)
+    ) {
+      return res.status(400).json({
+        message: `office must be text of at most ${OFFICE_MAX_LENGTH} characters`,
+      });
+    }
 
-    return res.json(results.rows);
+    const ttlDays =
+      expires_in_days === undefined
+        ? INVITATION_TTL_DAYS
+        : parseInt(expires_in_days);
+    if (isNaN(ttlDays) || ttlDays < 1 || ttlDays > MAX_INVITATION_TTL_DAYS) {
+      return res.status(400).json({
+        message: `expires_in_days must be between 1 and ${MAX_INVITATION_TTL_DAYS}`,
+      });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+
+      const { token, ...invitation } = await createInvitation(client, {
+        role,
+        office: office?.trim() || null,
+        createdBy: req.user.id,
+        ttlDays,
+      });
+
+      await recordAudit(client, {
+        entityType: AUDIT_ENTITIES.INVITATION,
+        entityId: invitation.id,
+        action: AUDIT_ACTIONS.CREATE,
+        actor: req.user,
+        after: invitation,
+      });
+
+      await client.query("COMMIT");
+
+      return res.status(201).json({
+        ...invitation,
+        link: `${APP_URL}/register/${token}`,
+      });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
   } catch (err) {
-    console.error("Get certificates by date error:", err);
-    return res
-      .status(500)
-      .json({ message: "Failed to fetch certificates by date" });
+    console.error("Create invitation error:", err);
+    return res.status(500).json({ message: "Failed to create invitation" });
   }
 });
 
 /**
- * POST /api/auth/certificates
- * Create a new certificate
+ * DELETE /api/auth/invitations/:id
+ * Revoke a pending invitation (admin only)
  */
-router.post("/certificates", async (req, res) => {
-  console.log("Incoming Data:", req.body);
+router.delete("/invitations/:id", protect, adminOnly, async (req, res) => {
   try {
-    // Validate certificate data
-    const validation = validateCertificateData(req.body);
-    if (!validation.valid) {
-      console.log("Validation Failed:", validation.errors);
-      return res.status(400).json({
-        message: "Validation failed",
-        errors: validation.errors,
+    const invitationId = parseInt(req.params.id);
+    if (isNaN(invitationId)) {
+      return res.status(400).json({ message: "Invalid invitation ID" });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+
+      const revoked = await revokeInvitation(client, invitationId);
+      if (!revoked) {
+        await client.query("ROLLBACK");
+        return res
+          .status(404)
+          .json({ message: "No pending invitation with that ID" });
+      }
+
+      await recordAudit(client, {
+        entityType: AUDIT_ENTITIES.INVITATION,
+        entityId: invitationId,
+        action: AUDIT_ACTIONS.REVOKE,
+        actor: req.user,
+        after: revoked,
       });
+
+      await client.query("COMMIT");
+
+      return res.json({ message: "Invitation revoked" });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
     }
+  } catch (err) {
+    console.error("Revoke invitation error:", err);
+    return res.status(500).json({ message: "Failed to revoke invitation" });
+  }
+});
 
-    // Sanitize data
-    const sanitized = sanitizeCertificateData(req.body);
+// ============================================================================
+// USER ROUTES
+// ============================================================================
 
-    // Insert into database
-    const newCert = await pool.query(
-      `INSERT INTO certificates (
-        participant_name, 
-        training_type, 
-        training_date, 
-        venue, 
-        facility, 
-        participant_type, 
-        age, 
-        position
-      ) VALUES($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
-      [
-        sanitized.participant_name,
-        sanitized.training_type,
-        sanitized.training_date,
-        sanitized.venue,
-        sanitized.facility,
-        sanitized.participant_type,
-        sanitized.age,
-        sanitized.position,
-      ],
+/**
+ * GET /api/auth/users
+ * List user accounts (admin only)
+ */
+router.get("/users", protect, adminOnly, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT u.id, u.username, u.role, u.email, u.office,
+        u.password_changed_at,
+        u.totp_enabled_at IS NOT NULL AS two_factor_enabled,
+        u.disabled_at, u.last_login_at, u.created_at,
+        (SELECT COUNT(*)::int FROM sessions s
+         WHERE s.user_id = u.id
+           AND s.revoked_at IS NULL
+           AND s.expires_at > CURRENT_TIMESTAMP) AS active_sessions
+       FROM users u
+       ORDER BY u.username`,
     );
-
-    return res.status(201).json(newCert.rows[0]);
+    return res.json(rows);
   } catch (err) {
-    console.error("Create certificate error:", err);
-    return res.status(500).json({ message: "Failed to create certificate" });
+    console.error("Get users error:", err);
+    return res.status(500).json({ message: "Failed to fetch users" });
   }
 });
 
 /**
- * PUT /api/auth/certificates/:id
- * Update an existing certificate
+ * POST /api/auth/users/:id/password-reset
+ * Email a user a one-time password reset link (admin only). An email
+ * given in the body is saved as the user's address.
+ *
+ * Body: { email? }
+ */
+router.post(
+  "/users/:id/password-reset",
+  protect,
+  adminOnly,
+  async (req, res) => {
+    try {
+      const userId = parseInt(req.params.id);
+      if (isNaN(userId)) {
+        return res.status(400).json({ message: "Invalid user ID" });
+      }
+
+      const existing = await pool.query(
+        "SELECT id, username, email FROM users WHERE id = $1",
+        [userId],
+      );
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ message: "User not found" });
+      }
+      const account = existing.rows[0];
+
+      if (!req.body.email && !account.email) {
+        return res.status(400).json({
+          message:
+            "The user has no email address; provide one to send the link to",
+        });
+      }
+      const emailValidation = validateEmail(req.body.email || account.email);
+      if (!emailValidation.valid) {
+        return res.status(400).json({ message: emailValidation.message });
+      }
+      const email = emailValidation.value;
+
+      const client = await pool.connect();
+      let reset;
+      try {
+        await client.query("BEGIN");
+
+        if (email !== account.email) {
+          await client.query("UPDATE users SET email = $1 WHERE id = $2", [
+            email,
+            userId,
+          ]);
+        }
+        reset = await createResetToken(
+          client,
+          userId,
+          req.user.id,
+          RESET_TOKEN_TTL_MINUTES,
+        );
+
+        await recordAudit(client, {
+          entityType: AUDIT_ENTITIES.USER,
+          entityId: userId,
+          action: AUDIT_ACTIONS.RESET_REQUEST,
+          actor: req.user,
+          before: { email: account.email },
+          after: { email, reset_expires_at: reset.expires_at },
+        });
+
+        // Send before committing, so a failed email leaves no live token
+        const link = `${APP_URL}/reset-password/${reset.token}`;
+        await sendMail({
+          to: email,
+          subject: "Reset your DOH Training Registry password",
+          text: [
+            `Hello ${account.username},`,
+            "",
+            "An administrator has issued a password reset for your account.",
+            `Set a new password within ${RESET_TOKEN_TTL_MINUTES} minutes at:`,
+            link,
+            "",
+            "The link works once. If you did not expect this, ignore this email.",
+          ].join("\n"),
+        });
+
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+      } finally {
+        client.release();
+      }
+
+      return res.json({
+        message: isMailLoggedOnly()
+          ? `No email was sent (MAIL_TRANSPORT is "console"); the reset link for ${email} is in the server log`
+          : `Reset link sent to ${email}`,
+        expires_at: reset.expires_at,
+      });
+    } catch (err) {
+      console.error("Issue password reset error:", err);
+      return res
+        .status(500)
+        .json({ message: "Failed to send password reset link" });
+    }
+  },
+);
+
+/**
+ * PUT /api/auth/users/:id/role
+ * Assign a role to a user (admin only)
  */
-router.put("/certificates/:id", async (req, res) => {
+router.put("/users/:id/role", protect, adminOnly, async (req, res) => {
   try {
-    const { id } = req.params;
+    const userId = parseInt(req.params.id);
+    if (isNaN(userId)) {
+      return res.status(400).json({ message: "Invalid user ID" });
+    }
 
-    // Validate ID
-    const certId = parseInt(id);
-    if (isNaN(certId)) {
-      return res.status(400).json({ message: "Invalid certificate ID" });
+    const { role } = req.body;
+    if (!VALID_ROLES.includes(role)) {
+      return res.status(400).json({
+        message: `role must be one of: ${VALID_ROLES.join(", ")}`,
+      });
+    }
+
+    // Prevent the registry from being left without an administrator
+    if (userId === req.user.id && role !== ROLES.ADMIN) {
+      return res
+        .status(400)
+        .json({ message: "You cannot remove your own admin role" });
     }
 
-    // Check if certificate exists
     const existing = await pool.query(
-      "SELECT id FROM certificates WHERE id = $1",
-      [certId],
+      "SELECT id, username, role FROM users WHERE id = $1",
+      [userId],
     );
 
     if (existing.rows.length === 0) {
-      return res.status(404).json({ message: "Certificate not found" });
+      return res.status(404).json({ message: "User not found" });
     }
 
-    // Validate certificate data
-    const validation = validateCertificateData(req.body);
-    if (!validation.valid) {
-      return res.status(400).json({
-        message: "Validation failed",
-        errors: validation.errors,
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+
+      const updated = await client.query(
+        "UPDATE users SET role = $1 WHERE id = $2 RETURNING id, username, role",
+        [role, userId],
+      );
+
+      await recordAudit(client, {
+        entityType: AUDIT_ENTITIES.USER,
+        entityId: userId,
+        action: AUDIT_ACTIONS.ROLE_CHANGE,
+        actor: req.user,
+        before: existing.rows[0],
+        after: updated.rows[0],
       });
+
+      await client.query("COMMIT");
+
+      return res.json(updated.rows[0]);
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.error("Update role error:", err);
+    return res.status(500).json({ message: "Failed to update user role" });
+  }
+});
+
+/**
+ * PUT /api/auth/users/:id/status
+ * Disable or re-enable an account (admin only). Disabling signs the user
+ * out of every device and refuses their logins until re-enabled.
+ *
+ * Body: { disabled: boolean }
+ */
+router.put("/users/:id/status", protect, adminOnly, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    if (isNaN(userId)) {
+      return res.status(400).json({ message: "Invalid user ID" });
     }
 
-    // Sanitize data
-    const sanitized = sanitizeCertificateData(req.body);
+    const { disabled } = req.body;
+    if (typeof disabled !== "boolean") {
+      return res
+        .status(400)
+        .json({ message: "disabled must be true or false" });
+    }
 
-    // Update certificate
-    const updated = await pool.query(
-      `UPDATE certificates SET 
-        participant_name = $1, 
-        training_type = $2, 
-        training_date = $3, 
-        venue = $4, 
-        facility = $5, 
-        participant_type = $6, 
-        age = $7, 
-        position = $8,
-        updated_at = CURRENT_TIMESTAMP
-      WHERE id = $9
-      RETURNING *`,
-      [
-        sanitized.participant_name,
-        sanitized.training_type,
-        sanitized.training_date,
-        sanitized.venue,
-        sanitized.facility,
-        sanitized.participant_type,
-        sanitized.age,
-        sanitized.position,
-        certId,
-      ],
+    if (userId === req.user.id && disabled) {
+      return res
+        .status(400)
+        .json({ message: "You cannot disable your own account" });
+    }
+
+    const existing = await pool.query(
+      "SELECT id, username, role, disabled_at FROM users WHERE id = $1",
+      [userId],
     );
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const client = await pool.connect();
+    let updated;
+    try {
+      await client.query("BEGIN");
+
+      updated = await setAccountDisabled(client, userId, disabled);
+      if (updated) {
+        const revoked = disabled ? await revokeUserSessions(client, userId) : 0;
+        await recordAudit(client, {
+          entityType: AUDIT_ENTITIES.USER,
+          entityId: userId,
+          action: disabled
+            ? AUDIT_ACTIONS.ACCOUNT_DISABLE
+            : AUDIT_ACTIONS.ACCOUNT_ENABLE,
+          actor: req.user,
+          before: existing.rows[0],
+          after: disabled ? { ...updated, revoked_sessions: revoked } : updated,
+        });
+      }
+
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
 
-    return res.json(updated.rows[0]);
+    if (!updated) {
+      return res.status(400).json({
+        message: `Account is already ${disabled ? "disabled" : "enabled"}`,
+      });
+    }
+    return res.json(updated);
   } catch (err) {
-    console.error("Update certificate error:", err);
-    // This sends the SPECIFIC error (like "column age does not exist") to the console
-    return res.status(500).json({ message: err.message });
+    console.error("Update account status error:", err);
+    return res.status(500).json({ message: "Failed to update account status" });
   }
 });
 
 /**
- * DELETE /api/auth/certificates/:id
- * Delete a certificate (consider adding this for completeness)
+ * DELETE /api/auth/users/:id/sessions
+ * Sign a user out of every device (admin only). Their access stops at
+ * their next request.
  */
-router.delete("/certificates/:id", protect, async (req, res) => {
+router.delete("/users/:id/sessions", protect, adminOnly, async (req, res) => {
   try {
-    const { id } = req.params;
-
-    // Validate ID
-    const certId = parseInt(id);
-    if (isNaN(certId)) {
-      return res.status(400).json({ message: "Invalid certificate ID" });
+    const userId = parseInt(req.params.id);
+    if (isNaN(userId)) {
+      return res.status(400).json({ message: "Invalid user ID" });
     }
 
-    // Check if certificate exists
     const existing = await pool.query(
-      "SELECT id FROM certificates WHERE id = $1",
-      [certId],
+      "SELECT id, username FROM users WHERE id = $1",
+      [userId],
     );
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+
+      const revoked = await revokeUserSessions(client, userId);
+
+      await recordAudit(client, {
+        entityType: AUDIT_ENTITIES.USER,
+        entityId: userId,
+        action: AUDIT_ACTIONS.SESSIONS_REVOKE,
+        actor: req.user,
+        after: { revoked_sessions: revoked },
+      });
+
+      await client.query("COMMIT");
+
+      return res.json({
+        message: `Signed ${existing.rows[0].username} out of ${revoked} session(s)`,
+        revoked,
+      });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.error("Revoke user sessions error:", err);
+    return res.status(500).json({ message: "Failed to sign out user" });
+  }
+});
 
+/**
+ * DELETE /api/auth/users/:id/two-factor
+ * Turn off a user's two-factor authentication, e.g. after a lost phone
+ * (admin only). If their role requires it they must enrol again at their
+ * next login.
+ */
+router.delete("/users/:id/two-factor", protect, adminOnly, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    if (isNaN(userId)) {
+      return res.status(400).json({ message: "Invalid user ID" });
+    }
+
+    const existing = await pool.query("SELECT id FROM users WHERE id = $1", [
+      userId,
+    ]);
     if (existing.rows.length === 0) {
-      return res.status(404).json({ message: "Certificate not found" });
+      return res.status(404).json({ message: "User not found" });
     }
 
-    // Delete certificate
-    await pool.query("DELETE FROM certificates WHERE id = $1", [certId]);
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+
+      if (!(await disableTwoFactor(client, userId))) {
+        await client.query("ROLLBACK");
+        return res
+          .status(400)
+          .json({ message: "Two-factor authentication is not set up" });
+      }
+
+      await recordAudit(client, {
+        entityType: AUDIT_ENTITIES.USER,
+        entityId: userId,
+        action: AUDIT_ACTIONS.TWO_FACTOR_DISABLE,
+        actor: req.user,
+      });
+
+      await client.query("COMMIT");
 
-    return res.json({ message: "Certificate deleted successfully" });
+      return res.json({ message: "Two-factor authentication reset" });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
   } catch (err) {
-    console.error("Delete certificate error:", err);
-    return res.status(500).json({ message: "Failed to delete certificate" });
+    console.error("Reset two-factor error:", err);
+    return res
+      .status(500)
+      .json({ message: "Failed to reset two-factor authentication" });
   }
 });
 
@@ -555,12 +3419,14 @@ router.delete("/certificates/:id", protect, async (req, res) => {
 
 /**
  * GET /api/auth/settings
- * Get system settings (signatories)
+ * Get system settings (signatories). Signatures are given as the URL of
+ * the stored image.
  */
-router.get("/settings", async (req, res) => {
+router.get("/settings", protect, async (req, res) => {
   try {
     const { rows } = await pool.query(
-      "SELECT setting_key, setting_value FROM system_settings WHERE setting_key LIKE 'off%'",
+      "SELECT setting_key, setting_value FROM system_settings WHERE setting_key = ANY($1)",
+      [SIGNATORY_KEYS],
     );
 
     // Transform array into object
@@ -569,7 +3435,7 @@ router.get("/settings", async (req, res) => {
       return acc;
     }, {});
 
-    return res.json(settingsObj);
+    return res.json(presentSignatories(settingsObj));
   } catch (err) {
     console.error("Get settings error:", err);
     return res.status(500).json({ message: "Failed to fetch system settings" });
@@ -578,68 +3444,138 @@ router.get("/settings", async (req, res) => {
 
 /**
  * POST /api/auth/settings
- * Update system settings (protected - requires authentication)
+ * Update system settings (admin, signatory)
+ *
+ * Body: { off1_name, off1_pos, off1_sig, ... off3_sig, certificate_signers,
+ *   id_card_signers, effective_from } - any subset of the signatory keys.
+ *   Signature keys take "" or the url returned by POST /api/auth/files;
+ *   signer lists take officer numbers such as "1,3", or "" for the default.
+ *   effective_from (YYYY-MM-DD) is required when the signatories change:
+ *   the outgoing ones are kept as a signatory period ending the day before,
+ *   so certificates of earlier trainings still print with them.
  */
-router.post("/settings", protect, async (req, res) => {
+router.post("/settings", protect, canWriteSettings, async (req, res) => {
   try {
-    const settings = req.body;
-
-    // Validate settings object
-    if (!settings || typeof settings !== "object") {
-      return res.status(400).json({ message: "Invalid settings data" });
-    }
-
+    const { effective_from: effectiveFrom, ...settings } = req.body || {};
     const keys = Object.keys(settings);
 
     if (keys.length === 0) {
       return res.status(400).json({ message: "No settings provided" });
     }
-
-    // Validate that all keys are valid setting keys
-    const validKeys = [
-      "off1_name",
-      "off1_pos",
-      "off1_sig",
-      "off2_name",
-      "off2_pos",
-      "off3_name",
-      "off3_pos",
-    ];
-
-    const invalidKeys = keys.filter((key) => !validKeys.includes(key));
-    if (invalidKeys.length > 0) {
+    if (effectiveFrom !== undefined && !isIsoDate(effectiveFrom)) {
       return res.status(400).json({
-        message: `Invalid setting keys: ${invalidKeys.join(", ")}`,
+        message: "effective_from must be a date in YYYY-MM-DD format",
       });
     }
 
-    // Use transaction for atomicity
-    await pool.query("BEGIN");
+    // Signatures become references to their uploaded file and signer
+    // lists are normalized
+    const validation = await prepareSignatories(pool, settings);
+    if (!validation.valid) {
+      return res.status(400).json({ message: validation.message });
+    }
+    const { values } = validation;
 
+    // Use transaction for atomicity (on one connection, so BEGIN and
+    // COMMIT apply to the same queries)
+    const client = await pool.connect();
     try {
+      await client.query("BEGIN");
+
+      const current = await client.query(
+        "SELECT setting_key, setting_value FROM system_settings WHERE setting_key = ANY($1) FOR UPDATE",
+        [SIGNATORY_KEYS],
+      );
+      const outgoing = Object.fromEntries(
+        current.rows.map((row) => [row.setting_key, row.setting_value]),
+      );
+      const before = Object.fromEntries(
+        keys
+          .filter((key) => key in outgoing)
+          .map((key) => [key, outgoing[key]]),
+      );
+      const after = {};
+
+      // Certificates of trainings completed before the change keep the
+      // outgoing signatories (none to keep before any officer is named)
+      const changed = keys.some((key) => (outgoing[key] || "") !== values[key]);
+      if (changed && namesAnOfficer(outgoing)) {
+        if (!effectiveFrom) {
+          await client.query("ROLLBACK");
+          return res.status(400).json({
+            message:
+              "effective_from is required when the signatories change, so earlier certificates keep the current ones",
+          });
+        }
+
+        // Setting the same date as the current term's start corrects
+        // that term rather than ending it
+        const termStart = await getCurrentTermStart(client);
+        if (effectiveFrom < termStart) {
+          await client.query("ROLLBACK");
+          return res.status(409).json({
+            message: `The current signatories took effect on ${termStart}; new ones cannot take effect before that`,
+          });
+        }
+        if (effectiveFrom > termStart) {
+          const period = await closeSignatoryTerm(
+            client,
+            outgoing,
+            termStart,
+            effectiveFrom,
+            req.user.id,
+          );
+          await recordAudit(client, {
+            entityType: AUDIT_ENTITIES.SIGNATORY_PERIOD,
+            entityId: period.id,
+            action: AUDIT_ACTIONS.CREATE,
+            actor: req.user,
+            after: period,
+          });
+        }
+      }
+
       for (const key of keys) {
-        const value = settings[key];
+        const value = values[key];
+        after[key] = value;
 
         // Update or insert setting
-        await pool.query(
+        await client.query(
           `INSERT INTO system_settings (setting_key, setting_value, updated_at)
            VALUES ($1, $2, CURRENT_TIMESTAMP)
            ON CONFLICT (setting_key) 
            DO UPDATE SET 
              setting_value = EXCLUDED.setting_value,
              updated_at = CURRENT_TIMESTAMP`,
-          [key, value || ""],
+          [key, value],
         );
       }
 
-      await pool.query("COMMIT");
+      await recordAudit(client, {
+        entityType: AUDIT_ENTITIES.SETTINGS,
+        entityId: null,
+        action: AUDIT_ACTIONS.UPDATE,
+        actor: req.user,
+        before,
+        after,
+      });
+
+      await client.query("COMMIT");
 
       return res.json({ message: "System settings updated successfully" });
     } catch (err) {
-      await pool.query("ROLLBACK");
+      await client.query("ROLLBACK");
       throw err;
+    } finally {
+      client.release();
     }
   } catch (err) {
+    if (err.code === EXCLUSION_VIOLATION) {
+      return res.status(409).json({
+        message:
+          "A signatory period was recorded meanwhile; reload and try again",
+      });
+    }
     console.error("Update settings error:", err);
     return res
       .status(500)
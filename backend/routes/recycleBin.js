@@ -0,0 +1,239 @@
+import express from "express";
+import pool from "../config/db.js";
+import { protect, authorize, ROLES } from "../middleware/auth.js";
+import {
+  RETENTION_SETTING,
+  getRetentionDays,
+  setRetentionDays,
+  purgeCertificate,
+} from "../services/recycleBin.js";
+import {
+  recordAudit,
+  AUDIT_ENTITIES,
+  AUDIT_ACTIONS,
+} from "../services/audit.js";
+
+const router = express.Router();
+
+// ============================================================================
+// CONSTANTS AND CONFIGURATION
+// ============================================================================
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 200;
+
+const MAX_RETENTION_DAYS = 3650;
+
+// Postgres error code raised by idx_certificates_renewed_from
+const UNIQUE_VIOLATION = "23505";
+
+// Role guards (always placed after `protect`)
+const adminOnly = authorize(ROLES.ADMIN);
+
+// ============================================================================
+// RECYCLE BIN ROUTES
+// ============================================================================
+
+/**
+ * GET /api/auth/recycle-bin
+ * List deleted certificates, most recently deleted first, with the date
+ * each will be purged (admin only)
+ */
+router.get("/", protect, adminOnly, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const pageSize = Math.min(
+      Math.max(parseInt(req.query.pageSize) || DEFAULT_PAGE_SIZE, 1),
+      MAX_PAGE_SIZE,
+    );
+    const retentionDays = await getRetentionDays(pool);
+
+    const clauses = ["c.deleted_at IS NOT NULL"];
+    const values = [];
+
+    if (req.query.search?.trim()) {
+      values.push(`%${req.query.search.trim()}%`);
+      clauses.push(
+        `(c.participant_name ILIKE $${values.length} OR c.facility ILIKE $${values.length})`,
+      );
+    }
+
+    const where = `WHERE ${clauses.join(" AND ")}`;
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*)::int AS total FROM certificates c ${where}`,
+      values,
+    );
+    const total = countResult.rows[0].total;
+
+    const certs = await pool.query(
+      `SELECT c.*, t.start_date, t.end_date,
+              u.username AS deleted_by_username,
+              (c.deleted_at + make_interval(days => $${values.length + 1}))::date
+                AS purge_on
+       FROM certificates c
+       JOIN trainings t ON t.id = c.training_id
+       LEFT JOIN users u ON u.id = c.deleted_by
+       ${where}
+       ORDER BY c.deleted_at DESC, c.id DESC
+       LIMIT $${values.length + 2} OFFSET $${values.length + 3}`,
+      [...values, retentionDays, pageSize, (page - 1) * pageSize],
+    );
+
+    return res.json({
+      data: certs.rows,
+      retention_days: retentionDays,
+      pagination: {
+        page,
+        pageSize,
+        total,
+        totalPages: Math.max(Math.ceil(total / pageSize), 1),
+      },
+    });
+  } catch (err) {
+    console.error("Get recycle bin error:", err);
+    return res.status(500).json({ message: "Failed to fetch recycle bin" });
+  }
+});
+
+/**
+ * PUT /api/auth/recycle-bin/retention
+ * Set how many days deleted certificates are kept (admin only)
+ *
+ * Body: { retention_days }
+ */
+router.put("/retention", protect, adminOnly, async (req, res) => {
+  const days = Number(req.body.retention_days);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_RETENTION_DAYS) {
+    return res.status(400).json({
+      message: `retention_days must be a whole number from 1 to ${MAX_RETENTION_DAYS}`,
+    });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const before = await getRetentionDays(client);
+    await setRetentionDays(client, days);
+
+    await recordAudit(client, {
+      entityType: AUDIT_ENTITIES.SETTINGS,
+      entityId: null,
+      action: AUDIT_ACTIONS.UPDATE,
+      actor: req.user,
+      before: { [RETENTION_SETTING]: before },
+      after: { [RETENTION_SETTING]: days },
+    });
+
+    await client.query("COMMIT");
+
+    return res.json({ retention_days: days });
+  } catch (err) {
+    await client.query("ROLLBACK");
+    console.error("Update retention error:", err);
+    return res
+      .status(500)
+      .json({ message: "Failed to update retention period" });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/auth/recycle-bin/:id/restore
+ * Take a certificate out of the recycle bin (admin only)
+ */
+router.post("/:id/restore", protect, adminOnly, async (req, res) => {
+  try {
+    const certId = parseInt(req.params.id);
+    if (isNaN(certId)) {
+      return res.status(400).json({ message: "Invalid certificate ID" });
+    }
+
+    const existing = await pool.query(
+      "SELECT * FROM certificates WHERE id = $1 AND deleted_at IS NOT NULL",
+      [certId],
+    );
+    if (existing.rows.length === 0) {
+      return res
+        .status(404)
+        .json({ message: "Certificate is not in the recycle bin" });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+
+      const restored = await client.query(
+        `UPDATE certificates SET
+          deleted_at = NULL,
+          deleted_by = NULL
+        WHERE id = $1
+        RETURNING *`,
+        [certId],
+      );
+
+      await recordAudit(client, {
+        entityType: AUDIT_ENTITIES.CERTIFICATE,
+        entityId: certId,
+        action: AUDIT_ACTIONS.RECOVER,
+        actor: req.user,
+        before: existing.rows[0],
+        after: restored.rows[0],
+      });
+
+      await client.query("COMMIT");
+
+      return res.json(restored.rows[0]);
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    if (err.code === UNIQUE_VIOLATION) {
+      return res.status(409).json({
+        message:
+          "The certificate this one renewed has been renewed again since; delete that renewal first",
+      });
+    }
+    console.error("Restore deleted certificate error:", err);
+    return res.status(500).json({ message: "Failed to restore certificate" });
+  }
+});
+
+/**
+ * DELETE /api/auth/recycle-bin/:id
+ * Permanently delete a certificate in the recycle bin (admin only)
+ */
+router.delete("/:id", protect, adminOnly, async (req, res) => {
+  const certId = parseInt(req.params.id);
+  if (isNaN(certId)) {
+    return res.status(400).json({ message: "Invalid certificate ID" });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const purged = await purgeCertificate(client, certId, req.user);
+    await client.query("COMMIT");
+
+    if (!purged) {
+      return res
+        .status(404)
+        .json({ message: "Certificate is not in the recycle bin" });
+    }
+
+    return res.json({ message: "Certificate permanently deleted" });
+  } catch (err) {
+    await client.query("ROLLBACK");
+    console.error("Purge certificate error:", err);
+    return res.status(500).json({ message: "Failed to purge certificate" });
+  } finally {
+    client.release();
+  }
+});
+
+export default router;
@@ -0,0 +1,291 @@
+import express from "express";
+import pool from "../config/db.js";
+import { protect, authorize, ROLES } from "../middleware/auth.js";
+import { isIsoDate } from "../utils/dates.js";
+import {
+  prepareSignatories,
+  presentSignatories,
+  getSignatoryPeriod,
+  namesAnOfficer,
+} from "../services/signatories.js";
+import {
+  recordAudit,
+  AUDIT_ENTITIES,
+  AUDIT_ACTIONS,
+} from "../services/audit.js";
+
+const router = express.Router();
+
+// ============================================================================
+// CONSTANTS AND CONFIGURATION
+// ============================================================================
+
+// Postgres error code raised by signatory_periods_no_overlap
+const EXCLUSION_VIOLATION = "23P01";
+const OVERLAP_MESSAGE = "Another signatory period already covers these dates";
+
+// Role guards (always placed after `protect`)
+const canWriteSettings = authorize(ROLES.ADMIN, ROLES.SIGNATORY);
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Validate a signatory period and convert its signatories to their stored
+ * form
+ * @param {Object} data - Period data
+ * @returns {Object} Validation result, with the stored signatories when valid
+ */
+const validatePeriodData = async (data) => {
+  const errors = [];
+
+  for (const field of ["effective_from", "effective_to"]) {
+    if (!isIsoDate(data[field])) {
+      errors.push(`${field} must be a date in YYYY-MM-DD format`);
+    }
+  }
+
+  if (
+    isIsoDate(data.effective_from) &&
+    isIsoDate(data.effective_to) &&
+    data.effective_to < data.effective_from
+  ) {
+    errors.push("effective_to cannot be before effective_from");
+  }
+
+  const prepared = await prepareSignatories(pool, data.signatories);
+  if (!prepared.valid) {
+    errors.push(prepared.message);
+  } else if (!namesAnOfficer(prepared.values)) {
+    errors.push("signatories must name at least one officer");
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    signatories: prepared.values,
+  };
+};
+
+/**
+ * A period as clients see it, signatures as image URLs
+ * @param {Object} period - signatory_periods row
+ * @returns {Object}
+ */
+const presentPeriod = (period) => ({
+  ...period,
+  signatories: presentSignatories(period.signatories),
+});
+
+// ============================================================================
+// SIGNATORY PERIOD ROUTES
+// ============================================================================
+
+/**
+ * GET /api/auth/signatory-periods
+ * Signatories of past terms, latest first. A certificate whose training
+ * was completed within a period prints with that period's signatories.
+ */
+router.get("/", protect, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      "SELECT * FROM signatory_periods ORDER BY effective_from DESC",
+    );
+    return res.json(rows.map(presentPeriod));
+  } catch (err) {
+    console.error("Get signatory periods error:", err);
+    return res
+      .status(500)
+      .json({ message: "Failed to fetch signatory periods" });
+  }
+});
+
+/**
+ * POST /api/auth/signatory-periods
+ * Record the signatories of a term (admin, signatory)
+ *
+ * Body: { effective_from, effective_to, signatories } - signatories takes
+ *   the same keys as POST /api/auth/settings
+ */
+router.post("/", protect, canWriteSettings, async (req, res) => {
+  try {
+    const validation = await validatePeriodData(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: validation.errors,
+      });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+
+      const { rows } = await client.query(
+        `INSERT INTO signatory_periods
+          (effective_from, effective_to, signatories, created_by)
+        VALUES ($1, $2, $3, $4)
+        RETURNING *`,
+        [
+          req.body.effective_from,
+          req.body.effective_to,
+          validation.signatories,
+          req.user.id,
+        ],
+      );
+
+      await recordAudit(client, {
+        entityType: AUDIT_ENTITIES.SIGNATORY_PERIOD,
+        entityId: rows[0].id,
+        action: AUDIT_ACTIONS.CREATE,
+        actor: req.user,
+        after: rows[0],
+      });
+
+      await client.query("COMMIT");
+
+      return res.status(201).json(presentPeriod(rows[0]));
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    if (err.code === EXCLUSION_VIOLATION) {
+      return res.status(409).json({ message: OVERLAP_MESSAGE });
+    }
+    console.error("Create signatory period error:", err);
+    return res
+      .status(500)
+      .json({ message: "Failed to create signatory period" });
+  }
+});
+
+/**
+ * PUT /api/auth/signatory-periods/:id
+ * Change a term's dates or signatories (admin, signatory)
+ *
+ * Body: { effective_from, effective_to, signatories }
+ */
+router.put("/:id", protect, canWriteSettings, async (req, res) => {
+  try {
+    const periodId = parseInt(req.params.id);
+    if (isNaN(periodId)) {
+      return res.status(400).json({ message: "Invalid period ID" });
+    }
+
+    const existing = await getSignatoryPeriod(pool, periodId);
+    if (!existing) {
+      return res.status(404).json({ message: "Signatory period not found" });
+    }
+
+    const validation = await validatePeriodData(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: validation.errors,
+      });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+
+      const { rows } = await client.query(
+        `UPDATE signatory_periods SET
+          effective_from = $1,
+          effective_to = $2,
+          signatories = $3,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $4
+        RETURNING *`,
+        [
+          req.body.effective_from,
+          req.body.effective_to,
+          validation.signatories,
+          periodId,
+        ],
+      );
+
+      await recordAudit(client, {
+        entityType: AUDIT_ENTITIES.SIGNATORY_PERIOD,
+        entityId: periodId,
+        action: AUDIT_ACTIONS.UPDATE,
+        actor: req.user,
+        before: existing,
+        after: rows[0],
+      });
+
+      await client.query("COMMIT");
+
+      return res.json(presentPeriod(rows[0]));
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    if (err.code === EXCLUSION_VIOLATION) {
+      return res.status(409).json({ message: OVERLAP_MESSAGE });
+    }
+    console.error("Update signatory period error:", err);
+    return res
+      .status(500)
+      .json({ message: "Failed to update signatory period" });
+  }
+});
+
+/**
+ * DELETE /api/auth/signatory-periods/:id
+ * Delete a term; its certificates go back to the current signatories
+ * (admin, signatory)
+ */
+router.delete("/:id", protect, canWriteSettings, async (req, res) => {
+  try {
+    const periodId = parseInt(req.params.id);
+    if (isNaN(periodId)) {
+      return res.status(400).json({ message: "Invalid period ID" });
+    }
+
+    const existing = await getSignatoryPeriod(pool, periodId);
+    if (!existing) {
+      return res.status(404).json({ message: "Signatory period not found" });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+
+      await client.query("DELETE FROM signatory_periods WHERE id = $1", [
+        periodId,
+      ]);
+
+      await recordAudit(client, {
+        entityType: AUDIT_ENTITIES.SIGNATORY_PERIOD,
+        entityId: periodId,
+        action: AUDIT_ACTIONS.DELETE,
+        actor: req.user,
+        before: existing,
+      });
+
+      await client.query("COMMIT");
+
+      return res.json({ message: "Signatory period deleted successfully" });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.error("Delete signatory period error:", err);
+    return res
+      .status(500)
+      .json({ message: "Failed to delete signatory period" });
+  }
+});
+
+export default router;
@@ -0,0 +1,457 @@
+import express from "express";
+import pool from "../config/db.js";
+import { protect, authorize, ROLES } from "../middleware/auth.js";
+import { VALID_TRAINING_TYPES } from "../config/constants.js";
+import { isIsoDate, formatDateRange, parseDateLabel } from "../utils/dates.js";
+import { escapeLike } from "../utils/sql.js";
+import {
+  getTrainingById,
+  syncTrainingCertificates,
+} from "../services/trainings.js";
+import {
+  recordAudit,
+  AUDIT_ENTITIES,
+  AUDIT_ACTIONS,
+} from "../services/audit.js";
+
+const router = express.Router();
+
+// ============================================================================
+// CONSTANTS AND CONFIGURATION
+// ============================================================================
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 200;
+
+// Postgres error code raised by idx_trainings_identity
+const UNIQUE_VIOLATION = "23505";
+
+// Role guards (always placed after `protect`)
+const adminOnly = authorize(ROLES.ADMIN);
+const canWriteTrainings = authorize(ROLES.ADMIN, ROLES.ENCODER);
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Validate training data
+ * @param {Object} data - Training data
+ * @returns {Object} Validation result
+ */
+const validateTrainingData = (data) => {
+  const errors = [];
+
+  if (
+    !data.training_type ||
+    !VALID_TRAINING_TYPES.includes(data.training_type)
+  ) {
+    errors.push(
+      `training_type must be one of: ${VALID_TRAINING_TYPES.join(", ")}`,
+    );
+  }
+
+  for (const field of ["start_date", "end_date"]) {
+    if (data[field] && !isIsoDate(data[field])) {
+      errors.push(`${field} must be a date in YYYY-MM-DD format`);
+    }
+  }
+
+  if (
+    isIsoDate(data.start_date) &&
+    isIsoDate(data.end_date) &&
+    data.end_date < data.start_date
+  ) {
+    errors.push("end_date cannot be before start_date");
+  }
+
+  if (!data.date_label?.trim() && !isIsoDate(data.start_date)) {
+    errors.push("start_date or date_label is required");
+  }
+
+  if (
+    data.capacity !== undefined &&
+    data.capacity !== null &&
+    data.capacity !== ""
+  ) {
+    const capacity = Number(data.capacity);
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      errors.push("capacity must be a positive whole number");
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+  };
+};
+
+/**
+ * Sanitize training data for database insertion
+ * @param {Object} data - Raw training data
+ * @returns {Object} Sanitized data
+ */
+const sanitizeTrainingData = (data) => {
+  // Dates drive the printed label; a label alone is parsed when possible
+  // and otherwise kept as-is, flagged for review
+  const dates = data.start_date
+    ? {
+        start_date: data.start_date,
+        end_date: data.end_date || data.start_date,
+      }
+    : parseDateLabel(data.date_label);
+
+  return {
+    training_type: data.training_type.trim(),
+    start_date: dates?.start_date ?? null,
+    end_date: dates?.end_date ?? null,
+    date_label: dates
+      ? formatDateRange(dates.start_date, dates.end_date)
+      : data.date_label.trim(),
+    dates_need_review: !dates,
+    venue: data.venue?.trim() || null,
+    facility: data.facility?.trim() || null,
+    lead_instructor: data.lead_instructor?.trim() || null,
+    capacity: data.capacity ? Number(data.capacity) : null,
+  };
+};
+
+// ============================================================================
+// TRAINING ROUTES
+// ============================================================================
+
+/**
+ * GET /api/auth/trainings
+ * Get a page of trainings, newest first, with their participant counts
+ *
+ * Query: page, pageSize, training_type, search, needs_review (true to list
+ * only trainings whose legacy dates could not be parsed)
+ */
+router.get("/", protect, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const pageSize = Math.min(
+      Math.max(parseInt(req.query.pageSize) || DEFAULT_PAGE_SIZE, 1),
+      MAX_PAGE_SIZE,
+    );
+
+    const clauses = [];
+    const values = [];
+
+    if (req.query.training_type) {
+      values.push(req.query.training_type);
+      clauses.push(`t.training_type = $${values.length}`);
+    }
+
+    if (req.query.needs_review === "true") {
+      clauses.push("t.dates_need_review");
+    }
+
+    if (req.query.search?.trim()) {
+      values.push(`%${escapeLike(req.query.search.trim())}%`);
+      clauses.push(
+        `(t.date_label ILIKE $${values.length} OR t.venue ILIKE $${values.length} OR t.facility ILIKE $${values.length} OR t.lead_instructor ILIKE $${values.length})`,
+      );
+    }
+
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(" AND ")}` : "";
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*)::int AS total FROM trainings t ${where}`,
+      values,
+    );
+    const total = countResult.rows[0].total;
+
+    const trainings = await pool.query(
+      `SELECT t.*, COUNT(c.id)::int AS participant_count
+       FROM trainings t
+       LEFT JOIN certificates c
+         ON c.training_id = t.id AND c.deleted_at IS NULL
+       ${where}
+       GROUP BY t.id
+       ORDER BY t.start_date DESC NULLS LAST, t.id DESC
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, pageSize, (page - 1) * pageSize],
+    );
+
+    return res.json({
+      data: trainings.rows,
+      pagination: {
+        page,
+        pageSize,
+        total,
+        totalPages: Math.max(Math.ceil(total / pageSize), 1),
+      },
+    });
+  } catch (err) {
+    console.error("Get trainings error:", err);
+    return res.status(500).json({ message: "Failed to fetch trainings" });
+  }
+});
+
+/**
+ * GET /api/auth/trainings/:id
+ * Get a single training
+ */
+router.get("/:id", protect, async (req, res) => {
+  try {
+    const trainingId = parseInt(req.params.id);
+    if (isNaN(trainingId)) {
+      return res.status(400).json({ message: "Invalid training ID" });
+    }
+
+    const { rows } = await pool.query(
+      `SELECT t.*, COUNT(c.id)::int AS participant_count
+       FROM trainings t
+       LEFT JOIN certificates c
+         ON c.training_id = t.id AND c.deleted_at IS NULL
+       WHERE t.id = $1
+       GROUP BY t.id`,
+      [trainingId],
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ message: "Training not found" });
+    }
+
+    return res.json(rows[0]);
+  } catch (err) {
+    console.error("Get training error:", err);
+    return res.status(500).json({ message: "Failed to fetch training" });
+  }
+});
+
+/**
+ * POST /api/auth/trainings
+ * Create a training (admin, encoder)
+ */
+router.post("/", protect, canWriteTrainings, async (req, res) => {
+  try {
+    const validation = validateTrainingData(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: validation.errors,
+      });
+    }
+
+    const sanitized = sanitizeTrainingData(req.body);
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+
+      const created = await client.query(
+        `INSERT INTO trainings (
+          training_type,
+          date_label,
+          start_date,
+          end_date,
+          venue,
+          facility,
+          lead_instructor,
+          capacity,
+          dates_need_review
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+        [
+          sanitized.training_type,
+          sanitized.date_label,
+          sanitized.start_date,
+          sanitized.end_date,
+          sanitized.venue,
+          sanitized.facility,
+          sanitized.lead_instructor,
+          sanitized.capacity,
+          sanitized.dates_need_review,
+        ],
+      );
+
+      await recordAudit(client, {
+        entityType: AUDIT_ENTITIES.TRAINING,
+        entityId: created.rows[0].id,
+        action: AUDIT_ACTIONS.CREATE,
+        actor: req.user,
+        after: created.rows[0],
+      });
+
+      await client.query("COMMIT");
+
+      return res.status(201).json({ ...created.rows[0], participant_count: 0 });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    if (err.code === UNIQUE_VIOLATION) {
+      return res.status(409).json({
+        message:
+          "A training with the same type, dates and venue already exists",
+      });
+    }
+    console.error("Create training error:", err);
+    return res.status(500).json({ message: "Failed to create training" });
+  }
+});
+
+/**
+ * PUT /api/auth/trainings/:id
+ * Update a training and the certificates issued for it (admin, encoder)
+ */
+router.put("/:id", protect, canWriteTrainings, async (req, res) => {
+  let client;
+  try {
+    client = await pool.connect();
+    const trainingId = parseInt(req.params.id);
+    if (isNaN(trainingId)) {
+      return res.status(400).json({ message: "Invalid training ID" });
+    }
+
+    const existing = await getTrainingById(client, trainingId);
+    if (!existing) {
+      return res.status(404).json({ message: "Training not found" });
+    }
+
+    const validation = validateTrainingData(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        message: "Validation failed",
+        errors: validation.errors,
+      });
+    }
+
+    const sanitized = sanitizeTrainingData(req.body);
+
+    await client.query("BEGIN");
+    try {
+      const updated = await client.query(
+        `UPDATE trainings SET
+          training_type = $1,
+          date_label = $2,
+          start_date = $3,
+          end_date = $4,
+          venue = $5,
+          facility = $6,
+          lead_instructor = $7,
+          capacity = $8,
+          dates_need_review = $9,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $10
+        RETURNING *`,
+        [
+          sanitized.training_type,
+          sanitized.date_label,
+          sanitized.start_date,
+          sanitized.end_date,
+          sanitized.venue,
+          sanitized.facility,
+          sanitized.lead_instructor,
+          sanitized.capacity,
+          sanitized.dates_need_review,
+          trainingId,
+        ],
+      );
+
+      const participantCount = await syncTrainingCertificates(
+        client,
+        updated.rows[0],
+      );
+
+      await recordAudit(client, {
+        entityType: AUDIT_ENTITIES.TRAINING,
+        entityId: trainingId,
+        action: AUDIT_ACTIONS.UPDATE,
+        actor: req.user,
+        before: existing,
+        after: updated.rows[0],
+      });
+
+      await client.query("COMMIT");
+
+      return res.json({
+        ...updated.rows[0],
+        participant_count: participantCount,
+      });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    }
+  } catch (err) {
+    if (err.code === UNIQUE_VIOLATION) {
+      return res.status(409).json({
+        message:
+          "A training with the same type, dates and venue already exists",
+      });
+    }
+    console.error("Update training error:", err);
+    return res.status(500).json({ message: "Failed to update training" });
+  } finally {
+    client?.release();
+  }
+});
+
+/**
+ * DELETE /api/auth/trainings/:id
+ * Delete a training that has no certificates (admin only)
+ */
+router.delete("/:id", protect, adminOnly, async (req, res) => {
+  try {
+    const trainingId = parseInt(req.params.id);
+    if (isNaN(trainingId)) {
+      return res.status(400).json({ message: "Invalid training ID" });
+    }
+
+    const existing = await getTrainingById(pool, trainingId);
+    if (!existing) {
+      return res.status(404).json({ message: "Training not found" });
+    }
+
+    const linked = await pool.query(
+      `SELECT COUNT(*) FILTER (WHERE deleted_at IS NULL)::int AS count,
+              COUNT(deleted_at)::int AS binned
+       FROM certificates WHERE training_id = $1`,
+      [trainingId],
+    );
+    const { count, binned } = linked.rows[0];
+    if (count > 0) {
+      return res.status(409).json({
+        message: `Training still has ${count} certificate(s); move or delete them first`,
+      });
+    }
+    if (binned > 0) {
+      return res.status(409).json({
+        message: `Training still has ${binned} certificate(s) in the recycle bin; purge them first`,
+      });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+
+      await client.query("DELETE FROM trainings WHERE id = $1", [trainingId]);
+
+      await recordAudit(client, {
+        entityType: AUDIT_ENTITIES.TRAINING,
+        entityId: trainingId,
+        action: AUDIT_ACTIONS.DELETE,
+        actor: req.user,
+        before: existing,
+      });
+
+      await client.query("COMMIT");
+
+      return res.json({ message: "Training deleted successfully" });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.error("Delete training error:", err);
+    return res.status(500).json({ message: "Failed to delete training" });
+  }
+});
+
+export default router;
@@ -0,0 +1,163 @@
+import express from "express";
+import pool from "../config/db.js";
+import { protect, authorize, ROLES } from "../middleware/auth.js";
+import { VALID_TRAINING_TYPES, DEFAULT_VALIDITY } from "../config/constants.js";
+import { refreshTrainingTypeExpiry } from "../services/validity.js";
+import {
+  recordAudit,
+  AUDIT_ENTITIES,
+  AUDIT_ACTIONS,
+} from "../services/audit.js";
+
+const router = express.Router();
+
+// ============================================================================
+// CONSTANTS AND CONFIGURATION
+// ============================================================================
+
+const MAX_VALIDITY_YEARS = 50;
+const MAX_VALIDITY_DAYS = 3650;
+
+// Role guards (always placed after `protect`)
+const adminOnly = authorize(ROLES.ADMIN);
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Validate a validity rule
+ * @param {Object} data - Rule data
+ * @returns {Object} Validation result
+ */
+const validateRuleData = (data) => {
+  const errors = [];
+
+  if (!VALID_TRAINING_TYPES.includes(data.training_type)) {
+    errors.push(
+      `training_type must be one of: ${VALID_TRAINING_TYPES.join(", ")}`,
+    );
+  }
+
+  const years = Number(data.validity_years);
+  if (!Number.isInteger(years) || years < 0 || years > MAX_VALIDITY_YEARS) {
+    errors.push(
+      `validity_years must be a whole number from 0 to ${MAX_VALIDITY_YEARS}`,
+    );
+  }
+
+  const days = Number(data.validity_days ?? 0);
+  if (!Number.isInteger(days) || days < 0 || days > MAX_VALIDITY_DAYS) {
+    errors.push(
+      `validity_days must be a whole number from 0 to ${MAX_VALIDITY_DAYS}`,
+    );
+  }
+
+  if (years === 0 && days === 0) {
+    errors.push("A certificate must stay valid for at least one day");
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+  };
+};
+
+// ============================================================================
+// VALIDITY RULE ROUTES
+// ============================================================================
+
+/**
+ * GET /api/auth/validity-rules
+ * How long certificates of each training type stay valid
+ */
+router.get("/", protect, async (req, res) => {
+  try {
+    const { rows } = await pool.query("SELECT * FROM validity_rules");
+    const rules = new Map(rows.map((rule) => [rule.training_type, rule]));
+
+    // Types without a stored rule fall back to the default
+    return res.json(
+      VALID_TRAINING_TYPES.map(
+        (type) =>
+          rules.get(type) || {
+            training_type: type,
+            validity_years: DEFAULT_VALIDITY.years,
+            validity_days: DEFAULT_VALIDITY.days,
+            updated_at: null,
+          },
+      ),
+    );
+  } catch (err) {
+    console.error("Get validity rules error:", err);
+    return res.status(500).json({ message: "Failed to fetch validity rules" });
+  }
+});
+
+/**
+ * PUT /api/auth/validity-rules
+ * Set the validity of a training type and recompute the expiry dates of
+ * its certificates (admin only)
+ *
+ * Body: { training_type, validity_years, validity_days }
+ */
+router.put("/", protect, adminOnly, async (req, res) => {
+  const validation = validateRuleData(req.body);
+  if (!validation.valid) {
+    return res.status(400).json({
+      message: "Validation failed",
+      errors: validation.errors,
+    });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const before = await client.query(
+      "SELECT * FROM validity_rules WHERE training_type = $1 FOR UPDATE",
+      [req.body.training_type],
+    );
+
+    const { rows } = await client.query(
+      `INSERT INTO validity_rules (training_type, validity_years, validity_days)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (training_type) DO UPDATE SET
+        validity_years = EXCLUDED.validity_years,
+        validity_days = EXCLUDED.validity_days,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING *`,
+      [
+        req.body.training_type,
+        Number(req.body.validity_years),
+        Number(req.body.validity_days ?? 0),
+      ],
+    );
+
+    const updatedCount = await refreshTrainingTypeExpiry(
+      client,
+      req.body.training_type,
+    );
+
+    await recordAudit(client, {
+      entityType: AUDIT_ENTITIES.VALIDITY_RULE,
+      entityId: req.body.training_type,
+      action: before.rows[0] ? AUDIT_ACTIONS.UPDATE : AUDIT_ACTIONS.CREATE,
+      actor: req.user,
+      before: before.rows[0],
+      after: rows[0],
+    });
+
+    await client.query("COMMIT");
+
+    return res.json({ ...rows[0], updated_count: updatedCount });
+  } catch (err) {
+    await client.query("ROLLBACK");
+    console.error("Update validity rule error:", err);
+    return res.status(500).json({ message: "Failed to update validity rule" });
+  } finally {
+    client.release();
+  }
+});
+
+export default router;
@@ -0,0 +1,94 @@
+import express from "express";
+import pool from "../config/db.js";
+import { verifyLimiter } from "../middleware/rateLimit.js";
+import {
+  getCertificateCode,
+  getRegistrationNumber,
+  parseCertificateId,
+} from "../utils/certificateCodes.js";
+
+const router = express.Router();
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Build the public view of a certificate. Only what is printed on the
+ * certificate itself is exposed, plus when it was revoked (never why).
+ * @param {Object} cert - Certificate joined with its training dates, with
+ *   is_current telling whether it is still within its validity period
+ * @returns {Object}
+ */
+const toVerificationResult = (cert) => {
+  const completionDate = cert.end_date || cert.start_date || null;
+  const validUntil = cert.expires_on;
+
+  let status = "unknown";
+  if (cert.revoked_at) status = "revoked";
+  else if (validUntil) status = cert.is_current ? "valid" : "expired";
+
+  return {
+    certificate_code: getCertificateCode(cert),
+    registration_no: getRegistrationNumber(cert),
+    participant_name: cert.participant_name,
+    training_type: cert.training_type,
+    training_date: cert.training_date,
+    completion_date: completionDate,
+    valid_until: validUntil,
+    revoked_at: cert.revoked_at,
+    status,
+  };
+};
+
+// ============================================================================
+// VERIFICATION ROUTES
+// ============================================================================
+
+/**
+ * GET /api/verify/:code
+ * Look up a certificate by its certificate code or ID registration number
+ * (public, no login required; rate limited per IP)
+ */
+router.get("/:code", verifyLimiter, async (req, res) => {
+  try {
+    const code = req.params.code.trim().toUpperCase();
+    const certId = parseCertificateId(code);
+    if (!certId) {
+      return res.status(400).json({ message: "Invalid certificate code" });
+    }
+
+    // Expiry is judged by the database's date, as in the registry's
+    // expiry filters, so both agree on the day a certificate lapses
+    const { rows } = await pool.query(
+      `SELECT c.id, c.participant_name, c.training_type, c.participant_type,
+              c.training_date, c.created_at, c.revoked_at, c.expires_on,
+              t.start_date, t.end_date,
+              c.expires_on >= CURRENT_DATE AS is_current
+       FROM certificates c
+       LEFT JOIN trainings t ON t.id = c.training_id
+       WHERE c.id = $1 AND c.deleted_at IS NULL`,
+      [certId],
+    );
+
+    // The whole code has to match, not just the ID at its end, so a
+    // mistyped code never resolves to someone else's certificate
+    const cert = rows[0];
+    if (
+      !cert ||
+      (getCertificateCode(cert) !== code &&
+        getRegistrationNumber(cert) !== code)
+    ) {
+      return res
+        .status(404)
+        .json({ message: "No certificate matches this code" });
+    }
+
+    return res.json(toVerificationResult(cert));
+  } catch (err) {
+    console.error("Verify certificate error:", err);
+    return res.status(500).json({ message: "Failed to verify certificate" });
+  }
+});
+
+export default router;
@@ -0,0 +1,237 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import pool from "../config/db.js";
+
+// ============================================================================
+// CONSTANTS AND CONFIGURATION
+// ============================================================================
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+
+// Migration files are named NNN_description.up.sql / NNN_description.down.sql.
+// A migration that has to move data SQL cannot reach (such as files in
+// object storage) adds NNN_description.up.js / .down.js, whose default
+// export is an async function of the client.
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.(sql|js)$/;
+
+// Arbitrary key so two deploys cannot migrate the same database at once
+const MIGRATION_LOCK_ID = 727001;
+
+const USAGE = `Usage:
+  npm run migrate                 Apply all pending migrations
+  npm run migrate -- <version>    Apply pending migrations up to <version>
+  npm run migrate:rollback        Roll back the last applied migration
+  npm run migrate:rollback -- <n> Roll back the last <n> migrations
+  npm run migrate:status          List migrations and whether they are applied`;
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * Read the migrations directory
+ * @returns {Array} Migrations sorted by version, each with up/down file
+ *   paths and any upScript/downScript paths
+ */
+const loadMigrations = () => {
+  const migrations = {};
+
+  for (const file of fs.readdirSync(MIGRATIONS_DIR)) {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) continue;
+
+    const [, version, name, direction, extension] = match;
+    migrations[version] ??= { version, name };
+    migrations[version][extension === "js" ? `${direction}Script` : direction] =
+      path.join(MIGRATIONS_DIR, file);
+  }
+
+  return Object.values(migrations)
+    .map((migration) => {
+      if (!migration.up || !migration.down) {
+        throw new Error(
+          `Migration ${migration.version}_${migration.name} needs both an .up.sql and a .down.sql file`,
+        );
+      }
+      return migration;
+    })
+    .sort((a, b) => Number(a.version) - Number(b.version));
+};
+
+/**
+ * Make sure the bookkeeping table exists
+ * @param {Object} client - Connected pg client
+ */
+const ensureMigrationsTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(20) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+/**
+ * Get applied migration versions, oldest first
+ * @param {Object} client - Connected pg client
+ * @returns {Array<string>} Applied versions
+ */
+const getAppliedVersions = async (client) => {
+  const { rows } = await client.query(
+    "SELECT version FROM schema_migrations ORDER BY version::int ASC",
+  );
+  return rows.map((row) => row.version);
+};
+
+/**
+ * Run one migration inside a transaction and record the result. Its script,
+ * if it has one, runs while the migration's own tables exist: after the SQL
+ * going up, before it going down.
+ * @param {Object} client - Connected pg client
+ * @param {Object} migration - Migration descriptor
+ * @param {string} direction - "up" or "down"
+ */
+const runMigration = async (client, migration, direction) => {
+  const sql = fs.readFileSync(migration[direction], "utf8");
+  const label = `${migration.version}_${migration.name}`;
+
+  const script = migration[`${direction}Script`];
+  const runScript = async () => {
+    if (!script) return;
+    const { default: run } = await import(pathToFileURL(script).href);
+    await run(client);
+  };
+
+  await client.query("BEGIN");
+  try {
+    if (direction === "down") await runScript();
+    await client.query(sql);
+    if (direction === "up") await runScript();
+
+    if (direction === "up") {
+      await client.query(
+        "INSERT INTO schema_migrations (version, name) VALUES ($1, $2)",
+        [migration.version, migration.name],
+      );
+    } else {
+      await client.query("DELETE FROM schema_migrations WHERE version = $1", [
+        migration.version,
+      ]);
+    }
+
+    await client.query("COMMIT");
+    console.log(
+      `${direction === "up" ? "⬆️  Applied" : "⬇️  Reverted"} ${label}`,
+    );
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw new Error(`Migration ${label} (${direction}) failed: ${err.message}`);
+  }
+};
+
+// ============================================================================
+// COMMANDS
+// ============================================================================
+
+/**
+ * Apply pending migrations, optionally stopping at a target version
+ */
+const migrateUp = async (client, migrations, target) => {
+  const applied = new Set(await getAppliedVersions(client));
+  const pending = migrations.filter(
+    (m) =>
+      !applied.has(m.version) &&
+      (target === undefined || Number(m.version) <= Number(target)),
+  );
+
+  if (pending.length === 0) {
+    console.log("✅ Database schema is up to date");
+    return;
+  }
+
+  for (const migration of pending) {
+    await runMigration(client, migration, "up");
+  }
+};
+
+/**
+ * Roll back the most recently applied migrations
+ */
+const migrateDown = async (client, migrations, steps = 1) => {
+  const applied = await getAppliedVersions(client);
+  const toRevert = applied.slice(-steps).reverse();
+
+  if (toRevert.length === 0) {
+    console.log("Nothing to roll back");
+    return;
+  }
+
+  for (const version of toRevert) {
+    const migration = migrations.find((m) => m.version === version);
+    if (!migration) {
+      throw new Error(
+        `No migration files found for applied version ${version}`,
+      );
+    }
+    await runMigration(client, migration, "down");
+  }
+};
+
+/**
+ * Print every known migration and its state
+ */
+const printStatus = async (client, migrations) => {
+  const applied = new Set(await getAppliedVersions(client));
+
+  for (const migration of migrations) {
+    const state = applied.has(migration.version) ? "applied" : "pending";
+    console.log(`${state.padEnd(8)} ${migration.version}_${migration.name}`);
+  }
+};
+
+// ============================================================================
+// ENTRY POINT
+// ============================================================================
+
+const main = async () => {
+  const [command = "up", arg] = process.argv.slice(2);
+  const migrations = loadMigrations();
+  const client = await pool.connect();
+
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_ID]);
+    await ensureMigrationsTable(client);
+
+    switch (command) {
+      case "up":
+        await migrateUp(client, migrations, arg);
+        break;
+      case "down": {
+        const steps = arg === undefined ? 1 : parseInt(arg);
+        if (isNaN(steps) || steps < 1) {
+          throw new Error("Rollback steps must be a positive number");
+        }
+        await migrateDown(client, migrations, steps);
+        break;
+      }
+      case "status":
+        await printStatus(client, migrations);
+        break;
+      default:
+        console.log(USAGE);
+        process.exitCode = 1;
+    }
+  } finally {
+    await client.query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_ID]);
+    client.release();
+    await pool.end();
+  }
+};
+
+main().catch((err) => {
+  console.error("❌", err.message);
+  process.exit(1);
+});
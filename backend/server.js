@@ -1,13 +1,46 @@
 import express from "express";
 import cors from "cors";
+import helmet from "helmet";
 import dotenv from "dotenv";
 import cookieParser from "cookie-parser";
+import pool from "./config/db.js";
 import authRoutes from "./routes/auth.js";
+import trainingRoutes from "./routes/trainings.js";
+import validityRuleRoutes from "./routes/validityRules.js";
+import verifyRoutes from "./routes/verify.js";
+import auditRoutes from "./routes/audit.js";
+import recycleBinRoutes from "./routes/recycleBin.js";
+import signatoryPeriodRoutes from "./routes/signatoryPeriods.js";
+import { purgeExpiredCertificates } from "./services/recycleBin.js";
+import { pruneSessions } from "./services/sessions.js";
+import { pruneOrphanedFiles } from "./services/files.js";
+import { checkMailConfig } from "./services/mail.js";
 
 dotenv.config();
 
+// Refuse to start in production without a way to deliver mail
+checkMailConfig();
+
 const app = express();
 
+// Number of proxies in front of the app (Render adds one), so req.ip and
+// the rate limiters see the client address rather than the proxy's.
+// Production must say so explicitly: behind a proxy, a wrong guess puts
+// every client on one rate limit counter. Anything but a hop count (e.g.
+// "true") is refused rather than read as 0.
+const { TRUST_PROXY } = process.env;
+if (process.env.NODE_ENV === "production" && !TRUST_PROXY) {
+  throw new Error("TRUST_PROXY must be set in production");
+}
+if (TRUST_PROXY && !/^\d+$/.test(TRUST_PROXY)) {
+  throw new Error(
+    `TRUST_PROXY must be a number of proxies (0 or more), got "${TRUST_PROXY}"`,
+  );
+}
+app.set("trust proxy", TRUST_PROXY ? parseInt(TRUST_PROXY, 10) : 0);
+
+app.use(helmet());
+
 // UPDATED CORS CONFIGURATION
 app.use(
   cors({
@@ -18,17 +51,67 @@ app.use(
   }),
 );
 
-// Keep the 10mb limit because Base64 image strings are very large
-app.use(express.json({ limit: "10mb" }));
-app.use(express.urlencoded({ limit: "10mb", extended: true }));
+// Images arrive as multipart uploads, so JSON bodies stay small; 1mb
+// leaves room for a full bulk import (500 rows)
+app.use(express.json({ limit: "1mb" }));
+app.use(express.urlencoded({ limit: "1mb", extended: true }));
 app.use(cookieParser());
 
 // Simple health check to verify backend is up on Render
 app.get("/", (req, res) => res.send("Server is alive"));
 
 app.use("/api/auth", authRoutes);
+app.use("/api/auth/trainings", trainingRoutes);
+app.use("/api/auth/validity-rules", validityRuleRoutes);
+app.use("/api/auth/audit", auditRoutes);
+app.use("/api/auth/recycle-bin", recycleBinRoutes);
+app.use("/api/auth/signatory-periods", signatoryPeriodRoutes);
+app.use("/api/verify", verifyRoutes);
+
+// Purge certificates that outlived the recycle bin retention period, on
+// startup and then hourly
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const purgeRecycleBin = async () => {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const purged = await purgeExpiredCertificates(client);
+    await client.query("COMMIT");
+    if (purged > 0) console.log(`Purged ${purged} certificate(s) from bin`);
+  } catch (err) {
+    await client.query("ROLLBACK");
+    console.error("Recycle bin purge error:", err);
+  } finally {
+    client.release();
+  }
+};
+
+// Drop sessions that ended long ago, on the same schedule
+const pruneOldSessions = async () => {
+  try {
+    await pruneSessions(pool);
+  } catch (err) {
+    console.error("Session prune error:", err);
+  }
+};
+
+// Delete uploaded files nothing refers to any more, on the same schedule
+const pruneFiles = async () => {
+  try {
+    const deleted = await pruneOrphanedFiles(pool);
+    if (deleted > 0) console.log(`Deleted ${deleted} unused file(s)`);
+  } catch (err) {
+    console.error("File prune error:", err);
+  }
+};
 
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
+  purgeRecycleBin();
+  setInterval(purgeRecycleBin, PURGE_INTERVAL_MS);
+  pruneOldSessions();
+  setInterval(pruneOldSessions, PURGE_INTERVAL_MS);
+  pruneFiles();
+  setInterval(pruneFiles, PURGE_INTERVAL_MS);
 });
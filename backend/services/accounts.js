@@ -0,0 +1,73 @@
+// Account administration: enabling and disabling users, last login times
+// and whether anyone may create an account from the register page (stored
+// in system_settings).
+// Every function takes `db` (the pool or a transaction client) first.
+
+export const SELF_REGISTRATION_SETTING = "self_registration";
+
+/**
+ * Whether the register page accepts new accounts. Always open while there
+ * are no users, so a fresh deployment can create its first admin; after
+ * that closed unless an admin has opened it.
+ * @param {Object} db - pg pool or client
+ * @returns {boolean}
+ */
+export const isSelfRegistrationOpen = async (db) => {
+  const { rows } = await db.query(
+    `SELECT
+      (SELECT setting_value FROM system_settings WHERE setting_key = $1)
+        AS setting_value,
+      NOT EXISTS (SELECT 1 FROM users) AS no_users`,
+    [SELF_REGISTRATION_SETTING],
+  );
+  return rows[0].no_users || rows[0].setting_value === "true";
+};
+
+/**
+ * Open or close self-registration
+ * @param {Object} db - pg pool or client
+ * @param {boolean} open
+ */
+export const setSelfRegistrationOpen = async (db, open) => {
+  await db.query(
+    `INSERT INTO system_settings (setting_key, setting_value, updated_at)
+     VALUES ($1, $2, CURRENT_TIMESTAMP)
+     ON CONFLICT (setting_key)
+     DO UPDATE SET
+       setting_value = EXCLUDED.setting_value,
+       updated_at = CURRENT_TIMESTAMP`,
+    [SELF_REGISTRATION_SETTING, String(open)],
+  );
+};
+
+/**
+ * Disable or re-enable an account. Disabling does not end the user's
+ * sessions; revoke them alongside.
+ * @param {Object} db - pg pool or client
+ * @param {number} userId - User ID
+ * @param {boolean} disabled
+ * @returns {Object|null} User row (id, username, role, disabled_at), or
+ *   null when the account was already in that state
+ */
+export const setAccountDisabled = async (db, userId, disabled) => {
+  const { rows } = await db.query(
+    `UPDATE users SET
+      disabled_at = CASE WHEN $2 THEN CURRENT_TIMESTAMP ELSE NULL END
+    WHERE id = $1 AND (disabled_at IS NULL) = $2
+    RETURNING id, username, role, disabled_at`,
+    [userId, disabled],
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Note a successful login
+ * @param {Object} db - pg pool or client
+ * @param {number} userId - User ID
+ */
+export const recordLogin = async (db, userId) => {
+  await db.query(
+    "UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = $1",
+    [userId],
+  );
+};
@@ -0,0 +1,108 @@
+// Audit trail helpers. Every change to registry data is written to the
+// append-only audit_log table with the row as it was before and after.
+// Every function takes `db` (the pool or a transaction client) first, so an
+// entry commits or rolls back together with the change it describes.
+
+import crypto from "crypto";
+
+export const AUDIT_ENTITIES = {
+  CERTIFICATE: "certificate",
+  TRAINING: "training",
+  SETTINGS: "settings",
+  USER: "user",
+  VALIDITY_RULE: "validity_rule",
+  INVITATION: "invitation",
+  SIGNATORY_PERIOD: "signatory_period",
+};
+
+export const AUDIT_ACTIONS = {
+  CREATE: "create",
+  UPDATE: "update",
+  DELETE: "delete",
+  REVOKE: "revoke",
+  REINSTATE: "reinstate",
+  RENEW: "renew",
+  RESTORE: "restore",
+  RECOVER: "recover",
+  PURGE: "purge",
+  REGISTER: "register",
+  ROLE_CHANGE: "role_change",
+  PASSWORD_CHANGE: "password_change",
+  RESET_REQUEST: "reset_request",
+  PASSWORD_RESET: "password_reset",
+  LOCKOUT: "lockout",
+  TWO_FACTOR_ENABLE: "two_factor_enable",
+  TWO_FACTOR_DISABLE: "two_factor_disable",
+  SESSIONS_REVOKE: "sessions_revoke",
+  ACCOUNT_DISABLE: "account_disable",
+  ACCOUNT_ENABLE: "account_enable",
+};
+
+// Columns never copied into the log
+const HIDDEN_FIELDS = ["password"];
+
+/**
+ * Replace embedded files (base64 data URLs such as signatures) with a
+ * fingerprint, so the log shows that a file changed without storing it
+ * @param {*} value - Column value
+ * @returns {*} Value safe to log
+ */
+const redactValue = (value) => {
+  if (typeof value !== "string" || !value.startsWith("data:")) return value;
+  const digest = crypto.createHash("sha256").update(value).digest("hex");
+  return `[file sha256:${digest.slice(0, 12)}]`;
+};
+
+/**
+ * Copy of a row suitable for the audit log
+ * @param {Object|null} row - Row or settings object
+ * @returns {Object|null}
+ */
+const toSnapshot = (row) => {
+  if (!row) return null;
+  return Object.fromEntries(
+    Object.entries(row)
+      .filter(([key]) => !HIDDEN_FIELDS.includes(key))
+      .map(([key, value]) => [key, redactValue(value)]),
+  );
+};
+
+/**
+ * Append an entry to the audit log
+ * @param {Object} db - pg pool or client
+ * @param {Object} entry
+ * @param {string} entry.entityType - One of AUDIT_ENTITIES
+ * @param {number|string|null} entry.entityId - ID of the changed row
+ * @param {string} entry.action - One of AUDIT_ACTIONS
+ * @param {Object} entry.actor - User making the change ({ id, username })
+ * @param {Object|null} [entry.before] - Row before the change
+ * @param {Object|null} [entry.after] - Row after the change
+ */
+export const recordAudit = async (
+  db,
+  { entityType, entityId, action, actor, before = null, after = null },
+) => {
+  const snapshotBefore = toSnapshot(before);
+  const snapshotAfter = toSnapshot(after);
+
+  await db.query(
+    `INSERT INTO audit_log (
+      entity_type,
+      entity_id,
+      action,
+      actor_id,
+      actor_username,
+      before_data,
+      after_data
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [
+      entityType,
+      entityId === null || entityId === undefined ? null : String(entityId),
+      action,
+      actor?.id ?? null,
+      actor?.username ?? null,
+      snapshotBefore && JSON.stringify(snapshotBefore),
+      snapshotAfter && JSON.stringify(snapshotAfter),
+    ],
+  );
+};
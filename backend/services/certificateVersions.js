@@ -0,0 +1,115 @@
+// Certificate version history. Each edit stores the certificate's editable
+// fields as a numbered version, so an edit can be reviewed and rolled back.
+// Every function takes `db` (the pool or a transaction client) first.
+
+// Fields an edit can change (training details follow training_id)
+export const VERSIONED_FIELDS = [
+  "participant_name",
+  "participant_type",
+  "age",
+  "position",
+  "facility",
+  "training_id",
+  "training_type",
+  "training_date",
+  "venue",
+];
+
+/**
+ * Pick the versioned fields of a certificate row
+ * @param {Object} cert - Certificate row
+ * @returns {Object}
+ */
+const toVersionData = (cert) =>
+  Object.fromEntries(VERSIONED_FIELDS.map((field) => [field, cert[field]]));
+
+const isSameData = (a, b) =>
+  VERSIONED_FIELDS.every((field) => (a[field] ?? null) === (b[field] ?? null));
+
+/**
+ * Store a certificate edit as a new version. The first tracked edit also
+ * stores the certificate as it was before, as version 1. Edits that change
+ * none of the versioned fields are not stored.
+ * @param {Object} db - pg pool or client (inside the edit's transaction)
+ * @param {Object} before - Certificate row before the edit
+ * @param {Object} after - Certificate row after the edit
+ * @param {number} actorId - User making the edit
+ * @param {number|null} [restoredFrom] - Version number being restored
+ * @returns {Object|null} New version row
+ */
+export const saveCertificateVersion = async (
+  db,
+  before,
+  after,
+  actorId,
+  restoredFrom = null,
+) => {
+  const data = toVersionData(after);
+  if (isSameData(toVersionData(before), data)) return null;
+
+  const latest = await db.query(
+    `SELECT version_no FROM certificate_versions
+     WHERE certificate_id = $1
+     ORDER BY version_no DESC
+     LIMIT 1`,
+    [before.id],
+  );
+
+  let versionNo = latest.rows[0]?.version_no ?? 0;
+  if (versionNo === 0) {
+    await db.query(
+      `INSERT INTO certificate_versions
+        (certificate_id, version_no, data, created_at)
+      VALUES ($1, 1, $2, $3)`,
+      [
+        before.id,
+        JSON.stringify(toVersionData(before)),
+        before.updated_at || before.created_at,
+      ],
+    );
+    versionNo = 1;
+  }
+
+  const { rows } = await db.query(
+    `INSERT INTO certificate_versions
+      (certificate_id, version_no, data, restored_from, created_by)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING *`,
+    [before.id, versionNo + 1, JSON.stringify(data), restoredFrom, actorId],
+  );
+  return rows[0];
+};
+
+/**
+ * Get a certificate's versions, newest first
+ * @param {Object} db - pg pool or client
+ * @param {number} certId - Certificate ID
+ * @returns {Array} Versions with the editor's username
+ */
+export const getCertificateVersions = async (db, certId) => {
+  const { rows } = await db.query(
+    `SELECT v.*, u.username AS created_by_username
+     FROM certificate_versions v
+     LEFT JOIN users u ON u.id = v.created_by
+     WHERE v.certificate_id = $1
+     ORDER BY v.version_no DESC`,
+    [certId],
+  );
+  return rows;
+};
+
+/**
+ * Get one version of a certificate
+ * @param {Object} db - pg pool or client
+ * @param {number} certId - Certificate ID
+ * @param {number} versionNo - Version number
+ * @returns {Object|null} Version row
+ */
+export const getCertificateVersion = async (db, certId, versionNo) => {
+  const { rows } = await db.query(
+    `SELECT * FROM certificate_versions
+     WHERE certificate_id = $1 AND version_no = $2`,
+    [certId, versionNo],
+  );
+  return rows[0] || null;
+};
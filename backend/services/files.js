@@ -0,0 +1,328 @@
+// Uploaded files (signatures and participant photos). Bytes go to the
+// storage driver (services/storage.js); the files table records each one.
+// Settings and signatory periods point at a file with a "file:<id>"
+// reference and certificates with photo_file_id. Files nothing points at
+// are pruned on a schedule.
+// Every function takes `db` (the pool or a transaction client) first.
+
+import { randomUUID } from "crypto";
+import { putObject, getObject, removeObject } from "./storage.js";
+import { detectImageType, parseImageDataUrl } from "../utils/images.js";
+
+// What each kind of upload may be
+export const FILE_PURPOSES = {
+  signature: { types: ["image/png"], maxBytes: 512 * 1024 },
+  photo: { types: ["image/png", "image/jpeg"], maxBytes: 2 * 1024 * 1024 },
+};
+
+const EXTENSIONS = { "image/png": ".png", "image/jpeg": ".jpg" };
+
+const REFERENCE_PATTERN = /^file:(\d+)$/;
+const URL_PATTERN = /^\/api\/auth\/files\/(\d+)$/;
+
+// Unreferenced files younger than this are kept: a signature is uploaded
+// when it is cropped but only referenced once the settings are saved
+const ORPHAN_GRACE_HOURS = 24;
+
+// Photos read at once when moving images into or out of file storage
+const LEGACY_BATCH_SIZE = 50;
+
+/**
+ * Setting value that refers to a file
+ * @param {number} id - File ID
+ * @returns {string}
+ */
+export const toFileReference = (id) => `file:${id}`;
+
+/**
+ * File ID in a "file:<id>" setting value
+ * @param {string} value
+ * @returns {number|null}
+ */
+export const parseFileReference = (value) => {
+  const match = REFERENCE_PATTERN.exec(value ?? "");
+  return match ? Number(match[1]) : null;
+};
+
+/**
+ * API path a file is served from
+ * @param {number} id - File ID
+ * @returns {string}
+ */
+export const getFileUrl = (id) => `/api/auth/files/${id}`;
+
+/**
+ * File ID in a path from getFileUrl
+ * @param {string} url
+ * @returns {number|null}
+ */
+export const parseFileUrl = (url) => {
+  const match = URL_PATTERN.exec(url ?? "");
+  return match ? Number(match[1]) : null;
+};
+
+/**
+ * Check an upload against what its purpose allows. The type is read from
+ * the file's signature, not the name or the client's content type.
+ * @param {string} purpose - Key of FILE_PURPOSES
+ * @param {Buffer} buffer - File contents
+ * @returns {Object} { valid, message } or { valid, contentType }
+ */
+export const validateUpload = (purpose, buffer) => {
+  const rules = FILE_PURPOSES[purpose];
+  if (!rules) {
+    return { valid: false, message: "Unknown upload purpose" };
+  }
+  if (!buffer || buffer.length === 0) {
+    return { valid: false, message: "A file is required" };
+  }
+  if (buffer.length > rules.maxBytes) {
+    return {
+      valid: false,
+      message: `File is larger than ${rules.maxBytes / 1024} KB`,
+    };
+  }
+
+  const contentType = detectImageType(buffer);
+  if (!rules.types.includes(contentType)) {
+    const names = rules.types.map((t) => t.split("/")[1].toUpperCase());
+    return {
+      valid: false,
+      message: `File must be a ${names.join(" or ")} image`,
+    };
+  }
+  return { valid: true, contentType };
+};
+
+/**
+ * Put a file in storage and record it. Call with the pool rather than a
+ * transaction client: the bytes are stored either way, and an unused row
+ * is pruned later.
+ * @param {Object} db - pg pool or client
+ * @param {Object} file - { purpose, contentType, buffer }
+ * @param {number|null} userId - Uploader
+ * @returns {Object} files row
+ */
+export const storeFile = async (
+  db,
+  { purpose, contentType, buffer },
+  userId,
+) => {
+  const key = `${purpose}s/${randomUUID()}${EXTENSIONS[contentType] || ""}`;
+  await putObject(key, buffer, contentType);
+
+  const { rows } = await db.query(
+    `INSERT INTO files
+      (storage_key, purpose, content_type, size_bytes, uploaded_by)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING *`,
+    [key, purpose, contentType, buffer.length, userId],
+  );
+  return rows[0];
+};
+
+/**
+ * A file's record
+ * @param {Object} db - pg pool or client
+ * @param {number} id - File ID
+ * @returns {Object|null} files row
+ */
+export const getFile = async (db, id) => {
+  const { rows } = await db.query("SELECT * FROM files WHERE id = $1", [id]);
+  return rows[0] || null;
+};
+
+/**
+ * A file's contents
+ * @param {Object} file - files row
+ * @returns {Promise<Buffer|null>} null if the stored object is missing
+ */
+export const readFile = (file) => getObject(file.storage_key);
+
+/**
+ * Delete files no certificate, setting or signatory period refers to any
+ * more, from storage and from the table. A file whose object cannot be removed is kept for
+ * the next run.
+ * @param {Object} db - pg pool or client
+ * @returns {number} Files deleted
+ */
+export const pruneOrphanedFiles = async (db) => {
+  const { rows } = await db.query(
+    `SELECT f.id, f.storage_key FROM files f
+    WHERE f.created_at < NOW() - make_interval(hours => $1)
+      AND NOT EXISTS (
+        SELECT 1 FROM certificates c WHERE c.photo_file_id = f.id
+      )
+      AND NOT EXISTS (
+        SELECT 1 FROM system_settings s
+        WHERE s.setting_value = 'file:' || f.id
+      )
+      AND NOT EXISTS (
+        SELECT 1 FROM signatory_periods p, jsonb_each_text(p.signatories) e
+        WHERE e.value = 'file:' || f.id
+      )`,
+    [ORPHAN_GRACE_HOURS],
+  );
+
+  let deleted = 0;
+  for (const file of rows) {
+    try {
+      await removeObject(file.storage_key);
+      await db.query("DELETE FROM files WHERE id = $1", [file.id]);
+      deleted++;
+    } catch (err) {
+      console.error(`Error removing file ${file.id}:`, err);
+    }
+  }
+  return deleted;
+};
+
+// Moving an image deletes its database copy, so the storage it goes to has
+// to be a deliberate choice rather than the local default, which on a host
+// with an ephemeral disk would lose it at the next restart
+const requireChosenStorage = () => {
+  if (!process.env.STORAGE_DRIVER) {
+    throw new Error(
+      "Set STORAGE_DRIVER before moving images into file storage; their database copies are deleted once moved",
+    );
+  }
+};
+
+// A file's contents, failing rather than restoring nothing when the stored
+// object is gone
+const readStoredFile = async (file) => {
+  const buffer = await readFile(file);
+  if (!buffer) {
+    throw new Error(`Stored object for file ${file.id} is missing`);
+  }
+  return buffer;
+};
+
+/**
+ * Move images saved before file storage existed: signatures kept as data
+ * URLs in system_settings and photos kept in certificate_photos. Each one
+ * is stored as a file and its old copy replaced or removed, so running
+ * this again only picks up what is left. Run by migration 017.
+ * @param {Object} db - pg pool or client
+ * @returns {number} Images moved
+ */
+export const moveLegacyImages = async (db) => {
+  let moved = 0;
+
+  const settings = await db.query(
+    `SELECT setting_key, setting_value FROM system_settings
+    WHERE setting_value LIKE 'data:image/%'`,
+  );
+  for (const { setting_key: key, setting_value: value } of settings.rows) {
+    const image = parseImageDataUrl(value);
+    if (!image) continue;
+    requireChosenStorage();
+    const file = await storeFile(db, { purpose: "signature", ...image }, null);
+    await db.query(
+      `UPDATE system_settings
+      SET setting_value = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE setting_key = $2 AND setting_value = $3`,
+      [toFileReference(file.id), key, value],
+    );
+    moved++;
+  }
+
+  // A batch at a time, so only a few photos are in memory at once
+  while (true) {
+    const photos = await db.query(
+      `SELECT certificate_id, content_type, data, uploaded_by
+      FROM certificate_photos
+      ORDER BY certificate_id
+      LIMIT $1`,
+      [LEGACY_BATCH_SIZE],
+    );
+    if (photos.rows.length === 0) break;
+    requireChosenStorage();
+
+    for (const photo of photos.rows) {
+      const file = await storeFile(
+        db,
+        {
+          purpose: "photo",
+          contentType: photo.content_type,
+          buffer: photo.data,
+        },
+        photo.uploaded_by,
+      );
+      await db.query(
+        "UPDATE certificates SET photo_file_id = $1 WHERE id = $2",
+        [file.id, photo.certificate_id],
+      );
+      await db.query(
+        "DELETE FROM certificate_photos WHERE certificate_id = $1",
+        [photo.certificate_id],
+      );
+      moved++;
+    }
+  }
+
+  return moved;
+};
+
+/**
+ * Copy stored images back to where they were kept before file storage
+ * existed, for rolling back migration 017: signatures in system_settings
+ * become data URLs again and every certificate's photo is written to
+ * certificate_photos. Stored objects are left in place.
+ * @param {Object} db - pg pool or client
+ * @returns {number} Images copied
+ */
+export const restoreLegacyImages = async (db) => {
+  let restored = 0;
+
+  const settings = await db.query(
+    `SELECT s.setting_key, f.* FROM system_settings s
+    JOIN files f ON s.setting_value = 'file:' || f.id`,
+  );
+  for (const { setting_key: key, ...file } of settings.rows) {
+    const buffer = await readStoredFile(file);
+    await db.query(
+      `UPDATE system_settings
+      SET setting_value = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE setting_key = $2`,
+      [`data:${file.content_type};base64,${buffer.toString("base64")}`, key],
+    );
+    restored++;
+  }
+
+  let lastId = 0;
+  while (true) {
+    const photos = await db.query(
+      `SELECT c.id AS certificate_id, f.* FROM certificates c
+      JOIN files f ON f.id = c.photo_file_id
+      WHERE c.id > $1
+      ORDER BY c.id
+      LIMIT $2`,
+      [lastId, LEGACY_BATCH_SIZE],
+    );
+    if (photos.rows.length === 0) break;
+
+    for (const { certificate_id: certificateId, ...file } of photos.rows) {
+      await db.query(
+        `INSERT INTO certificate_photos
+          (certificate_id, content_type, data, uploaded_by)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (certificate_id) DO UPDATE SET
+          content_type = EXCLUDED.content_type,
+          data = EXCLUDED.data,
+          uploaded_by = EXCLUDED.uploaded_by,
+          updated_at = CURRENT_TIMESTAMP`,
+        [
+          certificateId,
+          file.content_type,
+          await readStoredFile(file),
+          file.uploaded_by,
+        ],
+      );
+      lastId = certificateId;
+      restored++;
+    }
+  }
+
+  return restored;
+};
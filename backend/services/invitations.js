@@ -0,0 +1,134 @@
+// Invitations for new staff accounts. Each link carries a random,
+// single-use token (only its SHA-256 hash is stored) and the role and
+// office the account will get.
+// Every function takes `db` (the pool or a transaction client) first.
+
+import crypto from "crypto";
+
+const INVITATION_TOKEN_BYTES = 32;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// State of an invitation row, computed by the database
+const STATUS_SQL = `CASE
+    WHEN i.used_at IS NOT NULL THEN 'used'
+    WHEN i.revoked_at IS NOT NULL THEN 'revoked'
+    WHEN i.expires_at <= CURRENT_TIMESTAMP THEN 'expired'
+    ELSE 'pending'
+  END`;
+
+/**
+ * Issue an invitation
+ * @param {Object} db - pg pool or client
+ * @param {Object} invitation - { role, office, createdBy, ttlDays }
+ * @returns {Object} Invitation row plus `token` - the token is only ever
+ *   returned here
+ */
+export const createInvitation = async (
+  db,
+  { role, office, createdBy, ttlDays },
+) => {
+  const token = crypto.randomBytes(INVITATION_TOKEN_BYTES).toString("hex");
+  const { rows } = await db.query(
+    `INSERT INTO invitations (token_hash, role, office, created_by, expires_at)
+    VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + make_interval(days => $5))
+    RETURNING id, role, office, expires_at, created_at`,
+    [hashToken(token), role, office, createdBy, ttlDays],
+  );
+  return { ...rows[0], token };
+};
+
+/**
+ * Look up an invitation by the token in its link
+ * @param {Object} db - pg pool or client
+ * @param {string} token - Token from the link
+ * @returns {Object|null} { id, role, office, expires_at, status } where
+ *   status is pending, used, revoked or expired; null for an unknown token
+ */
+export const findInvitation = async (db, token) => {
+  const { rows } = await db.query(
+    `SELECT i.id, i.role, i.office, i.expires_at, ${STATUS_SQL} AS status
+    FROM invitations i
+    WHERE i.token_hash = $1`,
+    [hashToken(token)],
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Mark an invitation as used, if it is still pending. Call
+ * recordInvitationUser once the account exists.
+ * @param {Object} db - pg pool or client
+ * @param {string} token - Token from the link
+ * @returns {Object|null} { id, role, office }, or null if the invitation is
+ *   unknown, used, revoked or expired
+ */
+export const claimInvitation = async (db, token) => {
+  const { rows } = await db.query(
+    `UPDATE invitations SET used_at = CURRENT_TIMESTAMP
+    WHERE token_hash = $1
+      AND used_at IS NULL
+      AND revoked_at IS NULL
+      AND expires_at > CURRENT_TIMESTAMP
+    RETURNING id, role, office`,
+    [hashToken(token)],
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Link a claimed invitation to the account created from it
+ * @param {Object} db - pg pool or client
+ * @param {number} invitationId - Invitation ID
+ * @param {number} userId - New user's ID
+ */
+export const recordInvitationUser = async (db, invitationId, userId) => {
+  await db.query("UPDATE invitations SET used_by = $2 WHERE id = $1", [
+    invitationId,
+    userId,
+  ]);
+};
+
+/**
+ * Invitations, newest first
+ * @param {Object} db - pg pool or client
+ * @param {number} limit - Most rows returned
+ * @returns {Array} Rows with status and the usernames of the admin who
+ *   issued each invitation and the account created from it
+ */
+export const listInvitations = async (db, limit) => {
+  const { rows } = await db.query(
+    `SELECT i.id, i.role, i.office, i.expires_at, i.used_at, i.revoked_at,
+      i.created_at, ${STATUS_SQL} AS status,
+      creator.username AS created_by_username,
+      invitee.username AS used_by_username
+    FROM invitations i
+    LEFT JOIN users creator ON creator.id = i.created_by
+    LEFT JOIN users invitee ON invitee.id = i.used_by
+    ORDER BY i.created_at DESC, i.id DESC
+    LIMIT $1`,
+    [limit],
+  );
+  return rows;
+};
+
+/**
+ * Revoke a pending invitation
+ * @param {Object} db - pg pool or client
+ * @param {number} invitationId - Invitation ID
+ * @returns {Object|null} { id, role, office, revoked_at }, or null if the
+ *   invitation is unknown or no longer pending
+ */
+export const revokeInvitation = async (db, invitationId) => {
+  const { rows } = await db.query(
+    `UPDATE invitations SET revoked_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+      AND used_at IS NULL
+      AND revoked_at IS NULL
+      AND expires_at > CURRENT_TIMESTAMP
+    RETURNING id, role, office, revoked_at`,
+    [invitationId],
+  );
+  return rows[0] || null;
+};
@@ -0,0 +1,54 @@
+// Account lockout after repeated failed logins. State lives on the users
+// row so it survives restarts and is shared by every server instance.
+// Every function takes `db` (the pool or a transaction client) first.
+
+// Failed attempts allowed before the account is locked
+export const MAX_FAILED_LOGINS = parseInt(process.env.MAX_FAILED_LOGINS) || 5;
+
+// How long a lockout lasts
+export const LOCKOUT_MINUTES = parseInt(process.env.LOCKOUT_MINUTES) || 15;
+
+// Seconds left on a lockout, computed by the database so the comparison
+// uses the same clock that set locked_until
+export const LOCKOUT_SECONDS_SQL = `GREATEST(0, CEIL(EXTRACT(EPOCH FROM
+  (locked_until - CURRENT_TIMESTAMP))))::int`;
+
+/**
+ * Count a failed login, locking the account once MAX_FAILED_LOGINS is
+ * reached. Starting a lockout resets the counter.
+ * @param {Object} db - pg pool or client
+ * @param {number} userId - User ID
+ * @returns {Object} { failed_login_count, lockout_seconds } -
+ *   lockout_seconds is 0 unless this attempt started a lockout
+ */
+export const recordFailedLogin = async (db, userId) => {
+  const { rows } = await db.query(
+    `UPDATE users SET
+      failed_login_count = CASE
+        WHEN failed_login_count + 1 >= $2 THEN 0
+        ELSE failed_login_count + 1
+      END,
+      locked_until = CASE
+        WHEN failed_login_count + 1 >= $2
+          THEN CURRENT_TIMESTAMP + make_interval(mins => $3)
+        ELSE locked_until
+      END
+    WHERE id = $1
+    RETURNING failed_login_count, ${LOCKOUT_SECONDS_SQL} AS lockout_seconds`,
+    [userId, MAX_FAILED_LOGINS, LOCKOUT_MINUTES],
+  );
+  return rows[0];
+};
+
+/**
+ * Forget failed attempts and lift any lockout
+ * @param {Object} db - pg pool or client
+ * @param {number} userId - User ID
+ */
+export const clearFailedLogins = async (db, userId) => {
+  await db.query(
+    `UPDATE users SET failed_login_count = 0, locked_until = NULL
+     WHERE id = $1 AND (failed_login_count > 0 OR locked_until IS NOT NULL)`,
+    [userId],
+  );
+};
@@ -0,0 +1,100 @@
+// Outgoing mail. MAIL_TRANSPORT picks how messages leave the server:
+//   console - print each message to the log (the default, for development)
+//   smtp    - send through SMTP_HOST/SMTP_PORT, e.g. a local catcher such
+//             as Mailpit on port 1025 when testing
+// Other transports can be registered with registerMailTransport. In
+// production MAIL_TRANSPORT has no default: reset links printed to a log
+// nobody reads would look sent while never reaching anyone.
+
+import nodemailer from "nodemailer";
+
+const DEFAULT_FROM = "DOH Training Registry <no-reply@localhost>";
+
+const transportFactories = {
+  console: () => {
+    const transport = nodemailer.createTransport({ jsonTransport: true });
+    return {
+      sendMail: async (message) => {
+        const info = await transport.sendMail(message);
+        const { to, subject, text } = JSON.parse(info.message);
+        console.log(
+          `📧 Mail to ${to.map((a) => a.address).join(", ")}: ${subject}\n${text}`,
+        );
+        return info;
+      },
+    };
+  },
+  smtp: () =>
+    nodemailer.createTransport({
+      host: process.env.SMTP_HOST || "localhost",
+      port: parseInt(process.env.SMTP_PORT) || 1025,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined,
+    }),
+};
+
+let transport = null;
+
+/**
+ * Register a mail transport under a name usable in MAIL_TRANSPORT
+ * @param {string} name - Transport name
+ * @param {Function} factory - Returns an object with sendMail(message)
+ */
+export const registerMailTransport = (name, factory) => {
+  transportFactories[name] = factory;
+  transport = null;
+};
+
+const getTransportName = () => {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("MAIL_TRANSPORT must be set in production");
+  }
+  return "console";
+};
+
+/**
+ * Check the mail configuration at startup, so a missing MAIL_TRANSPORT in
+ * production stops the server instead of the first email
+ */
+export const checkMailConfig = () => {
+  getTransportName();
+};
+
+/**
+ * Whether mail is only printed to the server log rather than delivered
+ * @returns {boolean}
+ */
+export const isMailLoggedOnly = () => getTransportName() === "console";
+
+const getTransport = () => {
+  if (!transport) {
+    const name = getTransportName();
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    }
+    transport = factory();
+  }
+  return transport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @param {string} [message.html] - HTML body
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+  await getTransport().sendMail({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    text,
+    html,
+  });
+};
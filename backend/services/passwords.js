@@ -0,0 +1,83 @@
+// Password change and reset helpers. Reset tokens are random, single-use
+// and short-lived; only their SHA-256 hash is stored.
+// Every function takes `db` (the pool or a transaction client) first.
+
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+
+const RESET_TOKEN_BYTES = 32;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Store a new password and sign out every existing session of the user
+ * (session tokens carry token_version, which is bumped here). Any login
+ * lockout is lifted.
+ * @param {Object} db - pg pool or client
+ * @param {number} userId - User ID
+ * @param {string} password - New plain-text password
+ * @returns {Object} User row (id, username, role, token_version,
+ *   password_changed_at)
+ */
+export const updatePassword = async (db, userId, password) => {
+  const hashed = await bcrypt.hash(password, 10);
+  const { rows } = await db.query(
+    `UPDATE users SET
+      password = $1,
+      token_version = token_version + 1,
+      password_changed_at = CURRENT_TIMESTAMP,
+      failed_login_count = 0,
+      locked_until = NULL
+    WHERE id = $2
+    RETURNING id, username, role, token_version, password_changed_at`,
+    [hashed, userId],
+  );
+  return rows[0];
+};
+
+/**
+ * Issue a reset token for a user. Earlier unused tokens stop working.
+ * @param {Object} db - pg pool or client
+ * @param {number} userId - User whose password will be reset
+ * @param {number} createdBy - Admin issuing the token
+ * @param {number} ttlMinutes - How long the token stays valid
+ * @returns {Object} { token, expires_at } - the token is only ever returned
+ *   here
+ */
+export const createResetToken = async (db, userId, createdBy, ttlMinutes) => {
+  await db.query(
+    `UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND used_at IS NULL`,
+    [userId],
+  );
+
+  const token = crypto.randomBytes(RESET_TOKEN_BYTES).toString("hex");
+  const { rows } = await db.query(
+    `INSERT INTO password_reset_tokens
+      (user_id, token_hash, created_by, expires_at)
+    VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(mins => $4))
+    RETURNING expires_at`,
+    [userId, hashToken(token), createdBy, ttlMinutes],
+  );
+  return { token, expires_at: rows[0].expires_at };
+};
+
+/**
+ * Mark a reset token as used, if it is still valid
+ * @param {Object} db - pg pool or client
+ * @param {string} token - Token from the reset link
+ * @returns {number|null} ID of the user the token belongs to, or null if
+ *   the token is unknown, used or expired
+ */
+export const consumeResetToken = async (db, token) => {
+  const { rows } = await db.query(
+    `UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+     WHERE token_hash = $1
+       AND used_at IS NULL
+       AND expires_at > CURRENT_TIMESTAMP
+     RETURNING user_id`,
+    [hashToken(token)],
+  );
+  return rows[0]?.user_id ?? null;
+};
@@ -0,0 +1,56 @@
+// Participant photos for ID cards, one per certificate. The image is a file
+// (services/files.js) linked by certificates.photo_file_id;
+// photo_updated_at changes whenever it is replaced, so clients know when
+// to fetch it again. A replaced or removed photo's file is left for the
+// orphaned-file prune.
+// Every function takes `db` (the pool or a transaction client) first.
+
+/**
+ * Make a stored file the certificate's photo
+ * @param {Object} db - pg pool or client
+ * @param {number} certificateId - Certificate ID
+ * @param {number} fileId - File ID of the photo
+ * @returns {Date} New photo_updated_at
+ */
+export const setPhoto = async (db, certificateId, fileId) => {
+  const { rows } = await db.query(
+    `UPDATE certificates
+    SET photo_file_id = $2, photo_updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING photo_updated_at`,
+    [certificateId, fileId],
+  );
+  return rows[0].photo_updated_at;
+};
+
+/**
+ * The file holding a certificate's photo
+ * @param {Object} db - pg pool or client
+ * @param {number} certificateId - Certificate ID
+ * @returns {Object|null} files row
+ */
+export const getPhotoFile = async (db, certificateId) => {
+  const { rows } = await db.query(
+    `SELECT f.* FROM certificates c
+    JOIN files f ON f.id = c.photo_file_id
+    WHERE c.id = $1`,
+    [certificateId],
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Remove a certificate's photo
+ * @param {Object} db - pg pool or client
+ * @param {number} certificateId - Certificate ID
+ * @returns {boolean} Whether there was a photo
+ */
+export const clearPhoto = async (db, certificateId) => {
+  const { rowCount } = await db.query(
+    `UPDATE certificates
+    SET photo_file_id = NULL, photo_updated_at = NULL
+    WHERE id = $1 AND photo_file_id IS NOT NULL`,
+    [certificateId],
+  );
+  return rowCount > 0;
+};
@@ -0,0 +1,98 @@
+// Recycle bin helpers. Deleted certificates keep their row (deleted_at is
+// set) until they are restored or purged; the retention period lives in
+// system_settings.
+// Every function takes `db` (the pool or a transaction client) first.
+
+import { DEFAULT_RETENTION_DAYS } from "../config/constants.js";
+import { recordAudit, AUDIT_ENTITIES, AUDIT_ACTIONS } from "./audit.js";
+
+export const RETENTION_SETTING = "recycle_bin_retention_days";
+
+/**
+ * Days a deleted certificate stays in the recycle bin
+ * @param {Object} db - pg pool or client
+ * @returns {number}
+ */
+export const getRetentionDays = async (db) => {
+  const { rows } = await db.query(
+    "SELECT setting_value FROM system_settings WHERE setting_key = $1",
+    [RETENTION_SETTING],
+  );
+  const days = parseInt(rows[0]?.setting_value);
+  return isNaN(days) ? DEFAULT_RETENTION_DAYS : days;
+};
+
+/**
+ * Set the recycle bin retention period
+ * @param {Object} db - pg pool or client
+ * @param {number} days - Retention in days
+ */
+export const setRetentionDays = async (db, days) => {
+  await db.query(
+    `INSERT INTO system_settings (setting_key, setting_value, updated_at)
+     VALUES ($1, $2, CURRENT_TIMESTAMP)
+     ON CONFLICT (setting_key)
+     DO UPDATE SET
+       setting_value = EXCLUDED.setting_value,
+       updated_at = CURRENT_TIMESTAMP`,
+    [RETENTION_SETTING, String(days)],
+  );
+};
+
+/**
+ * Permanently delete binned certificates and log each purge
+ * @param {Object} db - pg pool or client
+ * @param {string} condition - SQL condition on certificates; its single
+ *   placeholder must be $1
+ * @param {*} value - Value bound to $1
+ * @param {Object|null} actor - User purging, or null for the automatic purge
+ * @returns {Array} Purged certificate rows
+ */
+const purgeCertificates = async (db, condition, value, actor) => {
+  const { rows } = await db.query(
+    `DELETE FROM certificates
+     WHERE deleted_at IS NOT NULL AND ${condition}
+     RETURNING *`,
+    [value],
+  );
+
+  for (const cert of rows) {
+    await recordAudit(db, {
+      entityType: AUDIT_ENTITIES.CERTIFICATE,
+      entityId: cert.id,
+      action: AUDIT_ACTIONS.PURGE,
+      actor,
+      before: cert,
+    });
+  }
+  return rows;
+};
+
+/**
+ * Permanently delete one binned certificate
+ * @param {Object} db - pg pool or client
+ * @param {number} certId - Certificate ID
+ * @param {Object} actor - User purging
+ * @returns {Object|null} Purged row, or null if it is not in the bin
+ */
+export const purgeCertificate = async (db, certId, actor) => {
+  const rows = await purgeCertificates(db, "id = $1", certId, actor);
+  return rows[0] || null;
+};
+
+/**
+ * Permanently delete every certificate that has been in the bin longer
+ * than the retention period
+ * @param {Object} db - pg pool or client
+ * @returns {number} Number of certificates purged
+ */
+export const purgeExpiredCertificates = async (db) => {
+  const days = await getRetentionDays(db);
+  const rows = await purgeCertificates(
+    db,
+    "deleted_at < CURRENT_TIMESTAMP - make_interval(days => $1)",
+    days,
+    null,
+  );
+  return rows.length;
+};
@@ -0,0 +1,196 @@
+// Server-side sessions. A login creates a session holding the hash of a
+// refresh token; the browser trades that token for short-lived access
+// tokens and receives a new one each time (rotation). Presenting a refresh
+// token that was already replaced revokes the session, since it means the
+// token was copied.
+// Every function takes `db` (the pool or a transaction client) first.
+
+import crypto from "crypto";
+
+// A session ends after this many days without a refresh
+export const SESSION_IDLE_DAYS = 30;
+
+// Cookie carrying the refresh token
+export const REFRESH_COOKIE = "refresh_token";
+
+const REFRESH_TOKEN_BYTES = 32;
+
+// Tabs sharing a cookie may refresh at the same moment with the same token;
+// the loser of that race is let through for this long after a rotation
+const ROTATION_GRACE_SECONDS = 30;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const newRefreshToken = () =>
+  crypto.randomBytes(REFRESH_TOKEN_BYTES).toString("hex");
+
+/**
+ * Open a session for a user
+ * @param {Object} db - pg pool or client
+ * @param {number} userId - User ID
+ * @param {Object} client - { userAgent, ip } of the device signing in
+ * @returns {Object} { id, refreshToken } - the token is only ever returned
+ *   here and by rotateSession
+ */
+export const createSession = async (db, userId, { userAgent, ip }) => {
+  const refreshToken = newRefreshToken();
+  const { rows } = await db.query(
+    `INSERT INTO sessions
+      (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+    VALUES ($1, $2, $3, $4,
+      CURRENT_TIMESTAMP + make_interval(days => $5))
+    RETURNING id`,
+    [
+      userId,
+      hashToken(refreshToken),
+      userAgent?.slice(0, 512),
+      ip,
+      SESSION_IDLE_DAYS,
+    ],
+  );
+  return { id: rows[0].id, refreshToken };
+};
+
+/**
+ * Exchange a refresh token for a new one
+ * @param {Object} db - pg pool or client
+ * @param {string} refreshToken - Token from the refresh cookie
+ * @param {Object} client - { userAgent, ip } of the device refreshing
+ * @returns {Object|null} { id, user_id, refreshToken } - refreshToken is
+ *   null when a tab lost a refresh race and should keep the cookie it has;
+ *   null overall when the token is unknown, expired or revoked
+ */
+export const rotateSession = async (db, refreshToken, { userAgent, ip }) => {
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = newRefreshToken();
+
+  const rotated = await db.query(
+    `UPDATE sessions SET
+      previous_token_hash = refresh_token_hash,
+      refresh_token_hash = $2,
+      rotated_at = CURRENT_TIMESTAMP,
+      last_used_at = CURRENT_TIMESTAMP,
+      expires_at = CURRENT_TIMESTAMP + make_interval(days => $3),
+      user_agent = COALESCE($4, user_agent),
+      ip_address = COALESCE($5, ip_address)
+    WHERE refresh_token_hash = $1
+      AND revoked_at IS NULL
+      AND expires_at > CURRENT_TIMESTAMP
+    RETURNING id, user_id`,
+    [tokenHash, hashToken(nextToken), SESSION_IDLE_DAYS, userAgent, ip],
+  );
+  if (rotated.rows.length > 0) {
+    return { ...rotated.rows[0], refreshToken: nextToken };
+  }
+
+  // A replaced token: fine just after the rotation, a replay otherwise
+  const previous = await db.query(
+    `SELECT id, user_id,
+      rotated_at > CURRENT_TIMESTAMP - make_interval(secs => $2) AS in_grace
+    FROM sessions
+    WHERE previous_token_hash = $1
+      AND revoked_at IS NULL
+      AND expires_at > CURRENT_TIMESTAMP`,
+    [tokenHash, ROTATION_GRACE_SECONDS],
+  );
+  const session = previous.rows[0];
+  if (!session) return null;
+
+  if (session.in_grace) {
+    return { id: session.id, user_id: session.user_id, refreshToken: null };
+  }
+
+  await db.query(
+    "UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1",
+    [session.id],
+  );
+  console.warn(`Refresh token replayed; revoked session ${session.id}`);
+  return null;
+};
+
+/**
+ * Revoke the session a refresh token belongs to
+ * @param {Object} db - pg pool or client
+ * @param {string} refreshToken - Token from the refresh cookie
+ */
+export const revokeSessionByToken = async (db, refreshToken) => {
+  await db.query(
+    `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+     WHERE refresh_token_hash = $1 AND revoked_at IS NULL`,
+    [hashToken(refreshToken)],
+  );
+};
+
+/**
+ * Revoke one of a user's sessions
+ * @param {Object} db - pg pool or client
+ * @param {number} sessionId - Session ID
+ * @param {number} userId - Owner of the session
+ * @returns {boolean} Whether an active session was revoked
+ */
+export const revokeSession = async (db, sessionId, userId) => {
+  const { rowCount } = await db.query(
+    `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL`,
+    [sessionId, userId],
+  );
+  return rowCount > 0;
+};
+
+/**
+ * Revoke every session of a user
+ * @param {Object} db - pg pool or client
+ * @param {number} userId - User ID
+ * @param {number|null} [exceptSessionId] - Session to keep (the caller's)
+ * @returns {number} Number of sessions revoked
+ */
+export const revokeUserSessions = async (
+  db,
+  userId,
+  exceptSessionId = null,
+) => {
+  const { rowCount } = await db.query(
+    `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1
+       AND revoked_at IS NULL
+       AND ($2::int IS NULL OR id <> $2)`,
+    [userId, exceptSessionId],
+  );
+  return rowCount;
+};
+
+/**
+ * Active sessions of a user, most recently used first
+ * @param {Object} db - pg pool or client
+ * @param {number} userId - User ID
+ * @returns {Array} Session rows (no token hashes)
+ */
+export const listSessions = async (db, userId) => {
+  const { rows } = await db.query(
+    `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+     FROM sessions
+     WHERE user_id = $1
+       AND revoked_at IS NULL
+       AND expires_at > CURRENT_TIMESTAMP
+     ORDER BY last_used_at DESC`,
+    [userId],
+  );
+  return rows;
+};
+
+/**
+ * Delete sessions that ended (expired or revoked) more than
+ * SESSION_IDLE_DAYS ago
+ * @param {Object} db - pg pool or client
+ * @returns {number} Number of rows deleted
+ */
+export const pruneSessions = async (db) => {
+  const { rowCount } = await db.query(
+    `DELETE FROM sessions
+     WHERE COALESCE(revoked_at, expires_at)
+       < CURRENT_TIMESTAMP - make_interval(days => $1)`,
+    [SESSION_IDLE_DAYS],
+  );
+  return rowCount;
+};
@@ -0,0 +1,182 @@
+// Signatories: the officers who sign certificates and ID cards. The current
+// ones are kept in system_settings and those of past terms in
+// signatory_periods. Both use the same keys: each officer's name, position
+// and signature (a "file:<id>" reference), and which officers sign each
+// document type.
+// Every function takes `db` (the pool or a transaction client) first.
+
+import {
+  getFile,
+  getFileUrl,
+  parseFileUrl,
+  toFileReference,
+  parseFileReference,
+} from "./files.js";
+
+export const OFFICER_NUMBERS = [1, 2, 3];
+export const SIGNER_LIST_KEYS = ["certificate_signers", "id_card_signers"];
+export const SIGNATORY_KEYS = [
+  ...OFFICER_NUMBERS.flatMap((num) => [
+    `off${num}_name`,
+    `off${num}_pos`,
+    `off${num}_sig`,
+  ]),
+  ...SIGNER_LIST_KEYS,
+];
+
+// Keys that hold a signature image
+const isSignatureKey = (key) => key.endsWith("_sig");
+
+/**
+ * Normalize a signer list such as "3, 1" to "1,3"
+ * @param {string} value - Comma-separated officer numbers
+ * @returns {string|null} null if it names an unknown officer or one twice
+ */
+const normalizeSignerList = (value) => {
+  const numbers = String(value)
+    .split(",")
+    .map((part) => Number(part.trim()));
+  if (
+    numbers.some((num) => !OFFICER_NUMBERS.includes(num)) ||
+    new Set(numbers).size !== numbers.length
+  ) {
+    return null;
+  }
+  return OFFICER_NUMBERS.filter((num) => numbers.includes(num)).join(",");
+};
+
+/**
+ * Check signatory values sent by a client and convert them to their stored
+ * form. Signatures come as "" or the URL returned by POST /api/auth/files
+ * and are stored as file references; signer lists come as officer numbers
+ * such as "1,3", or "" for the document type's default.
+ * @param {Object} db - pg pool or client
+ * @param {Object} input - Any subset of SIGNATORY_KEYS
+ * @returns {Object} { valid, message } or { valid, values }
+ */
+export const prepareSignatories = async (db, input) => {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { valid: false, message: "Invalid signatory data" };
+  }
+
+  const keys = Object.keys(input);
+  const invalidKeys = keys.filter((key) => !SIGNATORY_KEYS.includes(key));
+  if (invalidKeys.length > 0) {
+    return {
+      valid: false,
+      message: `Invalid setting keys: ${invalidKeys.join(", ")}`,
+    };
+  }
+
+  const values = {};
+  for (const key of keys) {
+    values[key] = input[key] ? String(input[key]) : "";
+    if (!values[key]) continue;
+
+    if (SIGNER_LIST_KEYS.includes(key)) {
+      values[key] = normalizeSignerList(values[key]);
+      if (!values[key]) {
+        return {
+          valid: false,
+          message: `${key} must list officers 1 to 3, e.g. "1,3"`,
+        };
+      }
+      continue;
+    }
+    if (!isSignatureKey(key)) continue;
+
+    const fileId = parseFileUrl(values[key]);
+    const file = fileId && (await getFile(db, fileId));
+    if (file?.purpose !== "signature") {
+      return { valid: false, message: `${key} must be an uploaded signature` };
+    }
+    values[key] = toFileReference(file.id);
+  }
+
+  return { valid: true, values };
+};
+
+/**
+ * Stored signatory values as clients see them, signatures as the URL of
+ * the stored image
+ * @param {Object} values - Signatory keys and stored values
+ * @returns {Object}
+ */
+export const presentSignatories = (values) =>
+  Object.fromEntries(
+    Object.entries(values).map(([key, value]) => {
+      const fileId = parseFileReference(value);
+      return [key, fileId ? getFileUrl(fileId) : value];
+    }),
+  );
+
+/**
+ * A past term's signatories
+ * @param {Object} db - pg pool or client
+ * @param {number} id - Period ID
+ * @returns {Object|null} signatory_periods row
+ */
+export const getSignatoryPeriod = async (db, id) => {
+  const { rows } = await db.query(
+    "SELECT * FROM signatory_periods WHERE id = $1",
+    [id],
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Check that signatory values name at least one officer
+ * @param {Object} values - Signatory keys and values
+ * @returns {boolean}
+ */
+export const namesAnOfficer = (values) =>
+  Object.entries(values).some(
+    ([key, value]) => key.endsWith("_name") && value?.trim(),
+  );
+
+// Start of the first term closed from the settings. Nothing on record says
+// when it began, so it reaches back far enough to cover every certificate;
+// an admin can narrow it in the timeline.
+const FIRST_TERM_START = "1900-01-01";
+
+/**
+ * First day of the current signatories' term: the day after the latest
+ * signatory period
+ * @param {Object} db - pg pool or client
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+export const getCurrentTermStart = async (db) => {
+  const { rows } = await db.query(
+    "SELECT MAX(effective_to) + 1 AS start FROM signatory_periods",
+  );
+  return rows[0].start || FIRST_TERM_START;
+};
+
+/**
+ * Keep the current signatories for the trainings completed before new ones
+ * take effect, as a period from the start of their term to the day before
+ * effectiveFrom
+ * @param {Object} db - pg client inside a transaction
+ * @param {Object} signatories - Current signatories, in stored form
+ * @param {string} termStart - Start of their term, from getCurrentTermStart
+ * @param {string} effectiveFrom - Date the new signatories take effect,
+ *   after termStart (YYYY-MM-DD)
+ * @param {number} createdBy - ID of the user changing the signatories
+ * @returns {Object} New signatory_periods row
+ */
+export const closeSignatoryTerm = async (
+  db,
+  signatories,
+  termStart,
+  effectiveFrom,
+  createdBy,
+) => {
+  const { rows } = await db.query(
+    `INSERT INTO signatory_periods
+      (effective_from, effective_to, signatories, created_by)
+    VALUES ($1, $2::date - 1, $3, $4)
+    RETURNING *`,
+    [termStart, effectiveFrom, signatories, createdBy],
+  );
+  return rows[0];
+};
@@ -0,0 +1,143 @@
+// Object storage for uploaded files. STORAGE_DRIVER picks where the bytes go:
+//   local - a directory on disk, STORAGE_DIR (default backend/uploads)
+//   s3    - an S3 bucket, S3_BUCKET in S3_REGION. S3_ENDPOINT points it at
+//           an S3-compatible server instead (MinIO, or a local stand-in
+//           when testing), with path-style addressing
+// Other drivers can be registered with registerStorageDriver. A driver
+// stores plain bytes under a key; content types are kept in the files table.
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+} from "@aws-sdk/client-s3";
+
+const DEFAULT_STORAGE_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "uploads",
+);
+
+const driverFactories = {
+  local: () => {
+    const root = path.resolve(process.env.STORAGE_DIR || DEFAULT_STORAGE_DIR);
+    const filePath = (key) => path.join(root, ...key.split("/"));
+
+    return {
+      put: async (key, buffer) => {
+        await fs.mkdir(path.dirname(filePath(key)), { recursive: true });
+        await fs.writeFile(filePath(key), buffer);
+      },
+      get: async (key) => {
+        try {
+          return await fs.readFile(filePath(key));
+        } catch (err) {
+          if (err.code === "ENOENT") return null;
+          throw err;
+        }
+      },
+      remove: async (key) => {
+        await fs.rm(filePath(key), { force: true });
+      },
+    };
+  },
+  s3: () => {
+    const bucket = process.env.S3_BUCKET;
+    if (!bucket) throw new Error("S3_BUCKET is not set");
+
+    // Credentials fall back to the SDK's usual sources (AWS_* variables,
+    // instance roles) when S3_ACCESS_KEY_ID is not set
+    const client = new S3Client({
+      region: process.env.S3_REGION || "us-east-1",
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: Boolean(process.env.S3_ENDPOINT),
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? {
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+          }
+        : undefined,
+    });
+
+    return {
+      put: async (key, buffer, contentType) => {
+        await client.send(
+          new PutObjectCommand({
+            Bucket: bucket,
+            Key: key,
+            Body: buffer,
+            ContentType: contentType,
+          }),
+        );
+      },
+      get: async (key) => {
+        try {
+          const res = await client.send(
+            new GetObjectCommand({ Bucket: bucket, Key: key }),
+          );
+          return Buffer.from(await res.Body.transformToByteArray());
+        } catch (err) {
+          if (err.name === "NoSuchKey") return null;
+          throw err;
+        }
+      },
+      remove: async (key) => {
+        await client.send(
+          new DeleteObjectCommand({ Bucket: bucket, Key: key }),
+        );
+      },
+    };
+  },
+};
+
+let driver = null;
+
+/**
+ * Register a storage driver under a name usable in STORAGE_DRIVER
+ * @param {string} name - Driver name
+ * @param {Function} factory - Returns an object with put(key, buffer,
+ *   contentType), get(key) (resolving to a Buffer, or null when missing)
+ *   and remove(key)
+ */
+export const registerStorageDriver = (name, factory) => {
+  driverFactories[name] = factory;
+  driver = null;
+};
+
+const getDriver = () => {
+  if (!driver) {
+    const name = process.env.STORAGE_DRIVER || "local";
+    const factory = driverFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown STORAGE_DRIVER "${name}"`);
+    }
+    driver = factory();
+  }
+  return driver;
+};
+
+/**
+ * Store bytes under a key, replacing anything already there
+ * @param {string} key - Storage key, "/"-separated
+ * @param {Buffer} buffer - Contents
+ * @param {string} contentType - MIME type
+ */
+export const putObject = (key, buffer, contentType) =>
+  getDriver().put(key, buffer, contentType);
+
+/**
+ * Read the bytes stored under a key
+ * @param {string} key - Storage key
+ * @returns {Promise<Buffer|null>} Contents, or null if nothing is stored
+ */
+export const getObject = (key) => getDriver().get(key);
+
+/**
+ * Remove whatever is stored under a key; missing keys are not an error
+ * @param {string} key - Storage key
+ */
+export const removeObject = (key) => getDriver().remove(key);
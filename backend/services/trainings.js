@@ -0,0 +1,130 @@
+// Training batch helpers shared by the certificate and training routes.
+// Every function takes `db` (the pool or a transaction client) first.
+
+import { formatDateRange, parseDateLabel } from "../utils/dates.js";
+import { refreshTrainingExpiry } from "./validity.js";
+
+// Whitespace- and case-insensitive comparison used to match free-text fields
+const normalized = (column) =>
+  `UPPER(REGEXP_REPLACE(COALESCE(${column}, ''), '\\s+', '', 'g'))`;
+
+/**
+ * Get a training by ID
+ * @param {Object} db - pg pool or client
+ * @param {number} id - Training ID
+ * @returns {Object|null} Training row
+ */
+export const getTrainingById = async (db, id) => {
+  const { rows } = await db.query("SELECT * FROM trainings WHERE id = $1", [
+    id,
+  ]);
+  return rows[0] || null;
+};
+
+/**
+ * Find the training matching a certificate's training fields, creating it
+ * when none exists yet. Structured start/end dates win over the free-text
+ * training_date, which is only parsed as a fallback.
+ * @param {Object} db - pg pool or client
+ * @param {Object} fields - training_type, start_date, end_date,
+ *   training_date and venue
+ * @returns {Object} Training row
+ */
+export const findOrCreateTraining = async (db, fields) => {
+  const { training_type, venue } = fields;
+  const dates = fields.start_date
+    ? {
+        start_date: fields.start_date,
+        end_date: fields.end_date || fields.start_date,
+      }
+    : parseDateLabel(fields.training_date);
+  const date_label = dates
+    ? formatDateRange(dates.start_date, dates.end_date)
+    : fields.training_date;
+
+  const existing = await db.query(
+    `SELECT * FROM trainings
+     WHERE ${normalized("training_type")} = ${normalized("$1::text")}
+       AND ${normalized("date_label")} = ${normalized("$2::text")}
+       AND ${normalized("venue")} = ${normalized("$3::text")}
+     ORDER BY id ASC
+     LIMIT 1`,
+    [training_type, date_label, venue],
+  );
+
+  if (existing.rows.length > 0) return existing.rows[0];
+
+  // A concurrent request may create the same training first
+  // (see idx_trainings_identity); in that case use theirs
+  const created = await db.query(
+    `INSERT INTO trainings (
+      training_type, date_label, start_date, end_date, venue, dates_need_review
+    )
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT DO NOTHING
+     RETURNING *`,
+    [
+      training_type,
+      date_label,
+      dates?.start_date ?? null,
+      dates?.end_date ?? null,
+      venue,
+      !dates,
+    ],
+  );
+  if (created.rows.length > 0) return created.rows[0];
+
+  return findOrCreateTraining(db, fields);
+};
+
+/**
+ * Resolve the training a certificate belongs to. An explicit training_id
+ * wins; otherwise the training is matched (or created) from the text fields.
+ * @param {Object} db - pg pool or client
+ * @param {Object} cert - Sanitized certificate data
+ * @returns {Object|null} Training row, or null if training_id does not exist
+ */
+export const resolveCertificateTraining = async (db, cert) => {
+  if (cert.training_id) {
+    return getTrainingById(db, cert.training_id);
+  }
+  return findOrCreateTraining(db, cert);
+};
+
+/**
+ * Copy a training's details onto certificate data, so printed certificates
+ * always show what the training record says
+ * @param {Object} cert - Sanitized certificate data
+ * @param {Object} training - Training row
+ * @returns {Object} Certificate data linked to the training
+ */
+export const applyTraining = (cert, training) => ({
+  ...cert,
+  training_id: training.id,
+  training_type: training.training_type,
+  training_date: training.date_label,
+  start_date: training.start_date,
+  end_date: training.end_date,
+  venue: training.venue,
+});
+
+/**
+ * Push a training's details (and the expiry dates that follow from its
+ * dates) to every certificate that belongs to it
+ * @param {Object} db - pg pool or client
+ * @param {Object} training - Training row
+ * @returns {number} Number of certificates updated
+ */
+export const syncTrainingCertificates = async (db, training) => {
+  const result = await db.query(
+    `UPDATE certificates SET
+      training_type = $1,
+      training_date = $2,
+      venue = $3,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE training_id = $4`,
+    [training.training_type, training.date_label, training.venue, training.id],
+  );
+  await refreshTrainingExpiry(db, training.id);
+  return result.rowCount;
+};
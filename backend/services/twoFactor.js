@@ -0,0 +1,200 @@
+// TOTP two-factor authentication: enrolment, code checks, backup codes and
+// the per-role requirement (stored in system_settings).
+// Every function takes `db` (the pool or a transaction client) first.
+
+import crypto from "crypto";
+import { generateTotpSecret, verifyTotp } from "../utils/totp.js";
+
+export const REQUIRED_ROLES_SETTING = "two_factor_required_roles";
+
+const BACKUP_CODE_COUNT = 10;
+
+const hashCode = (code) =>
+  crypto.createHash("sha256").update(code).digest("hex");
+
+// Backup codes are shown as xxxx-xxxx; compare them without the dash or
+// letter case
+const normalizeBackupCode = (code) => code.replace(/[\s-]/g, "").toLowerCase();
+
+/**
+ * Roles whose accounts must use two-factor authentication
+ * @param {Object} db - pg pool or client
+ * @returns {string[]}
+ */
+export const getRequiredRoles = async (db) => {
+  const { rows } = await db.query(
+    "SELECT setting_value FROM system_settings WHERE setting_key = $1",
+    [REQUIRED_ROLES_SETTING],
+  );
+  try {
+    const roles = JSON.parse(rows[0]?.setting_value ?? "[]");
+    return Array.isArray(roles) ? roles : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Set the roles that must use two-factor authentication
+ * @param {Object} db - pg pool or client
+ * @param {string[]} roles - Role names
+ */
+export const setRequiredRoles = async (db, roles) => {
+  await db.query(
+    `INSERT INTO system_settings (setting_key, setting_value, updated_at)
+     VALUES ($1, $2, CURRENT_TIMESTAMP)
+     ON CONFLICT (setting_key)
+     DO UPDATE SET
+       setting_value = EXCLUDED.setting_value,
+       updated_at = CURRENT_TIMESTAMP`,
+    [REQUIRED_ROLES_SETTING, JSON.stringify(roles)],
+  );
+};
+
+/**
+ * Start (or restart) enrolment with a fresh secret. Has no effect on an
+ * account that already has two-factor enabled.
+ * @param {Object} db - pg pool or client
+ * @param {number} userId - User ID
+ * @returns {string|null} The new base32 secret, or null if already enabled
+ */
+export const startEnrolment = async (db, userId) => {
+  const secret = generateTotpSecret();
+  const { rowCount } = await db.query(
+    `UPDATE users SET totp_secret = $1, totp_last_step = NULL
+     WHERE id = $2 AND totp_enabled_at IS NULL`,
+    [secret, userId],
+  );
+  return rowCount > 0 ? secret : null;
+};
+
+/**
+ * Check a code from the user's authenticator app. A code is accepted once;
+ * replaying it (or an older one) fails.
+ * @param {Object} db - pg pool or client
+ * @param {Object} user - Row with id and totp_secret
+ * @param {string} code - Six-digit code
+ * @returns {boolean}
+ */
+export const checkTotpCode = async (db, user, code) => {
+  if (!user.totp_secret) return false;
+  const step = verifyTotp(user.totp_secret, code);
+  if (step === null) return false;
+
+  const { rowCount } = await db.query(
+    `UPDATE users SET totp_last_step = $2
+     WHERE id = $1 AND (totp_last_step IS NULL OR totp_last_step < $2)`,
+    [user.id, step],
+  );
+  return rowCount > 0;
+};
+
+/**
+ * Use up one backup code
+ * @param {Object} db - pg pool or client
+ * @param {number} userId - User ID
+ * @param {string} code - Backup code as typed
+ * @returns {boolean} Whether an unused code matched
+ */
+export const consumeBackupCode = async (db, userId, code) => {
+  const { rowCount } = await db.query(
+    `UPDATE backup_codes SET used_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL`,
+    [userId, hashCode(normalizeBackupCode(code))],
+  );
+  return rowCount > 0;
+};
+
+/**
+ * Check a second-factor code at login: a six-digit authenticator code or,
+ * failing that, a backup code
+ * @param {Object} db - pg pool or client
+ * @param {Object} user - Row with id and totp_secret
+ * @param {string} code - Code as typed
+ * @returns {string|null} "totp" or "backup_code", or null when neither
+ *   matched
+ */
+export const checkSecondFactor = async (db, user, code) => {
+  if (typeof code !== "string" || !code.trim()) return null;
+  const trimmed = code.trim();
+
+  if (/^\d{6}$/.test(trimmed)) {
+    return (await checkTotpCode(db, user, trimmed)) ? "totp" : null;
+  }
+  return (await consumeBackupCode(db, user.id, trimmed)) ? "backup_code" : null;
+};
+
+/**
+ * Replace a user's backup codes with a new set
+ * @param {Object} db - pg pool or client
+ * @param {number} userId - User ID
+ * @returns {string[]} The new codes - only ever returned here
+ */
+export const createBackupCodes = async (db, userId) => {
+  await db.query("DELETE FROM backup_codes WHERE user_id = $1", [userId]);
+
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(4).toString("hex");
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+  await db.query(
+    `INSERT INTO backup_codes (user_id, code_hash)
+     SELECT $1, unnest($2::char(64)[])`,
+    [userId, codes.map((code) => hashCode(normalizeBackupCode(code)))],
+  );
+  return codes;
+};
+
+/**
+ * Number of unused backup codes a user has left
+ * @param {Object} db - pg pool or client
+ * @param {number} userId - User ID
+ * @returns {number}
+ */
+export const countBackupCodes = async (db, userId) => {
+  const { rows } = await db.query(
+    `SELECT COUNT(*)::int AS remaining FROM backup_codes
+     WHERE user_id = $1 AND used_at IS NULL`,
+    [userId],
+  );
+  return rows[0].remaining;
+};
+
+/**
+ * Finish enrolment and sign out the user's other sessions (token_version is
+ * bumped, as for a password change)
+ * @param {Object} db - pg pool or client
+ * @param {number} userId - User ID
+ * @returns {Object} User row (id, username, role, token_version,
+ *   totp_enabled_at)
+ */
+export const enableTwoFactor = async (db, userId) => {
+  const { rows } = await db.query(
+    `UPDATE users SET
+      totp_enabled_at = CURRENT_TIMESTAMP,
+      token_version = token_version + 1
+    WHERE id = $1
+    RETURNING id, username, role, token_version, totp_enabled_at`,
+    [userId],
+  );
+  return rows[0];
+};
+
+/**
+ * Turn two-factor off and drop the secret and backup codes
+ * @param {Object} db - pg pool or client
+ * @param {number} userId - User ID
+ * @returns {boolean} Whether two-factor had been enabled or started
+ */
+export const disableTwoFactor = async (db, userId) => {
+  await db.query("DELETE FROM backup_codes WHERE user_id = $1", [userId]);
+  const { rowCount } = await db.query(
+    `UPDATE users SET
+      totp_secret = NULL,
+      totp_enabled_at = NULL,
+      totp_last_step = NULL
+    WHERE id = $1 AND totp_secret IS NOT NULL`,
+    [userId],
+  );
+  return rowCount > 0;
+};
@@ -0,0 +1,64 @@
+// Certificate expiry helpers. A certificate expires a fixed time after its
+// training's last day; the time comes from validity_rules per training type.
+// Every function takes `db` (the pool or a transaction client) first.
+
+import { DEFAULT_VALIDITY } from "../config/constants.js";
+
+/**
+ * Recompute expires_on for the certificates matching a condition
+ * @param {Object} db - pg pool or client
+ * @param {string} condition - SQL condition on certificates `c`; its single
+ *   placeholder must be $3
+ * @param {*} value - Value bound to $3
+ * @returns {Array} Updated certificate rows
+ */
+const refreshExpiry = async (db, condition, value) => {
+  const { rows } = await db.query(
+    `UPDATE certificates c
+    SET expires_on = (
+      SELECT (
+        COALESCE(t.end_date, t.start_date)
+        + make_interval(
+          years => COALESCE(r.validity_years, $1),
+          days => COALESCE(r.validity_days, $2)
+        )
+      )::date
+      FROM trainings t
+      LEFT JOIN validity_rules r ON r.training_type = c.training_type
+      WHERE t.id = c.training_id
+    )
+    WHERE ${condition}
+    RETURNING c.*`,
+    [DEFAULT_VALIDITY.years, DEFAULT_VALIDITY.days, value],
+  );
+  return rows;
+};
+
+/**
+ * Recompute one certificate's expiry date
+ * @param {Object} db - pg pool or client
+ * @param {number} certId - Certificate ID
+ * @returns {Object|null} Updated certificate row
+ */
+export const refreshCertificateExpiry = async (db, certId) => {
+  const rows = await refreshExpiry(db, "c.id = $3", certId);
+  return rows[0] || null;
+};
+
+/**
+ * Recompute expiry dates for every certificate of a training
+ * @param {Object} db - pg pool or client
+ * @param {number} trainingId - Training ID
+ * @returns {number} Number of certificates updated
+ */
+export const refreshTrainingExpiry = async (db, trainingId) =>
+  (await refreshExpiry(db, "c.training_id = $3", trainingId)).length;
+
+/**
+ * Recompute expiry dates for every certificate of a training type
+ * @param {Object} db - pg pool or client
+ * @param {string} trainingType - Training type
+ * @returns {number} Number of certificates updated
+ */
+export const refreshTrainingTypeExpiry = async (db, trainingType) =>
+  (await refreshExpiry(db, "c.training_type = $3", trainingType)).length;
@@ -0,0 +1,63 @@
+// Identifiers printed on certificates and ID cards
+// (mirrors frontend/src/certificateCodes.js). Both end in the certificate ID.
+
+const TRAINING_ACRONYMS = {
+  "Basic Life Support Training": "BLS",
+  "Basic Life Support and Standard First Aid Training": "BLS-SFA",
+  "Basic Life Support Training of trainers": "BLS-TOT",
+  "Standard First Aid Training of trainers": "SFA-TOT",
+};
+
+const PARTICIPANT_ACRONYMS = {
+  "Lay Rescuer": "LR",
+  "Healthcare Provider": "HCP",
+};
+
+const CERTIFICATE_CODE_PATTERN = /^DOHCHD-1-[A-Z-]+-\d{4}-(\d+)$/;
+const REGISTRATION_NO_PATTERN = /^BLS(?:HCP|LR)-(?:\d{2}|--)-DOHROI-(\d+)$/;
+
+/**
+ * Year a certificate is filed under: the last day of its training, or the
+ * year it was encoded when the training dates still need review
+ * @param {Object} cert - Certificate with end_date / start_date
+ * @returns {number|null}
+ */
+const getCertificateYear = (cert) => {
+  const completion = cert.end_date || cert.start_date;
+  if (completion) return Number(completion.slice(0, 4));
+  return cert.created_at ? new Date(cert.created_at).getFullYear() : null;
+};
+
+/**
+ * Certificate code, e.g. "DOHCHD-1-BLS-LR-2026-42"
+ * @param {Object} cert - Certificate with training dates
+ * @returns {string}
+ */
+export const getCertificateCode = (cert) => {
+  const training = TRAINING_ACRONYMS[cert.training_type] || "TRNG";
+  const participant = PARTICIPANT_ACRONYMS[cert.participant_type] || "PART";
+  return `DOHCHD-1-${training}-${participant}-${getCertificateYear(cert) ?? ""}-${cert.id}`;
+};
+
+/**
+ * ID card registration number, e.g. "BLSLR-26-DOHROI-42"
+ * @param {Object} cert - Certificate with training dates
+ * @returns {string}
+ */
+export const getRegistrationNumber = (cert) => {
+  const year = getCertificateYear(cert);
+  const shortYear = year ? String(year).slice(-2) : "--";
+  const isHCP = cert.participant_type?.toLowerCase().includes("healthcare");
+  return `${isHCP ? "BLSHCP" : "BLSLR"}-${shortYear}-DOHROI-${cert.id}`;
+};
+
+/**
+ * Extract the certificate ID from either code format
+ * @param {string} code - Normalised (trimmed, upper-case) code
+ * @returns {number|null}
+ */
+export const parseCertificateId = (code) => {
+  const match =
+    CERTIFICATE_CODE_PATTERN.exec(code) || REGISTRATION_NO_PATTERN.exec(code);
+  return match ? parseInt(match[1]) : null;
+};
@@ -0,0 +1,113 @@
+// Date helpers for training schedules. Dates travel as "YYYY-MM-DD" strings.
+
+const MONTH_NAMES = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December",
+];
+
+/**
+ * Check for a valid calendar date in YYYY-MM-DD format
+ * @param {string} value - Date string
+ * @returns {boolean} True if valid
+ */
+export const isIsoDate = (value) => {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+/**
+ * Format a start/end date pair the way certificates print it
+ * e.g. "January 23-25, 2026", "January 30-February 1, 2026"
+ * @param {string} start - Start date (YYYY-MM-DD)
+ * @param {string} [end] - End date (YYYY-MM-DD), defaults to start
+ * @returns {string|null} Human-readable range
+ */
+export const formatDateRange = (start, end = start) => {
+  if (!isIsoDate(start) || !isIsoDate(end)) return null;
+
+  const [sy, sm, sd] = start.split("-").map(Number);
+  const [ey, em, ed] = end.split("-").map(Number);
+  const startMonth = MONTH_NAMES[sm - 1];
+  const endMonth = MONTH_NAMES[em - 1];
+
+  if (start === end) return `${startMonth} ${sd}, ${sy}`;
+  if (sy !== ey) return `${startMonth} ${sd}, ${sy}-${endMonth} ${ed}, ${ey}`;
+  if (sm !== em) return `${startMonth} ${sd}-${endMonth} ${ed}, ${sy}`;
+  return `${startMonth} ${sd}-${ed}, ${sy}`;
+};
+
+// Month names may be abbreviated ("Jan", "Sept") but need three letters
+const parseMonth = (token) => {
+  if (token.length < 3) return null;
+  const index = MONTH_NAMES.findIndex((name) =>
+    name.toUpperCase().startsWith(token),
+  );
+  return index === -1 ? null : index + 1;
+};
+
+const toIsoDate = (year, month, day) => {
+  if (!month) return null;
+  const value = `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+  return isIsoDate(value) ? value : null;
+};
+
+/**
+ * Parse a free-text training date such as "January 23-25, 2026",
+ * "Jan 30 - Feb 1, 2026" or "2026-01-23" into a start/end pair.
+ * Mirrors the parser in migrations/004_structured_training_dates.up.sql.
+ * @param {string} label - Free-text date
+ * @returns {Object|null} { start_date, end_date }, or null if unparseable
+ */
+export const parseDateLabel = (label) => {
+  if (typeof label !== "string") return null;
+
+  const text = label
+    .toUpperCase()
+    .replace(/[.,]/g, " ")
+    .replace(/\s+TO\s+/g, "-")
+    .replace(/\s*[-–—]\s*/g, "-")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  let start = null;
+  let end = null;
+  let match;
+
+  if ((match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/))) {
+    start = end = toIsoDate(match[1], match[2], match[3]);
+  } else if (
+    (match = text.match(/^([A-Z]+) (\d{1,2})(?:-(\d{1,2}))? (\d{4})$/))
+  ) {
+    const month = parseMonth(match[1]);
+    start = toIsoDate(match[4], month, match[2]);
+    end = toIsoDate(match[4], month, match[3] || match[2]);
+  } else if (
+    (match = text.match(/^([A-Z]+) (\d{1,2})-([A-Z]+) (\d{1,2}) (\d{4})$/))
+  ) {
+    start = toIsoDate(match[5], parseMonth(match[1]), match[2]);
+    end = toIsoDate(match[5], parseMonth(match[3]), match[4]);
+  } else if (
+    (match = text.match(
+      /^([A-Z]+) (\d{1,2}) (\d{4})-([A-Z]+) (\d{1,2}) (\d{4})$/,
+    ))
+  ) {
+    start = toIsoDate(match[3], parseMonth(match[1]), match[2]);
+    end = toIsoDate(match[6], parseMonth(match[4]), match[5]);
+  }
+
+  if (!start || !end || end < start) return null;
+  return { start_date: start, end_date: end };
+};
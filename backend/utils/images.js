@@ -0,0 +1,43 @@
+// Image checks for uploads. The type is read from the file's first bytes
+// rather than trusted from the client.
+
+// File signatures of the image types the registry accepts
+const SIGNATURES = {
+  "image/png": [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+  "image/jpeg": [0xff, 0xd8, 0xff],
+};
+
+/**
+ * Image type of a file, from its signature
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} MIME type, or null if not a PNG or JPEG
+ */
+export const detectImageType = (buffer) => {
+  for (const [type, signature] of Object.entries(SIGNATURES)) {
+    if (
+      buffer.length >= signature.length &&
+      signature.every((byte, i) => buffer[i] === byte)
+    ) {
+      return type;
+    }
+  }
+  return null;
+};
+
+/**
+ * Decode a base64 image data URL (as produced by canvas.toDataURL)
+ * @param {string} dataUrl - data:image/...;base64,... string
+ * @returns {Object|null} { contentType, buffer }, or null when the value is
+ *   not a base64 data URL holding a PNG or JPEG
+ */
+export const parseImageDataUrl = (dataUrl) => {
+  if (typeof dataUrl !== "string") return null;
+  const match = /^data:image\/[a-z+.-]+;base64,([A-Za-z0-9+/=]+)$/.exec(
+    dataUrl,
+  );
+  if (!match) return null;
+
+  const buffer = Buffer.from(match[1], "base64");
+  const contentType = detectImageType(buffer);
+  return contentType ? { contentType, buffer } : null;
+};
@@ -0,0 +1,8 @@
+// Helpers for building SQL from user input.
+
+/**
+ * Escape LIKE wildcards in user-supplied search text
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export const escapeLike = (text) => text.replace(/[\\%_]/g, (c) => `\\${c}`);
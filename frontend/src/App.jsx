@@ -9,6 +9,9 @@ import Layout from "./components/Layout";
 import Home from "./pages/Home";
 import Login from "./pages/Login";
 import Register from "./pages/Register";
+import Verify from "./pages/Verify";
+import ResetPassword from "./pages/ResetPassword";
+import TwoFactorSetup from "./pages/TwoFactorSetup";
 import NotFound from "./components/NotFound";
 import api from "./api"; // Use your custom instance
 
@@ -48,7 +51,9 @@ function App() {
         <Route
           path="/"
           element={
-            user ? (
+            user?.two_factor_setup_required ? (
+              <TwoFactorSetup user={user} setUser={setUser} />
+            ) : user ? (
               <Layout
                 isCollapsed={isCollapsed}
                 setIsCollapsed={setIsCollapsed}
@@ -77,6 +82,14 @@ function App() {
           path="/register"
           element={user ? <Navigate to="/" /> : <Register setUser={setUser} />}
         />
+        <Route
+          path="/register/:invite"
+          element={user ? <Navigate to="/" /> : <Register setUser={setUser} />}
+        />
+        {/* Public: reachable with or without a session */}
+        <Route path="/verify" element={<Verify />} />
+        <Route path="/verify/:code" element={<Verify />} />
+        <Route path="/reset-password/:token" element={<ResetPassword />} />
         <Route path="*" element={<NotFound />} />
       </Routes>
     </Router>
@@ -8,11 +8,55 @@ const api = axios.create({
   withCredentials: true,
 });
 
-// Optional: Add an interceptor to help you debug errors in the console
+// Auth routes whose 401s mean bad credentials, not an expired session
+const NO_REFRESH_PATHS = [
+  "/api/auth/login",
+  "/api/auth/refresh",
+  "/api/auth/logout",
+];
+
+// One refresh at a time; requests failing meanwhile wait for the same one
+let refreshing = null;
+
+const refreshSession = () => {
+  refreshing ??= api.post("/api/auth/refresh").finally(() => {
+    refreshing = null;
+  });
+  return refreshing;
+};
+
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    console.error("API Error:", error.response?.data?.message || error.message);
+  async (error) => {
+    const { config, response } = error;
+
+    // The short-lived access token ran out: renew it and retry once
+    if (
+      response?.data?.code === "UNAUTHENTICATED" &&
+      config &&
+      !config._retried &&
+      !NO_REFRESH_PATHS.some((path) => config.url?.startsWith(path))
+    ) {
+      config._retried = true;
+      try {
+        await refreshSession();
+        return api(config);
+      } catch (refreshError) {
+        // Too many refreshes: the session may still be fine, so report the
+        // wait instead of the 401 that reads as being signed out
+        if (refreshError.response?.status === 429) {
+          return Promise.reject(refreshError);
+        }
+        // The session is gone; fall through with the original error
+      }
+    }
+
+    console.error("API Error:", response?.data?.message || error.message);
+    // An admin made two-factor mandatory for this user's role mid-session;
+    // reload so the app shows the enrolment screen
+    if (response?.data?.code === "TWO_FACTOR_SETUP_REQUIRED") {
+      window.location.assign("/");
+    }
     return Promise.reject(error);
   },
 );
@@ -0,0 +1,58 @@
+// Identifiers printed on certificates and ID cards. The verification
+// endpoint (GET /api/verify/:code) and the public /verify page accept both
+// formats.
+
+import { getCertificateYear } from "./dates";
+
+const TRAINING_ACRONYMS = {
+  "Basic Life Support Training": "BLS",
+  "Basic Life Support and Standard First Aid Training": "BLS-SFA",
+  "Basic Life Support Training of trainers": "BLS-TOT",
+  "Standard First Aid Training of trainers": "SFA-TOT",
+};
+
+const PARTICIPANT_ACRONYMS = {
+  "Lay Rescuer": "LR",
+  "Healthcare Provider": "HCP",
+};
+
+export const getTrainingAcronym = (text) => TRAINING_ACRONYMS[text] || "TRNG";
+
+export const getParticipantAcronym = (text) =>
+  PARTICIPANT_ACRONYMS[text] || "PART";
+
+/**
+ * Certificate code, e.g. "DOHCHD-1-BLS-LR-2026-42"
+ * @param {Object} cert - Certificate
+ * @returns {string}
+ */
+export const getCertificateCode = (cert) => {
+  const id = cert?._id || cert?.id || "000000";
+  const year = getCertificateYear(cert) ?? "";
+  return `DOHCHD-1-${getTrainingAcronym(cert?.training_type)}-${getParticipantAcronym(cert?.participant_type)}-${year}-${id}`;
+};
+
+/**
+ * ID card registration number, e.g. "BLSLR-26-DOHROI-42"
+ * @param {Object} cert - Certificate
+ * @returns {string}
+ */
+export const getRegistrationNumber = (cert) => {
+  const id = String(cert?._id || cert?.id || "000");
+  const year = getCertificateYear(cert);
+  const shortYear = year ? String(year).slice(-2) : "--";
+  const isHCP = cert?.participant_type?.toLowerCase().includes("healthcare");
+  return `${isHCP ? "BLSHCP" : "BLSLR"}-${shortYear}-DOHROI-${id}`;
+};
+
+// Public address of the /verify page printed into QR codes. Falls back to
+// wherever the registry is currently open.
+const PUBLIC_URL = import.meta.env.VITE_PUBLIC_URL || window.location.origin;
+
+/**
+ * Link to the public verification page for a code
+ * @param {string} code - Certificate code or registration number
+ * @returns {string}
+ */
+export const getVerificationUrl = (code) =>
+  `${PUBLIC_URL}/verify/${encodeURIComponent(code)}`;
@@ -0,0 +1,339 @@
+import React, { useState, useEffect, useCallback } from "react";
+import api from "../api";
+
+const AUDIT_PATH = "/api/auth/audit";
+
+const ENTITY_TYPES = [
+  { value: "", label: "ALL RECORDS" },
+  { value: "certificate", label: "Certificates" },
+  { value: "training", label: "Trainings" },
+  { value: "settings", label: "Settings" },
+  { value: "user", label: "Users" },
+  { value: "validity_rule", label: "Validity Rules" },
+  { value: "invitation", label: "Invitations" },
+  { value: "signatory_period", label: "Signatory Periods" },
+];
+
+const ACTIONS = [
+  { value: "", label: "ALL ACTIONS" },
+  { value: "create", label: "Create" },
+  { value: "update", label: "Update" },
+  { value: "delete", label: "Delete" },
+  { value: "revoke", label: "Revoke" },
+  { value: "reinstate", label: "Reinstate" },
+  { value: "renew", label: "Renew" },
+  { value: "restore", label: "Restore" },
+  { value: "recover", label: "Recover" },
+  { value: "purge", label: "Purge" },
+  { value: "register", label: "Register" },
+  { value: "role_change", label: "Role Change" },
+  { value: "password_change", label: "Password Change" },
+  { value: "reset_request", label: "Reset Request" },
+  { value: "password_reset", label: "Password Reset" },
+  { value: "lockout", label: "Lockout" },
+  { value: "two_factor_enable", label: "2FA Enabled" },
+  { value: "two_factor_disable", label: "2FA Disabled" },
+  { value: "sessions_revoke", label: "Sessions Revoked" },
+  { value: "account_disable", label: "Account Disabled" },
+  { value: "account_enable", label: "Account Enabled" },
+];
+
+const ACTION_STYLES = {
+  create: "bg-emerald-50 text-emerald-700",
+  register: "bg-emerald-50 text-emerald-700",
+  renew: "bg-emerald-50 text-emerald-700",
+  delete: "bg-red-50 text-red-600",
+  revoke: "bg-red-50 text-red-600",
+  purge: "bg-red-50 text-red-600",
+  lockout: "bg-red-50 text-red-600",
+  account_disable: "bg-red-50 text-red-600",
+};
+
+const INITIAL_FILTERS = {
+  entity_type: "",
+  action: "",
+  actor: "",
+  date_from: "",
+  date_to: "",
+};
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Bookkeeping columns left out of the change list
+const IGNORED_FIELDS = ["updated_at"];
+
+/**
+ * Fields whose value differs between the before and after snapshots
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {Array<{field: string, before: *, after: *}>}
+ */
+const getChanges = (before, after) => {
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+  return [...fields]
+    .filter((field) => !IGNORED_FIELDS.includes(field))
+    .map((field) => ({
+      field,
+      before: before?.[field] ?? null,
+      after: after?.[field] ?? null,
+    }))
+    .filter(
+      (change) =>
+        JSON.stringify(change.before) !== JSON.stringify(change.after),
+    );
+};
+
+const formatValue = (value) => {
+  if (value === null || value === "") return "—";
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * ActivityLog - the audit trail: who created, changed or deleted what,
+ * with the values before and after each change (admin only)
+ */
+const ActivityLog = () => {
+  const [filters, setFilters] = useState(INITIAL_FILTERS);
+  const [entries, setEntries] = useState([]);
+  const [totals, setTotals] = useState({ total: 0, totalPages: 1 });
+  const [page, setPage] = useState(1);
+  const [expandedId, setExpandedId] = useState(null);
+  const [actorInput, setActorInput] = useState("");
+
+  const fetchEntries = useCallback(async () => {
+    try {
+      const params = Object.fromEntries(
+        Object.entries(filters).filter(([, value]) => value),
+      );
+      const res = await api.get(AUDIT_PATH, { params: { ...params, page } });
+      setEntries(res.data.data);
+      setTotals(res.data.pagination);
+    } catch (err) {
+      console.error("Error fetching audit log:", err);
+    }
+  }, [filters, page]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  // Debounce the username box so typing doesn't fire a request per keystroke
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setFilters((prev) =>
+        prev.actor === actorInput ? prev : { ...prev, actor: actorInput },
+      );
+      setPage(1);
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [actorInput]);
+
+  const handleFilterChange = (field, value) => {
+    setFilters((prev) => ({ ...prev, [field]: value }));
+    setPage(1);
+  };
+
+  const selectClass =
+    "h-9 px-3 bg-[#F8FAFC] border-2 border-slate-200 focus:border-[#006666] outline-none text-[11px] font-bold text-[#1A365D] uppercase rounded";
+
+  return (
+    <div className="flex-1 min-w-0 h-full flex flex-col overflow-hidden bg-[#F0F4F8] font-sans">
+      {/* HEADER */}
+      <div className="h-[12%] min-h-[85px] max-h-[110px] shrink-0 flex items-center justify-between px-10 bg-white border-b-4 border-[#006666] shadow-md z-10">
+        <div className="flex flex-col">
+          <h1 className="text-[18px] font-bold text-[#1A365D] tracking-tight uppercase leading-none">
+            Activity Log
+          </h1>
+          <span className="text-[10px] font-bold text-[#006666] uppercase tracking-widest mt-1">
+            Every change to the registry, newest first
+          </span>
+        </div>
+        <input
+          className="w-full max-w-sm ml-10 bg-[#F8FAFC] border-2 border-slate-200 px-5 py-2 text-[13px] font-semibold text-slate-700 rounded-full focus:border-[#006666] outline-none transition-all placeholder:text-slate-400"
+          placeholder="Filter by username..."
+          value={actorInput}
+          onChange={(e) => setActorInput(e.target.value)}
+        />
+      </div>
+
+      {/* FILTER BAR */}
+      <div className="shrink-0 flex flex-wrap items-center gap-3 px-10 py-3 bg-white border-b border-slate-200">
+        <select
+          className={selectClass}
+          value={filters.entity_type}
+          onChange={(e) => handleFilterChange("entity_type", e.target.value)}
+        >
+          {ENTITY_TYPES.map((t) => (
+            <option key={t.value} value={t.value}>
+              {t.label}
+            </option>
+          ))}
+        </select>
+        <select
+          className={selectClass}
+          value={filters.action}
+          onChange={(e) => handleFilterChange("action", e.target.value)}
+        >
+          {ACTIONS.map((a) => (
+            <option key={a.value} value={a.value}>
+              {a.label}
+            </option>
+          ))}
+        </select>
+        <label className="flex items-center gap-2 text-[9px] font-black text-slate-400 uppercase tracking-widest">
+          From
+          <input
+            type="date"
+            className={selectClass}
+            value={filters.date_from}
+            onChange={(e) => handleFilterChange("date_from", e.target.value)}
+          />
+        </label>
+        <label className="flex items-center gap-2 text-[9px] font-black text-slate-400 uppercase tracking-widest">
+          To
+          <input
+            type="date"
+            className={selectClass}
+            value={filters.date_to}
+            min={filters.date_from || undefined}
+            onChange={(e) => handleFilterChange("date_to", e.target.value)}
+          />
+        </label>
+        <span className="ml-auto text-[10px] font-black text-slate-400 uppercase tracking-widest">
+          {totals.total} entr{totals.total === 1 ? "y" : "ies"}
+        </span>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-6 space-y-6">
+        <div className="bg-white rounded-xl shadow-sm border border-slate-200 overflow-hidden">
+          <div className="flex h-11 items-center px-8 bg-[#EDF2F7] border-b border-slate-200 text-[10px] font-black text-slate-500 uppercase">
+            <div className="w-44">When</div>
+            <div className="w-36 px-4">User</div>
+            <div className="w-32 px-4">Action</div>
+            <div className="flex-1 px-4">Record</div>
+            <div className="w-24 text-right">Changes</div>
+          </div>
+          {entries.length > 0 ? (
+            entries.map((entry) => {
+              const changes = getChanges(entry.before_data, entry.after_data);
+              const isExpanded = expandedId === entry.id;
+              return (
+                <div
+                  key={entry.id}
+                  className="border-b border-slate-100 last:border-0"
+                >
+                  <button
+                    type="button"
+                    onClick={() => setExpandedId(isExpanded ? null : entry.id)}
+                    className="w-full flex items-center px-8 py-3 text-left hover:bg-teal-50/30"
+                  >
+                    <div className="w-44 text-[11px] font-semibold text-slate-500">
+                      {new Date(entry.created_at).toLocaleString()}
+                    </div>
+                    <div className="w-36 px-4 text-[12px] font-bold text-[#1A365D] truncate">
+                      {entry.actor_username || "system"}
+                    </div>
+                    <div className="w-32 px-4">
+                      <span
+                        className={`px-2 py-0.5 rounded text-[9px] font-black uppercase tracking-wider ${ACTION_STYLES[entry.action] || "bg-slate-100 text-slate-600"}`}
+                      >
+                        {entry.action.replace("_", " ")}
+                      </span>
+                    </div>
+                    <div className="flex-1 px-4 min-w-0 text-[11px] font-bold text-[#1A365D] uppercase truncate">
+                      {entry.entity_type.replace("_", " ")}
+                      {entry.entity_id && (
+                        <span className="text-slate-400">
+                          {" "}
+                          #{entry.entity_id}
+                        </span>
+                      )}
+                      {(entry.after_data || entry.before_data)
+                        ?.participant_name && (
+                        <span className="ml-2 text-slate-500">
+                          {
+                            (entry.after_data || entry.before_data)
+                              .participant_name
+                          }
+                        </span>
+                      )}
+                    </div>
+                    <div className="w-24 text-right text-[10px] font-black text-[#006666] uppercase">
+                      {changes.length} field{changes.length === 1 ? "" : "s"}
+                    </div>
+                  </button>
+
+                  {isExpanded && (
+                    <div className="px-8 pb-4">
+                      {changes.length > 0 ? (
+                        <table className="w-full text-[11px] border border-slate-100">
+                          <thead className="bg-slate-50 text-[9px] font-black text-slate-400 uppercase tracking-widest">
+                            <tr>
+                              <th className="px-3 py-2 text-left w-1/5">
+                                Field
+                              </th>
+                              <th className="px-3 py-2 text-left">Before</th>
+                              <th className="px-3 py-2 text-left">After</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {changes.map((change) => (
+                              <tr
+                                key={change.field}
+                                className="border-t border-slate-100 align-top"
+                              >
+                                <td className="px-3 py-1.5 font-bold text-slate-500">
+                                  {change.field}
+                                </td>
+                                <td className="px-3 py-1.5 text-red-600 break-all">
+                                  {formatValue(change.before)}
+                                </td>
+                                <td className="px-3 py-1.5 text-emerald-700 break-all">
+                                  {formatValue(change.after)}
+                                </td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      ) : (
+                        <p className="text-[10px] font-bold text-slate-400 uppercase">
+                          No field values changed
+                        </p>
+                      )}
+                    </div>
+                  )}
+                </div>
+              );
+            })
+          ) : (
+            <div className="py-16 text-center text-[11px] font-bold text-slate-400 uppercase">
+              No activity matches these filters
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-2">
+          <button
+            onClick={() => setPage((p) => Math.max(p - 1, 1))}
+            className="h-10 px-6 rounded-md border border-slate-300 bg-white text-[11px] font-bold text-slate-600 hover:bg-slate-50 transition-all disabled:opacity-30"
+            disabled={page === 1}
+          >
+            Previous
+          </button>
+          <button
+            onClick={() => setPage((p) => Math.min(p + 1, totals.totalPages))}
+            className="h-10 px-8 bg-[#006666] text-white text-[11px] font-bold rounded-md hover:bg-[#004D4D] transition-all shadow-md disabled:opacity-30"
+            disabled={page >= totals.totalPages}
+          >
+            Next
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ActivityLog;
@@ -1,6 +1,7 @@
 import React from "react";
 import { Document, Page, Text, View, StyleSheet } from "@react-pdf/renderer";
 import { CertificatePage } from "./CertificatePage";
+import { getSigners } from "../signers";
 
 /**
  * Styles for the error/empty state page
@@ -62,6 +63,7 @@ const isValidCertificate = (cert) => {
  * Features:
  * - Validates certificate data before rendering
  * - Filters out invalid certificates with console warnings
+ * - Leaves out revoked certificates
  * - Provides metadata for the PDF document
  * - Renders empty state when no valid certificates exist
  * - Memoizes validation for performance
@@ -71,7 +73,7 @@ const isValidCertificate = (cert) => {
  *   - _id or id: Unique identifier
  *   - participant_name: Participant's name
  *   - Other fields depend on CertificatePage requirements
- * @param {Object} [props.settings={}] - Optional settings object passed to each certificate page
+ * @param {Object} [props.settings={}] - System settings; the officers chosen for certificates sign each page
  * @param {string} [props.documentTitle] - Custom document title (default: auto-generated)
  * @param {boolean} [props.showPageNumbers=false] - Whether to pass page numbers to certificates
  *
@@ -111,9 +113,12 @@ export const BatchCertPDF = ({
     // Filter and validate
     const valid = [];
     let invalid = 0;
+    let revoked = 0;
 
     certs.forEach((cert, index) => {
-      if (isValidCertificate(cert)) {
+      if (cert?.revoked_at) {
+        revoked++;
+      } else if (isValidCertificate(cert)) {
         valid.push(cert);
       } else {
         invalid++;
@@ -125,6 +130,10 @@ export const BatchCertPDF = ({
       }
     });
 
+    if (revoked > 0) {
+      console.info(`BatchCertPDF: Skipped ${revoked} revoked certificate(s)`);
+    }
+
     if (invalid > 0) {
       console.warn(
         `BatchCertPDF: Filtered out ${invalid} invalid certificate(s). ` +
@@ -170,7 +179,9 @@ export const BatchCertPDF = ({
     const message =
       invalidCount > 0
         ? `All ${invalidCount} certificate(s) were invalid and could not be rendered. Please check your data.`
-        : "No certificates were provided to generate.";
+        : Array.isArray(certs) && certs.length > 0
+          ? "Every certificate in this batch has been revoked."
+          : "No certificates were provided to generate.";
 
     return (
       <Document {...metadata}>
@@ -189,7 +200,7 @@ export const BatchCertPDF = ({
         // Prepare props for CertificatePage
         const pageProps = {
           cert,
-          settings,
+          signers: getSigners(settings, "certificate"),
         };
 
         // Optionally add page numbers
@@ -198,14 +209,7 @@ export const BatchCertPDF = ({
           pageProps.totalPages = validCerts.length;
         }
 
-        return (
-          <CertificatePage
-            key={key}
-            signerName={settings?.off3_name}
-            signerPosition={settings?.off3_pos}
-            {...pageProps}
-          />
-        );
+        return <CertificatePage key={key} {...pageProps} />;
       })}
     </Document>
   );
@@ -7,6 +7,12 @@ import {
   StyleSheet,
   Image,
 } from "@react-pdf/renderer";
+import { formatLongDate, getCompletionDate } from "../dates";
+import { getRegistrationNumber } from "../certificateCodes";
+import { loadImage } from "../files";
+import { getPhotoUrl } from "../photos";
+import { getSigners } from "../signers";
+import VerificationQR from "./VerificationQR";
 
 // ============================================================================
 // STYLES
@@ -56,6 +62,7 @@ const styles = StyleSheet.create({
     justifyContent: "center",
     alignItems: "center",
   },
+  photo: { width: "100%", height: "100%", objectFit: "cover" },
   regNumFront: {
     fontSize: 8.5,
     fontWeight: "bold",
@@ -119,6 +126,7 @@ const styles = StyleSheet.create({
     textAlign: "left",
   },
   backRegBold: { fontWeight: "bold" },
+  backQr: { marginLeft: 4 },
   signatureArea: {
     marginTop: 1,
     marginLeft: 52,
@@ -173,58 +181,24 @@ const styles = StyleSheet.create({
 // ============================================================================
 
 /**
- * Process training date to extract registration and renewal dates
- * @param {string} dateStr - Training date string
- * @returns {Object} Object containing registered, renewal, and shortYear
+ * Registration date (end of training) and renewal date (stored expiry)
+ * @param {Object} person - Certificate with start_date / end_date / expires_on
+ * @returns {Object} Object containing registered and renewal
  */
-const processDates = (dateStr) => {
-  if (!dateStr) {
-    console.warn("BatchIDPDF: Missing training_date");
-    return { registered: "N/A", renewal: "N/A", shortYear: "26" };
-  }
-
-  try {
-    // Extract the end date if range exists
-    let target = dateStr.includes("-") ? dateStr.split("-")[1].trim() : dateStr;
-
-    // Add month name if missing
-    if (!target.match(/[a-zA-Z]/)) {
-      const monthMatch = dateStr.match(/^[a-zA-Z]+/);
-      const month = monthMatch ? monthMatch[0] : "";
-      target = `${month} ${target}`;
-    }
-
-    const dateObj = new Date(target);
-
-    // Validate date
-    if (isNaN(dateObj.getTime())) {
-      console.warn(`BatchIDPDF: Invalid date format: ${dateStr}`);
-      return { registered: "N/A", renewal: "N/A", shortYear: "26" };
-    }
-
-    const registered = dateObj.toLocaleDateString("en-US", {
-      month: "long",
-      day: "numeric",
-      year: "numeric",
-    });
-
-    // Calculate renewal (2 years + 2 days)
-    dateObj.setFullYear(dateObj.getFullYear() + 2);
-    dateObj.setDate(dateObj.getDate() + 2);
-
-    const renewal = dateObj.toLocaleDateString("en-US", {
-      month: "long",
-      day: "numeric",
-      year: "numeric",
-    });
+const processDates = (person) => {
+  const completion = getCompletionDate(person);
 
-    const shortYear = registered.match(/\d{4}/)?.[0].slice(-2) || "26";
-
-    return { registered, renewal, shortYear };
-  } catch (err) {
-    console.error("BatchIDPDF: Error processing date", err);
-    return { registered: "N/A", renewal: "N/A", shortYear: "26" };
+  if (!completion) {
+    console.warn(
+      `BatchIDPDF: Training dates need review for ${person.participant_name}`,
+    );
+    return { registered: "N/A", renewal: "N/A" };
   }
+
+  return {
+    registered: formatLongDate(completion),
+    renewal: formatLongDate(person.expires_on) || "N/A",
+  };
 };
 
 /**
@@ -241,33 +215,6 @@ const getFontSize = (name) => {
   return 11;
 };
 
-/**
- * Validate signature image data
- * @param {string} sig - Base64 signature data
- * @returns {boolean} True if valid signature
- */
-const isValidSignature = (sig) => {
-  return (
-    sig &&
-    typeof sig === "string" &&
-    sig.startsWith("data:image/png;base64") &&
-    sig.length > 1000
-  );
-};
-
-/**
- * Generate registration number based on participant type
- * @param {Object} person - Participant data
- * @param {string} shortYear - Two-digit year
- * @returns {string} Registration number
- */
-const generateRegNo = (person, shortYear) => {
-  const participantId = String(person._id || person.id || "000");
-  const isHCP = person.participant_type?.toLowerCase().includes("healthcare");
-  const prefix = isHCP ? "BLSHCP" : "BLSLR";
-  return `${prefix}-${shortYear}-DOHROI-${participantId}`;
-};
-
 /**
  * Validate participant data
  * @param {Object} person - Participant data
@@ -309,13 +256,15 @@ const validateParticipant = (person) => {
  *
  * @param {Object} props
  * @param {Array} props.certs - Array of participant/certificate objects
- * @param {Object} props.settings - Settings object containing signatory information
+ * @param {Object} props.settings - System settings; the officers chosen for ID cards sign the back
  * @returns {Document} React-PDF Document component
  */
 export const BatchIDPDF = ({ certs = [], settings = {} }) => {
-  // 1. Filter and Validate
+  // 1. Filter and Validate (revoked certificates get no ID card)
   const validCerts = React.useMemo(() => {
-    return certs.filter((cert) => validateParticipant(cert).isValid);
+    return certs.filter(
+      (cert) => !cert?.revoked_at && validateParticipant(cert).isValid,
+    );
   }, [certs]);
 
   // 2. Helper to split array into chunks of 8
@@ -330,6 +279,7 @@ export const BatchIDPDF = ({ certs = [], settings = {} }) => {
   if (validCerts.length === 0) return null;
 
   const participantChunks = chunkArray(validCerts, 8);
+  const signers = getSigners(settings, "id_card");
 
   return (
     <Document title="Batch ID Cards" author="DOH-HEMS">
@@ -337,8 +287,7 @@ export const BatchIDPDF = ({ certs = [], settings = {} }) => {
       {participantChunks.map((chunk, pageIndex) => (
         <Page key={`front-page-${pageIndex}`} size="A4" style={styles.page}>
           {chunk.map((person, index) => {
-            const { shortYear } = processDates(person.training_date);
-            const regNo = generateRegNo(person, shortYear);
+            const regNo = getRegistrationNumber(person);
             return (
               <View
                 key={`front-${person._id || index}`}
@@ -361,7 +310,14 @@ export const BatchIDPDF = ({ certs = [], settings = {} }) => {
                 <View style={styles.body}>
                   <View style={styles.photoSection}>
                     <View style={styles.photoBox}>
-                      <Text style={{ fontSize: 8 }}>PICTURE</Text>
+                      {person.photo_updated_at ? (
+                        <Image
+                          src={() => loadImage(getPhotoUrl(person))}
+                          style={styles.photo}
+                        />
+                      ) : (
+                        <Text style={{ fontSize: 8 }}>PICTURE</Text>
+                      )}
                     </View>
                     <Text style={styles.regNumFront}>{regNo}</Text>
                   </View>
@@ -396,10 +352,8 @@ export const BatchIDPDF = ({ certs = [], settings = {} }) => {
       {participantChunks.map((chunk, pageIndex) => (
         <Page key={`back-page-${pageIndex}`} size="A4" style={styles.page}>
           {chunk.map((person, index) => {
-            const { registered, renewal, shortYear } = processDates(
-              person.training_date,
-            );
-            const regNo = generateRegNo(person, shortYear);
+            const { registered, renewal } = processDates(person);
+            const regNo = getRegistrationNumber(person);
             return (
               <View
                 key={`back-${person._id || index}`}
@@ -420,6 +374,11 @@ export const BatchIDPDF = ({ certs = [], settings = {} }) => {
                       Date Renewal: {renewal}
                     </Text>
                   </View>
+                  <VerificationQR
+                    code={regNo}
+                    size={42}
+                    style={styles.backQr}
+                  />
                 </View>
                 <View style={styles.signatureArea}>
                   <View style={styles.signatureLine} />
@@ -428,27 +387,27 @@ export const BatchIDPDF = ({ certs = [], settings = {} }) => {
                   </Text>
                 </View>
                 <View style={styles.officialsContainer}>
-                  {/* Signature Overlay logic here ... */}
-                  <View style={styles.officialBlock}>
-                    {isValidSignature(settings?.off1_sig) && (
-                      <View style={styles.sigImageWrapper}>
-                        <Image
-                          src={settings.off1_sig}
-                          style={styles.sigImage}
-                        />
-                      </View>
-                    )}
-                    <Text style={styles.offName}>{settings?.off1_name}</Text>
-                    <Text style={styles.offTitle}>{settings?.off1_pos}</Text>
-                  </View>
-                  <View style={styles.officialBlock}>
-                    <Text style={styles.offName}>{settings?.off2_name}</Text>
-                    <Text style={styles.offTitle}>{settings?.off2_pos}</Text>
-                  </View>
-                  <View style={[styles.officialBlock, { marginBottom: 0 }]}>
-                    <Text style={styles.offName}>{settings?.off3_name}</Text>
-                    <Text style={styles.offTitle}>{settings?.off3_pos}</Text>
-                  </View>
+                  {signers.map((signer, i) => (
+                    <View
+                      key={signer.number}
+                      style={[
+                        styles.officialBlock,
+                        i === signers.length - 1 ? { marginBottom: 0 } : {},
+                      ]}
+                    >
+                      {/* Signature image overlays the name */}
+                      {signer.signature && (
+                        <View style={styles.sigImageWrapper}>
+                          <Image
+                            src={() => loadImage(signer.signature)}
+                            style={styles.sigImage}
+                          />
+                        </View>
+                      )}
+                      <Text style={styles.offName}>{signer.name}</Text>
+                      <Text style={styles.offTitle}>{signer.position}</Text>
+                    </View>
+                  ))}
                 </View>
               </View>
             );
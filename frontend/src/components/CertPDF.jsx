@@ -1,6 +1,7 @@
 import React from "react";
 import { Document, Page, Text, View, StyleSheet } from "@react-pdf/renderer";
 import { CertificatePage } from "./CertificatePage";
+import { getSigners } from "../signers";
 
 /**
  * Styles for error/empty state page
@@ -130,8 +131,8 @@ const validateCertificateData = (data) => {
   if (!data.training_type) {
     warnings.push("training_type");
   }
-  if (!data.training_date) {
-    warnings.push("training_date");
+  if (!data.start_date) {
+    warnings.push("start_date");
   }
   if (!data.venue) {
     warnings.push("venue");
@@ -176,7 +177,8 @@ const validateCertificateData = (data) => {
  *
  * Recommended Optional Fields:
  * - training_type: Type of training completed
- * - training_date: Date(s) of the training
+ * - start_date / end_date: Training dates (YYYY-MM-DD)
+ * - training_date: Printed date label, used when the dates need review
  * - venue: Location where training took place
  * - facility: Organization or facility name
  * - position: Participant's job position
@@ -185,7 +187,7 @@ const validateCertificateData = (data) => {
  *
  * @param {Object} props
  * @param {Object} props.data - Certificate data object (see required fields above)
- * @param {Object} [props.settings] - Optional settings object passed to CertificatePage
+ * @param {Object} [props.settings] - System settings; the officers chosen for certificates sign it
  * @param {string} [props.documentTitle] - Optional custom document title (auto-generated from participant name if not provided)
  * @param {boolean} [props.showWarnings=true] - Whether to log warnings for missing optional fields
  *
@@ -198,7 +200,8 @@ const validateCertificateData = (data) => {
  *     _id: '12345',
  *     participant_name: 'John Doe',
  *     training_type: 'Basic Life Support',
- *     training_date: 'January 15-17, 2026',
+ *     start_date: '2026-01-15',
+ *     end_date: '2026-01-17',
  *     venue: 'Training Center',
  *     facility: 'City Hospital'
  *   }}
@@ -289,9 +292,7 @@ export const CertPDF = ({
     <Document {...metadata}>
       <CertificatePage
         cert={data}
-        settings={settings || {}}
-        signerName={settings?.off3_name}
-        signerPosition={settings?.off3_pos}
+        signers={getSigners(settings, "certificate")}
       />
     </Document>
   );
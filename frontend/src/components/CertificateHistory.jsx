@@ -0,0 +1,174 @@
+import React, { useState, useEffect, useCallback } from "react";
+import toast from "react-hot-toast";
+import api from "../api";
+
+const CERT_PATH = "/api/auth/certificates";
+
+// Versioned fields shown in the diff, labelled as in the edit form
+const FIELD_LABELS = {
+  participant_name: "Subject Identity",
+  training_type: "Training Protocol",
+  training_date: "Inclusive Dates",
+  venue: "Venue",
+  facility: "Health Facility",
+  position: "Designation",
+  participant_type: "Classification",
+  age: "Subject Age",
+};
+
+/**
+ * Fields that differ between two versions
+ * @param {Object} previous - Earlier version's data
+ * @param {Object} current - Later version's data
+ * @returns {Array<{field: string, before: *, after: *}>}
+ */
+const getChanges = (previous, current) =>
+  Object.keys(FIELD_LABELS)
+    .filter((field) => (previous[field] ?? null) !== (current[field] ?? null))
+    .map((field) => ({
+      field,
+      before: previous[field],
+      after: current[field],
+    }));
+
+const formatValue = (value) =>
+  value === null || value === undefined || value === "" ? "—" : String(value);
+
+/**
+ * CertificateHistory - every stored version of a certificate with what
+ * each edit changed, and a restore button for earlier versions. A restore
+ * becomes a new version, so it can be undone the same way.
+ */
+const CertificateHistory = ({ certId, canRestore, onRestored }) => {
+  const [versions, setVersions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [restoringNo, setRestoringNo] = useState(null);
+
+  const fetchVersions = useCallback(async () => {
+    try {
+      const res = await api.get(`${CERT_PATH}/${certId}/versions`);
+      setVersions(res.data);
+    } catch (err) {
+      console.error("Error fetching certificate versions:", err);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [certId]);
+
+  useEffect(() => {
+    fetchVersions();
+  }, [fetchVersions]);
+
+  const handleRestore = async (versionNo) => {
+    if (!window.confirm(`Restore this record to version ${versionNo}?`)) {
+      return;
+    }
+    setRestoringNo(versionNo);
+    try {
+      const res = await api.post(
+        `${CERT_PATH}/${certId}/versions/${versionNo}/restore`,
+      );
+      toast.success(`Restored version ${versionNo}`);
+      onRestored(res.data);
+      fetchVersions();
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to restore version");
+    } finally {
+      setRestoringNo(null);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <p className="py-10 text-center text-[10px] font-bold text-slate-400 uppercase">
+        Loading history...
+      </p>
+    );
+  }
+
+  if (versions.length === 0) {
+    return (
+      <p className="py-10 text-center text-[10px] font-bold text-slate-400 uppercase">
+        This record has not been edited yet
+      </p>
+    );
+  }
+
+  return (
+    <div className="max-h-[60vh] overflow-y-auto divide-y divide-slate-100 border border-slate-100">
+      {versions.map((version, index) => {
+        const previous = versions[index + 1];
+        const changes = previous ? getChanges(previous.data, version.data) : [];
+        const isCurrent = index === 0;
+
+        return (
+          <div key={version.id} className="px-4 py-3">
+            <div className="flex items-center justify-between gap-4">
+              <div className="flex flex-col">
+                <span className="text-[11px] font-black text-[#1A365D] uppercase">
+                  Version {version.version_no}
+                  {isCurrent && (
+                    <span className="ml-2 px-1.5 py-0.5 bg-teal-50 text-[#006666] text-[8px] tracking-widest rounded">
+                      Current
+                    </span>
+                  )}
+                </span>
+                <span className="text-[9px] font-bold text-slate-400 uppercase tracking-widest">
+                  {new Date(version.created_at).toLocaleString()}
+                  {version.created_by_username
+                    ? ` // ${version.created_by_username}`
+                    : ""}
+                  {version.restored_from &&
+                    ` // Restored from v${version.restored_from}`}
+                </span>
+              </div>
+              {canRestore && !isCurrent && (
+                <button
+                  type="button"
+                  onClick={() => handleRestore(version.version_no)}
+                  disabled={restoringNo !== null}
+                  className="px-3 py-1.5 border border-[#006666] text-[#006666] text-[9px] font-black uppercase tracking-widest rounded hover:bg-teal-50 disabled:opacity-50"
+                >
+                  {restoringNo === version.version_no
+                    ? "Restoring..."
+                    : "Restore"}
+                </button>
+              )}
+            </div>
+
+            {previous && changes.length === 0 && (
+              <p className="mt-1 text-[9px] font-bold text-slate-400 uppercase tracking-widest">
+                Linked to a different training batch
+              </p>
+            )}
+            {previous ? (
+              <table className="mt-2 w-full text-[11px]">
+                <tbody>
+                  {changes.map((change) => (
+                    <tr key={change.field} className="align-top">
+                      <td className="py-0.5 pr-3 w-1/4 text-[9px] font-black text-slate-400 uppercase tracking-widest">
+                        {FIELD_LABELS[change.field]}
+                      </td>
+                      <td className="py-0.5 pr-3 font-bold text-red-600 line-through break-all">
+                        {formatValue(change.before)}
+                      </td>
+                      <td className="py-0.5 font-bold text-emerald-700 break-all">
+                        {formatValue(change.after)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : (
+              <p className="mt-1 text-[9px] font-bold text-slate-400 uppercase tracking-widest">
+                Record before its first tracked edit
+              </p>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default CertificateHistory;
@@ -1,5 +1,9 @@
 import React from "react";
 import { Page, Text, View, StyleSheet, Image } from "@react-pdf/renderer";
+import { formatDateRange, parseIsoDate, getCompletionDate } from "../dates";
+import { getCertificateCode } from "../certificateCodes";
+import VerificationQR from "./VerificationQR";
+import { loadImage } from "../files";
 
 // ============================================================================
 // STYLES
@@ -54,6 +58,14 @@ const styles = StyleSheet.create({
     alignItems: "center",
     justifyContent: "center",
     paddingHorizontal: 10,
+    gap: 30,
+  },
+  signatoryBlock: { width: "100%", alignItems: "center" },
+  signatureImage: {
+    width: 130,
+    height: 50,
+    objectFit: "contain",
+    marginBottom: -8,
   },
   signatoryName: {
     fontSize: 13, // Slightly reduced to accommodate long names on one line
@@ -112,6 +124,13 @@ const styles = StyleSheet.create({
     fontSize: 9,
     fontWeight: "bold",
   },
+  verifyBlock: {
+    position: "absolute",
+    bottom: 15,
+    right: 20,
+    alignItems: "center",
+  },
+  verifyText: { fontSize: 6, marginTop: 1 },
 });
 
 // ============================================================================
@@ -137,71 +156,37 @@ const toTitleCase = (str) => {
   );
 };
 
-const getTrainingAcronym = (text) => {
-  const mapping = {
-    "Basic Life Support Training": "BLS",
-    "Basic Life Support and Standard First Aid Training": "BLS-SFA",
-    "Basic Life Support Training of trainers": "BLS-TOT",
-    "Standard First Aid Training of trainers": "SFA-TOT",
-  };
-  return mapping[text] || "TRNG";
-};
-
-const getParticipantAcronym = (text) => {
-  const mapping = { "Lay Rescuer": "LR", "Healthcare Provider": "HCP" };
-  return mapping[text] || "PART";
-};
-
 const getOrdinal = (n) => {
   const s = ["th", "st", "nd", "rd"],
     v = n % 100;
   return n + (s[(v - 20) % 10] || s[v] || s[0]);
 };
 
-const parseFinalDateComponents = (dateString) => {
-  if (!dateString) return { year: "2026", month: "", day: 1 };
-
-  // 1. Extract the year
-  const yearMatch = dateString.match(/\d{4}/);
-  const year = yearMatch ? yearMatch[0] : "2026";
-
-  // 2. Extract the month
-  const monthMatch = dateString.match(
-    /(January|February|March|April|May|June|July|August|September|October|November|December)/gi,
-  );
-  const month = monthMatch
-    ? toTitleCase(monthMatch[monthMatch.length - 1])
-    : "";
-
-  // 3. Extract the last day in the string
-  // This looks for all numbers and picks the last one that isn't the year
-  const allNums = dateString.match(/\d+/g) || [];
-  const days = allNums
-    .map(Number)
-    .filter((n) => n > 0 && n <= 31 && n !== parseInt(year));
-
-  // We take the LAST number in the sequence (e.g., in "14-18", it takes 18)
-  const day = days.length > 0 ? days[days.length - 1] : 1;
-
-  return { year, month, day };
-};
-
 // ============================================================================
 // MAIN COMPONENT
 // ============================================================================
 
-export const CertificatePage = ({ cert, signerName, signerPosition }) => {
-  const dateString = cert?.training_date_range || cert?.training_date || "";
+/**
+ * One landscape certificate page
+ * @param {Object} props
+ * @param {Object} props.cert - Certificate
+ * @param {Array} props.signers - Officers signing it, top to bottom (see
+ *   getSigners in signers.js)
+ */
+export const CertificatePage = ({ cert, signers = [] }) => {
+  const dateString = cert?.training_date || "";
   const participantName = cert?.participant_name || "PARTICIPANT NAME";
   const trainingType = cert?.training_type || "Training Program";
   const venue = cert?.venue || "Training Venue";
   const facility = cert?.facility || "Training Facility";
-  const participantType = cert?.participant_type || "Lay Rescuer";
-  const certificateId = cert?._id || cert?.id || "000000";
 
-  const formattedDateRange = toTitleCase(dateString);
-  const { year, month, day } = parseFinalDateComponents(dateString);
-  const certificateCode = `DOHCHD-1-${getTrainingAcronym(trainingType)}-${getParticipantAcronym(participantType)}-${year}-${certificateId}`;
+  // Structured dates drive the text; legacy certificates whose dates still
+  // need review fall back to the stored label
+  const formattedDateRange =
+    formatDateRange(cert?.start_date, cert?.end_date) ||
+    toTitleCase(dateString);
+  const completion = parseIsoDate(getCompletionDate(cert));
+  const certificateCode = getCertificateCode(cert);
 
   return (
     <Page size="A4" orientation="landscape" style={styles.page}>
@@ -256,14 +241,20 @@ export const CertificatePage = ({ cert, signerName, signerPosition }) => {
         </Text>
 
         <Text style={styles.issuedText}>
-          Issued this {getOrdinal(day)} day of{" "}
+          Issued this {completion ? getOrdinal(completion.day) : "____"} day of{" "}
           <Text style={{ fontWeight: "bold" }}>
-            {month || "Month"} {year}
+            {completion
+              ? `${completion.monthName} ${completion.year}`
+              : "Month Year"}
           </Text>{" "}
           in {venue}.
         </Text>
 
         <Text style={styles.footerCode}>{certificateCode}</Text>
+        <View style={styles.verifyBlock}>
+          <VerificationQR code={certificateCode} size={58} />
+          <Text style={styles.verifyText}>Scan to verify</Text>
+        </View>
       </View>
 
       <View style={styles.sidebar}>
@@ -284,18 +275,29 @@ export const CertificatePage = ({ cert, signerName, signerPosition }) => {
         </View>
 
         <View style={styles.signatoryContent}>
-          <Text
-            style={[
-              styles.signatoryName,
-              signerName?.length > 80 ? { fontSize: 8 } : {},
-            ]}
-            break={false}
-          >
-            {signerName ? signerName.toUpperCase() : "REGIONAL OVERSIGHT"}
-          </Text>
-          <Text style={styles.signatoryTitle}>
-            {signerPosition || "Director IV"}
-          </Text>
+          {signers.map((signer) => (
+            <View key={signer.number} style={styles.signatoryBlock}>
+              {signer.signature && (
+                <Image
+                  src={() => loadImage(signer.signature)}
+                  style={styles.signatureImage}
+                />
+              )}
+              <Text
+                style={[
+                  styles.signatoryName,
+                  signer.name.length > 80 ? { fontSize: 8 } : {},
+                  signers.length > 2 ? { fontSize: 11 } : {},
+                ]}
+                break={false}
+              >
+                {signer.name ? signer.name.toUpperCase() : "REGIONAL OVERSIGHT"}
+              </Text>
+              <Text style={styles.signatoryTitle}>
+                {signer.position || "Director IV"}
+              </Text>
+            </View>
+          ))}
         </View>
       </View>
     </Page>
@@ -0,0 +1,139 @@
+import React, { useState } from "react";
+import toast from "react-hot-toast";
+import api from "../api";
+
+const INITIAL_FORM = {
+  current_password: "",
+  new_password: "",
+  confirm: "",
+};
+
+/**
+ * ChangePasswordModal - lets the signed-in user change their password.
+ * Their other sessions are signed out by the server.
+ */
+const ChangePasswordModal = ({ show, onClose }) => {
+  const [form, setForm] = useState(INITIAL_FORM);
+  const [isSaving, setIsSaving] = useState(false);
+
+  if (!show) return null;
+
+  const handleChange = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleClose = () => {
+    setForm(INITIAL_FORM);
+    onClose();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (form.new_password !== form.confirm) {
+      toast.error("New passwords do not match");
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      await api.post("/api/auth/change-password", {
+        current_password: form.current_password,
+        new_password: form.new_password,
+      });
+      toast.success("Password changed; other sessions were signed out");
+      handleClose();
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to change password");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const inputClass =
+    "w-full px-3 py-2 bg-[#F8FAFC] border-2 border-slate-100 focus:border-[#006666] outline-none font-bold text-[12px] text-[#1A365D]";
+  const labelClass =
+    "text-[9px] font-black text-slate-400 uppercase tracking-widest mb-1 block";
+
+  return (
+    <div
+      className="fixed inset-0 z-[110] flex items-center justify-center p-4 bg-[#1A365D]/40 backdrop-blur-sm animate-in fade-in duration-300"
+      onClick={handleClose}
+    >
+      <div
+        className="bg-white w-full max-w-md shadow-2xl rounded-sm border-t-8 border-[#006666] animate-in zoom-in-95 duration-200 overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="px-6 py-4 border-b border-slate-100 flex justify-between items-center">
+          <h2 className="text-[14px] font-black text-[#1A365D] uppercase tracking-tight leading-none">
+            Change Password
+          </h2>
+          <button
+            onClick={handleClose}
+            className="text-slate-300 hover:text-red-500 transition-colors text-xl font-light"
+          >
+            ×
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 space-y-3">
+          <div>
+            <label className={labelClass}>Current Password</label>
+            <input
+              type="password"
+              className={inputClass}
+              value={form.current_password}
+              onChange={(e) => handleChange("current_password", e.target.value)}
+              autoComplete="current-password"
+              required
+            />
+          </div>
+          <div>
+            <label className={labelClass}>New Password</label>
+            <input
+              type="password"
+              className={inputClass}
+              value={form.new_password}
+              onChange={(e) => handleChange("new_password", e.target.value)}
+              autoComplete="new-password"
+              required
+            />
+          </div>
+          <div>
+            <label className={labelClass}>Repeat New Password</label>
+            <input
+              type="password"
+              className={inputClass}
+              value={form.confirm}
+              onChange={(e) => handleChange("confirm", e.target.value)}
+              autoComplete="new-password"
+              required
+            />
+          </div>
+          <p className="text-[9px] font-bold text-slate-400 uppercase tracking-widest">
+            At least 8 characters, with upper and lower case letters and a
+            number
+          </p>
+
+          <div className="mt-6 pt-5 border-t border-slate-100 flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={handleClose}
+              className="px-5 py-2.5 bg-white border border-slate-200 text-slate-400 font-black uppercase text-[9px] tracking-widest rounded hover:bg-slate-50 transition-colors"
+            >
+              Discard
+            </button>
+            <button
+              type="submit"
+              disabled={isSaving}
+              className="px-8 py-2.5 bg-[#006666] text-white font-black uppercase text-[9px] tracking-widest rounded hover:bg-[#004D4D] shadow-lg shadow-teal-100 transition-all active:scale-95 disabled:opacity-50"
+            >
+              {isSaving ? "Saving..." : "Change Password"}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ChangePasswordModal;
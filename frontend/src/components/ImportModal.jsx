@@ -0,0 +1,506 @@
+import React, { useState, useMemo, useEffect } from "react";
+import * as XLSX from "xlsx";
+import toast from "react-hot-toast";
+
+// Draft-row fields a sheet column can be mapped to, with the headings
+// coordinators commonly use for them
+const IMPORT_FIELDS = [
+  {
+    key: "participant_name",
+    label: "Name",
+    hints: ["participant name", "full name", "name", "participant"],
+  },
+  {
+    key: "training_type",
+    label: "Training Type",
+    hints: ["training type", "type of training", "course", "training"],
+  },
+  {
+    key: "training_date",
+    label: "Dates (text)",
+    hints: ["training date", "inclusive dates", "dates", "date"],
+  },
+  { key: "start_date", label: "Start Date", hints: ["start date", "start"] },
+  { key: "end_date", label: "End Date", hints: ["end date", "end"] },
+  { key: "venue", label: "Venue", hints: ["venue", "location", "place"] },
+  {
+    key: "facility",
+    label: "Facility",
+    hints: ["facility", "agency", "office", "hospital"],
+  },
+  {
+    key: "participant_type",
+    label: "Participant Type",
+    hints: ["participant type", "rescuer type", "category", "type"],
+  },
+  { key: "age", label: "Age", hints: ["age"] },
+  {
+    key: "position",
+    label: "Position",
+    hints: ["position", "designation", "job title"],
+  },
+];
+
+const PREVIEW_LIMIT = 50;
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const DATE_FIELDS = ["start_date", "end_date"];
+
+const pad = (n) => String(n).padStart(2, "0");
+
+/**
+ * Turn a sheet cell into text. Excel date cells arrive as Date objects at
+ * local midnight; "1/23/2026"-style text dates are read month first.
+ * @param {*} cell - Raw cell value
+ * @param {boolean} isDate - Whether the cell is mapped to a date field
+ * @returns {string}
+ */
+const cellText = (cell, isDate) => {
+  if (cell instanceof Date) {
+    return `${cell.getFullYear()}-${pad(cell.getMonth() + 1)}-${pad(cell.getDate())}`;
+  }
+  const text = String(cell ?? "").trim();
+  const slashDate =
+    isDate && /^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/.exec(text);
+  if (slashDate) {
+    const [, month, day, year] = slashDate;
+    return `${year.length === 2 ? `20${year}` : year}-${pad(month)}-${pad(day)}`;
+  }
+  return text;
+};
+
+const toWords = (text) =>
+  String(text)
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+/**
+ * Guess which column holds each field from the header row. Exact headings
+ * are matched first, then headings containing every word of a hint, most
+ * specific hints first; each column is used once.
+ * @param {Array<string>} headers - Header cells
+ * @returns {Object} Field key mapped to column index (or "")
+ */
+const guessMapping = (headers) => {
+  const headerWords = headers.map(toWords);
+  const candidates = IMPORT_FIELDS.flatMap((field) =>
+    field.hints.map((hint) => ({ key: field.key, words: toWords(hint) })),
+  ).sort((a, b) => b.words.length - a.words.length);
+
+  const mapping = Object.fromEntries(IMPORT_FIELDS.map((f) => [f.key, ""]));
+  const taken = new Set();
+
+  const assign = (matches) => {
+    for (const { key, words } of candidates) {
+      if (mapping[key] !== "") continue;
+      const index = headerWords.findIndex(
+        (header, i) => !taken.has(i) && matches(header, words),
+      );
+      if (index !== -1) {
+        mapping[key] = index;
+        taken.add(index);
+      }
+    }
+  };
+
+  assign((header, words) => header.join(" ") === words.join(" "));
+  assign((header, words) => words.every((word) => header.includes(word)));
+
+  return mapping;
+};
+
+/**
+ * Match free text against select options by value or label
+ * @param {string} text - Cell text
+ * @param {Array} options - { value, label } options
+ * @returns {string} Option value, or the text unchanged when none matches
+ */
+const matchOption = (text, options) => {
+  const needle = text.trim().toLowerCase();
+  const option = options.find(
+    (o) =>
+      o.value &&
+      (o.value.toLowerCase() === needle || o.label.toLowerCase() === needle),
+  );
+  return option ? option.value : text.trim();
+};
+
+/**
+ * ImportModal - reads an .xlsx/.csv attendance sheet, lets the encoder map
+ * its columns to draft-row fields, previews validation, and hands the rows
+ * to the encoding grid.
+ */
+const ImportModal = ({
+  show,
+  onClose,
+  onImport,
+  formatValue,
+  trainingTypes,
+  participantTypes,
+}) => {
+  const [fileName, setFileName] = useState("");
+  const [sheetRows, setSheetRows] = useState([]);
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mapping, setMapping] = useState({});
+  const [step, setStep] = useState("upload");
+  const [skipInvalid, setSkipInvalid] = useState(true);
+
+  useEffect(() => {
+    if (!show) return;
+    setFileName("");
+    setSheetRows([]);
+    setMapping({});
+    setStep("upload");
+  }, [show]);
+
+  const headers = useMemo(() => {
+    const width = Math.max(0, ...sheetRows.map((r) => r.length));
+    return Array.from({ length: width }, (_, i) =>
+      hasHeader && cellText(sheetRows[0]?.[i]) !== ""
+        ? cellText(sheetRows[0][i])
+        : `Column ${XLSX.utils.encode_col(i)}`,
+    );
+  }, [sheetRows, hasHeader]);
+
+  // Sheet rows converted to draft rows, each with its validation errors
+  const parsedRows = useMemo(() => {
+    const body = hasHeader ? sheetRows.slice(1) : sheetRows;
+
+    return body
+      .filter((cells) => cells.some((cell) => cellText(cell) !== ""))
+      .map((cells) => {
+        const row = {};
+        for (const { key } of IMPORT_FIELDS) {
+          const column = mapping[key];
+          const raw =
+            column === "" || column === undefined ? "" : cells[column];
+          row[key] = formatValue(key, cellText(raw, DATE_FIELDS.includes(key)));
+        }
+
+        row.training_type = matchOption(row.training_type, trainingTypes);
+        row.participant_type = matchOption(
+          row.participant_type,
+          participantTypes,
+        );
+
+        // Same rules the server applies in validateCertificateData
+        const errors = [];
+        if (!row.participant_name) errors.push("Name is required");
+        if (
+          row.training_type &&
+          !trainingTypes.some((t) => t.value === row.training_type)
+        ) {
+          errors.push(`Unknown training type "${row.training_type}"`);
+        }
+        if (
+          row.participant_type &&
+          !participantTypes.some((t) => t.value === row.participant_type)
+        ) {
+          errors.push(`Unknown participant type "${row.participant_type}"`);
+        }
+        if (row.age !== "") {
+          const age = Number(row.age);
+          if (!Number.isInteger(age) || age < 0 || age > 120) {
+            errors.push("Age must be a number between 0 and 120");
+          }
+        }
+        for (const key of DATE_FIELDS) {
+          if (row[key] && !ISO_DATE.test(row[key])) {
+            errors.push(`${key.replace("_", " ")} must be a date`);
+          }
+        }
+        if (row.start_date && row.end_date && row.end_date < row.start_date) {
+          errors.push("End date is before start date");
+        }
+
+        return { row, errors };
+      });
+  }, [
+    sheetRows,
+    hasHeader,
+    mapping,
+    formatValue,
+    trainingTypes,
+    participantTypes,
+  ]);
+
+  const invalidCount = parsedRows.filter((r) => r.errors.length > 0).length;
+
+  if (!show) return null;
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    try {
+      // raw: CSV text is kept as typed instead of guessing dates and numbers
+      const workbook = XLSX.read(await file.arrayBuffer(), {
+        cellDates: true,
+        raw: true,
+      });
+      const sheet = workbook.Sheets[workbook.SheetNames[0]];
+      const rows = XLSX.utils.sheet_to_json(sheet, {
+        header: 1,
+        defval: "",
+        raw: true,
+      });
+
+      if (rows.length === 0) {
+        toast.error("The first sheet is empty");
+        return;
+      }
+
+      setFileName(file.name);
+      setSheetRows(rows);
+      setMapping(guessMapping(rows[0].map((cell) => cellText(cell))));
+      setStep("map");
+    } catch (err) {
+      console.error("Import read error:", err);
+      toast.error("Could not read that file");
+    }
+  };
+
+  const handleLoad = (mode) => {
+    const rows = parsedRows
+      .filter((r) => !skipInvalid || r.errors.length === 0)
+      .map((r) => r.row);
+
+    if (rows.length === 0) {
+      toast.error("No rows to load");
+      return;
+    }
+
+    onImport(rows, mode);
+  };
+
+  const labelClass =
+    "text-[9px] font-black text-slate-400 uppercase tracking-widest mb-1 block";
+  const selectClass =
+    "w-full px-3 py-2 bg-[#F8FAFC] border-2 border-slate-100 focus:border-[#006666] outline-none font-bold text-[12px] text-[#1A365D]";
+
+  return (
+    <div
+      className="fixed inset-0 z-[110] flex items-center justify-center p-4 bg-[#1A365D]/40 backdrop-blur-sm animate-in fade-in duration-300"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white w-full max-w-4xl max-h-[90vh] flex flex-col shadow-2xl rounded-sm border-t-8 border-[#006666] animate-in zoom-in-95 duration-200 overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* HEADER */}
+        <div className="px-6 py-4 border-b border-slate-100 flex justify-between items-center shrink-0">
+          <div>
+            <h2 className="text-[14px] font-black text-[#1A365D] uppercase tracking-tight leading-none">
+              Import Attendance Sheet
+            </h2>
+            <span className="text-[8px] font-bold text-slate-400 uppercase tracking-widest">
+              {fileName || "Excel (.xlsx, .xls) or CSV"} //{" "}
+              {
+                { upload: "1. File", map: "2. Columns", preview: "3. Review" }[
+                  step
+                ]
+              }
+            </span>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-slate-300 hover:text-red-500 transition-colors text-xl font-light"
+          >
+            ×
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto flex-1">
+          {/* STEP 1: FILE */}
+          {step === "upload" && (
+            <label className="flex flex-col items-center justify-center gap-2 h-48 border-2 border-dashed border-slate-200 hover:border-[#006666] rounded-xl cursor-pointer transition-colors">
+              <span className="text-[11px] font-black text-[#1A365D] uppercase tracking-widest">
+                Choose a file
+              </span>
+              <span className="text-[10px] font-bold text-slate-400">
+                The first sheet is imported
+              </span>
+              <input
+                type="file"
+                accept=".xlsx,.xls,.csv"
+                className="hidden"
+                onChange={handleFile}
+              />
+            </label>
+          )}
+
+          {/* STEP 2: COLUMN MAPPING */}
+          {step === "map" && (
+            <div className="space-y-4">
+              <label className="flex items-center gap-2 text-[11px] font-bold text-slate-600">
+                <input
+                  type="checkbox"
+                  checked={hasHeader}
+                  onChange={(e) => setHasHeader(e.target.checked)}
+                />
+                First row contains column headings
+              </label>
+              <div className="grid grid-cols-2 gap-x-6 gap-y-3">
+                {IMPORT_FIELDS.map((field) => (
+                  <div key={field.key}>
+                    <label className={labelClass}>{field.label}</label>
+                    <select
+                      className={selectClass}
+                      value={mapping[field.key] ?? ""}
+                      onChange={(e) =>
+                        setMapping((prev) => ({
+                          ...prev,
+                          [field.key]:
+                            e.target.value === "" ? "" : Number(e.target.value),
+                        }))
+                      }
+                    >
+                      <option value="">— Not in sheet —</option>
+                      {headers.map((header, i) => (
+                        <option key={i} value={i}>
+                          {header}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+              </div>
+              <p className="text-[10px] font-bold text-slate-400">
+                Map either Start/End Date or a Dates (text) column such as
+                "January 23-25, 2026"; text dates are parsed when the batch is
+                saved.
+              </p>
+            </div>
+          )}
+
+          {/* STEP 3: PREVIEW */}
+          {step === "preview" && (
+            <div className="space-y-3">
+              <p className="text-[11px] font-bold text-slate-600">
+                {parsedRows.length} row(s) read
+                {invalidCount > 0 && (
+                  <span className="text-red-600">
+                    {" "}
+                    // {invalidCount} with problems
+                  </span>
+                )}
+              </p>
+              <div className="border border-slate-200 rounded-lg overflow-x-auto">
+                <table className="w-full text-[10px]">
+                  <thead>
+                    <tr className="bg-[#EDF2F7] text-left">
+                      <th className="p-2 font-black text-slate-500">#</th>
+                      {IMPORT_FIELDS.filter((f) => mapping[f.key] !== "").map(
+                        (f) => (
+                          <th
+                            key={f.key}
+                            className="p-2 font-black text-slate-500 uppercase"
+                          >
+                            {f.label}
+                          </th>
+                        ),
+                      )}
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-slate-100">
+                    {parsedRows
+                      .slice(0, PREVIEW_LIMIT)
+                      .map(({ row, errors }, i) => (
+                        <React.Fragment key={i}>
+                          <tr className={errors.length > 0 ? "bg-red-50" : ""}>
+                            <td className="p-2 font-bold text-slate-400">
+                              {i + 1}
+                            </td>
+                            {IMPORT_FIELDS.filter(
+                              (f) => mapping[f.key] !== "",
+                            ).map((f) => (
+                              <td
+                                key={f.key}
+                                className="p-2 font-bold text-[#1A365D]"
+                              >
+                                {row[f.key]}
+                              </td>
+                            ))}
+                          </tr>
+                          {errors.length > 0 && (
+                            <tr className="bg-red-50">
+                              <td />
+                              <td
+                                colSpan={IMPORT_FIELDS.length}
+                                className="px-2 pb-2 font-bold text-red-600"
+                              >
+                                {errors.join("; ")}
+                              </td>
+                            </tr>
+                          )}
+                        </React.Fragment>
+                      ))}
+                  </tbody>
+                </table>
+              </div>
+              {parsedRows.length > PREVIEW_LIMIT && (
+                <p className="text-[10px] font-bold text-slate-400">
+                  Showing the first {PREVIEW_LIMIT} rows.
+                </p>
+              )}
+              <label className="flex items-center gap-2 text-[11px] font-bold text-slate-600">
+                <input
+                  type="checkbox"
+                  checked={skipInvalid}
+                  onChange={(e) => setSkipInvalid(e.target.checked)}
+                />
+                Leave out rows with problems
+              </label>
+            </div>
+          )}
+        </div>
+
+        {/* FOOTER */}
+        <div className="px-6 py-4 border-t border-slate-100 flex justify-between gap-2 shrink-0">
+          <button
+            type="button"
+            onClick={() =>
+              step === "preview" ? setStep("map") : setStep("upload")
+            }
+            disabled={step === "upload"}
+            className="px-5 py-2.5 bg-white border border-slate-200 text-slate-400 font-black uppercase text-[9px] tracking-widest rounded hover:bg-slate-50 transition-colors disabled:opacity-0"
+          >
+            Back
+          </button>
+          {step === "map" && (
+            <button
+              type="button"
+              onClick={() => setStep("preview")}
+              disabled={mapping.participant_name === ""}
+              className="px-8 py-2.5 bg-[#006666] text-white font-black uppercase text-[9px] tracking-widest rounded hover:bg-[#004D4D] transition-all disabled:opacity-50"
+            >
+              Review Rows
+            </button>
+          )}
+          {step === "preview" && (
+            <div className="flex gap-2">
+              <button
+                type="button"
+                onClick={() => handleLoad("append")}
+                className="px-5 py-2.5 bg-slate-100 text-slate-600 font-black uppercase text-[9px] tracking-widest rounded hover:bg-slate-200 transition-all"
+              >
+                Add to Draft
+              </button>
+              <button
+                type="button"
+                onClick={() => handleLoad("replace")}
+                className="px-8 py-2.5 bg-[#006666] text-white font-black uppercase text-[9px] tracking-widest rounded hover:bg-[#004D4D] shadow-lg shadow-teal-100 transition-all active:scale-95"
+              >
+                Replace Draft
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportModal;
@@ -0,0 +1,202 @@
+import React, { useState, useEffect, useCallback } from "react";
+import toast from "react-hot-toast";
+import api from "../api";
+import { ROLES, ROLE_LABELS } from "../permissions";
+
+const INVITATIONS_PATH = "/api/auth/invitations";
+
+const INITIAL_FORM = { role: ROLES.VIEWER, office: "", expires_in_days: 7 };
+
+const STATUS_STYLES = {
+  pending: "bg-amber-50 text-amber-700",
+  used: "bg-emerald-50 text-emerald-700",
+  revoked: "bg-red-50 text-red-600",
+  expired: "bg-slate-100 text-slate-500",
+};
+
+/**
+ * InvitationsPanel - create single-use invitation links that give a new
+ * account its role and office, and revoke ones not yet used (admin only)
+ */
+const InvitationsPanel = () => {
+  const [invitations, setInvitations] = useState([]);
+  const [form, setForm] = useState(INITIAL_FORM);
+  // Link of the invitation just created; it cannot be shown again
+  const [newLink, setNewLink] = useState(null);
+  const [isCreating, setIsCreating] = useState(false);
+
+  const fetchInvitations = useCallback(async () => {
+    try {
+      const res = await api.get(INVITATIONS_PATH);
+      setInvitations(res.data);
+    } catch (err) {
+      console.error("Error fetching invitations:", err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchInvitations();
+  }, [fetchInvitations]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsCreating(true);
+    try {
+      const res = await api.post(INVITATIONS_PATH, form);
+      setNewLink(res.data.link);
+      setForm(INITIAL_FORM);
+      toast.success("Invitation created");
+      fetchInvitations();
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to create invitation");
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const handleRevoke = async (invitation) => {
+    if (
+      !window.confirm("Revoke this invitation? Its link will stop working.")
+    ) {
+      return;
+    }
+    try {
+      const res = await api.delete(`${INVITATIONS_PATH}/${invitation.id}`);
+      toast.success(res.data.message);
+      fetchInvitations();
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to revoke invitation");
+    }
+  };
+
+  const copyLink = () => {
+    navigator.clipboard?.writeText(newLink);
+    toast.success("Invitation link copied");
+  };
+
+  const inputClass =
+    "px-3 py-1.5 bg-[#F8FAFC] border-2 border-slate-100 focus:border-[#006666] outline-none font-bold text-[11px] text-[#1A365D] rounded";
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-slate-200 overflow-hidden">
+      <div className="px-6 py-3 bg-[#EDF2F7] border-b border-slate-200">
+        <h2 className="text-[11px] font-bold text-[#4A5568] uppercase tracking-wider">
+          Invitations
+        </h2>
+      </div>
+
+      <form
+        onSubmit={handleCreate}
+        className="flex flex-wrap items-center gap-3 px-6 py-4 border-b border-slate-100"
+      >
+        <select
+          className={`${inputClass} min-w-[180px]`}
+          value={form.role}
+          onChange={(e) => setForm({ ...form, role: e.target.value })}
+        >
+          {Object.values(ROLES).map((role) => (
+            <option key={role} value={role}>
+              {ROLE_LABELS[role]}
+            </option>
+          ))}
+        </select>
+        <input
+          type="text"
+          placeholder="Office (optional)"
+          maxLength={150}
+          className={`${inputClass} flex-1 min-w-[200px]`}
+          value={form.office}
+          onChange={(e) => setForm({ ...form, office: e.target.value })}
+        />
+        <label className="flex items-center gap-2 text-[9px] font-black text-slate-400 uppercase tracking-widest">
+          Expires in
+          <input
+            type="number"
+            min={1}
+            max={30}
+            className={`${inputClass} w-16`}
+            value={form.expires_in_days}
+            onChange={(e) =>
+              setForm({ ...form, expires_in_days: e.target.value })
+            }
+          />
+          days
+        </label>
+        <button
+          type="submit"
+          disabled={isCreating}
+          className="px-4 py-1.5 bg-[#006666] text-white text-[9px] font-black uppercase tracking-widest rounded hover:bg-[#004D4D] disabled:opacity-50"
+        >
+          {isCreating ? "Creating..." : "Create Link"}
+        </button>
+      </form>
+
+      {newLink && (
+        <div className="flex items-center gap-3 px-6 py-3 bg-amber-50 border-b border-amber-200">
+          <p className="text-[10px] font-bold text-amber-700 shrink-0">
+            Send this link to the new staff member. It works once and will not
+            be shown again:
+          </p>
+          <code className="flex-1 min-w-0 truncate font-mono text-[11px] text-[#1A365D]">
+            {newLink}
+          </code>
+          <button
+            onClick={copyLink}
+            className="h-7 px-3 bg-white border border-slate-300 text-slate-600 text-[9px] font-black uppercase rounded hover:bg-slate-50"
+          >
+            Copy
+          </button>
+          <button
+            onClick={() => setNewLink(null)}
+            className="text-slate-400 hover:text-slate-600 text-[14px] font-black"
+            title="Dismiss"
+          >
+            ×
+          </button>
+        </div>
+      )}
+
+      {invitations.length > 0 ? (
+        invitations.map((invitation) => (
+          <div
+            key={invitation.id}
+            className="flex items-center gap-4 px-6 py-2.5 border-b border-slate-100 last:border-0"
+          >
+            <span
+              className={`w-20 shrink-0 px-2 py-1 text-center text-[9px] font-black uppercase rounded ${STATUS_STYLES[invitation.status]}`}
+            >
+              {invitation.status}
+            </span>
+            <div className="flex-1 min-w-0 flex flex-col">
+              <span className="text-[11px] font-bold text-[#1A365D] truncate">
+                {ROLE_LABELS[invitation.role]}
+                {invitation.office && ` · ${invitation.office}`}
+              </span>
+              <span className="text-[10px] font-semibold text-slate-400 truncate">
+                By {invitation.created_by_username || "—"} on{" "}
+                {new Date(invitation.created_at).toLocaleDateString()}
+                {invitation.status === "used"
+                  ? ` · Joined as ${invitation.used_by_username || "—"}`
+                  : ` · Expires ${new Date(invitation.expires_at).toLocaleString()}`}
+              </span>
+            </div>
+            {invitation.status === "pending" && (
+              <button
+                onClick={() => handleRevoke(invitation)}
+                className="h-7 px-3 border border-red-300 text-red-600 text-[9px] font-black uppercase rounded hover:bg-red-50"
+              >
+                Revoke
+              </button>
+            )}
+          </div>
+        ))
+      ) : (
+        <div className="py-8 text-center text-[11px] font-bold text-slate-400 uppercase">
+          No invitations yet
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default InvitationsPanel;
@@ -1,5 +1,6 @@
 import React, { useEffect, useState } from "react";
 import Navbar from "./Navbar";
+import { canAccessView } from "../permissions";
 
 function Layout({
   children,
@@ -17,8 +18,13 @@ function Layout({
     { id: "home", label: "Registry Overview", icon: "📊" },
     { id: "table", label: "Archive Folders", icon: "📁" },
     { id: "form", label: "Certification Entry", icon: "✍️" },
+    { id: "expiry", label: "Renewal Watch", icon: "⏳" },
     { id: "settings", label: "System Settings", icon: "⚙️" },
-  ];
+    { id: "activity", label: "Activity Log", icon: "📜" },
+    { id: "recycle", label: "Recycle Bin", icon: "🗑️" },
+    { id: "users", label: "User Accounts", icon: "👥" },
+    { id: "sessions", label: "My Sessions", icon: "💻" },
+  ].filter((item) => canAccessView(user, item.id));
 
   // Auto-collapse sidebar on smaller screens
   useEffect(() => {
@@ -3,12 +3,17 @@ import React, { useState, useRef, useEffect } from "react";
 /**
  * ManualCropperModal - DOH Authority Registry Theme
  * Professional teal/slate interface for personnel signature assets.
+ * Also used for participant photos, with its own subtitle, hint and a JPEG
+ * output.
  */
 const ManualCropperModal = ({
   imageSrc,
   onClose,
   onSave,
   aspectRatio = 3 / 1,
+  subtitle = "Personnel Signature Cropper",
+  hint,
+  outputType = "image/png",
 }) => {
   const canvasRef = useRef(null);
   const containerRef = useRef(null);
@@ -312,7 +317,7 @@ const ManualCropperModal = ({
       canvas.width,
       canvas.height,
     );
-    onSave(canvas.toDataURL("image/png"));
+    onSave(canvas.toDataURL(outputType));
   };
 
   return (
@@ -346,7 +351,7 @@ const ManualCropperModal = ({
                 Asset Processing
               </h3>
               <p className="text-[10px] font-bold text-[#006666] uppercase tracking-[0.3em] mt-0.5">
-                Personnel Signature Cropper
+                {subtitle}
               </p>
             </div>
           </div>
@@ -379,10 +384,14 @@ const ManualCropperModal = ({
           <div className="flex gap-4 items-start p-4 bg-[#F0F9F9] rounded-2xl border border-[#006666]/10">
             <div className="w-2 h-2 rounded-full bg-[#006666] mt-1.5 shrink-0" />
             <p className="text-[11px] text-slate-600 leading-relaxed font-medium">
-              Ensure the signature is{" "}
-              <strong className="text-[#006666]">centered</strong> and avoids
-              the edges of the selection box for the best rendering on the
-              Authority Registry cards.
+              {hint || (
+                <>
+                  Ensure the signature is{" "}
+                  <strong className="text-[#006666]">centered</strong> and
+                  avoids the edges of the selection box for the best rendering
+                  on the Authority Registry cards.
+                </>
+              )}
             </p>
           </div>
 
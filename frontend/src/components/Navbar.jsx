@@ -2,10 +2,15 @@ import React, { useState } from "react";
 import { useNavigate } from "react-router-dom";
 import api from "../api";
 import toast, { Toaster } from "react-hot-toast";
+import { canAccessView, ROLE_LABELS } from "../permissions";
+import ChangePasswordModal from "./ChangePasswordModal";
+import TwoFactorModal from "./TwoFactorModal";
 
 function Navbar({ user, setUser, currentView, setCurrentView }) {
   const [isMenuOpen, setIsMenuOpen] = useState(false);
   const [isLoggingOut, setIsLoggingOut] = useState(false);
+  const [showPasswordModal, setShowPasswordModal] = useState(false);
+  const [showTwoFactorModal, setShowTwoFactorModal] = useState(false);
   const navigate = useNavigate();
 
   if (!user) return null;
@@ -14,8 +19,13 @@ function Navbar({ user, setUser, currentView, setCurrentView }) {
     { id: "home", label: "Overview", icon: "📊" },
     { id: "table", label: "Archives", icon: "📁" },
     { id: "form", label: "New Entry", icon: "✍️" },
+    { id: "expiry", label: "Renewals", icon: "⏳" },
     { id: "settings", label: "Settings", icon: "⚙️" },
-  ];
+    { id: "activity", label: "Activity", icon: "📜" },
+    { id: "recycle", label: "Bin", icon: "🗑️" },
+    { id: "users", label: "Users", icon: "👥" },
+    { id: "sessions", label: "Sessions", icon: "💻" },
+  ].filter((item) => canAccessView(user, item.id));
 
   const handleLogout = async () => {
     try {
@@ -87,11 +97,27 @@ function Navbar({ user, setUser, currentView, setCurrentView }) {
             <div className="flex items-center gap-1">
               <span className="w-1.5 h-1.5 rounded-full bg-emerald-500 animate-pulse"></span>
               <span className="text-[8px] text-slate-500 font-bold uppercase tracking-wider">
-                Authorized Registrar
+                {ROLE_LABELS[user?.role] || "Authorized Registrar"}
               </span>
             </div>
           </div>
 
+          <button
+            onClick={() => setShowPasswordModal(true)}
+            title="Change password"
+            className="px-3 py-2 rounded border border-emerald-800/20 text-emerald-900 hover:bg-emerald-50 transition-colors text-[10px] font-black uppercase tracking-widest"
+          >
+            🔑 <span className="hidden lg:inline">Password</span>
+          </button>
+
+          <button
+            onClick={() => setShowTwoFactorModal(true)}
+            title="Two-factor authentication"
+            className="px-3 py-2 rounded border border-emerald-800/20 text-emerald-900 hover:bg-emerald-50 transition-colors text-[10px] font-black uppercase tracking-widest"
+          >
+            🛡️ <span className="hidden lg:inline">2FA</span>
+          </button>
+
           <button
             onClick={handleLogout}
             disabled={isLoggingOut}
@@ -152,6 +178,15 @@ function Navbar({ user, setUser, currentView, setCurrentView }) {
           ))}
         </div>
       </div>
+
+      <ChangePasswordModal
+        show={showPasswordModal}
+        onClose={() => setShowPasswordModal(false)}
+      />
+      <TwoFactorModal
+        show={showTwoFactorModal}
+        onClose={() => setShowTwoFactorModal(false)}
+      />
     </nav>
   );
 }
@@ -0,0 +1,213 @@
+import React, { useState, useEffect, useMemo } from "react";
+import toast from "react-hot-toast";
+import {
+  uploadPhoto,
+  cropToPhoto,
+  matchPhotoFiles,
+  PHOTO_FILE_TYPES,
+} from "../photos";
+
+/**
+ * PhotoMatcherModal - pairs a folder of photo files with the batch's
+ * participants by file name, previews the pairing, then crops and uploads
+ * the matched photos one at a time
+ * @param {boolean} show
+ * @param {Function} onClose
+ * @param {Array} certs - The batch's certificates
+ * @param {Function} onChange - Called with (certId, photo_updated_at) per
+ *   uploaded photo
+ */
+const PhotoMatcherModal = ({ show, onClose, certs, onChange }) => {
+  const [folderName, setFolderName] = useState("");
+  const [files, setFiles] = useState([]);
+  const [replaceExisting, setReplaceExisting] = useState(false);
+  const [progress, setProgress] = useState(null);
+
+  useEffect(() => {
+    if (!show) return;
+    setFolderName("");
+    setFiles([]);
+    setProgress(null);
+  }, [show]);
+
+  const matches = useMemo(() => matchPhotoFiles(files, certs), [files, certs]);
+
+  const toUpload = matches.filter(
+    (m) => !m.problem && (replaceExisting || !m.cert.photo_updated_at),
+  );
+  const unmatchedCount = matches.filter((m) => m.problem).length;
+
+  if (!show) return null;
+
+  const isUploading = progress !== null;
+
+  const handleFolder = (e) => {
+    const picked = Array.from(e.target.files || []).filter((f) =>
+      PHOTO_FILE_TYPES.includes(f.type),
+    );
+    e.target.value = "";
+    if (picked.length === 0) {
+      toast.error("No JPEG or PNG images in that folder");
+      return;
+    }
+    setFolderName(picked[0].webkitRelativePath.split("/")[0]);
+    setFiles(picked);
+  };
+
+  const handleUpload = async () => {
+    let failed = 0;
+    for (const [i, { file, cert }] of toUpload.entries()) {
+      setProgress({ done: i, total: toUpload.length });
+      try {
+        const image = await cropToPhoto(file);
+        onChange(cert._id || cert.id, await uploadPhoto(cert, image));
+      } catch (err) {
+        console.error(`Photo upload error for ${file.name}:`, err);
+        failed++;
+      }
+    }
+    setProgress(null);
+
+    const saved = toUpload.length - failed;
+    if (failed > 0) {
+      toast.error(`${saved} photo(s) saved, ${failed} failed`);
+    } else {
+      toast.success(`${saved} photo(s) saved`);
+      onClose();
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-[110] flex items-center justify-center p-4 bg-[#1A365D]/40 backdrop-blur-sm animate-in fade-in duration-300"
+      onClick={isUploading ? undefined : onClose}
+    >
+      <div
+        className="bg-white w-full max-w-3xl max-h-[90vh] flex flex-col shadow-2xl rounded-sm border-t-8 border-[#006666] animate-in zoom-in-95 duration-200 overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* HEADER */}
+        <div className="px-6 py-4 border-b border-slate-100 flex justify-between items-center shrink-0">
+          <div>
+            <h2 className="text-[14px] font-black text-[#1A365D] uppercase tracking-tight leading-none">
+              Match Photos
+            </h2>
+            <span className="text-[8px] font-bold text-slate-400 uppercase tracking-widest">
+              {folderName || "A folder of JPEG or PNG files"}
+            </span>
+          </div>
+          <button
+            onClick={onClose}
+            disabled={isUploading}
+            className="text-slate-300 hover:text-red-500 transition-colors text-xl font-light disabled:opacity-0"
+          >
+            ×
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto flex-1 space-y-3">
+          <label className="flex flex-col items-center justify-center gap-2 h-28 border-2 border-dashed border-slate-200 hover:border-[#006666] rounded-xl cursor-pointer transition-colors">
+            <span className="text-[11px] font-black text-[#1A365D] uppercase tracking-widest">
+              {files.length > 0 ? "Choose another folder" : "Choose a folder"}
+            </span>
+            <span className="text-[10px] font-bold text-slate-400">
+              Name each file after the participant (e.g. "Dela Cruz, Juan.jpg")
+              or their registration number
+            </span>
+            <input
+              type="file"
+              webkitdirectory=""
+              multiple
+              className="hidden"
+              disabled={isUploading}
+              onChange={handleFolder}
+            />
+          </label>
+
+          {matches.length > 0 && (
+            <>
+              <p className="text-[11px] font-bold text-slate-600">
+                {matches.length - unmatchedCount} of {matches.length} file(s)
+                matched
+                {unmatchedCount > 0 && (
+                  <span className="text-red-600">
+                    {" "}
+                    // {unmatchedCount} not used
+                  </span>
+                )}
+              </p>
+              <div className="border border-slate-200 rounded-lg overflow-x-auto">
+                <table className="w-full text-[10px]">
+                  <thead>
+                    <tr className="bg-[#EDF2F7] text-left">
+                      <th className="p-2 font-black text-slate-500 uppercase">
+                        File
+                      </th>
+                      <th className="p-2 font-black text-slate-500 uppercase">
+                        Participant
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-slate-100">
+                    {matches.map(({ file, cert, problem }) => (
+                      <tr
+                        key={file.webkitRelativePath || file.name}
+                        className={problem ? "bg-red-50" : ""}
+                      >
+                        <td className="p-2 font-bold text-slate-500">
+                          {file.name}
+                        </td>
+                        <td
+                          className={`p-2 font-bold ${problem ? "text-red-600" : "text-[#1A365D]"}`}
+                        >
+                          {cert && !problem && cert.participant_name}
+                          {cert &&
+                            !problem &&
+                            cert.photo_updated_at &&
+                            " (has a photo)"}
+                          {problem &&
+                            `${problem}${cert ? ` (${cert.participant_name})` : ""}`}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <label className="flex items-center gap-2 text-[11px] font-bold text-slate-600">
+                <input
+                  type="checkbox"
+                  checked={replaceExisting}
+                  disabled={isUploading}
+                  onChange={(e) => setReplaceExisting(e.target.checked)}
+                />
+                Replace photos participants already have
+              </label>
+              <p className="text-[10px] font-bold text-slate-400">
+                Photos are cropped from the center to fit the ID card; use the
+                Photo button on a row to crop one by hand.
+              </p>
+            </>
+          )}
+        </div>
+
+        {/* FOOTER */}
+        <div className="px-6 py-4 border-t border-slate-100 flex justify-between items-center gap-2 shrink-0">
+          <span className="text-[10px] font-bold text-slate-400">
+            {isUploading &&
+              `Uploading ${progress.done + 1} of ${progress.total}...`}
+          </span>
+          <button
+            type="button"
+            onClick={handleUpload}
+            disabled={isUploading || toUpload.length === 0}
+            className="px-8 py-2.5 bg-[#006666] text-white font-black uppercase text-[9px] tracking-widest rounded hover:bg-[#004D4D] shadow-lg shadow-teal-100 transition-all active:scale-95 disabled:opacity-50"
+          >
+            Upload {toUpload.length} Photo(s)
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PhotoMatcherModal;
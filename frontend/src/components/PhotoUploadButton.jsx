@@ -0,0 +1,107 @@
+import React, { useState, useRef } from "react";
+import toast from "react-hot-toast";
+import api from "../api";
+import ManualCropperModal from "./ManualCropperModal";
+import {
+  getPhotoPath,
+  uploadPhoto,
+  readImageFile,
+  PHOTO_CROPPER_PROPS,
+  PHOTO_FILE_TYPES,
+} from "../photos";
+
+/**
+ * PhotoUploadButton - add, replace or remove one participant's ID card
+ * photo; new photos are cropped to the card's photo box first
+ * @param {Object} cert - Certificate
+ * @param {Function} onChange - Called with (certId, photo_updated_at) after
+ *   an upload or removal (null when removed)
+ */
+const PhotoUploadButton = ({ cert, onChange }) => {
+  const [imageToCrop, setImageToCrop] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+  const inputRef = useRef(null);
+  const id = cert._id || cert.id;
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    if (!PHOTO_FILE_TYPES.includes(file.type)) {
+      toast.error("Choose a JPEG or PNG image");
+      return;
+    }
+    setImageToCrop(await readImageFile(file));
+  };
+
+  const handleSave = async (image) => {
+    setImageToCrop(null);
+    setIsBusy(true);
+    try {
+      onChange(id, await uploadPhoto(cert, image));
+      toast.success(`Photo saved for ${cert.participant_name}`);
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to save photo");
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    if (!window.confirm(`Remove ${cert.participant_name}'s photo?`)) return;
+    setIsBusy(true);
+    try {
+      await api.delete(getPhotoPath(cert));
+      onChange(id, null);
+      toast.success("Photo removed");
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to remove photo");
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  return (
+    <div className="flex items-center">
+      <input
+        ref={inputRef}
+        type="file"
+        accept={PHOTO_FILE_TYPES.join(",")}
+        className="hidden"
+        onChange={handleFile}
+      />
+      <button
+        onClick={() => inputRef.current?.click()}
+        disabled={isBusy}
+        title={cert.photo_updated_at ? "Replace photo" : "Add photo"}
+        className={`h-7 md:h-8 px-2 md:px-3 border text-[9px] md:text-[10px] font-black uppercase disabled:opacity-50 ${
+          cert.photo_updated_at
+            ? "bg-teal-50 border-teal-200 text-[#006666] rounded-l"
+            : "bg-white border-slate-300 text-slate-500 rounded"
+        }`}
+      >
+        {cert.photo_updated_at ? "Photo ✓" : "Photo"}
+      </button>
+      {cert.photo_updated_at && (
+        <button
+          onClick={handleRemove}
+          disabled={isBusy}
+          title="Remove photo"
+          className="h-7 md:h-8 px-2 border border-l-0 border-teal-200 bg-teal-50 text-slate-400 hover:text-red-600 text-[11px] font-black rounded-r disabled:opacity-50"
+        >
+          ×
+        </button>
+      )}
+      {imageToCrop && (
+        <ManualCropperModal
+          imageSrc={imageToCrop}
+          onClose={() => setImageToCrop(null)}
+          onSave={handleSave}
+          {...PHOTO_CROPPER_PROPS}
+        />
+      )}
+    </div>
+  );
+};
+
+export default PhotoUploadButton;
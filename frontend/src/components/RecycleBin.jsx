@@ -0,0 +1,236 @@
+import React, { useState, useEffect, useCallback } from "react";
+import toast from "react-hot-toast";
+import api from "../api";
+import { formatLongDate } from "../dates";
+
+const BIN_PATH = "/api/auth/recycle-bin";
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+/**
+ * RecycleBin - deleted certificates, which can be restored or purged for
+ * good until the retention period runs out and they are purged
+ * automatically (admin only)
+ */
+const RecycleBin = ({ onChange }) => {
+  const [certs, setCerts] = useState([]);
+  const [totals, setTotals] = useState({ total: 0, totalPages: 1 });
+  const [page, setPage] = useState(1);
+  const [searchInput, setSearchInput] = useState("");
+  const [search, setSearch] = useState("");
+  const [retentionDays, setRetentionDays] = useState("");
+  const [savedRetention, setSavedRetention] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchBin = useCallback(async () => {
+    try {
+      const res = await api.get(BIN_PATH, { params: { search, page } });
+      setCerts(res.data.data);
+      setTotals(res.data.pagination);
+      setSavedRetention(res.data.retention_days);
+    } catch (err) {
+      console.error("Error fetching recycle bin:", err);
+    }
+  }, [search, page]);
+
+  useEffect(() => {
+    fetchBin();
+  }, [fetchBin]);
+
+  // Show the stored retention period until the admin edits it
+  useEffect(() => {
+    if (savedRetention !== null) setRetentionDays(String(savedRetention));
+  }, [savedRetention]);
+
+  // Debounce the search box so typing doesn't fire a request per keystroke
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setSearch(searchInput);
+      setPage(1);
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  const handleRestore = async (cert) => {
+    setBusyId(cert.id);
+    try {
+      await api.post(`${BIN_PATH}/${cert.id}/restore`);
+      toast.success(`${cert.participant_name} restored`);
+      fetchBin();
+      onChange?.();
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to restore record");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handlePurge = async (cert) => {
+    if (
+      !window.confirm(
+        `Permanently delete ${cert.participant_name}? This cannot be undone.`,
+      )
+    ) {
+      return;
+    }
+    setBusyId(cert.id);
+    try {
+      await api.delete(`${BIN_PATH}/${cert.id}`);
+      toast.success("Record permanently deleted");
+      fetchBin();
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to purge record");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const saveRetention = async () => {
+    try {
+      const res = await api.put(`${BIN_PATH}/retention`, {
+        retention_days: retentionDays,
+      });
+      toast.success(
+        `Deleted records are now kept ${res.data.retention_days} day(s)`,
+      );
+      fetchBin();
+    } catch (err) {
+      toast.error(
+        err.response?.data?.message || "Failed to update retention period",
+      );
+    }
+  };
+
+  return (
+    <div className="flex-1 min-w-0 h-full flex flex-col overflow-hidden bg-[#F0F4F8] font-sans">
+      {/* HEADER */}
+      <div className="h-[12%] min-h-[85px] max-h-[110px] shrink-0 flex items-center justify-between px-10 bg-white border-b-4 border-[#006666] shadow-md z-10">
+        <div className="flex flex-col">
+          <h1 className="text-[18px] font-bold text-[#1A365D] tracking-tight uppercase leading-none">
+            Recycle Bin
+          </h1>
+          <span className="text-[10px] font-bold text-[#006666] uppercase tracking-widest mt-1">
+            Deleted records awaiting restore or purge
+          </span>
+        </div>
+        <input
+          className="w-full max-w-sm ml-10 bg-[#F8FAFC] border-2 border-slate-200 px-5 py-2 text-[13px] font-semibold text-slate-700 rounded-full focus:border-[#006666] outline-none transition-all placeholder:text-slate-400"
+          placeholder="Search participant or facility..."
+          value={searchInput}
+          onChange={(e) => setSearchInput(e.target.value)}
+        />
+      </div>
+
+      {/* RETENTION BAR */}
+      <div className="shrink-0 flex items-center gap-3 px-10 py-3 bg-white border-b border-slate-200">
+        <label className="flex items-center gap-2 text-[9px] font-black text-slate-400 uppercase tracking-widest">
+          Purge after
+          <input
+            type="number"
+            min="1"
+            className="w-20 h-9 px-3 bg-[#F8FAFC] border-2 border-slate-200 focus:border-[#006666] outline-none text-[11px] font-bold text-[#1A365D] rounded"
+            value={retentionDays}
+            onChange={(e) => setRetentionDays(e.target.value)}
+          />
+          days
+        </label>
+        {retentionDays !== String(savedRetention) && (
+          <button
+            onClick={saveRetention}
+            className="h-9 px-4 bg-[#006666] text-white text-[9px] font-black uppercase tracking-widest rounded hover:bg-[#004D4D]"
+          >
+            Save
+          </button>
+        )}
+        <span className="ml-auto text-[10px] font-black text-slate-400 uppercase tracking-widest">
+          {totals.total} record(s)
+        </span>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-6 space-y-6">
+        <div className="bg-white rounded-xl shadow-sm border border-slate-200 overflow-hidden">
+          <div className="flex h-11 items-center px-8 bg-[#EDF2F7] border-b border-slate-200 text-[10px] font-black text-slate-500 uppercase">
+            <div className="flex-1">Participant</div>
+            <div className="w-[28%] px-4">Training</div>
+            <div className="w-[20%] px-4">Deleted</div>
+            <div className="w-44 text-right">Action</div>
+          </div>
+          {certs.length > 0 ? (
+            certs.map((cert) => (
+              <div
+                key={cert.id}
+                className="flex items-center px-8 py-3 border-b border-slate-100 last:border-0 hover:bg-teal-50/30"
+              >
+                <div className="flex-1 min-w-0 flex flex-col">
+                  <span className="text-[13px] font-bold text-[#1A365D] uppercase truncate">
+                    {cert.participant_name}
+                  </span>
+                  <span className="text-[10px] font-semibold text-slate-400 uppercase truncate">
+                    {cert.facility || cert.participant_type || "—"}
+                  </span>
+                </div>
+                <div className="w-[28%] px-4 min-w-0 flex flex-col">
+                  <span className="text-[11px] font-bold text-[#1A365D] uppercase truncate">
+                    {cert.training_type}
+                  </span>
+                  <span className="text-[10px] font-semibold text-slate-400 truncate">
+                    {cert.training_date}
+                  </span>
+                </div>
+                <div className="w-[20%] px-4 flex flex-col">
+                  <span className="text-[11px] font-bold text-[#1A365D]">
+                    {new Date(cert.deleted_at).toLocaleDateString()}
+                    {cert.deleted_by_username &&
+                      ` // ${cert.deleted_by_username}`}
+                  </span>
+                  <span className="text-[9px] font-black uppercase tracking-wider text-red-500">
+                    Purged {formatLongDate(cert.purge_on)}
+                  </span>
+                </div>
+                <div className="w-44 flex justify-end gap-2">
+                  <button
+                    onClick={() => handleRestore(cert)}
+                    disabled={busyId === cert.id}
+                    className="h-8 px-4 bg-[#006666] text-white text-[10px] font-black uppercase rounded hover:bg-[#004D4D] disabled:opacity-50"
+                  >
+                    Restore
+                  </button>
+                  <button
+                    onClick={() => handlePurge(cert)}
+                    disabled={busyId === cert.id}
+                    className="h-8 px-4 border border-red-300 text-red-600 text-[10px] font-black uppercase rounded hover:bg-red-50 disabled:opacity-50"
+                  >
+                    Purge
+                  </button>
+                </div>
+              </div>
+            ))
+          ) : (
+            <div className="py-16 text-center text-[11px] font-bold text-slate-400 uppercase">
+              The recycle bin is empty
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-2">
+          <button
+            onClick={() => setPage((p) => Math.max(p - 1, 1))}
+            className="h-10 px-6 rounded-md border border-slate-300 bg-white text-[11px] font-bold text-slate-600 hover:bg-slate-50 transition-all disabled:opacity-30"
+            disabled={page === 1}
+          >
+            Previous
+          </button>
+          <button
+            onClick={() => setPage((p) => Math.min(p + 1, totals.totalPages))}
+            className="h-10 px-8 bg-[#006666] text-white text-[11px] font-bold rounded-md hover:bg-[#004D4D] transition-all shadow-md disabled:opacity-30"
+            disabled={page >= totals.totalPages}
+          >
+            Next
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RecycleBin;
@@ -0,0 +1,198 @@
+import React, { useState, useEffect } from "react";
+import toast from "react-hot-toast";
+import api from "../api";
+import { formatLongDate, getCompletionDate } from "../dates";
+
+const CERT_PATH = "/api/auth/certificates";
+const TRAININGS_PATH = "/api/auth/trainings";
+
+// Trainings offered in the picker
+const TRAINING_PICKER_LIMIT = 200;
+
+// Picker value for "the renewal training is not registered yet"
+const NEW_TRAINING = "new";
+
+const INITIAL_RENEWAL = {
+  training_id: NEW_TRAINING,
+  start_date: "",
+  end_date: "",
+  venue: "",
+};
+
+/**
+ * RenewalModal - issues a new certificate for a participant whose
+ * certificate is expiring, under a later training of the same type. The
+ * new certificate is linked back to the one it renews.
+ */
+const RenewalModal = ({ cert, onClose, onRenewed }) => {
+  const [form, setForm] = useState(INITIAL_RENEWAL);
+  const [trainings, setTrainings] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const completion = getCompletionDate(cert);
+
+  useEffect(() => {
+    if (!cert) return;
+    setForm(INITIAL_RENEWAL);
+
+    // Only trainings of the same type held after the previous one
+    api
+      .get(TRAININGS_PATH, {
+        params: {
+          training_type: cert.training_type,
+          pageSize: TRAINING_PICKER_LIMIT,
+        },
+      })
+      .then((res) =>
+        setTrainings(
+          res.data.data.filter(
+            (t) => t.start_date && (!completion || t.start_date > completion),
+          ),
+        ),
+      )
+      .catch((err) => console.error("Error fetching trainings:", err));
+  }, [cert, completion]);
+
+  if (!cert) return null;
+
+  const handleChange = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      const body =
+        form.training_id === NEW_TRAINING
+          ? {
+              training_type: cert.training_type,
+              start_date: form.start_date,
+              end_date: form.end_date,
+              venue: form.venue,
+            }
+          : { training_id: form.training_id };
+      const res = await api.post(`${CERT_PATH}/${cert.id}/renew`, body);
+      toast.success(`${cert.participant_name} renewed`);
+      onRenewed(res.data);
+    } catch (err) {
+      const { message, errors } = err.response?.data || {};
+      toast.error(errors?.[0] || message || "Failed to renew certificate");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const isNewTraining = form.training_id === NEW_TRAINING;
+  const inputClass =
+    "w-full px-3 py-2 bg-[#F8FAFC] border-2 border-slate-100 focus:border-[#006666] outline-none font-bold text-[12px] text-[#1A365D]";
+  const labelClass =
+    "text-[9px] font-black text-slate-400 uppercase tracking-widest mb-1 block";
+
+  return (
+    <div
+      className="fixed inset-0 z-[110] flex items-center justify-center p-4 bg-[#1A365D]/40 backdrop-blur-sm animate-in fade-in duration-300"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white w-full max-w-xl shadow-2xl rounded-sm border-t-8 border-[#006666] animate-in zoom-in-95 duration-200 overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="px-6 py-4 border-b border-slate-100 flex justify-between items-center">
+          <div>
+            <h2 className="text-[14px] font-black text-[#1A365D] uppercase tracking-tight leading-none">
+              Renew Certification
+            </h2>
+            <span className="text-[8px] font-bold text-slate-400 uppercase tracking-widest">
+              {cert.participant_name} // Expires{" "}
+              {formatLongDate(cert.expires_on) || "—"}
+            </span>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-slate-300 hover:text-red-500 transition-colors text-xl font-light"
+          >
+            ×
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6">
+          <div className="grid grid-cols-2 gap-x-6 gap-y-3">
+            <div className="col-span-2">
+              <label className={labelClass}>Refresher Training</label>
+              <select
+                className={inputClass}
+                value={form.training_id}
+                onChange={(e) => handleChange("training_id", e.target.value)}
+              >
+                <option value={NEW_TRAINING}>New training…</option>
+                {trainings.map((t) => (
+                  <option key={t.id} value={t.id}>
+                    {t.date_label}
+                    {t.venue ? ` — ${t.venue}` : ""}
+                  </option>
+                ))}
+              </select>
+              <p className="mt-1 text-[9px] font-bold text-slate-400 uppercase tracking-widest">
+                {cert.training_type}
+              </p>
+            </div>
+
+            {isNewTraining && (
+              <>
+                <div>
+                  <label className={labelClass}>Start Date</label>
+                  <input
+                    type="date"
+                    className={inputClass}
+                    value={form.start_date}
+                    min={completion || undefined}
+                    onChange={(e) => handleChange("start_date", e.target.value)}
+                    required
+                  />
+                </div>
+                <div>
+                  <label className={labelClass}>End Date</label>
+                  <input
+                    type="date"
+                    className={inputClass}
+                    value={form.end_date}
+                    min={form.start_date || undefined}
+                    onChange={(e) => handleChange("end_date", e.target.value)}
+                  />
+                </div>
+                <div className="col-span-2">
+                  <label className={labelClass}>Venue</label>
+                  <input
+                    className={inputClass}
+                    value={form.venue}
+                    onChange={(e) => handleChange("venue", e.target.value)}
+                  />
+                </div>
+              </>
+            )}
+          </div>
+
+          <div className="mt-8 pt-5 border-t border-slate-100 flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-5 py-2.5 bg-white border border-slate-200 text-slate-400 font-black uppercase text-[9px] tracking-widest rounded hover:bg-slate-50 transition-colors"
+            >
+              Discard
+            </button>
+            <button
+              type="submit"
+              disabled={isSaving}
+              className="px-8 py-2.5 bg-[#006666] text-white font-black uppercase text-[9px] tracking-widest rounded hover:bg-[#004D4D] shadow-lg shadow-teal-100 transition-all active:scale-95 disabled:opacity-50"
+            >
+              {isSaving ? "Saving..." : "Issue Renewal"}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default RenewalModal;
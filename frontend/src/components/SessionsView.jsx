@@ -0,0 +1,169 @@
+import React, { useState, useEffect, useCallback } from "react";
+import toast from "react-hot-toast";
+import api from "../api";
+
+const SESSIONS_PATH = "/api/auth/sessions";
+
+// Browser and operating system names recognised in user agent strings,
+// checked in order (Edge and Opera also claim to be Chrome)
+const BROWSERS = [
+  ["Edg/", "Edge"],
+  ["OPR/", "Opera"],
+  ["Firefox/", "Firefox"],
+  ["Chrome/", "Chrome"],
+  ["Safari/", "Safari"],
+];
+const SYSTEMS = [
+  ["Windows", "Windows"],
+  ["Android", "Android"],
+  ["iPhone", "iPhone"],
+  ["iPad", "iPad"],
+  ["Mac OS", "macOS"],
+  ["Linux", "Linux"],
+];
+
+/**
+ * Short device description from a user agent, e.g. "Chrome on Windows"
+ * @param {string|null} userAgent
+ * @returns {string}
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) return "Unknown device";
+  const browser = BROWSERS.find(([token]) => userAgent.includes(token))?.[1];
+  const system = SYSTEMS.find(([token]) => userAgent.includes(token))?.[1];
+  if (!browser && !system) return userAgent.slice(0, 60);
+  return [browser, system].filter(Boolean).join(" on ");
+};
+
+/**
+ * SessionsView - devices the current user is signed in on, with a button
+ * to sign each of them (or all others) out
+ */
+const SessionsView = () => {
+  const [sessions, setSessions] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const res = await api.get(SESSIONS_PATH);
+      setSessions(res.data);
+    } catch (err) {
+      console.error("Error fetching sessions:", err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const handleRevoke = async (session) => {
+    setBusyId(session.id);
+    try {
+      await api.delete(`${SESSIONS_PATH}/${session.id}`);
+      toast.success(`${describeDevice(session.user_agent)} signed out`);
+      fetchSessions();
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to sign out session");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    if (!window.confirm("Sign out every other device?")) return;
+    try {
+      const res = await api.delete(SESSIONS_PATH);
+      toast.success(res.data.message);
+      fetchSessions();
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to sign out sessions");
+    }
+  };
+
+  const otherCount = sessions.filter((s) => !s.current).length;
+
+  return (
+    <div className="flex-1 min-w-0 h-full flex flex-col overflow-hidden bg-[#F0F4F8] font-sans">
+      {/* HEADER */}
+      <div className="h-[12%] min-h-[85px] max-h-[110px] shrink-0 flex items-center justify-between px-10 bg-white border-b-4 border-[#006666] shadow-md z-10">
+        <div className="flex flex-col">
+          <h1 className="text-[18px] font-bold text-[#1A365D] tracking-tight uppercase leading-none">
+            My Sessions
+          </h1>
+          <span className="text-[10px] font-bold text-[#006666] uppercase tracking-widest mt-1">
+            Devices signed in to your account
+          </span>
+        </div>
+        <button
+          onClick={handleRevokeOthers}
+          disabled={otherCount === 0}
+          className="h-10 px-6 border border-red-300 text-red-600 text-[10px] font-black uppercase tracking-widest rounded hover:bg-red-50 disabled:opacity-40"
+        >
+          Sign Out Other Devices
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-6">
+        <div className="bg-white rounded-xl shadow-sm border border-slate-200 overflow-hidden">
+          <div className="flex h-11 items-center px-8 bg-[#EDF2F7] border-b border-slate-200 text-[10px] font-black text-slate-500 uppercase">
+            <div className="flex-1">Device</div>
+            <div className="w-[18%] px-4">IP Address</div>
+            <div className="w-[18%] px-4">Signed In</div>
+            <div className="w-[18%] px-4">Last Active</div>
+            <div className="w-32 text-right">Action</div>
+          </div>
+          {sessions.length > 0 ? (
+            sessions.map((session) => (
+              <div
+                key={session.id}
+                className="flex items-center px-8 py-3 border-b border-slate-100 last:border-0 hover:bg-teal-50/30"
+              >
+                <div className="flex-1 min-w-0 flex flex-col">
+                  <span className="text-[13px] font-bold text-[#1A365D] uppercase truncate">
+                    {describeDevice(session.user_agent)}
+                  </span>
+                  <span
+                    className="text-[10px] font-semibold text-slate-400 truncate"
+                    title={session.user_agent || ""}
+                  >
+                    {session.user_agent || "—"}
+                  </span>
+                </div>
+                <div className="w-[18%] px-4 text-[11px] font-bold text-[#1A365D] truncate">
+                  {session.ip_address || "—"}
+                </div>
+                <div className="w-[18%] px-4 text-[11px] font-bold text-[#1A365D]">
+                  {new Date(session.created_at).toLocaleString()}
+                </div>
+                <div className="w-[18%] px-4 text-[11px] font-bold text-[#1A365D]">
+                  {new Date(session.last_used_at).toLocaleString()}
+                </div>
+                <div className="w-32 flex justify-end">
+                  {session.current ? (
+                    <span className="px-3 py-1 bg-emerald-50 text-emerald-700 text-[9px] font-black uppercase tracking-widest rounded">
+                      This device
+                    </span>
+                  ) : (
+                    <button
+                      onClick={() => handleRevoke(session)}
+                      disabled={busyId === session.id}
+                      className="h-8 px-4 border border-red-300 text-red-600 text-[10px] font-black uppercase rounded hover:bg-red-50 disabled:opacity-50"
+                    >
+                      Sign Out
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))
+          ) : (
+            <div className="py-16 text-center text-[11px] font-bold text-slate-400 uppercase">
+              No active sessions
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SessionsView;
@@ -0,0 +1,352 @@
+import React, { useState } from "react";
+import toast from "react-hot-toast";
+import api from "../api";
+import { formatLongDate } from "../dates";
+import { uploadSignature } from "../files";
+import {
+  DOCUMENT_TYPES,
+  OFFICER_NUMBERS,
+  getSigners,
+  getSignerNumbers,
+} from "../signers";
+import ManualCropperModal from "./ManualCropperModal";
+import StoredImage from "./StoredImage";
+
+const PERIODS_PATH = "/api/auth/signatory-periods";
+
+// Settings keys a period copies from the current signatories
+const SIGNATORY_KEYS = [
+  ...OFFICER_NUMBERS.flatMap((num) => [
+    `off${num}_name`,
+    `off${num}_pos`,
+    `off${num}_sig`,
+  ]),
+  ...Object.values(DOCUMENT_TYPES).map((type) => type.setting),
+];
+
+const pickSignatories = (settings) =>
+  Object.fromEntries(SIGNATORY_KEYS.map((key) => [key, settings[key] || ""]));
+
+/**
+ * SignatoryTimeline - signatories of past terms. Certificates and ID cards
+ * of trainings completed within a period print with its signatories; all
+ * others use the current ones set above. Saving new signatories above closes
+ * the outgoing ones into a period ending the day before the chosen effective
+ * date; periods added here fill in older terms or correct dates. A new
+ * period starts as a copy of the current signatories.
+ * @param {Object} settings - Current system settings
+ * @param {Array} periods - Signatory periods, latest first
+ * @param {Function} onChanged - Called after a period is saved or deleted
+ */
+const SignatoryTimeline = ({ settings, periods, onChanged }) => {
+  const [draft, setDraft] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [imageToCrop, setImageToCrop] = useState(null);
+  const [cropOfficerNum, setCropOfficerNum] = useState(null);
+
+  const startNew = () =>
+    setDraft({
+      id: null,
+      effective_from: "",
+      effective_to: "",
+      signatories: pickSignatories(settings),
+    });
+
+  const startEdit = (period) =>
+    setDraft({
+      id: period.id,
+      effective_from: period.effective_from,
+      effective_to: period.effective_to,
+      signatories: pickSignatories(period.signatories),
+    });
+
+  const setSignatory = (key, value) =>
+    setDraft((prev) => ({
+      ...prev,
+      signatories: { ...prev.signatories, [key]: value },
+    }));
+
+  const handleCroppedImage = async (dataUrl) => {
+    const num = cropOfficerNum;
+    setImageToCrop(null);
+    try {
+      setSignatory(`off${num}_sig`, await uploadSignature(dataUrl));
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to upload signature");
+    }
+  };
+
+  const savePeriod = async () => {
+    setIsSaving(true);
+    try {
+      const { id, ...period } = draft;
+      if (id) {
+        await api.put(`${PERIODS_PATH}/${id}`, period);
+      } else {
+        await api.post(PERIODS_PATH, period);
+      }
+      toast.success("Signatory period saved");
+      setDraft(null);
+      onChanged?.();
+    } catch (err) {
+      const { message, errors } = err.response?.data || {};
+      toast.error(errors?.[0] || message || "Failed to save signatory period");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const deletePeriod = async (period) => {
+    if (
+      !window.confirm(
+        "Delete this period? Its certificates will print with the current signatories.",
+      )
+    ) {
+      return;
+    }
+    try {
+      await api.delete(`${PERIODS_PATH}/${period.id}`);
+      toast.success("Signatory period deleted");
+      if (draft?.id === period.id) setDraft(null);
+      onChanged?.();
+    } catch (err) {
+      toast.error(
+        err.response?.data?.message || "Failed to delete signatory period",
+      );
+    }
+  };
+
+  const signerSummary = (signatories, type) =>
+    getSigners(signatories, type)
+      .map((signer) => signer.name || `Officer 0${signer.number}`)
+      .join(", ");
+
+  const inputClass =
+    "w-full px-3 py-2 bg-[#F8FAFC] border-2 border-slate-100 focus:border-[#006666] outline-none font-bold text-[12px] text-[#1A365D] rounded-lg";
+
+  return (
+    <div className="bg-white rounded-[1.5rem] border border-slate-100 shadow-sm overflow-hidden">
+      <div className="flex items-center justify-between px-8 py-4 border-b border-slate-100">
+        <div>
+          <p className="text-[10px] font-black text-slate-400 uppercase tracking-widest">
+            Signatory Timeline
+          </p>
+          <p className="text-[11px] text-slate-400 mt-1">
+            Trainings completed within a period print with its signatories; all
+            others use the current ones.
+          </p>
+        </div>
+        {!draft && (
+          <button
+            onClick={startNew}
+            className="px-5 py-2.5 bg-[#006666] text-white hover:bg-[#004D4D] rounded-xl font-black text-[10px] uppercase transition-all"
+          >
+            + Add Period
+          </button>
+        )}
+      </div>
+
+      {draft && (
+        <div className="px-8 py-6 bg-slate-50 border-b border-slate-100 space-y-4">
+          <div className="flex flex-wrap items-end gap-4">
+            <label className="text-[9px] font-black text-slate-400 uppercase tracking-widest">
+              Effective From
+              <input
+                type="date"
+                className={`${inputClass} mt-1`}
+                value={draft.effective_from}
+                onChange={(e) =>
+                  setDraft({ ...draft, effective_from: e.target.value })
+                }
+              />
+            </label>
+            <label className="text-[9px] font-black text-slate-400 uppercase tracking-widest">
+              Effective To
+              <input
+                type="date"
+                className={`${inputClass} mt-1`}
+                value={draft.effective_to}
+                onChange={(e) =>
+                  setDraft({ ...draft, effective_to: e.target.value })
+                }
+              />
+            </label>
+          </div>
+
+          {OFFICER_NUMBERS.map((num) => {
+            const signature = draft.signatories[`off${num}_sig`];
+            return (
+              <div key={num} className="grid grid-cols-12 gap-3 items-center">
+                <span className="col-span-1 text-lg font-black text-slate-300">
+                  0{num}
+                </span>
+                <input
+                  className={`${inputClass} col-span-4`}
+                  value={draft.signatories[`off${num}_name`]}
+                  onChange={(e) =>
+                    setSignatory(`off${num}_name`, e.target.value)
+                  }
+                  placeholder="Full name"
+                />
+                <input
+                  className={`${inputClass} col-span-4`}
+                  value={draft.signatories[`off${num}_pos`]}
+                  onChange={(e) =>
+                    setSignatory(`off${num}_pos`, e.target.value)
+                  }
+                  placeholder="Designation"
+                />
+                <div className="col-span-3 flex items-center justify-end gap-2">
+                  {signature && (
+                    <StoredImage
+                      src={signature}
+                      className="h-8 w-20 object-contain mix-blend-multiply"
+                      alt="signature"
+                    />
+                  )}
+                  <input
+                    type="file"
+                    id={`period-sig-${num}`}
+                    className="hidden"
+                    accept="image/png"
+                    onChange={(e) => {
+                      const file = e.target.files[0];
+                      e.target.value = "";
+                      if (file) {
+                        setCropOfficerNum(num);
+                        const reader = new FileReader();
+                        reader.onload = () => setImageToCrop(reader.result);
+                        reader.readAsDataURL(file);
+                      }
+                    }}
+                  />
+                  <label
+                    htmlFor={`period-sig-${num}`}
+                    className="px-3 py-2 bg-white text-[#006666] border border-slate-200 rounded-lg text-[10px] font-black uppercase cursor-pointer hover:bg-[#006666] hover:text-white transition-all"
+                  >
+                    {signature ? "Replace" : "Signature"}
+                  </label>
+                  {signature && (
+                    <button
+                      onClick={() => setSignatory(`off${num}_sig`, "")}
+                      className="px-2 py-2 text-slate-400 hover:text-red-500 text-[10px] font-black"
+                      title="Remove signature"
+                    >
+                      ×
+                    </button>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+
+          {Object.entries(DOCUMENT_TYPES).map(([type, { label, setting }]) => {
+            const selected = getSignerNumbers(draft.signatories, type);
+            return (
+              <div key={type} className="flex items-center gap-4">
+                <span className="w-32 text-[12px] font-bold text-slate-600">
+                  {label}
+                </span>
+                <div className="flex gap-2">
+                  {OFFICER_NUMBERS.map((num) => {
+                    const isOn = selected.includes(num);
+                    return (
+                      <button
+                        key={num}
+                        onClick={() => {
+                          const next = isOn
+                            ? selected.filter((n) => n !== num)
+                            : [...selected, num].sort();
+                          if (next.length > 0) {
+                            setSignatory(setting, next.join(","));
+                          }
+                        }}
+                        className={`px-4 py-2 rounded-lg text-[10px] font-black uppercase border transition-all ${
+                          isOn
+                            ? "bg-[#006666] text-white border-[#006666]"
+                            : "bg-white text-slate-400 border-slate-200 hover:border-[#006666]/40"
+                        }`}
+                      >
+                        Officer 0{num}
+                      </button>
+                    );
+                  })}
+                </div>
+              </div>
+            );
+          })}
+
+          <div className="flex justify-end gap-3">
+            <button
+              onClick={() => setDraft(null)}
+              className="px-6 py-2.5 bg-white border border-slate-200 text-slate-500 hover:bg-slate-100 rounded-xl font-black text-[10px] uppercase"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={savePeriod}
+              disabled={isSaving}
+              className="px-8 py-2.5 bg-[#006666] text-white hover:bg-[#004D4D] rounded-xl font-black text-[10px] uppercase disabled:opacity-50"
+            >
+              {isSaving ? "Saving..." : "Save Period"}
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="divide-y divide-slate-100">
+        {periods.length === 0 && (
+          <p className="px-8 py-6 text-[12px] text-slate-400">
+            No past signatories recorded; every certificate prints with the
+            current signatories.
+          </p>
+        )}
+        {periods.map((period) => (
+          <div key={period.id} className="flex items-center gap-6 px-8 py-4">
+            <div className="w-64 shrink-0">
+              <p className="text-[12px] font-black text-[#1A365D]">
+                {formatLongDate(period.effective_from)} –{" "}
+                {formatLongDate(period.effective_to)}
+              </p>
+            </div>
+            <div className="flex-1 min-w-0 space-y-0.5">
+              {Object.entries(DOCUMENT_TYPES).map(([type, { label }]) => (
+                <p key={type} className="text-[11px] text-slate-500 truncate">
+                  <span className="font-black uppercase text-slate-400">
+                    {label}:
+                  </span>{" "}
+                  {signerSummary(period.signatories, type)}
+                </p>
+              ))}
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={() => startEdit(period)}
+                className="px-4 py-1.5 bg-white border border-slate-200 text-[#006666] text-[9px] font-black uppercase rounded hover:bg-teal-50"
+              >
+                Edit
+              </button>
+              <button
+                onClick={() => deletePeriod(period)}
+                className="px-4 py-1.5 bg-red-50 text-red-500 text-[9px] font-black uppercase rounded hover:bg-red-100"
+              >
+                Delete
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {imageToCrop && (
+        <ManualCropperModal
+          imageSrc={imageToCrop}
+          onClose={() => setImageToCrop(null)}
+          onSave={handleCroppedImage}
+          aspectRatio={3 / 1}
+        />
+      )}
+    </div>
+  );
+};
+
+export default SignatoryTimeline;
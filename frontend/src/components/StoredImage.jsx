@@ -0,0 +1,29 @@
+import React, { useState, useEffect } from "react";
+import { loadImage } from "../files";
+
+/**
+ * StoredImage - an <img> for an image served by the API (see loadImage);
+ * renders nothing until it has loaded
+ * @param {string} src - API path of the image
+ */
+const StoredImage = ({ src, ...imgProps }) => {
+  const [loaded, setLoaded] = useState({ src: null, dataUrl: null });
+
+  useEffect(() => {
+    if (!src) return;
+    let active = true;
+    loadImage(src)
+      .then((dataUrl) => {
+        if (active) setLoaded({ src, dataUrl });
+      })
+      .catch((err) => console.error("Error loading image:", err));
+    return () => {
+      active = false;
+    };
+  }, [src]);
+
+  if (!src || loaded.src !== src) return null;
+  return <img src={loaded.dataUrl} {...imgProps} />;
+};
+
+export default StoredImage;
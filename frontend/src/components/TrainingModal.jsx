@@ -0,0 +1,180 @@
+import React, { useState, useEffect } from "react";
+import toast from "react-hot-toast";
+import api from "../api";
+
+const TRAININGS_PATH = "/api/auth/trainings";
+
+const INITIAL_TRAINING = {
+  training_type: "",
+  start_date: "",
+  end_date: "",
+  venue: "",
+  facility: "",
+  lead_instructor: "",
+  capacity: "",
+};
+
+/**
+ * TrainingModal - registers a training batch (type, dates, venue,
+ * facility, lead instructor, capacity) that certificates are issued under.
+ */
+const TrainingModal = ({ show, onClose, onCreated, trainingTypes }) => {
+  const [form, setForm] = useState(INITIAL_TRAINING);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (show) setForm(INITIAL_TRAINING);
+  }, [show]);
+
+  if (!show) return null;
+
+  const handleChange = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      const res = await api.post(TRAININGS_PATH, form);
+      toast.success("Training batch created");
+      onCreated(res.data);
+    } catch (err) {
+      const { message, errors } = err.response?.data || {};
+      toast.error(errors?.[0] || message || "Failed to create training");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const inputClass =
+    "w-full px-3 py-2 bg-[#F8FAFC] border-2 border-slate-100 focus:border-[#006666] outline-none font-bold text-[12px] text-[#1A365D]";
+  const labelClass =
+    "text-[9px] font-black text-slate-400 uppercase tracking-widest mb-1 block";
+
+  return (
+    <div
+      className="fixed inset-0 z-[110] flex items-center justify-center p-4 bg-[#1A365D]/40 backdrop-blur-sm animate-in fade-in duration-300"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white w-full max-w-xl shadow-2xl rounded-sm border-t-8 border-[#006666] animate-in zoom-in-95 duration-200 overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="px-6 py-4 border-b border-slate-100 flex justify-between items-center">
+          <div>
+            <h2 className="text-[14px] font-black text-[#1A365D] uppercase tracking-tight leading-none">
+              New Training Batch
+            </h2>
+            <span className="text-[8px] font-bold text-slate-400 uppercase tracking-widest">
+              Certificates are issued under this record
+            </span>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-slate-300 hover:text-red-500 transition-colors text-xl font-light"
+          >
+            ×
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6">
+          <div className="grid grid-cols-2 gap-x-6 gap-y-3">
+            <div className="col-span-2">
+              <label className={labelClass}>Training Protocol</label>
+              <select
+                className={inputClass}
+                value={form.training_type}
+                onChange={(e) => handleChange("training_type", e.target.value)}
+                required
+              >
+                {trainingTypes.map((t) => (
+                  <option key={t.value} value={t.value}>
+                    {t.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className={labelClass}>Start Date</label>
+              <input
+                type="date"
+                className={inputClass}
+                value={form.start_date}
+                onChange={(e) => handleChange("start_date", e.target.value)}
+                required
+              />
+            </div>
+            <div>
+              <label className={labelClass}>End Date</label>
+              <input
+                type="date"
+                className={inputClass}
+                value={form.end_date}
+                min={form.start_date || undefined}
+                onChange={(e) => handleChange("end_date", e.target.value)}
+              />
+            </div>
+
+            <div className="col-span-2">
+              <label className={labelClass}>Venue</label>
+              <input
+                className={inputClass}
+                value={form.venue}
+                onChange={(e) => handleChange("venue", e.target.value)}
+              />
+            </div>
+            <div className="col-span-2">
+              <label className={labelClass}>Host Facility</label>
+              <input
+                className={inputClass}
+                value={form.facility}
+                onChange={(e) => handleChange("facility", e.target.value)}
+              />
+            </div>
+            <div>
+              <label className={labelClass}>Lead Instructor</label>
+              <input
+                className={inputClass}
+                value={form.lead_instructor}
+                onChange={(e) =>
+                  handleChange("lead_instructor", e.target.value)
+                }
+              />
+            </div>
+            <div>
+              <label className={labelClass}>Capacity</label>
+              <input
+                type="number"
+                min="1"
+                className={inputClass}
+                value={form.capacity}
+                onChange={(e) => handleChange("capacity", e.target.value)}
+              />
+            </div>
+          </div>
+
+          <div className="mt-8 pt-5 border-t border-slate-100 flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-5 py-2.5 bg-white border border-slate-200 text-slate-400 font-black uppercase text-[9px] tracking-widest rounded hover:bg-slate-50 transition-colors"
+            >
+              Discard
+            </button>
+            <button
+              type="submit"
+              disabled={isSaving}
+              className="px-8 py-2.5 bg-[#006666] text-white font-black uppercase text-[9px] tracking-widest rounded hover:bg-[#004D4D] shadow-lg shadow-teal-100 transition-all active:scale-95 disabled:opacity-50"
+            >
+              {isSaving ? "Saving..." : "Create Training"}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default TrainingModal;
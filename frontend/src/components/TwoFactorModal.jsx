@@ -0,0 +1,39 @@
+import React from "react";
+import TwoFactorSettings from "./TwoFactorSettings";
+
+/**
+ * TwoFactorModal - two-factor settings for the signed-in user, opened from
+ * the navbar
+ */
+const TwoFactorModal = ({ show, onClose }) => {
+  if (!show) return null;
+
+  return (
+    <div
+      className="fixed inset-0 z-[110] flex items-center justify-center p-4 bg-[#1A365D]/40 backdrop-blur-sm animate-in fade-in duration-300"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white w-full max-w-md shadow-2xl rounded-sm border-t-8 border-[#006666] animate-in zoom-in-95 duration-200 overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="px-6 py-4 border-b border-slate-100 flex justify-between items-center">
+          <h2 className="text-[14px] font-black text-[#1A365D] uppercase tracking-tight leading-none">
+            Two-Factor Authentication
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-slate-300 hover:text-red-500 transition-colors text-xl font-light"
+          >
+            ×
+          </button>
+        </div>
+        <div className="p-6">
+          <TwoFactorSettings />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorModal;
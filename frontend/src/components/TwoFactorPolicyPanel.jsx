@@ -0,0 +1,82 @@
+import React, { useState, useEffect } from "react";
+import toast from "react-hot-toast";
+import api from "../api";
+import { ROLES, ROLE_LABELS } from "../permissions";
+
+const POLICY_PATH = "/api/auth/two-factor/policy";
+
+/**
+ * TwoFactorPolicyPanel - choose the roles that must use two-factor
+ * authentication (admin only). Members who have not enrolled are asked to
+ * before they can continue.
+ */
+const TwoFactorPolicyPanel = () => {
+  const [requiredRoles, setRequiredRoles] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchPolicy = async () => {
+      try {
+        const res = await api.get(POLICY_PATH);
+        setRequiredRoles(res.data.required_roles);
+      } catch (err) {
+        console.error("Error fetching two-factor policy:", err);
+      }
+    };
+    fetchPolicy();
+  }, []);
+
+  const toggleRole = (role) => {
+    setRequiredRoles((prev) =>
+      prev.includes(role) ? prev.filter((r) => r !== role) : [...prev, role],
+    );
+  };
+
+  const savePolicy = async () => {
+    setIsSaving(true);
+    try {
+      const res = await api.put(POLICY_PATH, { required_roles: requiredRoles });
+      setRequiredRoles(res.data.required_roles);
+      toast.success("Two-factor policy updated");
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to update policy");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-slate-200 overflow-hidden">
+      <div className="px-6 py-3 bg-[#EDF2F7] border-b border-slate-200">
+        <h2 className="text-[11px] font-bold text-[#4A5568] uppercase tracking-wider">
+          Require Two-Factor Authentication
+        </h2>
+      </div>
+      <div className="flex flex-wrap items-center gap-4 px-6 py-4">
+        {Object.values(ROLES).map((role) => (
+          <label
+            key={role}
+            className="flex items-center gap-2 text-[10px] font-black text-[#1A365D] uppercase tracking-widest"
+          >
+            <input
+              type="checkbox"
+              className="accent-[#006666]"
+              checked={requiredRoles.includes(role)}
+              onChange={() => toggleRole(role)}
+            />
+            {ROLE_LABELS[role]}
+          </label>
+        ))}
+        <button
+          onClick={savePolicy}
+          disabled={isSaving}
+          className="ml-auto px-4 py-1.5 bg-[#006666] text-white text-[9px] font-black uppercase tracking-widest rounded hover:bg-[#004D4D] disabled:opacity-50"
+        >
+          {isSaving ? "Saving..." : "Save"}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorPolicyPanel;
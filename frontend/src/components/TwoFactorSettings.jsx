@@ -0,0 +1,277 @@
+import React, { useState, useEffect, useCallback } from "react";
+import QRCode from "qrcode";
+import toast from "react-hot-toast";
+import api from "../api";
+
+const TWO_FACTOR_PATH = "/api/auth/two-factor";
+
+/**
+ * BackupCodeList - codes shown once after enabling or regenerating
+ */
+const BackupCodeList = ({ codes, onDone }) => (
+  <div className="space-y-3">
+    <p className="text-[11px] font-bold text-amber-700 bg-amber-50 border-l-4 border-amber-400 px-3 py-2">
+      Save these backup codes somewhere safe. Each one signs you in once if you
+      lose your phone. They will not be shown again.
+    </p>
+    <div className="grid grid-cols-2 gap-2">
+      {codes.map((code) => (
+        <code
+          key={code}
+          className="px-3 py-2 bg-[#F8FAFC] border border-slate-200 rounded text-center font-mono font-bold text-[13px] text-[#1A365D]"
+        >
+          {code}
+        </code>
+      ))}
+    </div>
+    <div className="flex justify-end gap-2">
+      <button
+        onClick={() => {
+          navigator.clipboard?.writeText(codes.join("\n"));
+          toast.success("Backup codes copied");
+        }}
+        className="px-5 py-2.5 bg-white border border-slate-200 text-slate-500 font-black uppercase text-[9px] tracking-widest rounded hover:bg-slate-50"
+      >
+        Copy
+      </button>
+      <button
+        onClick={onDone}
+        className="px-8 py-2.5 bg-[#006666] text-white font-black uppercase text-[9px] tracking-widest rounded hover:bg-[#004D4D]"
+      >
+        I Saved Them
+      </button>
+    </div>
+  </div>
+);
+
+/**
+ * TwoFactorSettings - enrol in, manage or turn off TOTP two-factor
+ * authentication for the signed-in user
+ * @param {Function} [onEnabled] - Called once enrolment succeeds
+ */
+const TwoFactorSettings = ({ onEnabled }) => {
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null); // { secret, otpauth_url, qr }
+  const [backupCodes, setBackupCodes] = useState(null);
+  const [code, setCode] = useState("");
+  const [password, setPassword] = useState("");
+  const [isBusy, setIsBusy] = useState(false);
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const res = await api.get(TWO_FACTOR_PATH);
+      setStatus(res.data);
+    } catch (err) {
+      console.error("Error fetching two-factor status:", err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  // Run a request with the busy flag set; errors are shown as toasts
+  const run = async (request, fallbackMessage) => {
+    setIsBusy(true);
+    try {
+      return await request();
+    } catch (err) {
+      toast.error(err.response?.data?.message || fallbackMessage);
+      return null;
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const startSetup = () =>
+    run(async () => {
+      const res = await api.post(`${TWO_FACTOR_PATH}/setup`);
+      const qr = await QRCode.toDataURL(res.data.otpauth_url, {
+        errorCorrectionLevel: "M",
+        margin: 2,
+        width: 200,
+      });
+      setSetup({ ...res.data, qr });
+      setCode("");
+    }, "Failed to start two-factor setup");
+
+  const enable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const res = await api.post(`${TWO_FACTOR_PATH}/enable`, { code });
+      toast.success(res.data.message);
+      setSetup(null);
+      setCode("");
+      setBackupCodes(res.data.backup_codes);
+      fetchStatus();
+    }, "Failed to enable two-factor authentication");
+  };
+
+  const regenerate = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const res = await api.post(`${TWO_FACTOR_PATH}/backup-codes`, { code });
+      setCode("");
+      setBackupCodes(res.data.backup_codes);
+      fetchStatus();
+    }, "Failed to create backup codes");
+  };
+
+  const disable = (e) => {
+    e.preventDefault();
+    if (!window.confirm("Turn off two-factor authentication?")) return;
+    run(async () => {
+      const res = await api.post(`${TWO_FACTOR_PATH}/disable`, { password });
+      toast.success(res.data.message);
+      setPassword("");
+      fetchStatus();
+    }, "Failed to disable two-factor authentication");
+  };
+
+  const finishBackupCodes = () => {
+    setBackupCodes(null);
+    onEnabled?.();
+  };
+
+  const inputClass =
+    "w-full px-3 py-2 bg-[#F8FAFC] border-2 border-slate-100 focus:border-[#006666] outline-none font-bold text-[12px] text-[#1A365D]";
+  const labelClass =
+    "text-[9px] font-black text-slate-400 uppercase tracking-widest mb-1 block";
+  const primaryButton =
+    "px-6 py-2.5 bg-[#006666] text-white font-black uppercase text-[9px] tracking-widest rounded hover:bg-[#004D4D] disabled:opacity-50";
+
+  if (!status) {
+    return (
+      <p className="text-[10px] font-bold text-slate-400 uppercase tracking-widest">
+        Loading...
+      </p>
+    );
+  }
+
+  if (backupCodes) {
+    return <BackupCodeList codes={backupCodes} onDone={finishBackupCodes} />;
+  }
+
+  // Enrolment: scan the QR, then confirm with a code
+  if (setup) {
+    return (
+      <form onSubmit={enable} className="space-y-4">
+        <p className="text-[11px] font-bold text-slate-500 leading-relaxed">
+          Scan this code with an authenticator app (Google Authenticator,
+          Microsoft Authenticator, Authy...), then enter the 6-digit code it
+          shows.
+        </p>
+        <div className="flex flex-col items-center gap-2">
+          <img
+            src={setup.qr}
+            alt="Two-factor QR code"
+            className="w-48 h-48 border border-slate-200 rounded"
+          />
+          <p className="text-[9px] font-bold text-slate-400 uppercase tracking-widest">
+            Or enter this key manually
+          </p>
+          <code className="font-mono font-bold text-[12px] text-[#1A365D] break-all text-center">
+            {setup.secret}
+          </code>
+        </div>
+        <div>
+          <label className={labelClass}>Code From App</label>
+          <input
+            className={inputClass}
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            required
+          />
+        </div>
+        <div className="flex justify-end gap-2">
+          <button
+            type="button"
+            onClick={() => setSetup(null)}
+            className="px-5 py-2.5 bg-white border border-slate-200 text-slate-400 font-black uppercase text-[9px] tracking-widest rounded hover:bg-slate-50"
+          >
+            Cancel
+          </button>
+          <button type="submit" disabled={isBusy} className={primaryButton}>
+            {isBusy ? "Verifying..." : "Turn On"}
+          </button>
+        </div>
+      </form>
+    );
+  }
+
+  if (!status.enabled) {
+    return (
+      <div className="space-y-4">
+        <p className="text-[11px] font-bold text-slate-500 leading-relaxed">
+          {status.required
+            ? "Your role requires two-factor authentication. Set it up to continue using the registry."
+            : "Protect your account with a code from your phone in addition to your password."}
+        </p>
+        <div className="flex justify-end">
+          <button
+            onClick={startSetup}
+            disabled={isBusy}
+            className={primaryButton}
+          >
+            {isBusy ? "Preparing..." : "Set Up Two-Factor"}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-5">
+      <p className="text-[11px] font-bold text-emerald-700 bg-emerald-50 border-l-4 border-emerald-500 px-3 py-2">
+        Two-factor authentication is on. {status.backup_codes_remaining} backup
+        code{status.backup_codes_remaining === 1 ? "" : "s"} left.
+      </p>
+
+      <form onSubmit={regenerate} className="space-y-2">
+        <label className={labelClass}>New Backup Codes</label>
+        <div className="flex gap-2">
+          <input
+            className={inputClass}
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            placeholder="Code from app"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            required
+          />
+          <button type="submit" disabled={isBusy} className={primaryButton}>
+            Generate
+          </button>
+        </div>
+      </form>
+
+      {!status.required && (
+        <form onSubmit={disable} className="space-y-2">
+          <label className={labelClass}>Turn Off</label>
+          <div className="flex gap-2">
+            <input
+              type="password"
+              className={inputClass}
+              autoComplete="current-password"
+              placeholder="Your password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+            />
+            <button
+              type="submit"
+              disabled={isBusy}
+              className="px-6 py-2.5 bg-white border border-red-200 text-red-600 font-black uppercase text-[9px] tracking-widest rounded hover:bg-red-50 disabled:opacity-50"
+            >
+              Disable
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
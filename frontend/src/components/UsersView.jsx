@@ -0,0 +1,336 @@
+import React, { useState, useEffect, useCallback } from "react";
+import toast from "react-hot-toast";
+import api from "../api";
+import { ROLES, ROLE_LABELS } from "../permissions";
+import InvitationsPanel from "./InvitationsPanel";
+
+const USERS_PATH = "/api/auth/users";
+const REGISTRATION_PATH = "/api/auth/registration";
+
+/**
+ * UsersView - user accounts console (admin only): assign roles, disable
+ * accounts, send password reset links, reset two-factor, sign users out,
+ * invite new staff, and open or close self-registration
+ * @param {Object} currentUser - Signed-in admin; their own account cannot
+ *   be demoted or disabled here
+ */
+const UsersView = ({ currentUser }) => {
+  const [users, setUsers] = useState([]);
+  const [search, setSearch] = useState("");
+  const [registrationOpen, setRegistrationOpen] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      const res = await api.get(USERS_PATH);
+      setUsers(res.data);
+    } catch (err) {
+      console.error("Error fetching users:", err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchUsers();
+    const fetchRegistration = async () => {
+      try {
+        const res = await api.get(REGISTRATION_PATH);
+        setRegistrationOpen(res.data.open);
+      } catch (err) {
+        console.error("Error fetching registration setting:", err);
+      }
+    };
+    fetchRegistration();
+  }, [fetchUsers]);
+
+  // Run an action for one user with the row marked busy, then reload
+  const run = async (account, request, fallbackMessage) => {
+    setBusyId(account.id);
+    try {
+      const res = await request();
+      if (res.data.message) toast.success(res.data.message);
+      fetchUsers();
+    } catch (err) {
+      toast.error(err.response?.data?.message || fallbackMessage);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const changeRole = (account, role) =>
+    run(
+      account,
+      async () => {
+        const res = await api.put(`${USERS_PATH}/${account.id}/role`, {
+          role,
+        });
+        toast.success(`${account.username} is now ${ROLE_LABELS[role]}`);
+        return res;
+      },
+      "Failed to update role",
+    );
+
+  const toggleDisabled = (account) => {
+    const disabled = !account.disabled_at;
+    if (
+      disabled &&
+      !window.confirm(
+        `Disable ${account.username}? They will be signed out and unable to log in.`,
+      )
+    ) {
+      return;
+    }
+    run(
+      account,
+      async () => {
+        const res = await api.put(`${USERS_PATH}/${account.id}/status`, {
+          disabled,
+        });
+        toast.success(
+          `${account.username} ${disabled ? "disabled" : "enabled"}`,
+        );
+        return res;
+      },
+      "Failed to update account status",
+    );
+  };
+
+  const sendResetLink = (account) => {
+    const email = window.prompt(
+      `Email address to send ${account.username}'s reset link to`,
+      account.email || "",
+    );
+    if (!email) return;
+    run(
+      account,
+      () => api.post(`${USERS_PATH}/${account.id}/password-reset`, { email }),
+      "Failed to send reset link",
+    );
+  };
+
+  const resetTwoFactor = (account) => {
+    if (
+      !window.confirm(
+        `Turn off two-factor authentication for ${account.username}?`,
+      )
+    ) {
+      return;
+    }
+    run(
+      account,
+      () => api.delete(`${USERS_PATH}/${account.id}/two-factor`),
+      "Failed to reset two-factor authentication",
+    );
+  };
+
+  const signOut = (account) => {
+    if (!window.confirm(`Sign ${account.username} out of every device?`)) {
+      return;
+    }
+    run(
+      account,
+      () => api.delete(`${USERS_PATH}/${account.id}/sessions`),
+      "Failed to sign user out",
+    );
+  };
+
+  const toggleRegistration = async () => {
+    try {
+      const res = await api.put(REGISTRATION_PATH, {
+        open: !registrationOpen,
+      });
+      setRegistrationOpen(res.data.open);
+      toast.success(
+        res.data.open ? "Self-registration opened" : "Self-registration closed",
+      );
+    } catch (err) {
+      toast.error(
+        err.response?.data?.message || "Failed to update registration",
+      );
+    }
+  };
+
+  const query = search.trim().toLowerCase();
+  const visibleUsers = users.filter(
+    (u) =>
+      !query ||
+      u.username.toLowerCase().includes(query) ||
+      u.email?.toLowerCase().includes(query),
+  );
+
+  const actionButton =
+    "h-7 px-3 border text-[9px] font-black uppercase rounded disabled:opacity-50";
+
+  return (
+    <div className="flex-1 min-w-0 h-full flex flex-col overflow-hidden bg-[#F0F4F8] font-sans">
+      {/* HEADER */}
+      <div className="h-[12%] min-h-[85px] max-h-[110px] shrink-0 flex items-center justify-between px-10 bg-white border-b-4 border-[#006666] shadow-md z-10">
+        <div className="flex flex-col">
+          <h1 className="text-[18px] font-bold text-[#1A365D] tracking-tight uppercase leading-none">
+            User Accounts
+          </h1>
+          <span className="text-[10px] font-bold text-[#006666] uppercase tracking-widest mt-1">
+            {users.length} account{users.length === 1 ? "" : "s"}
+          </span>
+        </div>
+        <div className="flex items-center gap-4">
+          <input
+            type="text"
+            placeholder="Search username or email..."
+            className="w-64 h-10 px-4 bg-[#F8FAFC] border-2 border-slate-100 focus:border-[#006666] outline-none rounded font-bold text-[11px] text-[#1A365D]"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+          />
+          {registrationOpen !== null && (
+            <button
+              onClick={toggleRegistration}
+              className={`h-10 px-5 border text-[10px] font-black uppercase tracking-widest rounded ${
+                registrationOpen
+                  ? "border-amber-300 text-amber-700 hover:bg-amber-50"
+                  : "border-slate-300 text-slate-500 hover:bg-slate-50"
+              }`}
+              title="Whether anyone may create an account from the register page"
+            >
+              Self-Registration: {registrationOpen ? "Open" : "Closed"}
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-6 space-y-6">
+        <div className="bg-white rounded-xl shadow-sm border border-slate-200 overflow-hidden">
+          <div className="flex h-11 items-center px-8 bg-[#EDF2F7] border-b border-slate-200 text-[10px] font-black text-slate-500 uppercase">
+            <div className="flex-1">User</div>
+            <div className="w-48 px-4">Role</div>
+            <div className="w-40 px-4">Last Login</div>
+            <div className="w-32 px-4">Security</div>
+            <div className="w-24 px-4">Status</div>
+            <div className="w-[340px] text-right">Actions</div>
+          </div>
+          {visibleUsers.length > 0 ? (
+            visibleUsers.map((account) => {
+              const isSelf = account.id === currentUser?.id;
+              const isBusy = busyId === account.id;
+              return (
+                <div
+                  key={account.id}
+                  className={`flex items-center px-8 py-3 border-b border-slate-100 last:border-0 hover:bg-teal-50/30 ${
+                    account.disabled_at ? "opacity-60" : ""
+                  }`}
+                >
+                  <div className="flex-1 min-w-0 flex flex-col">
+                    <span className="text-[13px] font-bold text-[#1A365D] truncate">
+                      {account.username}
+                      {isSelf && (
+                        <span className="ml-2 text-[9px] font-black text-[#006666] uppercase">
+                          (You)
+                        </span>
+                      )}
+                    </span>
+                    <span className="text-[10px] font-semibold text-slate-400 truncate">
+                      {[account.office, account.email || "No email on file"]
+                        .filter(Boolean)
+                        .join(" · ")}
+                    </span>
+                  </div>
+                  <div className="w-48 px-4">
+                    <select
+                      className="w-full px-2 py-1 bg-[#F8FAFC] border-2 border-slate-100 focus:border-[#006666] outline-none font-bold text-[10px] text-[#1A365D] rounded"
+                      value={account.role}
+                      disabled={isSelf || isBusy}
+                      onChange={(e) => changeRole(account, e.target.value)}
+                    >
+                      {Object.values(ROLES).map((role) => (
+                        <option key={role} value={role}>
+                          {ROLE_LABELS[role]}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="w-40 px-4 text-[11px] font-bold text-[#1A365D]">
+                    {account.last_login_at
+                      ? new Date(account.last_login_at).toLocaleString()
+                      : "Never"}
+                  </div>
+                  <div className="w-32 px-4 flex flex-col text-[9px] font-black uppercase">
+                    <span
+                      className={
+                        account.two_factor_enabled
+                          ? "text-emerald-700"
+                          : "text-slate-400"
+                      }
+                    >
+                      2FA {account.two_factor_enabled ? "On" : "Off"}
+                    </span>
+                    <span className="text-slate-400">
+                      {account.active_sessions} session
+                      {account.active_sessions === 1 ? "" : "s"}
+                    </span>
+                  </div>
+                  <div className="w-24 px-4">
+                    <span
+                      className={`px-2 py-1 text-[9px] font-black uppercase rounded ${
+                        account.disabled_at
+                          ? "bg-red-50 text-red-600"
+                          : "bg-emerald-50 text-emerald-700"
+                      }`}
+                    >
+                      {account.disabled_at ? "Disabled" : "Active"}
+                    </span>
+                  </div>
+                  <div className="w-[340px] flex justify-end gap-2">
+                    <button
+                      onClick={() => sendResetLink(account)}
+                      disabled={isBusy}
+                      className={`${actionButton} border-slate-300 text-slate-600 hover:bg-slate-50`}
+                    >
+                      Reset Password
+                    </button>
+                    {account.two_factor_enabled && (
+                      <button
+                        onClick={() => resetTwoFactor(account)}
+                        disabled={isBusy}
+                        className={`${actionButton} border-slate-300 text-slate-600 hover:bg-slate-50`}
+                      >
+                        Reset 2FA
+                      </button>
+                    )}
+                    {account.active_sessions > 0 && !isSelf && (
+                      <button
+                        onClick={() => signOut(account)}
+                        disabled={isBusy}
+                        className={`${actionButton} border-slate-300 text-slate-600 hover:bg-slate-50`}
+                      >
+                        Sign Out
+                      </button>
+                    )}
+                    {!isSelf && (
+                      <button
+                        onClick={() => toggleDisabled(account)}
+                        disabled={isBusy}
+                        className={`${actionButton} ${
+                          account.disabled_at
+                            ? "border-[#006666] text-[#006666] hover:bg-teal-50"
+                            : "border-red-300 text-red-600 hover:bg-red-50"
+                        }`}
+                      >
+                        {account.disabled_at ? "Enable" : "Disable"}
+                      </button>
+                    )}
+                  </div>
+                </div>
+              );
+            })
+          ) : (
+            <div className="py-16 text-center text-[11px] font-bold text-slate-400 uppercase">
+              No matching users
+            </div>
+          )}
+        </div>
+
+        <InvitationsPanel />
+      </div>
+    </div>
+  );
+};
+
+export default UsersView;
@@ -0,0 +1,126 @@
+import React, { useState, useEffect, useCallback } from "react";
+import toast from "react-hot-toast";
+import api from "../api";
+
+const RULES_PATH = "/api/auth/validity-rules";
+
+/**
+ * ValidityRulesPanel - how long certificates of each training type stay
+ * valid. Admins can change a rule; expiry dates of that type's
+ * certificates are recomputed by the server.
+ */
+const ValidityRulesPanel = ({ trainingTypes, canManage, onSaved }) => {
+  const [rules, setRules] = useState([]);
+  const [savingType, setSavingType] = useState(null);
+
+  const fetchRules = useCallback(async () => {
+    try {
+      const res = await api.get(RULES_PATH);
+      setRules(res.data);
+    } catch (err) {
+      console.error("Error fetching validity rules:", err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRules();
+  }, [fetchRules]);
+
+  const handleChange = (type, field, value) => {
+    setRules((prev) =>
+      prev.map((rule) =>
+        rule.training_type === type ? { ...rule, [field]: value } : rule,
+      ),
+    );
+  };
+
+  const saveRule = async (rule) => {
+    setSavingType(rule.training_type);
+    try {
+      const res = await api.put(RULES_PATH, rule);
+      toast.success(
+        `Validity updated; ${res.data.updated_count} expiry date(s) recomputed`,
+      );
+      onSaved?.();
+    } catch (err) {
+      const { message, errors } = err.response?.data || {};
+      toast.error(errors?.[0] || message || "Failed to update validity");
+      fetchRules();
+    } finally {
+      setSavingType(null);
+    }
+  };
+
+  const labelFor = (type) =>
+    trainingTypes.find((t) => t.value === type)?.label || type;
+
+  const inputClass =
+    "w-16 px-2 py-1.5 bg-[#F8FAFC] border-2 border-slate-100 focus:border-[#006666] outline-none font-bold text-[11px] text-[#1A365D] rounded disabled:opacity-60";
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-slate-200 overflow-hidden">
+      <div className="px-6 py-3 bg-[#EDF2F7] border-b border-slate-200">
+        <h2 className="text-[11px] font-bold text-[#4A5568] uppercase tracking-wider">
+          Validity Rules
+        </h2>
+      </div>
+      <div className="divide-y divide-slate-100">
+        {rules.map((rule) => (
+          <div
+            key={rule.training_type}
+            className="flex items-center gap-4 px-6 py-3"
+          >
+            <span className="flex-1 text-[12px] font-bold text-[#1A365D] uppercase truncate">
+              {labelFor(rule.training_type)}
+            </span>
+            <label className="flex items-center gap-1.5 text-[9px] font-black text-slate-400 uppercase tracking-widest">
+              <input
+                type="number"
+                min="0"
+                className={inputClass}
+                value={rule.validity_years}
+                disabled={!canManage}
+                onChange={(e) =>
+                  handleChange(
+                    rule.training_type,
+                    "validity_years",
+                    e.target.value,
+                  )
+                }
+              />
+              Years
+            </label>
+            <label className="flex items-center gap-1.5 text-[9px] font-black text-slate-400 uppercase tracking-widest">
+              <input
+                type="number"
+                min="0"
+                className={inputClass}
+                value={rule.validity_days}
+                disabled={!canManage}
+                onChange={(e) =>
+                  handleChange(
+                    rule.training_type,
+                    "validity_days",
+                    e.target.value,
+                  )
+                }
+              />
+              Days
+            </label>
+            {canManage && (
+              <button
+                onClick={() => saveRule(rule)}
+                disabled={savingType === rule.training_type}
+                className="px-4 py-1.5 bg-[#006666] text-white text-[9px] font-black uppercase tracking-widest rounded hover:bg-[#004D4D] disabled:opacity-50"
+              >
+                {savingType === rule.training_type ? "Saving..." : "Save"}
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ValidityRulesPanel;
@@ -0,0 +1,51 @@
+import React from "react";
+import { Svg, Path } from "@react-pdf/renderer";
+import QRCode from "qrcode";
+import { getVerificationUrl } from "../certificateCodes";
+
+// Blank modules kept around the code so scanners can find its edges
+const QUIET_ZONE = 2;
+
+/**
+ * Build one SVG path covering every dark module of a QR code
+ * @param {string} text - Text to encode
+ * @returns {Object} { path, size } where size includes the quiet zone
+ */
+const buildQrPath = (text) => {
+  const { modules } = QRCode.create(text, { errorCorrectionLevel: "M" });
+  let path = "";
+  for (let row = 0; row < modules.size; row++) {
+    for (let col = 0; col < modules.size; col++) {
+      if (modules.get(row, col)) {
+        path += `M${col + QUIET_ZONE} ${row + QUIET_ZONE}h1v1h-1z`;
+      }
+    }
+  }
+  return { path, size: modules.size + QUIET_ZONE * 2 };
+};
+
+/**
+ * VerificationQR - react-pdf QR code linking to the public /verify page
+ * for a certificate code. Generated locally and drawn as vector paths, so
+ * it stays sharp when printed.
+ */
+export const VerificationQR = ({ code, size = 60, style }) => {
+  const { path, size: modules } = React.useMemo(
+    () => buildQrPath(getVerificationUrl(code)),
+    [code],
+  );
+
+  return (
+    <Svg
+      width={size}
+      height={size}
+      viewBox={`0 0 ${modules} ${modules}`}
+      style={style}
+    >
+      <Path d={path} fill="#000000" />
+    </Svg>
+  );
+};
+
+VerificationQR.displayName = "VerificationQR";
+export default VerificationQR;
@@ -0,0 +1,94 @@
+// Training date helpers. Dates travel as "YYYY-MM-DD" strings
+// (mirrors backend/utils/dates.js).
+
+const MONTH_NAMES = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December",
+];
+
+/**
+ * Split a YYYY-MM-DD string into numbers without going through Date,
+ * so the result never shifts with the browser's timezone
+ * @param {string} iso - Date string
+ * @returns {Object|null} { year, month (1-12), day }
+ */
+export const parseIsoDate = (iso) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(iso || "");
+  if (!match) return null;
+  const [, year, month, day] = match.map(Number);
+  return { year, month, day, monthName: MONTH_NAMES[month - 1] };
+};
+
+/**
+ * Format a single date, e.g. "January 25, 2026"
+ * @param {string} iso - Date string
+ * @returns {string|null}
+ */
+export const formatLongDate = (iso) => {
+  const date = parseIsoDate(iso);
+  return date ? `${date.monthName} ${date.day}, ${date.year}` : null;
+};
+
+/**
+ * Format a start/end date pair the way certificates print it
+ * e.g. "January 23-25, 2026", "January 30-February 1, 2026"
+ * @param {string} start - Start date
+ * @param {string} [end] - End date, defaults to start
+ * @returns {string|null}
+ */
+export const formatDateRange = (start, end = start) => {
+  const s = parseIsoDate(start);
+  const e = parseIsoDate(end || start);
+  if (!s || !e) return null;
+
+  if (start === (end || start)) return formatLongDate(start);
+  if (s.year !== e.year) {
+    return `${formatLongDate(start)}-${formatLongDate(end)}`;
+  }
+  if (s.month !== e.month) {
+    return `${s.monthName} ${s.day}-${e.monthName} ${e.day}, ${e.year}`;
+  }
+  return `${s.monthName} ${s.day}-${e.day}, ${e.year}`;
+};
+
+/**
+ * Last day of a certificate's training, used as its completion date
+ * @param {Object} cert - Certificate with start_date / end_date
+ * @returns {string|null} YYYY-MM-DD date
+ */
+export const getCompletionDate = (cert) =>
+  cert?.end_date || cert?.start_date || null;
+
+/**
+ * Year a certificate is filed under: its completion year, or the year it
+ * was encoded when the training dates still need review
+ * @param {Object} cert - Certificate
+ * @returns {number|null}
+ */
+export const getCertificateYear = (cert) =>
+  parseIsoDate(getCompletionDate(cert))?.year ??
+  (cert?.created_at ? new Date(cert.created_at).getFullYear() : null);
+
+/**
+ * Whole days from today (local calendar) until a date; negative once past
+ * @param {string} iso - Date string
+ * @returns {number|null}
+ */
+export const daysUntil = (iso) => {
+  const date = parseIsoDate(iso);
+  if (!date) return null;
+  const now = new Date();
+  const today = Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
+  const target = Date.UTC(date.year, date.month - 1, date.day);
+  return Math.round((target - today) / 86400000);
+};
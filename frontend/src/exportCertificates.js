@@ -0,0 +1,52 @@
+// Roster export (.xlsx / .csv) for the registry table and batch modal.
+
+import * as XLSX from "xlsx";
+import { getCertificateCode, getRegistrationNumber } from "./certificateCodes";
+
+// Spreadsheet columns, in order
+const EXPORT_COLUMNS = [
+  ["Certificate Code", getCertificateCode],
+  ["Registration No.", getRegistrationNumber],
+  ["Record ID", (c) => c.id],
+  ["Status", (c) => (c.revoked_at ? "Revoked" : "Active")],
+  ["Participant Name", (c) => c.participant_name],
+  ["Training Type", (c) => c.training_type],
+  ["Training Dates", (c) => c.training_date],
+  ["Start Date", (c) => c.start_date],
+  ["End Date", (c) => c.end_date],
+  ["Venue", (c) => c.venue],
+  ["Facility", (c) => c.facility],
+  ["Participant Type", (c) => c.participant_type],
+  ["Age", (c) => c.age],
+  ["Position", (c) => c.position],
+  ["Expires On", (c) => c.expires_on],
+  ["Renews Record", (c) => c.renewed_from_id],
+  ["Renewed By Record", (c) => c.renewal_id],
+  ["Encoded At", (c) => c.created_at],
+  ["Last Updated", (c) => c.updated_at],
+  ["Revoked At", (c) => c.revoked_at],
+  ["Revocation Reason", (c) => c.revocation_reason],
+];
+
+/**
+ * Download certificates as a spreadsheet
+ * @param {Array} certs - Certificates to export
+ * @param {string} baseName - File name without extension
+ * @param {string} format - "xlsx" or "csv"
+ */
+export const exportCertificates = (certs, baseName, format = "xlsx") => {
+  const rows = certs.map((cert) =>
+    Object.fromEntries(
+      EXPORT_COLUMNS.map(([header, value]) => [header, value(cert) ?? ""]),
+    ),
+  );
+
+  const sheet = XLSX.utils.json_to_sheet(rows, {
+    header: EXPORT_COLUMNS.map(([header]) => header),
+  });
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, "Certificates");
+
+  const safeName = baseName.replace(/[^\w-]+/g, "_");
+  XLSX.writeFile(workbook, `${safeName}.${format}`, { bookType: format });
+};
@@ -0,0 +1,66 @@
+// Stored images (officer signatures, participant photos). The API serves
+// them behind the login cookie, so they are fetched through `api` and handed
+// to <img> and react-pdf as data URLs; uploads go up as multipart forms.
+
+import api from "./api";
+
+const FILES_PATH = "/api/auth/files";
+
+// Loads by URL. Stored files never change, and photo URLs carry the photo's
+// version, so an entry never goes stale.
+const imageCache = new Map();
+
+const blobToDataUrl = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+
+/**
+ * Read a file or blob as a data URL
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+export const readAsDataUrl = (blob) => blobToDataUrl(blob);
+
+/**
+ * Fetch a stored image as a data URL. Data URLs are returned as they are.
+ * @param {string} url - API path, e.g. from the settings
+ * @returns {Promise<string>}
+ */
+export const loadImage = (url) => {
+  if (url.startsWith("data:")) return Promise.resolve(url);
+  if (!imageCache.has(url)) {
+    const request = api
+      .get(url, { responseType: "blob" })
+      .then((res) => blobToDataUrl(res.data))
+      .catch((err) => {
+        imageCache.delete(url);
+        throw err;
+      });
+    imageCache.set(url, request);
+  }
+  return imageCache.get(url);
+};
+
+/**
+ * Turn a data URL (as produced by a canvas) back into a blob for upload
+ * @param {string} dataUrl
+ * @returns {Promise<Blob>}
+ */
+export const dataUrlToBlob = async (dataUrl) => (await fetch(dataUrl)).blob();
+
+/**
+ * Upload a cropped signature
+ * @param {string} dataUrl - PNG data URL from ManualCropperModal
+ * @returns {Promise<string>} URL to save in the settings
+ */
+export const uploadSignature = async (dataUrl) => {
+  const form = new FormData();
+  form.append("purpose", "signature");
+  form.append("file", await dataUrlToBlob(dataUrl), "signature.png");
+  const res = await api.post(FILES_PATH, form);
+  return res.data.url;
+};
@@ -10,10 +10,46 @@ import { PDFDownloadLink } from "@react-pdf/renderer";
 import { CertPDF } from "../components/CertPDF";
 import { BatchCertPDF } from "../components/BatchCertPDF";
 import { BatchIDPDF } from "../components/BatchIDPDF";
-import axios from "axios";
 import toast, { Toaster } from "react-hot-toast";
 import ManualCropperModal from "../components/ManualCropperModal";
+import TrainingModal from "../components/TrainingModal";
+import ImportModal from "../components/ImportModal";
+import PhotoUploadButton from "../components/PhotoUploadButton";
+import PhotoMatcherModal from "../components/PhotoMatcherModal";
+import StoredImage from "../components/StoredImage";
+import SignatoryTimeline from "../components/SignatoryTimeline";
+import RenewalModal from "../components/RenewalModal";
+import ActivityLog from "../components/ActivityLog";
+import CertificateHistory from "../components/CertificateHistory";
+import RecycleBin from "../components/RecycleBin";
+import SessionsView from "../components/SessionsView";
+import UsersView from "../components/UsersView";
+import ValidityRulesPanel from "../components/ValidityRulesPanel";
+import TwoFactorPolicyPanel from "../components/TwoFactorPolicyPanel";
 import api from "../api";
+import {
+  canAccessView,
+  canEditCerts,
+  canDeleteCerts,
+  canRevokeCerts,
+  canManageValidityRules,
+  canManageUsers,
+} from "../permissions";
+import {
+  formatDateRange,
+  formatLongDate,
+  daysUntil,
+  getCompletionDate,
+} from "../dates";
+import { exportCertificates } from "../exportCertificates";
+import { uploadSignature } from "../files";
+import {
+  DOCUMENT_TYPES,
+  OFFICER_NUMBERS,
+  getSigners,
+  getSignerNumbers,
+  getSignatoriesOn,
+} from "../signers";
 
 // ============================================================================
 // CONSTANTS
@@ -21,6 +57,8 @@ import api from "../api";
 
 const CERT_PATH = "/api/auth/certificates";
 const SETTINGS_PATH = "/api/auth/settings";
+const SIGNATORY_PERIODS_PATH = "/api/auth/signatory-periods";
+const TRAININGS_PATH = "/api/auth/trainings";
 
 const TRAINING_TYPES = [
   { value: "", label: "SELECT..." },
@@ -47,9 +85,12 @@ const PARTICIPANT_TYPES = [
 
 const INITIAL_FORM_ROW = {
   tempId: crypto.randomUUID(),
+  training_id: null,
   participant_name: "",
   training_type: "",
   training_date: "",
+  start_date: "",
+  end_date: "",
   venue: "",
   facility: "",
   participant_type: "",
@@ -57,6 +98,52 @@ const INITIAL_FORM_ROW = {
   position: "",
 };
 
+// Registry table filters (sent as query params to GET /certificates/batches)
+const INITIAL_FILTERS = {
+  training_type: "",
+  participant_type: "",
+  facility: "",
+  training_from: "",
+  training_to: "",
+  date_from: "",
+  date_to: "",
+  sort: "latest",
+  order: "desc",
+};
+
+const BATCH_SORT_OPTIONS = [
+  { value: "latest", label: "Latest Entry" },
+  { value: "training_date", label: "Training Date" },
+  { value: "training_type", label: "Training Type" },
+  { value: "count", label: "Participants" },
+];
+
+// Renewal watch filters (sent as query params to GET /certificates)
+const INITIAL_EXPIRY_FILTERS = {
+  expiry: "expiring",
+  expiring_within: "90",
+  training_type: "",
+};
+
+const EXPIRY_WINDOWS = ["30", "60", "90", "180", "365"];
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Upper bound the API allows per page; a batch modal loads its whole roster
+const BATCH_ROSTER_LIMIT = 500;
+
+// Trainings offered in the encoding form's batch picker
+const TRAINING_PICKER_LIMIT = 200;
+
+// Editing any of these detaches a draft row from its selected training
+const TRAINING_FIELDS = [
+  "training_type",
+  "training_date",
+  "start_date",
+  "end_date",
+  "venue",
+];
+
 const INITIAL_SETTINGS = {
   off1_name: "",
   off1_pos: "",
@@ -91,6 +178,16 @@ const formatValue = (field, value) => {
   return value;
 };
 
+// Client-side search inside an open batch's roster
+const filterRoster = (certs, search) => {
+  const term = search.toLowerCase();
+  return certs.filter(
+    (cert) =>
+      cert.participant_name?.toLowerCase().includes(term) ||
+      cert.facility?.toLowerCase().includes(term),
+  );
+};
+
 const getInitialFormRows = () => {
   const saved = localStorage.getItem("registry_draft");
   if (saved) {
@@ -322,6 +419,26 @@ const IndividualDownload = React.memo(({ cert, settings }) => {
 
 IndividualDownload.displayName = "IndividualDownload";
 
+// ============================================================================
+// EXPORT BUTTONS COMPONENT
+// ============================================================================
+
+const ExportButtons = memo(({ onExport, disabled = false }) => (
+  <div className="flex rounded-md overflow-hidden border border-slate-300 shrink-0">
+    {["xlsx", "csv"].map((format) => (
+      <button
+        key={format}
+        onClick={() => onExport(format)}
+        disabled={disabled}
+        className="px-3 py-2 bg-white hover:bg-[#F0F9F9] text-[10px] font-black text-[#1A365D] uppercase tracking-widest border-r last:border-r-0 border-slate-300 disabled:opacity-50"
+        title={`Export as .${format}`}
+      >
+        ⬇ {format}
+      </button>
+    ))}
+  </div>
+));
+
 // ============================================================================
 // STATS CARD COMPONENT
 // ============================================================================
@@ -347,11 +464,25 @@ const StatsCard = ({ title, value, icon, color }) => (
 // ============================================================================
 
 const EditModal = memo(
-  ({ show, onClose, editForm, setEditForm, onSubmit, onDelete }) => {
+  ({
+    show,
+    onClose,
+    editForm,
+    setEditForm,
+    onSubmit,
+    onDelete,
+    canDelete,
+    onStatusChange,
+    canRevoke,
+    canRestore,
+    onRestored,
+  }) => {
     const modalRef = useRef(null);
+    const [showHistory, setShowHistory] = useState(false);
 
     useEffect(() => {
       if (!show) return;
+      setShowHistory(false);
       const handleEscape = (e) => {
         if (e.key === "Escape") onClose();
       };
@@ -363,7 +494,12 @@ const EditModal = memo(
     if (!show) return null;
 
     const handleChange = (field, value) => {
-      setEditForm((prev) => ({ ...prev, [field]: value }));
+      setEditForm((prev) => ({
+        ...prev,
+        [field]: value,
+        // The server re-matches a training from the edited text fields
+        ...(TRAINING_FIELDS.includes(field) && { training_id: null }),
+      }));
     };
 
     return (
@@ -405,16 +541,51 @@ const EditModal = memo(
                 </span>
               </div>
             </div>
-            <button
-              onClick={onClose}
-              className="text-slate-300 hover:text-red-500 transition-colors text-xl font-light"
-            >
-              ×
-            </button>
+            <div className="flex items-center gap-4">
+              <button
+                type="button"
+                onClick={() => setShowHistory((prev) => !prev)}
+                className="text-[9px] font-black text-[#006666] hover:text-[#004D4D] uppercase tracking-[0.15em]"
+              >
+                {showHistory ? "Back to Form" : "History"}
+              </button>
+              <button
+                onClick={onClose}
+                className="text-slate-300 hover:text-red-500 transition-colors text-xl font-light"
+              >
+                ×
+              </button>
+            </div>
           </div>
 
-          {/* 2. FORM BODY: Optimized for vertical space */}
-          <form onSubmit={onSubmit} className="p-6 bg-white">
+          {/* 2. HISTORY: Versions with a diff per edit */}
+          {showHistory && (
+            <div className="p-6 bg-white">
+              <CertificateHistory
+                certId={editForm.id}
+                canRestore={canRestore}
+                onRestored={onRestored}
+              />
+            </div>
+          )}
+
+          {/* 3. FORM BODY: Optimized for vertical space */}
+          <form
+            onSubmit={onSubmit}
+            className={`p-6 bg-white ${showHistory ? "hidden" : ""}`}
+          >
+            {editForm.revoked_at && (
+              <div className="mb-4 border-l-4 border-red-500 bg-red-50 px-4 py-2">
+                <p className="text-[9px] font-black text-red-600 uppercase tracking-widest">
+                  Revoked {new Date(editForm.revoked_at).toLocaleDateString()}
+                  {editForm.revoked_by_username &&
+                    ` by ${editForm.revoked_by_username}`}
+                </p>
+                <p className="text-[11px] font-bold text-red-800">
+                  {editForm.revocation_reason}
+                </p>
+              </div>
+            )}
             <div className="grid grid-cols-2 gap-x-6 gap-y-3">
               {/* Full Width Field */}
               <div className="col-span-2 group">
@@ -456,13 +627,30 @@ const EditModal = memo(
                 <label className="text-[9px] font-black text-slate-400 uppercase tracking-widest mb-1 block">
                   Inclusive Dates
                 </label>
-                <input
-                  className="w-full px-3 py-2 bg-[#F8FAFC] border-2 border-slate-100 focus:border-[#006666] outline-none font-bold text-[12px]"
-                  value={editForm.training_date || ""}
-                  onChange={(e) =>
-                    handleChange("training_date", e.target.value)
-                  }
-                />
+                <div className="flex items-center gap-1">
+                  <input
+                    type="date"
+                    className="w-full px-2 py-2 bg-[#F8FAFC] border-2 border-slate-100 focus:border-[#006666] outline-none font-bold text-[11px]"
+                    value={editForm.start_date || ""}
+                    onChange={(e) => handleChange("start_date", e.target.value)}
+                    aria-label="Training start date"
+                  />
+                  <input
+                    type="date"
+                    className="w-full px-2 py-2 bg-[#F8FAFC] border-2 border-slate-100 focus:border-[#006666] outline-none font-bold text-[11px]"
+                    value={editForm.end_date || ""}
+                    min={editForm.start_date || undefined}
+                    onChange={(e) => handleChange("end_date", e.target.value)}
+                    aria-label="Training end date"
+                  />
+                </div>
+                <p
+                  className={`mt-1 text-[9px] font-bold truncate ${editForm.start_date ? "text-slate-400" : "text-amber-600"}`}
+                >
+                  {editForm.start_date
+                    ? formatDateRange(editForm.start_date, editForm.end_date)
+                    : `Needs review: "${editForm.training_date || "no date"}"`}
+                </p>
               </div>
               <div>
                 <label className="text-[9px] font-black text-slate-400 uppercase tracking-widest mb-1 block">
@@ -527,16 +715,38 @@ const EditModal = memo(
               </div>
             </div>
 
-            {/* 3. FOOTER: Integrated actions */}
+            {/* 4. FOOTER: Integrated actions */}
             <div className="mt-8 pt-5 border-t border-slate-100 flex items-center justify-between shrink-0">
-              <button
-                type="button"
-                onClick={onDelete}
-                className="text-[9px] font-black text-red-500 hover:text-red-700 uppercase tracking-[0.15em] flex items-center gap-2 group transition-all"
-              >
-                <span className="w-1.5 h-1.5 rounded-full bg-red-500 group-hover:scale-125 transition-transform animate-pulse" />
-                Purge Record
-              </button>
+              <div className="flex items-center gap-5">
+                {canDelete && (
+                  <button
+                    type="button"
+                    onClick={onDelete}
+                    className="text-[9px] font-black text-red-500 hover:text-red-700 uppercase tracking-[0.15em] flex items-center gap-2 group transition-all"
+                  >
+                    <span className="w-1.5 h-1.5 rounded-full bg-red-500 group-hover:scale-125 transition-transform animate-pulse" />
+                    Delete Record
+                  </button>
+                )}
+                {canRevoke &&
+                  (editForm.revoked_at ? (
+                    <button
+                      type="button"
+                      onClick={() => onStatusChange("reinstate")}
+                      className="text-[9px] font-black text-[#006666] hover:text-[#004D4D] uppercase tracking-[0.15em]"
+                    >
+                      Reinstate
+                    </button>
+                  ) : (
+                    <button
+                      type="button"
+                      onClick={() => onStatusChange("revoke")}
+                      className="text-[9px] font-black text-amber-600 hover:text-amber-800 uppercase tracking-[0.15em]"
+                    >
+                      Revoke
+                    </button>
+                  ))}
+              </div>
 
               <div className="flex gap-2">
                 <button
@@ -567,16 +777,26 @@ const EditModal = memo(
 
 function Home({ user, currentView, setCurrentView }) {
   // 1. STATES (Unified at the top)
-  const [list, setList] = useState([]);
+  const [batches, setBatches] = useState([]);
+  const [batchTotals, setBatchTotals] = useState({ total: 0, totalPages: 1 });
+  const [stats, setStats] = useState({
+    total_certificates: 0,
+    total_batches: 0,
+  });
   const [searchTerm, setSearchTerm] = useState("");
+  const [debouncedSearch, setDebouncedSearch] = useState("");
+  const [filters, setFilters] = useState(INITIAL_FILTERS);
   const [currentPage, setCurrentPage] = useState(1); // Added missing state
   const [selectedBatch, setSelectedBatch] = useState(null);
   const [showEditModal, setShowEditModal] = useState(false);
   const [editForm, setEditForm] = useState({
     id: null,
+    training_id: null,
     participant_name: "",
     training_type: "",
     training_date: "",
+    start_date: "",
+    end_date: "",
     venue: "",
     facility: "",
     participant_type: "",
@@ -584,30 +804,211 @@ function Home({ user, currentView, setCurrentView }) {
     position: "",
   });
   const [formRows, setFormRows] = useState(getInitialFormRows);
+  // Server validation messages for draft rows, keyed by tempId
+  const [rowErrors, setRowErrors] = useState({});
+  const [trainings, setTrainings] = useState([]);
+  const [showTrainingModal, setShowTrainingModal] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [showPhotoMatcher, setShowPhotoMatcher] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
   const [settings, setSettings] = useState({});
   const [settingsLoaded, setSettingsLoaded] = useState(false);
+  const [signatoryPeriods, setSignatoryPeriods] = useState([]);
+  // Date the edited signatories take effect; the current ones are kept for
+  // trainings completed before it
+  const [signatoriesEffectiveFrom, setSignatoriesEffectiveFrom] = useState("");
   const [isSaving, setIsSaving] = useState(false);
   const [imageToCrop, setImageToCrop] = useState(null);
   const [activeOfficerNum, setActiveOfficerNum] = useState(1);
   const [modalSearch, setModalSearch] = useState("");
   const [modalPage, setModalPage] = useState(1);
+  const [expiryFilters, setExpiryFilters] = useState(INITIAL_EXPIRY_FILTERS);
+  const [expiryCerts, setExpiryCerts] = useState([]);
+  const [expiryTotals, setExpiryTotals] = useState({ total: 0, totalPages: 1 });
+  const [expiryPage, setExpiryPage] = useState(1);
+  const [renewalCert, setRenewalCert] = useState(null);
 
   const itemsPerPage = 10;
   const modalItemsPerPage = 10;
 
+  // Role-based access (the backend enforces the same rules)
+  const canView = (view) => canAccessView(user, view);
+  const canEdit = canEditCerts(user);
+  const canDelete = canDeleteCerts(user);
+  const canRevoke = canRevokeCerts(user);
+  const canManageRules = canManageValidityRules(user);
+  const canManageAccounts = canManageUsers(user);
+
   // ============================================================================
   // API CALLS
   // ============================================================================
 
-  const fetchCerts = useCallback(async () => {
+  // Guards against an older, slower response overwriting a newer one
+  const latestBatchRequest = useRef(0);
+
+  const fetchBatches = useCallback(async () => {
+    const requestId = ++latestBatchRequest.current;
     try {
-      // Changed axios.get(API_URL) to api.get(CERT_PATH)
-      const res = await api.get(CERT_PATH);
-      setList(res.data);
+      const res = await api.get(`${CERT_PATH}/batches`, {
+        params: {
+          ...filters,
+          search: debouncedSearch,
+          page: currentPage,
+          pageSize: itemsPerPage,
+        },
+      });
+      if (requestId !== latestBatchRequest.current) return;
+      setBatches(res.data.data);
+      setBatchTotals(res.data.pagination);
     } catch (err) {
       console.error("Error fetching certificates:", err);
       toast.error("Failed to load certificates");
     }
+  }, [filters, debouncedSearch, currentPage]);
+
+  const fetchStats = useCallback(async () => {
+    try {
+      const res = await api.get(`${CERT_PATH}/stats`);
+      setStats(res.data);
+    } catch (err) {
+      console.error("Error fetching registry stats:", err);
+    }
+  }, []);
+
+  const refreshRegistry = useCallback(
+    () => Promise.all([fetchBatches(), fetchStats()]),
+    [fetchBatches, fetchStats],
+  );
+
+  const fetchTrainings = useCallback(async () => {
+    try {
+      const res = await api.get(TRAININGS_PATH, {
+        params: { pageSize: TRAINING_PICKER_LIMIT },
+      });
+      setTrainings(res.data.data);
+    } catch (err) {
+      console.error("Error fetching trainings:", err);
+    }
+  }, []);
+
+  const fetchExpiring = useCallback(async () => {
+    try {
+      const res = await api.get(CERT_PATH, {
+        params: {
+          ...expiryFilters,
+          search: debouncedSearch,
+          sort: "expires_on",
+          order: expiryFilters.expiry === "expired" ? "desc" : "asc",
+          page: expiryPage,
+          pageSize: itemsPerPage,
+        },
+      });
+      setExpiryCerts(res.data.data);
+      setExpiryTotals(res.data.pagination);
+    } catch (err) {
+      console.error("Error fetching expiring certificates:", err);
+      toast.error("Failed to load expiring certificates");
+    }
+  }, [expiryFilters, debouncedSearch, expiryPage]);
+
+  const handleRenewed = useCallback(() => {
+    setRenewalCert(null);
+    fetchExpiring();
+    refreshRegistry();
+  }, [fetchExpiring, refreshRegistry]);
+
+  const openBatch = useCallback(async (batch) => {
+    try {
+      const res = await api.get(CERT_PATH, {
+        params: { batch: batch.batch_id, pageSize: BATCH_ROSTER_LIMIT },
+      });
+      setModalPage(1);
+      setSelectedBatch({
+        batchId: batch.batch_id,
+        displayDate: batch.display_date,
+        trainingType: batch.training_type,
+        venue: batch.venue,
+        leadInstructor: batch.lead_instructor,
+        certs: res.data.data,
+      });
+    } catch (err) {
+      console.error("Error fetching batch roster:", err);
+      toast.error("Failed to load batch records");
+    }
+  }, []);
+
+  // Every certificate matching the table's search and filters, all pages
+  const exportRegistry = useCallback(
+    async (format) => {
+      setIsExporting(true);
+      const loadingToast = toast.loading("Collecting records...");
+      try {
+        const certs = [];
+        let page = 1;
+        let totalPages = 1;
+        do {
+          const res = await api.get(CERT_PATH, {
+            params: {
+              ...filters,
+              search: debouncedSearch,
+              // filters.sort is a batch sort key; export in record order
+              sort: "id",
+              order: "asc",
+              page,
+              pageSize: BATCH_ROSTER_LIMIT,
+            },
+          });
+          certs.push(...res.data.data);
+          totalPages = res.data.pagination.totalPages;
+          page += 1;
+        } while (page <= totalPages);
+
+        if (certs.length === 0) {
+          toast.error("No records match the current filters", {
+            id: loadingToast,
+          });
+          return;
+        }
+
+        exportCertificates(
+          certs,
+          `registry_${new Date().toISOString().slice(0, 10)}`,
+          format,
+        );
+        toast.success(`Exported ${certs.length} records`, { id: loadingToast });
+      } catch (err) {
+        console.error("Export error:", err);
+        toast.error("Export failed", { id: loadingToast });
+      } finally {
+        setIsExporting(false);
+      }
+    },
+    [filters, debouncedSearch],
+  );
+
+  const exportBatch = useCallback(
+    (format) => {
+      const certs = filterRoster(selectedBatch.certs, modalSearch);
+      if (certs.length === 0) {
+        toast.error("No records to export");
+        return;
+      }
+      exportCertificates(
+        certs,
+        `${selectedBatch.displayDate}_${selectedBatch.trainingType}`,
+        format,
+      );
+    },
+    [selectedBatch, modalSearch],
+  );
+
+  const handleFilterChange = useCallback((field, value) => {
+    setFilters((prev) => ({ ...prev, [field]: value }));
+  }, []);
+
+  const resetFilters = useCallback(() => {
+    setFilters(INITIAL_FILTERS);
+    setSearchTerm("");
   }, []);
 
   const fetchSettings = useCallback(async () => {
@@ -625,12 +1026,29 @@ function Home({ user, currentView, setCurrentView }) {
     }
   }, []);
 
+  const fetchSignatoryPeriods = useCallback(async () => {
+    try {
+      const response = await api.get(SIGNATORY_PERIODS_PATH);
+      setSignatoryPeriods(response.data);
+    } catch (err) {
+      console.error("Error loading signatory periods:", err);
+    }
+  }, []);
+
   const handleCroppedImage = useCallback(
-    (base64Image) => {
+    async (base64Image) => {
       const key = `off${activeOfficerNum}_sig`; // Dynamically target off1_sig, off2_sig, etc.
-      setSettings((prev) => ({ ...prev, [key]: base64Image }));
       setImageToCrop(null);
-      toast.success(`Officer ${activeOfficerNum} signature updated!`);
+      try {
+        // The settings keep the uploaded file's URL, saved with the rest
+        const url = await uploadSignature(base64Image);
+        setSettings((prev) => ({ ...prev, [key]: url }));
+        toast.success(`Officer ${activeOfficerNum} signature updated!`);
+      } catch (err) {
+        toast.error(
+          err.response?.data?.message || "Failed to upload signature",
+        );
+      }
     },
     [activeOfficerNum],
   );
@@ -641,26 +1059,60 @@ function Home({ user, currentView, setCurrentView }) {
 
     try {
       // Using 'api' automatically includes withCredentials and the correct Port/URL
-      await api.post(SETTINGS_PATH, settings);
+      await api.post(SETTINGS_PATH, {
+        ...settings,
+        effective_from: signatoriesEffectiveFrom || undefined,
+      });
 
       toast.success("Database synchronized successfully!", {
         id: loadingToast,
       });
+      setSignatoriesEffectiveFrom("");
+      // The outgoing signatories may now be a period of their own
+      fetchSignatoryPeriods();
     } catch (err) {
-      toast.error("Save failed", { id: loadingToast });
+      toast.error(err.response?.data?.message || "Save failed", {
+        id: loadingToast,
+      });
     } finally {
       setIsSaving(false);
     }
-  }, [settings]);
+  }, [settings, signatoriesEffectiveFrom, fetchSignatoryPeriods]);
 
   // ============================================================================
   // EFFECTS
   // ============================================================================
 
   useEffect(() => {
-    fetchCerts();
+    fetchStats();
     fetchSettings();
-  }, [fetchCerts, fetchSettings]);
+    fetchSignatoryPeriods();
+  }, [fetchStats, fetchSettings, fetchSignatoryPeriods]);
+
+  useEffect(() => {
+    fetchBatches();
+  }, [fetchBatches]);
+
+  useEffect(() => {
+    if (currentView === "form" && canEdit) fetchTrainings();
+  }, [currentView, canEdit, fetchTrainings]);
+
+  useEffect(() => {
+    if (currentView === "expiry") fetchExpiring();
+  }, [currentView, fetchExpiring]);
+
+  useEffect(() => {
+    setExpiryPage(1);
+  }, [expiryFilters, debouncedSearch]);
+
+  // Debounce the search box so typing doesn't fire a request per keystroke
+  useEffect(() => {
+    const timer = setTimeout(
+      () => setDebouncedSearch(searchTerm),
+      SEARCH_DEBOUNCE_MS,
+    );
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
 
   useEffect(() => {
     localStorage.setItem("registry_draft", JSON.stringify(formRows));
@@ -670,56 +1122,26 @@ function Home({ user, currentView, setCurrentView }) {
   // MEMOIZED DATA
   // ============================================================================
 
-  const filteredAndGroupedCerts = useMemo(() => {
-    const search = searchTerm.toLowerCase();
-    const filtered = list.filter(
-      (cert) =>
-        cert.participant_name?.toLowerCase().includes(search) ||
-        cert.training_date?.toLowerCase().includes(search) ||
-        cert.venue?.toLowerCase().includes(search) ||
-        cert.facility?.toLowerCase().includes(search),
-    );
-
-    const groups = {};
-    filtered.forEach((cert) => {
-      const dateKey = (cert.training_date || "NODATE")
-        .toUpperCase()
-        .replace(/\s+/g, "");
-      const typeKey = (cert.training_type || "UNSPECIFIED")
-        .toUpperCase()
-        .replace(/\s+/g, "");
-      const batchId = `${dateKey}_${typeKey}`;
-
-      if (!groups[batchId]) {
-        groups[batchId] = {
-          displayDate: (cert.training_date || "NO DATE")
-            .trim()
-            .replace(/\s+/g, " ")
-            .toUpperCase(),
-          trainingType: (cert.training_type || "UNSPECIFIED")
-            .trim()
-            .replace(/\s+/g, " ")
-            .toUpperCase(),
-          certs: [],
-        };
-      }
-      groups[batchId].certs.push(cert);
-    });
-    return Object.entries(groups);
-  }, [list, searchTerm]);
+  // Signatories printed on the open batch: a batch is one training, so
+  // its certificates share a completion date
+  const batchSignatories = getSignatoriesOn(
+    settings,
+    signatoryPeriods,
+    getCompletionDate(selectedBatch?.certs?.[0]),
+  );
 
-  const uniqueTrainingDates = useMemo(() => {
-    // Filters out nulls/undefined and counts unique date strings
-    const dates = list.map((c) => c.training_date).filter(Boolean);
-    return [...new Set(dates)].length;
-  }, [list]);
+  // The training every draft row shares, if any
+  const draftTrainingId = useMemo(() => {
+    const id = formRows[0]?.training_id ?? null;
+    return formRows.every((r) => (r.training_id ?? null) === id) ? id : null;
+  }, [formRows]);
 
   const draftParticipantsCount = useMemo(() => {
     return formRows.filter((r) => {
       // Returns true if ANY of these fields have content
       const hasName = r.participant_name?.trim().length > 0;
       const hasTrainingType = r.training_type?.trim().length > 0;
-      const hasDate = r.training_date?.trim().length > 0;
+      const hasDate = !!r.start_date || r.training_date?.trim().length > 0;
       const hasVenue = r.venue?.trim().length > 0;
       const hasFacility = r.facility?.trim().length > 0;
       const hasParticipantType = r.participant_type?.trim().length > 0;
@@ -743,14 +1165,54 @@ function Home({ user, currentView, setCurrentView }) {
   // FORM HANDLERS
   // ============================================================================
 
-  const handleInputChange = useCallback((index, field, value) => {
-    setFormRows((prev) => {
-      const updatedRows = [...prev];
-      updatedRows[index][field] = value;
-      return updatedRows;
-    });
+  const handleInputChange = useCallback(
+    (index, field, value) => {
+      setFormRows((prev) => {
+        const updatedRows = [...prev];
+        updatedRows[index][field] = value;
+        if (TRAINING_FIELDS.includes(field)) {
+          updatedRows[index].training_id = null;
+        }
+        return updatedRows;
+      });
+
+      // Editing a flagged row clears its error until the next save
+      if (formRows[index]?.[field] === value) return;
+      const tempId = formRows[index]?.tempId;
+      setRowErrors((errors) => {
+        if (!errors[tempId]) return errors;
+        const rest = { ...errors };
+        delete rest[tempId];
+        return rest;
+      });
+    },
+    [formRows],
+  );
+
+  // Stamp a training's details onto every draft row
+  const applyTrainingToRows = useCallback((training) => {
+    setFormRows((prev) =>
+      prev.map((row) => ({
+        ...row,
+        training_id: training?.id ?? null,
+        training_type: training?.training_type ?? row.training_type,
+        training_date: training?.date_label ?? row.training_date,
+        start_date: training ? training.start_date || "" : row.start_date,
+        end_date: training ? training.end_date || "" : row.end_date,
+        venue: training?.venue ?? (training ? "" : row.venue),
+      })),
+    );
   }, []);
 
+  const handleTrainingCreated = useCallback(
+    (training) => {
+      setShowTrainingModal(false);
+      setTrainings((prev) => [training, ...prev]);
+      applyTrainingToRows(training);
+    },
+    [applyTrainingToRows],
+  );
+
   const addEmptyRow = useCallback(() => {
     setFormRows((prev) => [
       ...prev,
@@ -780,6 +1242,24 @@ function Home({ user, currentView, setCurrentView }) {
     });
   }, []);
 
+  // Load rows from the import wizard, replacing or extending the draft
+  const handleImportRows = useCallback((rows, mode) => {
+    const imported = rows.map((row) => ({
+      ...INITIAL_FORM_ROW,
+      ...row,
+      tempId: crypto.randomUUID(),
+    }));
+
+    setFormRows((prev) => {
+      if (mode === "replace") return imported;
+      const kept = prev.filter((r) => r.participant_name.trim() !== "");
+      return [...kept, ...imported];
+    });
+    setRowErrors({});
+    setShowImportModal(false);
+    toast.success(`Imported ${imported.length} rows into the draft`);
+  }, []);
+
   const clearAllRows = useCallback(() => {
     if (
       window.confirm(
@@ -793,50 +1273,56 @@ function Home({ user, currentView, setCurrentView }) {
   }, []);
 
   const handleBulkSubmit = useCallback(async () => {
-    try {
-      const dataToSave = formRows.filter(
-        (row) => row.participant_name.trim() !== "",
-      );
-
-      if (dataToSave.length === 0) {
-        toast.error("No data to save");
-        return;
-      }
+    const dataToSave = formRows.filter(
+      (row) => row.participant_name.trim() !== "",
+    );
 
-      const loadingToast = toast.loading("Saving batch...");
+    if (dataToSave.length === 0) {
+      toast.error("No data to save");
+      return;
+    }
 
-      // Use Promise.allSettled for better error handling
-      const results = await Promise.allSettled(
-        dataToSave.map((row) => {
-          // Remove tempId before sending to API
-          const { tempId, ...rowData } = row;
-          return axios.post(CERT_PATH, rowData);
-        }),
-      );
+    const loadingToast = toast.loading("Saving batch...");
+    setRowErrors({});
 
-      const succeeded = results.filter((r) => r.status === "fulfilled").length;
-      const failed = results.filter((r) => r.status === "rejected").length;
+    try {
+      const res = await api.post(`${CERT_PATH}/bulk`, {
+        // Remove tempId before sending to API
+        rows: dataToSave.map(({ tempId, ...rowData }) => rowData),
+      });
 
-      toast.dismiss(loadingToast);
+      toast.success(`Successfully saved ${res.data.count} entries!`, {
+        id: loadingToast,
+      });
+      setFormRows([{ ...INITIAL_FORM_ROW, tempId: crypto.randomUUID() }]);
+      localStorage.removeItem("registry_draft");
+      await refreshRegistry();
+      setCurrentView("table");
+    } catch (err) {
+      const errors = err.response?.data?.errors;
 
-      if (failed > 0) {
-        toast.warning(`Saved ${succeeded} entries, ${failed} failed`);
-      } else {
-        toast.success(`Successfully saved ${succeeded} entries!`);
+      // The batch is saved all-or-nothing; point at the rows to fix
+      if (errors && !Array.isArray(errors)) {
+        const byRow = {};
+        Object.entries(errors).forEach(([index, messages]) => {
+          byRow[dataToSave[index].tempId] = messages;
+        });
+        setRowErrors(byRow);
+        toast.error(
+          `${Object.keys(byRow).length} row(s) need fixing. Nothing was saved.`,
+          { id: loadingToast },
+        );
+        return;
       }
 
-      // Reset state only if at least some succeeded
-      if (succeeded > 0) {
-        setFormRows([{ ...INITIAL_FORM_ROW, tempId: crypto.randomUUID() }]);
-        localStorage.removeItem("registry_draft");
-        await fetchCerts();
-        setCurrentView("table");
-      }
-    } catch (err) {
       console.error("Bulk submit error:", err);
-      toast.error("Submission failed. Please check your connection.");
+      toast.error(
+        err.response?.data?.message ||
+          "Submission failed. Please check your connection.",
+        { id: loadingToast },
+      );
     }
-  }, [formRows, fetchCerts, setCurrentView]);
+  }, [formRows, refreshRegistry, setCurrentView]);
 
   // ============================================================================
   // KEYBOARD NAVIGATION
@@ -903,18 +1389,9 @@ function Home({ user, currentView, setCurrentView }) {
         const loadingToast = toast.loading("Updating record...");
 
         // 1. Send the update to the server
-        await axios.put(`${CERT_PATH}/${editForm.id}`, editForm);
+        await api.put(`${CERT_PATH}/${editForm.id}`, editForm);
 
-        // 2. MANUALLY UPDATE THE LIST STATE (Registry Table)
-        setList((prevList) =>
-          prevList.map((cert) =>
-            cert._id === editForm.id || cert.id === editForm.id
-              ? { ...cert, ...editForm }
-              : cert,
-          ),
-        );
-
-        // 3. MANUALLY UPDATE THE SELECTED BATCH (Modal Table)
+        // 2. MANUALLY UPDATE THE SELECTED BATCH (Modal Table)
         setSelectedBatch((prevBatch) => {
           if (!prevBatch) return null;
           return {
@@ -931,21 +1408,21 @@ function Home({ user, currentView, setCurrentView }) {
         toast.success("Record updated successfully!");
         setShowEditModal(false);
 
-        // Optional: keep fetchCerts() if you want to ensure total sync with server
-        // fetchCerts();
+        // 3. Re-sync the registry table (dates/types decide batch membership)
+        fetchBatches();
       } catch (err) {
         console.error("Edit submit error:", err);
         toast.error("Failed to update record.");
       }
     },
-    [editForm, setList, setSelectedBatch], // Added the setters to dependency array
+    [editForm, fetchBatches, setSelectedBatch],
   );
 
   const handleDelete = useCallback(async () => {
-    if (window.confirm("Permanently delete this record?")) {
+    if (window.confirm("Move this record to the recycle bin?")) {
       try {
-        await axios.delete(`${CERT_PATH}/${editForm.id}`);
-        toast.success("Record deleted");
+        await api.delete(`${CERT_PATH}/${editForm.id}`);
+        toast.success("Record moved to the recycle bin");
 
         // 1. Close the Edit Form
         setShowEditModal(false);
@@ -962,61 +1439,104 @@ function Home({ user, currentView, setCurrentView }) {
         });
 
         // 3. Sync the background list
-        fetchCerts();
+        refreshRegistry();
       } catch (err) {
         console.error("Delete error:", err);
         toast.error("Failed to delete record");
       }
     }
-  }, [editForm.id, fetchCerts, setSelectedBatch]);
-
-  // --- DATA PROCESSING & SORTING ---
-  const { paginatedBatches, totalPages, totalItems, startIndex, endIndex } =
-    useMemo(() => {
-      // 1. Helper to extract the start date from ranges like "January 23-27, 2026"
-      const getSortableDate = (dateStr) => {
-        if (!dateStr) return new Date(0);
-        try {
-          const parts = dateStr.split("-");
-          if (parts.length > 1) {
-            const monthDay = parts[0].trim(); // "January 23"
-            const yearPart = dateStr.split(",")[1] || " 2026"; // " 2026"
-            return new Date(`${monthDay},${yearPart}`);
-          }
-          return new Date(dateStr);
-        } catch (e) {
-          return new Date(0);
-        }
-      };
+  }, [editForm.id, refreshRegistry, setSelectedBatch]);
+
+  const handleStatusChange = useCallback(
+    async (action) => {
+      const reason = window.prompt(
+        action === "revoke"
+          ? "Reason for revoking this certificate:"
+          : "Reason for reinstating this certificate:",
+      );
+      if (reason === null) return;
+      if (!reason.trim()) {
+        toast.error("A reason is required");
+        return;
+      }
+
+      try {
+        const res = await api.post(`${CERT_PATH}/${editForm.id}/${action}`, {
+          reason,
+        });
+        const status = {
+          revoked_at: res.data.revoked_at,
+          revoked_by: res.data.revoked_by,
+          revoked_by_username: res.data.revoked_by_username,
+          revocation_reason: res.data.revocation_reason,
+        };
 
-      // 2. Sort filteredAndGroupedCerts (Ascending)
-      const sorted = [...filteredAndGroupedCerts].sort((b, a) => {
-        return (
-          getSortableDate(a[1].displayDate) - getSortableDate(b[1].displayDate)
+        setEditForm((prev) => ({ ...prev, ...status }));
+        setSelectedBatch((prev) => {
+          if (!prev) return null;
+          return {
+            ...prev,
+            certs: prev.certs.map((cert) =>
+              (cert._id || cert.id) === editForm.id
+                ? { ...cert, ...status }
+                : cert,
+            ),
+          };
+        });
+
+        toast.success(
+          action === "revoke"
+            ? "Certificate revoked"
+            : "Certificate reinstated",
+        );
+        refreshRegistry();
+      } catch (err) {
+        toast.error(
+          err.response?.data?.message || "Failed to update certificate status",
         );
+      }
+    },
+    [editForm.id, refreshRegistry, setSelectedBatch],
+  );
+
+  const handleRestored = useCallback(
+    (cert) => {
+      setEditForm((prev) => ({ ...prev, ...cert }));
+      setSelectedBatch((prev) => {
+        if (!prev) return null;
+        return {
+          ...prev,
+          certs: prev.certs.map((c) =>
+            (c._id || c.id) === cert.id ? { ...c, ...cert } : c,
+          ),
+        };
       });
+      refreshRegistry();
+    },
+    [refreshRegistry, setSelectedBatch],
+  );
 
-      // 3. Pagination Math
-      const total = sorted.length;
-      const pages = Math.ceil(total / itemsPerPage) || 1;
-      const start = (currentPage - 1) * itemsPerPage;
-      const end = start + itemsPerPage;
-      const paginated = sorted.slice(start, end);
-
-      // This return object provides the variables for the destructuring above
-      return {
-        paginatedBatches: paginated,
-        totalPages: pages,
-        totalItems: total,
-        startIndex: start,
-        endIndex: end,
-      };
-    }, [filteredAndGroupedCerts, currentPage, itemsPerPage]);
+  const handlePhotoChanged = useCallback(
+    (certId, photoUpdatedAt) => {
+      setSelectedBatch((prev) => {
+        if (!prev) return null;
+        return {
+          ...prev,
+          certs: prev.certs.map((cert) =>
+            (cert._id || cert.id) === certId
+              ? { ...cert, photo_updated_at: photoUpdatedAt }
+              : cert,
+          ),
+        };
+      });
+    },
+    [setSelectedBatch],
+  );
 
-  // Reset to page 1 when searching
+  // Reset to page 1 when searching or filtering
   useEffect(() => {
     setCurrentPage(1);
-  }, [searchTerm]);
+  }, [debouncedSearch, filters]);
 
   // ============================================================================
   // RENDER
@@ -1027,7 +1547,7 @@ function Home({ user, currentView, setCurrentView }) {
       <Toaster position="top-right" />
 
       {/* --- DASHBOARD VIEW (FULLY STATIC / NO MOVEMENT) --- */}
-      {currentView === "home" && (
+      {currentView === "home" && canView("home") && (
         <div className="w-full h-full flex flex-col px-10 pt-10 space-y-10 bg-[#F8FAFC]">
           {/* 1. Header Section - Fixed Position */}
           <div className="flex flex-col gap-1 shrink-0">
@@ -1051,7 +1571,7 @@ function Home({ user, currentView, setCurrentView }) {
               </span>
               <div className="flex items-baseline gap-2">
                 <span className="text-5xl font-black text-[#1A365D] tracking-tighter">
-                  {list.length}
+                  {stats.total_certificates}
                 </span>
                 <span className="text-[10px] font-black text-[#006666] uppercase font-mono">
                   Records
@@ -1065,7 +1585,7 @@ function Home({ user, currentView, setCurrentView }) {
               </span>
               <div className="flex items-baseline gap-2">
                 <span className="text-5xl font-black text-[#1A365D] tracking-tighter">
-                  {uniqueTrainingDates}
+                  {stats.total_batches}
                 </span>
                 <span className="text-[10px] font-black text-slate-400 uppercase font-mono">
                   Batches
@@ -1123,12 +1643,14 @@ function Home({ user, currentView, setCurrentView }) {
                 </div>
               </div>
 
-              <button
-                onClick={() => setCurrentView("form")}
-                className="flex items-center gap-4 px-12 py-6 bg-[#006666] hover:bg-[#004d4d] text-white rounded-xl font-black text-[12px] uppercase tracking-[0.2em] shadow-lg active:translate-y-px"
-              >
-                START NEW RECORD ENTRY
-              </button>
+              {canView("form") && (
+                <button
+                  onClick={() => setCurrentView("form")}
+                  className="flex items-center gap-4 px-12 py-6 bg-[#006666] hover:bg-[#004d4d] text-white rounded-xl font-black text-[12px] uppercase tracking-[0.2em] shadow-lg active:translate-y-px"
+                >
+                  START NEW RECORD ENTRY
+                </button>
+              )}
             </div>
           </div>
 
@@ -1150,7 +1672,7 @@ function Home({ user, currentView, setCurrentView }) {
       )}
 
       {/* TABLE VIEW */}
-      {currentView === "table" && (
+      {currentView === "table" && canView("table") && (
         <div className="flex-1 min-w-0 h-full flex flex-col overflow-hidden bg-[#F0F4F8] font-sans select-none">
           {/* DOH OFFICIAL HEADER */}
           <div className="h-[12%] min-h-[85px] max-h-[110px] shrink-0 flex items-center justify-between px-10 bg-white border-b-4 border-[#006666] shadow-md z-10">
@@ -1207,6 +1729,145 @@ function Home({ user, currentView, setCurrentView }) {
             </div>
           </div>
 
+          {/* FILTER BAR */}
+          <div className="shrink-0 px-10 py-3 bg-white border-b border-slate-200 flex flex-wrap items-end gap-3">
+            <div className="flex flex-col">
+              <label className="text-[9px] font-black text-slate-400 uppercase tracking-widest mb-1">
+                Training
+              </label>
+              <select
+                className="px-3 py-2 bg-[#F8FAFC] border-2 border-slate-100 focus:border-[#006666] outline-none font-bold text-[11px] text-[#1A365D] rounded"
+                value={filters.training_type}
+                onChange={(e) =>
+                  handleFilterChange("training_type", e.target.value)
+                }
+              >
+                {TRAINING_TYPES.map((t) => (
+                  <option key={t.value} value={t.value}>
+                    {t.value ? t.label : "ALL TRAININGS"}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="flex flex-col">
+              <label className="text-[9px] font-black text-slate-400 uppercase tracking-widest mb-1">
+                Classification
+              </label>
+              <select
+                className="px-3 py-2 bg-[#F8FAFC] border-2 border-slate-100 focus:border-[#006666] outline-none font-bold text-[11px] text-[#1A365D] rounded"
+                value={filters.participant_type}
+                onChange={(e) =>
+                  handleFilterChange("participant_type", e.target.value)
+                }
+              >
+                {PARTICIPANT_TYPES.map((t) => (
+                  <option key={t.value} value={t.value}>
+                    {t.value ? t.label : "ALL TYPES"}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="flex flex-col">
+              <label className="text-[9px] font-black text-slate-400 uppercase tracking-widest mb-1">
+                Facility
+              </label>
+              <input
+                className="px-3 py-2 bg-[#F8FAFC] border-2 border-slate-100 focus:border-[#006666] outline-none font-bold text-[11px] text-[#1A365D] rounded"
+                placeholder="Any facility"
+                value={filters.facility}
+                onChange={(e) => handleFilterChange("facility", e.target.value)}
+              />
+            </div>
+            <div className="flex flex-col">
+              <label className="text-[9px] font-black text-slate-400 uppercase tracking-widest mb-1">
+                Trained From
+              </label>
+              <input
+                type="date"
+                className="px-3 py-1.5 bg-[#F8FAFC] border-2 border-slate-100 focus:border-[#006666] outline-none font-bold text-[11px] text-[#1A365D] rounded"
+                value={filters.training_from}
+                onChange={(e) =>
+                  handleFilterChange("training_from", e.target.value)
+                }
+              />
+            </div>
+            <div className="flex flex-col">
+              <label className="text-[9px] font-black text-slate-400 uppercase tracking-widest mb-1">
+                Trained To
+              </label>
+              <input
+                type="date"
+                className="px-3 py-1.5 bg-[#F8FAFC] border-2 border-slate-100 focus:border-[#006666] outline-none font-bold text-[11px] text-[#1A365D] rounded"
+                value={filters.training_to}
+                min={filters.training_from || undefined}
+                onChange={(e) =>
+                  handleFilterChange("training_to", e.target.value)
+                }
+              />
+            </div>
+            <div className="flex flex-col">
+              <label className="text-[9px] font-black text-slate-400 uppercase tracking-widest mb-1">
+                Encoded From
+              </label>
+              <input
+                type="date"
+                className="px-3 py-1.5 bg-[#F8FAFC] border-2 border-slate-100 focus:border-[#006666] outline-none font-bold text-[11px] text-[#1A365D] rounded"
+                value={filters.date_from}
+                onChange={(e) =>
+                  handleFilterChange("date_from", e.target.value)
+                }
+              />
+            </div>
+            <div className="flex flex-col">
+              <label className="text-[9px] font-black text-slate-400 uppercase tracking-widest mb-1">
+                Encoded To
+              </label>
+              <input
+                type="date"
+                className="px-3 py-1.5 bg-[#F8FAFC] border-2 border-slate-100 focus:border-[#006666] outline-none font-bold text-[11px] text-[#1A365D] rounded"
+                value={filters.date_to}
+                onChange={(e) => handleFilterChange("date_to", e.target.value)}
+              />
+            </div>
+            <div className="flex flex-col">
+              <label className="text-[9px] font-black text-slate-400 uppercase tracking-widest mb-1">
+                Sort By
+              </label>
+              <div className="flex gap-1">
+                <select
+                  className="px-3 py-2 bg-[#F8FAFC] border-2 border-slate-100 focus:border-[#006666] outline-none font-bold text-[11px] text-[#1A365D] rounded"
+                  value={filters.sort}
+                  onChange={(e) => handleFilterChange("sort", e.target.value)}
+                >
+                  {BATCH_SORT_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  onClick={() =>
+                    handleFilterChange(
+                      "order",
+                      filters.order === "asc" ? "desc" : "asc",
+                    )
+                  }
+                  className="px-3 bg-[#F8FAFC] border-2 border-slate-100 hover:border-[#006666] text-[11px] font-black text-[#1A365D] rounded"
+                  title="Toggle sort direction"
+                >
+                  {filters.order === "asc" ? "↑" : "↓"}
+                </button>
+              </div>
+            </div>
+            <button
+              onClick={resetFilters}
+              className="ml-auto px-4 py-2 text-[10px] font-black text-slate-400 hover:text-red-500 uppercase tracking-widest"
+            >
+              Reset Filters
+            </button>
+            <ExportButtons onExport={exportRegistry} disabled={isExporting} />
+          </div>
+
           {/* MAIN CONTENT AREA */}
           <div className="flex-1 flex flex-col p-6 overflow-hidden">
             <div className="flex-1 bg-white rounded-xl shadow-sm border border-slate-200 overflow-hidden flex flex-col">
@@ -1225,17 +1886,17 @@ function Home({ user, currentView, setCurrentView }) {
 
               {/* DATA ENTRIES */}
               <div className="flex-1 flex flex-col overflow-hidden">
-                {paginatedBatches.length > 0 ? (
-                  paginatedBatches.map(([batchId, group]) => (
+                {batches.length > 0 ? (
+                  batches.map((batch) => (
                     <div
-                      key={batchId}
-                      onClick={() => setSelectedBatch(group)}
+                      key={batch.batch_id}
+                      onClick={() => openBatch(batch)}
                       className="flex flex-1 min-h-0 items-center px-10 hover:bg-[#F0FFF4] border-b border-slate-100 last:border-0 cursor-pointer group transition-colors"
                     >
                       {/* Date as a Badge */}
                       <div className="w-[20%] shrink-0 flex flex-col">
                         <span className="text-[12px] font-bold text-[#2D3748] group-hover:text-[#006666]">
-                          {group.displayDate}
+                          {batch.display_date}
                         </span>
                       </div>
 
@@ -1245,8 +1906,23 @@ function Home({ user, currentView, setCurrentView }) {
                           <div className="flex flex-col min-w-0">
                             {/* Main Title */}
                             <span className="text-[13px] font-bold text-[#1A365D] group-hover:text-white truncate block tracking-tight leading-tight uppercase">
-                              {group.trainingType}
+                              {batch.training_type}
                             </span>
+                            {batch.venue && (
+                              <span className="text-[10px] font-bold text-slate-400 group-hover:text-teal-100 truncate block uppercase tracking-wider">
+                                {batch.venue}
+                              </span>
+                            )}
+                            {batch.dates_need_review && (
+                              <span className="text-[9px] font-black text-amber-600 group-hover:text-amber-200 uppercase tracking-wider">
+                                Dates need review
+                              </span>
+                            )}
+                            {batch.revoked_count > 0 && (
+                              <span className="text-[9px] font-black text-red-500 group-hover:text-red-200 uppercase tracking-wider">
+                                {batch.revoked_count} revoked
+                              </span>
+                            )}
                           </div>
                         </div>
                       </div>
@@ -1262,7 +1938,7 @@ function Home({ user, currentView, setCurrentView }) {
 
                               {/* Numerical Data */}
                               <span className="text-[13px] font-mono font-black text-[#1A365D] group-hover:text-[#006666] tabular-nums tracking-tighter pt-0.5">
-                                {group.certs.length.toString().padStart(2, "0")}
+                                {batch.cert_count.toString().padStart(2, "0")}
                               </span>
                             </div>
                           </div>
@@ -1294,14 +1970,12 @@ function Home({ user, currentView, setCurrentView }) {
                 )}
 
                 {/* GHOST FILLERS */}
-                {[...Array(Math.max(0, 10 - paginatedBatches.length))].map(
-                  (_, i) => (
-                    <div
-                      key={`fill-${i}`}
-                      className="flex-1 border-b border-slate-50/50 last:border-0"
-                    />
-                  ),
-                )}
+                {[...Array(Math.max(0, 10 - batches.length))].map((_, i) => (
+                  <div
+                    key={`fill-${i}`}
+                    className="flex-1 border-b border-slate-50/50 last:border-0"
+                  />
+                ))}
               </div>
             </div>
           </div>
@@ -1311,7 +1985,7 @@ function Home({ user, currentView, setCurrentView }) {
             <div className="flex items-center gap-3">
               <div className="w-2.5 h-2.5 rounded-full bg-[#38A169] shadow-[0_0_8px_rgba(56,161,105,0.4)]" />
               <span className="text-[11px] font-bold text-[#4A5568] uppercase tracking-wide">
-                Database Connection Active: {totalItems} Entries
+                Database Connection Active: {batchTotals.total} Entries
               </span>
             </div>
 
@@ -1325,10 +1999,10 @@ function Home({ user, currentView, setCurrentView }) {
               </button>
               <button
                 onClick={() =>
-                  setCurrentPage((p) => Math.min(p + 1, totalPages))
+                  setCurrentPage((p) => Math.min(p + 1, batchTotals.totalPages))
                 }
                 className="h-10 px-8 bg-[#006666] text-white text-[11px] font-bold rounded-md hover:bg-[#004D4D] transition-all shadow-md active:transform active:scale-95 disabled:opacity-30"
-                disabled={currentPage === totalPages}
+                disabled={currentPage >= batchTotals.totalPages}
               >
                 Next Page
               </button>
@@ -1385,6 +2059,9 @@ function Home({ user, currentView, setCurrentView }) {
                     <span className="text-[#006666]">
                       {selectedBatch.certs.length} Entries
                     </span>
+                    {selectedBatch.venue && ` // ${selectedBatch.venue}`}
+                    {selectedBatch.leadInstructor &&
+                      ` // Lead: ${selectedBatch.leadInstructor}`}
                   </p>
                 </div>
               </div>
@@ -1425,18 +2102,28 @@ function Home({ user, currentView, setCurrentView }) {
               </div>
 
               <div className="flex gap-2 w-full md:w-auto">
+                <ExportButtons onExport={exportBatch} />
+                {canEdit && (
+                  <button
+                    onClick={() => setShowPhotoMatcher(true)}
+                    className="flex items-center gap-2 text-[10px] font-black text-[#006666] bg-white border border-teal-200 px-5 py-2.5 rounded-xl shadow-sm hover:bg-teal-50 transition-all active:scale-95"
+                  >
+                    <span>📷</span>
+                    MATCH PHOTOS
+                  </button>
+                )}
                 <MemoizedBatchDownload
                   certs={selectedBatch.certs}
                   displayDate={selectedBatch.displayDate}
                   type="cert"
-                  settings={settings}
+                  settings={batchSignatories}
                   className="bg-[#006666] hover:bg-[#004d4d] text-white rounded-md shadow-sm"
                 />
                 <MemoizedBatchDownload
                   certs={selectedBatch.certs}
                   displayDate={selectedBatch.displayDate}
                   type="id"
-                  settings={settings}
+                  settings={batchSignatories}
                   className="bg-[#1A365D] hover:bg-[#122846] text-white rounded-md shadow-sm"
                 />
               </div>
@@ -1445,13 +2132,10 @@ function Home({ user, currentView, setCurrentView }) {
             {/* 3. Modal Body */}
             <div className="flex-1 min-h-0 flex flex-col bg-white overflow-hidden">
               {(() => {
-                const filteredCerts = selectedBatch.certs.filter((cert) => {
-                  const search = modalSearch.toLowerCase();
-                  return (
-                    cert.participant_name?.toLowerCase().includes(search) ||
-                    cert.facility?.toLowerCase().includes(search)
-                  );
-                });
+                const filteredCerts = filterRoster(
+                  selectedBatch.certs,
+                  modalSearch,
+                );
 
                 const currentModalItems = filteredCerts.slice(
                   (modalPage - 1) * 10,
@@ -1474,7 +2158,7 @@ function Home({ user, currentView, setCurrentView }) {
                       <div className="w-[25%] px-4 text-[10px] font-black text-slate-500 uppercase">
                         Facility
                       </div>
-                      <div className="w-48 text-right text-[10px] font-black text-slate-500 uppercase pr-4">
+                      <div className="w-64 text-right text-[10px] font-black text-slate-500 uppercase pr-4">
                         Action
                       </div>
                     </div>
@@ -1493,9 +2177,19 @@ function Home({ user, currentView, setCurrentView }) {
                           </div>
 
                           <div className="flex-1 md:px-4 overflow-hidden flex flex-col">
-                            <span className="text-[12px] md:text-[13px] font-bold text-[#1A365D] uppercase truncate">
+                            <span
+                              className={`text-[12px] md:text-[13px] font-bold uppercase truncate ${cert.revoked_at ? "text-slate-400 line-through" : "text-[#1A365D]"}`}
+                            >
                               {cert.participant_name}
                             </span>
+                            {cert.revoked_at && (
+                              <span
+                                className="self-start mt-0.5 text-[8px] font-black text-white bg-red-500 px-1.5 py-0.5 rounded-sm uppercase tracking-widest"
+                                title={cert.revocation_reason || undefined}
+                              >
+                                Revoked
+                              </span>
+                            )}
                             {/* Mobile-only Participant Type sub-text */}
                             <span className="md:hidden text-[10px] text-slate-400 italic truncate uppercase">
                               {cert.participant_type || "No Classification"}
@@ -1514,23 +2208,37 @@ function Home({ user, currentView, setCurrentView }) {
                             </span>
                           </div>
 
-                          <div className="w-auto md:w-48 flex justify-end gap-1 md:gap-2">
-                            <IndividualDownload
-                              cert={cert}
-                              settings={settings}
-                            />
-                            <button
-                              onClick={() => {
-                                setEditForm({
-                                  ...cert,
-                                  id: cert._id || cert.id,
-                                });
-                                setShowEditModal(true);
-                              }}
-                              className="h-7 md:h-8 px-2 md:px-4 bg-white border border-slate-300 text-[9px] md:text-[10px] font-black text-[#1A365D] uppercase rounded"
-                            >
-                              Modify
-                            </button>
+                          <div className="w-auto md:w-64 flex justify-end gap-1 md:gap-2">
+                            {!cert.revoked_at && (
+                              <IndividualDownload
+                                cert={cert}
+                                settings={getSignatoriesOn(
+                                  settings,
+                                  signatoryPeriods,
+                                  getCompletionDate(cert),
+                                )}
+                              />
+                            )}
+                            {canEdit && (
+                              <PhotoUploadButton
+                                cert={cert}
+                                onChange={handlePhotoChanged}
+                              />
+                            )}
+                            {canEdit && (
+                              <button
+                                onClick={() => {
+                                  setEditForm({
+                                    ...cert,
+                                    id: cert._id || cert.id,
+                                  });
+                                  setShowEditModal(true);
+                                }}
+                                className="h-7 md:h-8 px-2 md:px-4 bg-white border border-slate-300 text-[9px] md:text-[10px] font-black text-[#1A365D] uppercase rounded"
+                              >
+                                Modify
+                              </button>
+                            )}
                           </div>
                         </div>
                       ))}
@@ -1595,7 +2303,7 @@ function Home({ user, currentView, setCurrentView }) {
       )}
 
       {/* FORM VIEW */}
-      {currentView === "form" && (
+      {currentView === "form" && canView("form") && (
         <div className="animate-in fade-in duration-500 space-y-6">
           {/* HEADER SECTION */}
           <div className="flex flex-col lg:flex-row lg:justify-between lg:items-center bg-white p-4 md:p-6 rounded-[2rem] border-b-4 border-[#006666] shadow-sm gap-6 lg:gap-0">
@@ -1636,6 +2344,13 @@ function Home({ user, currentView, setCurrentView }) {
                 Clear All
               </button>
 
+              <button
+                onClick={() => setShowImportModal(true)}
+                className="flex-1 sm:flex-none px-4 md:px-6 py-3 bg-[#F0F9F9] text-[#006666] hover:bg-[#006666] hover:text-white rounded-xl font-black text-[10px] uppercase transition-all"
+              >
+                Import Sheet
+              </button>
+
               <button
                 onClick={addEmptyRow}
                 className="flex-1 sm:flex-none px-4 md:px-6 py-3 bg-slate-100 text-slate-600 hover:bg-slate-200 rounded-xl font-black text-[10px] uppercase transition-all"
@@ -1665,6 +2380,43 @@ function Home({ user, currentView, setCurrentView }) {
             </div>
           </div>
 
+          {/* TRAINING BATCH PICKER */}
+          <div className="flex flex-col sm:flex-row sm:items-center gap-3 bg-white px-4 md:px-6 py-4 rounded-[1.5rem] border border-slate-200 shadow-sm">
+            <label
+              htmlFor="draft-training"
+              className="text-[10px] font-black text-[#1A365D] uppercase tracking-widest shrink-0"
+            >
+              Training Batch
+            </label>
+            <select
+              id="draft-training"
+              className="flex-1 px-3 py-2 bg-[#F8FAFC] border-2 border-slate-100 focus:border-[#006666] outline-none font-bold text-[12px] text-[#1A365D] rounded-lg"
+              value={draftTrainingId ?? ""}
+              onChange={(e) =>
+                applyTrainingToRows(
+                  trainings.find((t) => t.id === Number(e.target.value)),
+                )
+              }
+            >
+              <option value="">
+                Per-row details (match or create on save)
+              </option>
+              {trainings.map((t) => (
+                <option key={t.id} value={t.id}>
+                  {t.date_label} — {t.training_type}
+                  {t.venue ? ` @ ${t.venue}` : ""} ({t.participant_count}
+                  {t.capacity ? `/${t.capacity}` : ""})
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={() => setShowTrainingModal(true)}
+              className="px-4 md:px-6 py-3 bg-[#F0F9F9] text-[#006666] hover:bg-[#006666] hover:text-white rounded-xl font-black text-[10px] uppercase transition-colors shrink-0"
+            >
+              + New Training
+            </button>
+          </div>
+
           {/* TABLE SECTION */}
           <div className="bg-white rounded-[1.5rem] border border-slate-200 overflow-x-auto shadow-sm">
             <table className="w-full min-w-[1200px] border-collapse">
@@ -1695,7 +2447,8 @@ function Home({ user, currentView, setCurrentView }) {
                 {formRows.map((row, index) => (
                   <tr
                     key={row.tempId}
-                    className="focus-within:bg-[#F0F9F9] transition-colors"
+                    className={`focus-within:bg-[#F0F9F9] transition-colors ${rowErrors[row.tempId] ? "bg-red-50 outline outline-2 -outline-offset-2 outline-red-300" : ""}`}
+                    title={rowErrors[row.tempId]?.join("\n")}
                   >
                     {/* Name */}
                     <td className="p-1 border-r border-slate-100">
@@ -1720,6 +2473,14 @@ function Home({ user, currentView, setCurrentView }) {
                         placeholder="Full Name"
                         aria-label={`Participant name, row ${index + 1}`}
                       />
+                      {rowErrors[row.tempId] && (
+                        <p
+                          className="px-3 pb-1 text-[9px] font-bold text-red-600"
+                          role="alert"
+                        >
+                          {rowErrors[row.tempId].join("; ")}
+                        </p>
+                      )}
                     </td>
 
                     {/* Training Type */}
@@ -1745,29 +2506,41 @@ function Home({ user, currentView, setCurrentView }) {
                       </select>
                     </td>
 
-                    {/* Dates */}
+                    {/* Dates (start - end) */}
                     <td className="p-1 border-r border-slate-100">
-                      <input
-                        className="w-full p-3 bg-transparent text-[11px] font-bold text-slate-600 outline-none"
-                        value={row.training_date}
-                        onKeyDown={(e) => handleKeyDown(e, index, 2)}
-                        onChange={(e) =>
-                          handleInputChange(
-                            index,
-                            "training_date",
-                            e.target.value,
-                          )
-                        }
-                        onBlur={(e) =>
-                          handleInputChange(
-                            index,
-                            "training_date",
-                            formatValue("training_date", e.target.value),
-                          )
-                        }
-                        placeholder="January 21-23, 2026"
-                        aria-label={`Training dates, row ${index + 1}`}
-                      />
+                      <div className="flex items-center">
+                        <input
+                          type="date"
+                          className="w-full p-3 bg-transparent text-[11px] font-bold text-slate-600 outline-none"
+                          value={row.start_date || ""}
+                          onKeyDown={(e) => handleKeyDown(e, index, 2)}
+                          onChange={(e) =>
+                            handleInputChange(
+                              index,
+                              "start_date",
+                              e.target.value,
+                            )
+                          }
+                          aria-label={`Training start date, row ${index + 1}`}
+                        />
+                        <span className="text-slate-300 font-bold">–</span>
+                        <input
+                          type="date"
+                          className="w-full p-3 bg-transparent text-[11px] font-bold text-slate-600 outline-none"
+                          value={row.end_date || ""}
+                          min={row.start_date || undefined}
+                          onKeyDown={(e) => handleKeyDown(e, index, 3)}
+                          onChange={(e) =>
+                            handleInputChange(index, "end_date", e.target.value)
+                          }
+                          aria-label={`Training end date, row ${index + 1}`}
+                        />
+                      </div>
+                      {!row.start_date && row.training_date && (
+                        <p className="px-3 pb-1 text-[9px] font-bold text-amber-600 truncate">
+                          Was: {row.training_date}
+                        </p>
+                      )}
                     </td>
 
                     {/* Venue */}
@@ -1775,7 +2548,7 @@ function Home({ user, currentView, setCurrentView }) {
                       <input
                         className="w-full p-3 bg-transparent text-[11px] font-bold text-slate-600 outline-none"
                         value={row.venue}
-                        onKeyDown={(e) => handleKeyDown(e, index, 3)}
+                        onKeyDown={(e) => handleKeyDown(e, index, 4)}
                         onChange={(e) =>
                           handleInputChange(index, "venue", e.target.value)
                         }
@@ -1796,7 +2569,7 @@ function Home({ user, currentView, setCurrentView }) {
                       <input
                         className="w-full p-3 bg-transparent text-[11px] font-bold text-slate-600 outline-none"
                         value={row.facility}
-                        onKeyDown={(e) => handleKeyDown(e, index, 4)}
+                        onKeyDown={(e) => handleKeyDown(e, index, 5)}
                         onChange={(e) =>
                           handleInputChange(index, "facility", e.target.value)
                         }
@@ -1817,7 +2590,7 @@ function Home({ user, currentView, setCurrentView }) {
                       <select
                         className="w-full p-3 bg-transparent text-[10px] font-bold text-slate-600 uppercase outline-none"
                         value={row.participant_type}
-                        onKeyDown={(e) => handleKeyDown(e, index, 5)}
+                        onKeyDown={(e) => handleKeyDown(e, index, 6)}
                         onChange={(e) =>
                           handleInputChange(
                             index,
@@ -1841,7 +2614,7 @@ function Home({ user, currentView, setCurrentView }) {
                         type="number"
                         className="w-full p-3 bg-transparent text-[11px] font-bold text-center text-slate-600 outline-none"
                         value={row.age}
-                        onKeyDown={(e) => handleKeyDown(e, index, 6)}
+                        onKeyDown={(e) => handleKeyDown(e, index, 7)}
                         onChange={(e) =>
                           handleInputChange(index, "age", e.target.value)
                         }
@@ -1855,7 +2628,7 @@ function Home({ user, currentView, setCurrentView }) {
                       <input
                         className="w-full p-3 bg-transparent text-[11px] font-bold text-slate-600 outline-none"
                         value={row.position}
-                        onKeyDown={(e) => handleKeyDown(e, index, 7)}
+                        onKeyDown={(e) => handleKeyDown(e, index, 8)}
                         onChange={(e) =>
                           handleInputChange(index, "position", e.target.value)
                         }
@@ -1906,10 +2679,254 @@ function Home({ user, currentView, setCurrentView }) {
         setEditForm={setEditForm}
         onSubmit={handleEditSubmit}
         onDelete={handleDelete}
+        canDelete={canDelete}
+        onStatusChange={handleStatusChange}
+        canRevoke={canRevoke}
+        canRestore={canEdit}
+        onRestored={handleRestored}
       />
 
+      {/* RENEWAL MODAL */}
+      <RenewalModal
+        cert={renewalCert}
+        onClose={() => setRenewalCert(null)}
+        onRenewed={handleRenewed}
+      />
+
+      {/* TRAINING MODAL */}
+      <TrainingModal
+        show={showTrainingModal}
+        onClose={() => setShowTrainingModal(false)}
+        onCreated={handleTrainingCreated}
+        trainingTypes={TRAINING_TYPES}
+      />
+
+      {/* IMPORT MODAL */}
+      <ImportModal
+        show={showImportModal}
+        onClose={() => setShowImportModal(false)}
+        onImport={handleImportRows}
+        formatValue={formatValue}
+        trainingTypes={TRAINING_TYPES}
+        participantTypes={PARTICIPANT_TYPES}
+      />
+
+      {/* PHOTO MATCHER */}
+      <PhotoMatcherModal
+        show={showPhotoMatcher && !!selectedBatch}
+        onClose={() => setShowPhotoMatcher(false)}
+        certs={selectedBatch?.certs || []}
+        onChange={handlePhotoChanged}
+      />
+
+      {/* RENEWAL WATCH VIEW */}
+      {currentView === "expiry" && canView("expiry") && (
+        <div className="flex-1 min-w-0 h-full flex flex-col overflow-hidden bg-[#F0F4F8] font-sans">
+          {/* HEADER */}
+          <div className="h-[12%] min-h-[85px] max-h-[110px] shrink-0 flex items-center justify-between px-10 bg-white border-b-4 border-[#006666] shadow-md z-10">
+            <div className="flex flex-col">
+              <h1 className="text-[18px] font-bold text-[#1A365D] tracking-tight uppercase leading-none">
+                Renewal Watch
+              </h1>
+              <span className="text-[10px] font-bold text-[#006666] uppercase tracking-widest mt-1">
+                Certifications due for refresher training
+              </span>
+            </div>
+            <input
+              className="w-full max-w-sm ml-10 bg-[#F8FAFC] border-2 border-slate-200 px-5 py-2 text-[13px] font-semibold text-slate-700 rounded-full focus:border-[#006666] outline-none transition-all placeholder:text-slate-400"
+              placeholder="Search participant, venue or facility..."
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+            />
+          </div>
+
+          {/* FILTER BAR */}
+          <div className="shrink-0 px-10 py-3 bg-white border-b border-slate-200 flex flex-wrap items-end gap-3">
+            <div className="flex rounded-md overflow-hidden border border-slate-300">
+              {[
+                ["expiring", "Expiring Soon"],
+                ["expired", "Expired"],
+              ].map(([value, label]) => (
+                <button
+                  key={value}
+                  onClick={() =>
+                    setExpiryFilters((prev) => ({ ...prev, expiry: value }))
+                  }
+                  className={`px-4 py-2 text-[10px] font-black uppercase tracking-widest border-r last:border-r-0 border-slate-300 ${
+                    expiryFilters.expiry === value
+                      ? "bg-[#006666] text-white"
+                      : "bg-white text-[#1A365D] hover:bg-[#F0F9F9]"
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            {expiryFilters.expiry === "expiring" && (
+              <div className="flex flex-col">
+                <label className="text-[9px] font-black text-slate-400 uppercase tracking-widest mb-1">
+                  Within
+                </label>
+                <select
+                  className="px-3 py-2 bg-[#F8FAFC] border-2 border-slate-100 focus:border-[#006666] outline-none font-bold text-[11px] text-[#1A365D] rounded"
+                  value={expiryFilters.expiring_within}
+                  onChange={(e) =>
+                    setExpiryFilters((prev) => ({
+                      ...prev,
+                      expiring_within: e.target.value,
+                    }))
+                  }
+                >
+                  {EXPIRY_WINDOWS.map((days) => (
+                    <option key={days} value={days}>
+                      {days} DAYS
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+            <div className="flex flex-col">
+              <label className="text-[9px] font-black text-slate-400 uppercase tracking-widest mb-1">
+                Training
+              </label>
+              <select
+                className="px-3 py-2 bg-[#F8FAFC] border-2 border-slate-100 focus:border-[#006666] outline-none font-bold text-[11px] text-[#1A365D] rounded"
+                value={expiryFilters.training_type}
+                onChange={(e) =>
+                  setExpiryFilters((prev) => ({
+                    ...prev,
+                    training_type: e.target.value,
+                  }))
+                }
+              >
+                {TRAINING_TYPES.map((t) => (
+                  <option key={t.value} value={t.value}>
+                    {t.value ? t.label : "ALL TRAININGS"}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <span className="ml-auto text-[10px] font-black text-slate-400 uppercase tracking-widest">
+              {expiryTotals.total} certificate(s)
+            </span>
+          </div>
+
+          <div className="flex-1 overflow-y-auto p-6 space-y-6">
+            <div className="bg-white rounded-xl shadow-sm border border-slate-200 overflow-hidden">
+              <div className="flex h-11 items-center px-8 bg-[#EDF2F7] border-b border-slate-200 text-[10px] font-black text-slate-500 uppercase">
+                <div className="flex-1">Participant</div>
+                <div className="w-[30%] px-4">Training</div>
+                <div className="w-[20%] px-4">Expires</div>
+                <div className="w-28 text-right">Action</div>
+              </div>
+              {expiryCerts.length > 0 ? (
+                expiryCerts.map((cert) => {
+                  const days = daysUntil(cert.expires_on);
+                  return (
+                    <div
+                      key={cert.id}
+                      className="flex items-center px-8 py-3 border-b border-slate-100 last:border-0 hover:bg-teal-50/30"
+                    >
+                      <div className="flex-1 min-w-0 flex flex-col">
+                        <span className="text-[13px] font-bold text-[#1A365D] uppercase truncate">
+                          {cert.participant_name}
+                        </span>
+                        <span className="text-[10px] font-semibold text-slate-400 uppercase truncate">
+                          {cert.facility || cert.participant_type || "—"}
+                        </span>
+                      </div>
+                      <div className="w-[30%] px-4 min-w-0 flex flex-col">
+                        <span className="text-[11px] font-bold text-[#1A365D] uppercase truncate">
+                          {cert.training_type}
+                        </span>
+                        <span className="text-[10px] font-semibold text-slate-400 truncate">
+                          {cert.training_date}
+                        </span>
+                      </div>
+                      <div className="w-[20%] px-4 flex flex-col">
+                        <span className="text-[11px] font-bold text-[#1A365D]">
+                          {formatLongDate(cert.expires_on)}
+                        </span>
+                        <span
+                          className={`text-[9px] font-black uppercase tracking-wider ${days < 0 ? "text-red-500" : "text-amber-600"}`}
+                        >
+                          {days < 0
+                            ? `${-days} day(s) ago`
+                            : days === 0
+                              ? "Today"
+                              : `In ${days} day(s)`}
+                        </span>
+                      </div>
+                      <div className="w-28 flex justify-end">
+                        {canEdit && (
+                          <button
+                            onClick={() => setRenewalCert(cert)}
+                            className="h-8 px-4 bg-[#006666] text-white text-[10px] font-black uppercase rounded hover:bg-[#004D4D]"
+                          >
+                            Renew
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  );
+                })
+              ) : (
+                <div className="py-16 text-center text-[11px] font-bold text-slate-400 uppercase">
+                  {expiryFilters.expiry === "expired"
+                    ? "No expired certifications awaiting renewal"
+                    : "No certifications expiring in this window"}
+                </div>
+              )}
+            </div>
+
+            <div className="flex justify-end gap-2">
+              <button
+                onClick={() => setExpiryPage((p) => Math.max(p - 1, 1))}
+                className="h-10 px-6 rounded-md border border-slate-300 bg-white text-[11px] font-bold text-slate-600 hover:bg-slate-50 transition-all disabled:opacity-30"
+                disabled={expiryPage === 1}
+              >
+                Previous
+              </button>
+              <button
+                onClick={() =>
+                  setExpiryPage((p) => Math.min(p + 1, expiryTotals.totalPages))
+                }
+                className="h-10 px-8 bg-[#006666] text-white text-[11px] font-bold rounded-md hover:bg-[#004D4D] transition-all shadow-md disabled:opacity-30"
+                disabled={expiryPage >= expiryTotals.totalPages}
+              >
+                Next
+              </button>
+            </div>
+
+            <ValidityRulesPanel
+              trainingTypes={TRAINING_TYPES}
+              canManage={canManageRules}
+              onSaved={fetchExpiring}
+            />
+
+            {canManageAccounts && <TwoFactorPolicyPanel />}
+          </div>
+        </div>
+      )}
+
+      {/* ACTIVITY LOG VIEW */}
+      {currentView === "activity" && canView("activity") && <ActivityLog />}
+
+      {/* RECYCLE BIN VIEW */}
+      {currentView === "recycle" && canView("recycle") && (
+        <RecycleBin onChange={refreshRegistry} />
+      )}
+
+      {/* USER ACCOUNTS VIEW */}
+      {currentView === "users" && canView("users") && (
+        <UsersView currentUser={user} />
+      )}
+
+      {/* MY SESSIONS VIEW */}
+      {currentView === "sessions" && canView("sessions") && <SessionsView />}
+
       {/* SYSTEM SETTINGS VIEW */}
-      {currentView === "settings" && (
+      {currentView === "settings" && canView("settings") && (
         /* REMOVED px-4 AND ADDED w-full TO ENSURE MAXIMUM WIDTH */
         <div className="animate-in fade-in duration-500 space-y-8 h-auto flex flex-col pb-20 w-full">
           {/* HEADER SECTION - NO CONTENT CHANGES */}
@@ -1940,7 +2957,17 @@ function Home({ user, currentView, setCurrentView }) {
               </div>
             </div>
 
-            <div className="flex gap-3">
+            <div className="flex items-end gap-3">
+              <label className="text-[9px] font-black text-slate-400 uppercase tracking-widest">
+                Effective From
+                <input
+                  type="date"
+                  className="block mt-1 px-3 py-2 bg-[#F8FAFC] border-2 border-slate-100 focus:border-[#006666] outline-none font-bold text-[12px] text-[#1A365D] rounded-lg"
+                  value={signatoriesEffectiveFrom}
+                  onChange={(e) => setSignatoriesEffectiveFrom(e.target.value)}
+                  title="Trainings completed before this date keep the current signatories"
+                />
+              </label>
               <button
                 onClick={() => setSettings({})}
                 className="px-6 py-3 bg-red-50 text-red-500 hover:bg-red-100 rounded-xl font-black text-[10px] uppercase transition-colors"
@@ -2025,59 +3052,99 @@ function Home({ user, currentView, setCurrentView }) {
                     />
                   </div>
                   <div className="col-span-3 flex justify-end pr-2">
-                    {num === 1 ? (
-                      <div className="flex items-center gap-2 bg-slate-50 p-1 rounded-xl border border-slate-100">
-                        <input
-                          type="file"
-                          id={`sig-${num}`}
-                          className="hidden"
-                          accept="image/png"
-                          onChange={(e) => {
-                            const file = e.target.files[0];
-                            if (file) {
-                              setActiveOfficerNum(1);
-                              const reader = new FileReader();
-                              reader.onload = () =>
-                                setImageToCrop(reader.result);
-                              reader.readAsDataURL(file);
-                            }
-                          }}
-                        />
-                        <label
-                          htmlFor={`sig-${num}`}
-                          className="px-4 py-2 bg-white text-[#006666] border border-slate-200 rounded-lg text-[10px] font-black uppercase cursor-pointer hover:bg-[#006666] hover:text-white transition-all shadow-sm"
+                    <div className="flex items-center gap-2 bg-slate-50 p-1 rounded-xl border border-slate-100">
+                      <input
+                        type="file"
+                        id={`sig-${num}`}
+                        className="hidden"
+                        accept="image/png"
+                        onChange={(e) => {
+                          const file = e.target.files[0];
+                          e.target.value = "";
+                          if (file) {
+                            setActiveOfficerNum(num);
+                            const reader = new FileReader();
+                            reader.onload = () => setImageToCrop(reader.result);
+                            reader.readAsDataURL(file);
+                          }
+                        }}
+                      />
+                      <label
+                        htmlFor={`sig-${num}`}
+                        className="px-4 py-2 bg-white text-[#006666] border border-slate-200 rounded-lg text-[10px] font-black uppercase cursor-pointer hover:bg-[#006666] hover:text-white transition-all shadow-sm"
+                      >
+                        {settings[`off${num}_sig`] ? "Replace" : "Signature"}
+                      </label>
+                      {settings[`off${num}_sig`] && (
+                        <button
+                          onClick={() =>
+                            setSettings({ ...settings, [`off${num}_sig`]: "" })
+                          }
+                          className="p-2 text-slate-400 hover:text-red-500 hover:bg-red-50 rounded-lg transition-all"
                         >
-                          {settings.off1_sig ? "Replace" : "Signature"}
-                        </label>
-                        {settings.off1_sig && (
-                          <button
-                            onClick={() =>
-                              setSettings({ ...settings, off1_sig: "" })
-                            }
-                            className="p-2 text-slate-400 hover:text-red-500 hover:bg-red-50 rounded-lg transition-all"
+                          <svg
+                            className="w-4 h-4"
+                            fill="none"
+                            viewBox="0 0 24 24"
+                            stroke="currentColor"
                           >
-                            <svg
-                              className="w-4 h-4"
-                              fill="none"
-                              viewBox="0 0 24 24"
-                              stroke="currentColor"
-                            >
-                              <path
-                                d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"
-                                strokeWidth={2}
-                              />
-                            </svg>
-                          </button>
-                        )}
-                      </div>
-                    ) : (
-                      <div className="px-4 py-2 bg-slate-50 rounded-lg text-[10px] font-bold text-slate-300 uppercase tracking-tighter">
-                        Identity Text Only
-                      </div>
-                    )}
+                            <path
+                              d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"
+                              strokeWidth={2}
+                            />
+                          </svg>
+                        </button>
+                      )}
+                    </div>
                   </div>
                 </div>
               ))}
+
+              {/* SIGNATURE LAYOUT: WHICH OFFICERS SIGN EACH DOCUMENT */}
+              <div className="bg-white p-6 pl-8 rounded-[1.5rem] border border-slate-100 shadow-sm space-y-4">
+                <p className="text-[10px] font-black text-slate-400 uppercase tracking-widest">
+                  Signature Layout
+                </p>
+                {Object.entries(DOCUMENT_TYPES).map(
+                  ([type, { label, setting }]) => {
+                    const selected = getSignerNumbers(settings, type);
+                    return (
+                      <div key={type} className="flex items-center gap-4">
+                        <span className="w-32 text-[12px] font-bold text-slate-600">
+                          {label}
+                        </span>
+                        <div className="flex gap-2">
+                          {OFFICER_NUMBERS.map((num) => {
+                            const isOn = selected.includes(num);
+                            return (
+                              <button
+                                key={num}
+                                onClick={() => {
+                                  const next = isOn
+                                    ? selected.filter((n) => n !== num)
+                                    : [...selected, num].sort();
+                                  if (next.length === 0) return;
+                                  setSettings({
+                                    ...settings,
+                                    [setting]: next.join(","),
+                                  });
+                                }}
+                                className={`px-4 py-2 rounded-lg text-[10px] font-black uppercase border transition-all ${
+                                  isOn
+                                    ? "bg-[#006666] text-white border-[#006666]"
+                                    : "bg-white text-slate-400 border-slate-200 hover:border-[#006666]/40"
+                                }`}
+                              >
+                                Officer 0{num}
+                              </button>
+                            );
+                          })}
+                        </div>
+                      </div>
+                    );
+                  },
+                )}
+              </div>
             </div>
 
             {/* RIGHT PREVIEW: Condensed to col-span-3 to make room for table */}
@@ -2116,46 +3183,30 @@ function Home({ user, currentView, setCurrentView }) {
                       </p>
                     </div>
 
-                    {/* OFFICIALS CONTAINER - USING FIXED SLOTS TO PREVENT OVERLAP */}
+                    {/* OFFICIALS CONTAINER - ONE FIXED SLOT PER SIGNER */}
                     <div className="mt-auto flex flex-col w-full pb-1">
-                      {/* OFFICIAL 1 SLOT */}
-                      <div className="h-[42px] flex flex-col items-center justify-end relative">
-                        {settings.off1_sig && (
-                          <div className="absolute top-0 inset-x-0 flex justify-center pointer-events-none">
-                            <img
-                              src={settings.off1_sig}
-                              className="w-20 h-10 object-contain mix-blend-multiply"
-                              alt="signature"
-                            />
-                          </div>
-                        )}
-                        <p className="text-[9px] font-black text-black uppercase leading-[1] z-10">
-                          {settings.off1_name || "Official Name 01"}
-                        </p>
-                        <p className="text-[6.5px] font-bold text-slate-500 leading-[1] mt-0.5 z-10">
-                          {settings.off1_pos || "Designation"}
-                        </p>
-                      </div>
-
-                      {/* OFFICIAL 2 SLOT */}
-                      <div className="h-[32px] flex flex-col items-center justify-end">
-                        <p className="text-[9px] font-black text-black uppercase leading-[1]">
-                          {settings.off2_name || "Official Name 02"}
-                        </p>
-                        <p className="text-[6.5px] font-bold text-slate-500 leading-[1] mt-0.5">
-                          {settings.off2_pos || "Designation"}
-                        </p>
-                      </div>
-
-                      {/* OFFICIAL 3 SLOT */}
-                      <div className="h-[32px] flex flex-col items-center justify-end">
-                        <p className="text-[9px] font-black text-black uppercase leading-[1]">
-                          {settings.off3_name || "Official Name 03"}
-                        </p>
-                        <p className="text-[6.5px] font-bold text-slate-500 leading-[1] mt-0.5">
-                          {settings.off3_pos || "Designation"}
-                        </p>
-                      </div>
+                      {getSigners(settings, "id_card").map((signer) => (
+                        <div
+                          key={signer.number}
+                          className="h-[36px] flex flex-col items-center justify-end relative"
+                        >
+                          {signer.signature && (
+                            <div className="absolute top-0 inset-x-0 flex justify-center pointer-events-none">
+                              <StoredImage
+                                src={signer.signature}
+                                className="w-20 h-8 object-contain mix-blend-multiply"
+                                alt="signature"
+                              />
+                            </div>
+                          )}
+                          <p className="text-[9px] font-black text-black uppercase leading-[1] z-10">
+                            {signer.name || `Official Name 0${signer.number}`}
+                          </p>
+                          <p className="text-[6.5px] font-bold text-slate-500 leading-[1] mt-0.5 z-10">
+                            {signer.position || "Designation"}
+                          </p>
+                        </div>
+                      ))}
                     </div>
                   </div>
 
@@ -2166,6 +3217,15 @@ function Home({ user, currentView, setCurrentView }) {
               </div>
             </div>
           </div>
+
+          {/* PAST TERMS: SIGNATORIES BY TRAINING DATE */}
+          <div className="mt-10">
+            <SignatoryTimeline
+              settings={settings}
+              periods={signatoryPeriods}
+              onChanged={fetchSignatoryPeriods}
+            />
+          </div>
         </div>
       )}
       {imageToCrop && (
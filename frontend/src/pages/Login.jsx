@@ -1,11 +1,22 @@
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
 import api from "../api";
 import { useLocation } from "react-router-dom";
 import { useNavigate } from "react-router-dom";
-import { Eye, EyeOff, UserRound, Lock, ShieldCheck } from "lucide-react";
+import {
+  Eye,
+  EyeOff,
+  UserRound,
+  Lock,
+  ShieldCheck,
+  KeyRound,
+} from "lucide-react";
 import toast, { Toaster } from "react-hot-toast";
 import { API_URL } from "../api";
 
+// Format a wait in seconds as m:ss
+const formatWait = (seconds) =>
+  `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+
 function Login({ setUser }) {
   const location = useLocation();
   const [form, setForm] = useState({
@@ -18,8 +29,33 @@ function Login({ setUser }) {
   const navigate = useNavigate();
   const [focusedField, setFocusedField] = useState(null);
   const [isAuthenticating, setIsAuthenticating] = useState(false);
+  // Set when the server refuses attempts for a while (account lockout or
+  // rate limit): { message, until } with until in epoch ms
+  const [blocked, setBlocked] = useState(null);
+  const [secondsLeft, setSecondsLeft] = useState(0);
+  // Second step for accounts with two-factor: the challenge issued after the
+  // password was accepted, and the code being typed
+  const [challenge, setChallenge] = useState(null);
+  const [code, setCode] = useState("");
+
+  // Count down the wait, clearing the notice when it runs out
+  useEffect(() => {
+    if (!blocked) return;
+    const tick = () => {
+      const left = Math.max(0, Math.ceil((blocked.until - Date.now()) / 1000));
+      setSecondsLeft(left);
+      if (left === 0) setBlocked(null);
+    };
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [blocked]);
 
   const handleFormChange = (e) => {
+    // A lockout applies to one account; typing another name lifts the notice
+    if (e.target.name === "username" && blocked?.status === 423) {
+      setBlocked(null);
+    }
     setValidationErrors((prev) => ({ ...prev, [e.target.name]: null }));
     setForm({ ...form, [e.target.name]: e.target.value });
   };
@@ -44,20 +80,83 @@ function Login({ setUser }) {
     try {
       const res = await api.post("/api/auth/login", form);
 
-      setUser(res.data.user);
-      toast.success("Identity Verified");
-      navigate("/");
+      if (res.data.two_factor_required) {
+        setChallenge(res.data.challenge);
+        setCode("");
+        return;
+      }
+      completeLogin(res.data);
     } catch (err) {
-      setValidationErrors({ username: true, password: true });
-      toast.error(
-        err.response?.data?.message || "Invalid Registry Credentials",
-      );
+      if (!handleBlocked(err)) {
+        setValidationErrors({ username: true, password: true });
+        toast.error(
+          err.response?.data?.message || "Invalid Registry Credentials",
+        );
+      }
     } finally {
       // STOP LOADING (whether success or fail)
       setIsAuthenticating(false);
     }
   };
 
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    if (!code.trim()) {
+      toast.error("Enter the code from your authenticator app");
+      return;
+    }
+
+    setIsAuthenticating(true);
+    try {
+      const res = await api.post("/api/auth/login/two-factor", {
+        challenge,
+        code,
+      });
+      completeLogin(res.data);
+    } catch (err) {
+      if (handleBlocked(err)) return;
+      const { data } = err.response || {};
+      toast.error(data?.message || "Invalid authentication code");
+      setCode("");
+      // The challenge expired or was invalidated; start again
+      if (data?.code === "CHALLENGE_EXPIRED") {
+        setChallenge(null);
+      }
+    } finally {
+      setIsAuthenticating(false);
+    }
+  };
+
+  const completeLogin = (data) => {
+    setUser(data.user);
+    toast.success("Identity Verified");
+    if (data.backup_codes_remaining !== undefined) {
+      toast(
+        `Backup code used; ${data.backup_codes_remaining} remaining. Generate new ones if you are running low.`,
+        { icon: "🔑", duration: 6000 },
+      );
+    }
+    navigate("/");
+  };
+
+  /**
+   * Show the countdown when the server refuses attempts for a while
+   * (account lockout or rate limit)
+   * @returns {boolean} Whether the error was handled
+   */
+  const handleBlocked = (err) => {
+    const { status, data } = err.response || {};
+    if ((status === 423 || status === 429) && data?.retry_after) {
+      setBlocked({
+        status,
+        message: data.message,
+        until: Date.now() + data.retry_after * 1000,
+      });
+      return true;
+    }
+    return false;
+  };
+
   const getInputClass = (fieldName) => {
     const baseClass =
       "w-full bg-white border-2 p-3 pt-6 rounded-md text-[14px] font-medium normal-case outline-none transition-all";
@@ -85,6 +184,15 @@ function Login({ setUser }) {
       : `${classes} top-4 text-[11px]`;
   };
 
+  const blockedNotice = blocked && (
+    <div className="border-l-4 border-red-500 bg-red-50 px-4 py-3">
+      <p className="text-[11px] font-bold text-red-700">{blocked.message}</p>
+      <p className="text-[10px] font-black text-red-500 uppercase tracking-widest mt-1">
+        Time remaining: {formatWait(secondsLeft)}
+      </p>
+    </div>
+  );
+
   return (
     <div className="min-h-screen flex justify-center items-center bg-slate-50 p-4">
       <Toaster position="top-right" />
@@ -104,7 +212,60 @@ function Login({ setUser }) {
           </p>
         </div>
 
-        <form className="p-8 space-y-6" onSubmit={handleSubmit}>
+        {/* Second step: code from the authenticator app */}
+        {challenge && (
+          <form className="p-8 space-y-6" onSubmit={handleCodeSubmit}>
+            <p className="text-[11px] font-bold text-slate-500 leading-relaxed">
+              Enter the 6-digit code from your authenticator app, or one of your
+              backup codes.
+            </p>
+            <div className="relative">
+              <KeyRound
+                size={18}
+                className="absolute top-[1.1rem] left-4 text-[#006666]"
+              />
+              <input
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                autoFocus
+                placeholder="123456"
+                className="w-full bg-white border-2 border-slate-200 focus:border-[#006666] p-3 pl-11 rounded-md text-[18px] font-black tracking-[0.4em] text-slate-700 outline-none transition-all placeholder:text-slate-200"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+              />
+            </div>
+
+            <button
+              type="submit"
+              disabled={isAuthenticating || !!blocked}
+              className={`w-full flex items-center justify-center gap-3 py-4 rounded font-black text-[12px] uppercase tracking-[0.2em] transition-all shadow-md active:scale-[0.98] ${
+                isAuthenticating || blocked
+                  ? "bg-slate-400 text-white cursor-wait"
+                  : "bg-[#1A365D] hover:bg-[#006666] text-white"
+              }`}
+            >
+              {isAuthenticating ? "Verifying..." : "Verify Code"}
+            </button>
+
+            {blockedNotice}
+
+            <div className="text-center">
+              <button
+                type="button"
+                onClick={() => setChallenge(null)}
+                className="text-[10px] font-black text-[#006666] uppercase tracking-widest hover:underline"
+              >
+                Use a different account
+              </button>
+            </div>
+          </form>
+        )}
+
+        <form
+          className={`p-8 space-y-6 ${challenge ? "hidden" : ""}`}
+          onSubmit={handleSubmit}
+        >
           {/* Username */}
           <div className="relative">
             <UserRound
@@ -168,11 +329,13 @@ function Login({ setUser }) {
           <div className="pt-2">
             <button
               type="submit"
-              disabled={isAuthenticating} // Disable to prevent double-clicks
+              disabled={isAuthenticating || !!blocked} // Disable while signing in or locked out
               className={`w-full flex items-center justify-center gap-3 py-4 rounded font-black text-[12px] uppercase tracking-[0.2em] transition-all shadow-md active:scale-[0.98] ${
                 isAuthenticating
                   ? "bg-slate-400 cursor-wait"
-                  : "bg-[#1A365D] hover:bg-[#006666] text-white"
+                  : blocked
+                    ? "bg-slate-400 text-white cursor-not-allowed"
+                    : "bg-[#1A365D] hover:bg-[#006666] text-white"
               }`}
             >
               {isAuthenticating ? (
@@ -186,7 +349,13 @@ function Login({ setUser }) {
             </button>
           </div>
 
+          {blockedNotice}
+
           <div className="text-center pt-4">
+            <p className="text-[9px] font-bold text-slate-400 uppercase tracking-widest leading-relaxed mb-3">
+              Forgot your password? Ask an administrator <br />
+              to send you a reset link
+            </p>
             <p className="text-[9px] font-bold text-slate-400 uppercase tracking-widest leading-relaxed">
               All access attempts are logged <br />
               under Department of Health Security Protocols
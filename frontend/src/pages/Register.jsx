@@ -1,8 +1,19 @@
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
 import api from "../api";
-import { useNavigate } from "react-router-dom";
+import { useNavigate, useParams } from "react-router-dom";
 import { Eye, EyeOff, UserRound, Lock, UserPlus } from "lucide-react";
 import toast, { Toaster } from "react-hot-toast";
+import { ROLE_LABELS } from "../permissions";
+
+// Why an invitation link cannot be used, by its status
+const INVITATION_MESSAGES = {
+  used: "This invitation has already been used. Ask an administrator for a new one.",
+  revoked:
+    "This invitation has been revoked. Ask an administrator for a new one.",
+  expired: "This invitation has expired. Ask an administrator for a new one.",
+  invalid:
+    "This invitation link is not valid. Check that it was copied in full.",
+};
 
 function Register({ setUser }) {
   const [form, setForm] = useState({
@@ -15,8 +26,48 @@ function Register({ setUser }) {
   const [showPassword, setShowPassword] = useState(false);
   const [focusedField, setFocusedField] = useState(null);
   const [isRegistering, setIsRegistering] = useState(false);
+  // null until known; admins can close self-registration
+  const [registrationOpen, setRegistrationOpen] = useState(null);
+  // Role and office granted by the invitation link, and its status
+  const [invitation, setInvitation] = useState(null);
+  const { invite } = useParams();
   const navigate = useNavigate();
 
+  useEffect(() => {
+    const fetchInvitation = async () => {
+      try {
+        const res = await api.get(`/api/auth/invitations/token/${invite}`);
+        setInvitation(res.data);
+      } catch (err) {
+        if (err.response?.status !== 404) {
+          console.error("Error fetching invitation:", err);
+        }
+        setInvitation({ status: "invalid" });
+      }
+    };
+    const fetchRegistration = async () => {
+      try {
+        const res = await api.get("/api/auth/registration");
+        setRegistrationOpen(res.data.open);
+      } catch (err) {
+        console.error("Error fetching registration setting:", err);
+        setRegistrationOpen(true);
+      }
+    };
+    if (invite) fetchInvitation();
+    else fetchRegistration();
+  }, [invite]);
+
+  // Shown instead of the form when no account can be created here
+  let unavailableMessage = null;
+  if (invite && invitation && invitation.status !== "pending") {
+    unavailableMessage =
+      INVITATION_MESSAGES[invitation.status] || INVITATION_MESSAGES.invalid;
+  } else if (!invite && registrationOpen === false) {
+    unavailableMessage =
+      "Self-registration is closed. Ask an administrator for an invitation link to create your account.";
+  }
+
   const handleFormChange = (e) => {
     setValidationErrors((prev) => ({ ...prev, [e.target.name]: null }));
     setForm({ ...form, [e.target.name]: e.target.value });
@@ -43,7 +94,10 @@ function Register({ setUser }) {
 
     try {
       const { confirmPassword, ...dataToSubmit } = form;
-      const res = await api.post("/api/auth/register", dataToSubmit);
+      const res = await api.post("/api/auth/register", {
+        ...dataToSubmit,
+        ...(invite && { invitation: invite }),
+      });
       toast.success("Account Created. Please sign in to verify identity.");
       navigate("/login", { state: { registeredUsername: form.username } });
     } catch (err) {
@@ -104,118 +158,155 @@ function Register({ setUser }) {
           </p>
         </div>
 
-        <form className="p-8 space-y-6" onSubmit={handleSubmit}>
-          {/* Username */}
-          <div className="relative">
-            <UserRound
-              size={18}
-              className={`absolute top-[1.4rem] left-4 ${
-                focusedField === "username"
-                  ? "text-[#006666]"
-                  : "text-slate-300"
-              }`}
-            />
-            <label className={getLabelClass("username")}>New Username</label>
-            <input
-              type="text"
-              name="username"
-              placeholder=""
-              className={`${getInputClass("username")} pl-11`}
-              value={form.username}
-              onChange={handleFormChange}
-              onFocus={() => setFocusedField("username")}
-              onBlur={() => setFocusedField(null)}
-              autoComplete="off"
-            />
-          </div>
-
-          {/* Password */}
-          <div className="relative">
-            <Lock
-              size={18}
-              className={`absolute top-[1.4rem] left-4 ${
-                focusedField === "password"
-                  ? "text-[#006666]"
-                  : "text-slate-300"
-              }`}
-            />
-            <label className={getLabelClass("password")}>Set Password</label>
-            <input
-              type={showPassword ? "text" : "password"}
-              name="password"
-              placeholder=""
-              className={`${getInputClass("password")} pl-11 pr-12`}
-              value={form.password}
-              onChange={handleFormChange}
-              onFocus={() => setFocusedField("password")}
-              onBlur={() => setFocusedField(null)}
-            />
+        {unavailableMessage ? (
+          <div className="p-8 space-y-6 text-center">
+            <p className="text-[11px] font-bold text-amber-700 bg-amber-50 border-l-4 border-amber-400 px-3 py-3 text-left">
+              {unavailableMessage}
+            </p>
             <button
               type="button"
-              className="absolute right-4 top-[1.3rem] text-slate-300 hover:text-[#006666]"
-              onClick={() => setShowPassword(!showPassword)}
+              onClick={() => navigate("/login")}
+              className="text-[10px] font-black text-[#1A365D] uppercase tracking-widest hover:underline"
             >
-              {showPassword ? <EyeOff size={18} /> : <Eye size={18} />}
+              Back To Login
             </button>
           </div>
+        ) : (
+          <form className="p-8 space-y-6" onSubmit={handleSubmit}>
+            {/* Invitation: role and office are set by the admin */}
+            {invitation?.status === "pending" && (
+              <div className="grid grid-cols-2 gap-3 bg-[#F8FAFC] border border-slate-200 rounded-md px-4 py-3">
+                <div>
+                  <span className="text-[9px] font-black text-slate-400 uppercase tracking-widest block">
+                    Assigned Role
+                  </span>
+                  <span className="text-[12px] font-bold text-[#1A365D]">
+                    {ROLE_LABELS[invitation.role] || invitation.role}
+                  </span>
+                </div>
+                <div>
+                  <span className="text-[9px] font-black text-slate-400 uppercase tracking-widest block">
+                    Office
+                  </span>
+                  <span className="text-[12px] font-bold text-[#1A365D]">
+                    {invitation.office || "—"}
+                  </span>
+                </div>
+              </div>
+            )}
 
-          {/* Confirm Password */}
-          <div className="relative">
-            <Lock
-              size={18}
-              className={`absolute top-[1.4rem] left-4 ${
-                focusedField === "confirmPassword"
-                  ? "text-[#006666]"
-                  : "text-slate-300"
-              }`}
-            />
-            <label className={getLabelClass("confirmPassword")}>
-              Verify Password
-            </label>
-            <input
-              type={showPassword ? "text" : "password"}
-              name="confirmPassword"
-              placeholder=""
-              className={`${getInputClass("confirmPassword")} pl-11 pr-12`}
-              value={form.confirmPassword}
-              onChange={handleFormChange}
-              onFocus={() => setFocusedField("confirmPassword")}
-              onBlur={() => setFocusedField(null)}
-            />
-          </div>
+            {/* Username */}
+            <div className="relative">
+              <UserRound
+                size={18}
+                className={`absolute top-[1.4rem] left-4 ${
+                  focusedField === "username"
+                    ? "text-[#006666]"
+                    : "text-slate-300"
+                }`}
+              />
+              <label className={getLabelClass("username")}>New Username</label>
+              <input
+                type="text"
+                name="username"
+                placeholder=""
+                className={`${getInputClass("username")} pl-11`}
+                value={form.username}
+                onChange={handleFormChange}
+                onFocus={() => setFocusedField("username")}
+                onBlur={() => setFocusedField(null)}
+                autoComplete="off"
+              />
+            </div>
 
-          <div className="pt-2">
-            <button
-              type="submit"
-              disabled={isRegistering} // 4. Disable while loading
-              className={`w-full flex items-center justify-center gap-3 py-4 rounded font-black text-[12px] uppercase tracking-[0.2em] transition-all shadow-md active:scale-[0.98] ${
-                isRegistering
-                  ? "bg-slate-400 cursor-wait text-white"
-                  : "bg-[#006666] hover:bg-[#004d4d] text-white"
-              }`}
-            >
-              {isRegistering ? (
-                <>
-                  <div className="h-4 w-4 border-2 border-white/30 border-t-white rounded-full animate-spin" />
-                  <span>Processing...</span>
-                </>
-              ) : (
-                "Confirm Enrollment"
-              )}
-            </button>
-          </div>
+            {/* Password */}
+            <div className="relative">
+              <Lock
+                size={18}
+                className={`absolute top-[1.4rem] left-4 ${
+                  focusedField === "password"
+                    ? "text-[#006666]"
+                    : "text-slate-300"
+                }`}
+              />
+              <label className={getLabelClass("password")}>Set Password</label>
+              <input
+                type={showPassword ? "text" : "password"}
+                name="password"
+                placeholder=""
+                className={`${getInputClass("password")} pl-11 pr-12`}
+                value={form.password}
+                onChange={handleFormChange}
+                onFocus={() => setFocusedField("password")}
+                onBlur={() => setFocusedField(null)}
+              />
+              <button
+                type="button"
+                className="absolute right-4 top-[1.3rem] text-slate-300 hover:text-[#006666]"
+                onClick={() => setShowPassword(!showPassword)}
+              >
+                {showPassword ? <EyeOff size={18} /> : <Eye size={18} />}
+              </button>
+            </div>
 
-          <div className="text-center pt-2">
-            <button
-              type="button"
-              disabled={isRegistering} // Prevent leaving while submitting
-              onClick={() => navigate("/login")}
-              className="text-[10px] font-black text-[#1A365D] uppercase tracking-widest hover:underline"
-            >
-              Already Registered? Login Here
-            </button>
-          </div>
-        </form>
+            {/* Confirm Password */}
+            <div className="relative">
+              <Lock
+                size={18}
+                className={`absolute top-[1.4rem] left-4 ${
+                  focusedField === "confirmPassword"
+                    ? "text-[#006666]"
+                    : "text-slate-300"
+                }`}
+              />
+              <label className={getLabelClass("confirmPassword")}>
+                Verify Password
+              </label>
+              <input
+                type={showPassword ? "text" : "password"}
+                name="confirmPassword"
+                placeholder=""
+                className={`${getInputClass("confirmPassword")} pl-11 pr-12`}
+                value={form.confirmPassword}
+                onChange={handleFormChange}
+                onFocus={() => setFocusedField("confirmPassword")}
+                onBlur={() => setFocusedField(null)}
+              />
+            </div>
+
+            <div className="pt-2">
+              <button
+                type="submit"
+                disabled={isRegistering} // 4. Disable while loading
+                className={`w-full flex items-center justify-center gap-3 py-4 rounded font-black text-[12px] uppercase tracking-[0.2em] transition-all shadow-md active:scale-[0.98] ${
+                  isRegistering
+                    ? "bg-slate-400 cursor-wait text-white"
+                    : "bg-[#006666] hover:bg-[#004d4d] text-white"
+                }`}
+              >
+                {isRegistering ? (
+                  <>
+                    <div className="h-4 w-4 border-2 border-white/30 border-t-white rounded-full animate-spin" />
+                    <span>Processing...</span>
+                  </>
+                ) : (
+                  "Confirm Enrollment"
+                )}
+              </button>
+            </div>
+
+            <div className="text-center pt-2">
+              <button
+                type="button"
+                disabled={isRegistering} // Prevent leaving while submitting
+                onClick={() => navigate("/login")}
+                className="text-[10px] font-black text-[#1A365D] uppercase tracking-widest hover:underline"
+              >
+                Already Registered? Login Here
+              </button>
+            </div>
+          </form>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,125 @@
+import React, { useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { KeyRound, Lock } from "lucide-react";
+import toast, { Toaster } from "react-hot-toast";
+import api from "../api";
+
+/**
+ * ResetPassword - public page opened from a reset link emailed by an
+ * administrator. The token in the URL works once.
+ */
+function ResetPassword() {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const [form, setForm] = useState({ new_password: "", confirm: "" });
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleChange = (e) => {
+    setError(null);
+    setForm((prev) => ({ ...prev, [e.target.name]: e.target.value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (form.new_password !== form.confirm) {
+      setError("Passwords do not match");
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const res = await api.post("/api/auth/reset-password", {
+        token,
+        new_password: form.new_password,
+      });
+      toast.success(res.data.message);
+      navigate("/login");
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to reset password");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const inputClass =
+    "w-full bg-white border-2 border-slate-200 focus:border-[#006666] p-3 pl-11 rounded-md text-[14px] font-medium text-slate-700 outline-none transition-all placeholder:text-slate-300";
+
+  return (
+    <div className="min-h-screen flex justify-center items-center bg-slate-50 p-4">
+      <Toaster position="top-right" />
+
+      <div className="w-full max-w-md bg-white shadow-2xl overflow-hidden border-t-8 border-[#006666] rounded-t-lg">
+        {/* Header Section */}
+        <div className="bg-white px-8 pt-10 pb-6 text-center border-b border-slate-100">
+          <div className="inline-flex items-center justify-center w-16 h-16 bg-[#006666] rounded-full mb-4 shadow-lg text-white">
+            <KeyRound size={32} />
+          </div>
+          <h2 className="text-2xl font-black text-[#1A365D] uppercase tracking-tighter">
+            Reset Password
+          </h2>
+          <p className="text-[10px] font-bold text-slate-400 uppercase tracking-[0.2em] mt-2">
+            Official DOH Training Portal //{" "}
+            <span className="text-[#006666]">Account Recovery</span>
+          </p>
+        </div>
+
+        <form className="p-8 space-y-4" onSubmit={handleSubmit}>
+          {["new_password", "confirm"].map((field) => (
+            <div key={field} className="relative">
+              <Lock
+                size={18}
+                className="absolute top-[0.95rem] left-4 text-slate-300"
+              />
+              <input
+                type="password"
+                name={field}
+                value={form[field]}
+                onChange={handleChange}
+                placeholder={
+                  field === "confirm" ? "Repeat new password" : "New password"
+                }
+                className={inputClass}
+                autoComplete="new-password"
+                required
+              />
+            </div>
+          ))}
+          <p className="text-[9px] font-bold text-slate-400 uppercase tracking-widest">
+            At least 8 characters, with upper and lower case letters and a
+            number
+          </p>
+
+          <button
+            type="submit"
+            disabled={isSaving}
+            className={`w-full flex items-center justify-center gap-3 py-4 rounded font-black text-[12px] uppercase tracking-[0.2em] transition-all shadow-md active:scale-[0.98] ${
+              isSaving
+                ? "bg-slate-400 cursor-wait"
+                : "bg-[#1A365D] hover:bg-[#006666] text-white"
+            }`}
+          >
+            {isSaving ? "Saving..." : "Set New Password"}
+          </button>
+
+          {error && (
+            <div className="border-l-4 border-red-500 bg-red-50 px-4 py-3 text-[11px] font-bold text-red-700">
+              {error}
+            </div>
+          )}
+
+          <div className="text-center pt-2">
+            <Link
+              to="/login"
+              className="text-[10px] font-black text-[#006666] uppercase tracking-widest hover:underline"
+            >
+              Back to login
+            </Link>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default ResetPassword;
@@ -0,0 +1,70 @@
+import React from "react";
+import { useNavigate } from "react-router-dom";
+import { ShieldCheck } from "lucide-react";
+import toast, { Toaster } from "react-hot-toast";
+import api from "../api";
+import TwoFactorSettings from "../components/TwoFactorSettings";
+
+/**
+ * TwoFactorSetup - shown instead of the registry to users whose role
+ * requires two-factor authentication until they enrol
+ */
+function TwoFactorSetup({ user, setUser }) {
+  const navigate = useNavigate();
+
+  const handleEnabled = () => {
+    setUser({
+      ...user,
+      two_factor_enabled: true,
+      two_factor_setup_required: false,
+    });
+    navigate("/");
+  };
+
+  const handleLogout = async () => {
+    try {
+      await api.post("/api/auth/logout");
+      setUser(null);
+      navigate("/login");
+    } catch (err) {
+      console.error("Logout error:", err);
+      toast.error("Security session could not be cleared.");
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex justify-center items-center bg-slate-50 p-4">
+      <Toaster position="top-right" />
+
+      <div className="w-full max-w-md bg-white shadow-2xl overflow-hidden border-t-8 border-[#006666] rounded-t-lg">
+        {/* Header Section */}
+        <div className="bg-white px-8 pt-10 pb-6 text-center border-b border-slate-100">
+          <div className="inline-flex items-center justify-center w-16 h-16 bg-[#006666] rounded-full mb-4 shadow-lg text-white">
+            <ShieldCheck size={32} />
+          </div>
+          <h2 className="text-2xl font-black text-[#1A365D] uppercase tracking-tighter">
+            Two-Factor Setup
+          </h2>
+          <p className="text-[10px] font-bold text-slate-400 uppercase tracking-[0.2em] mt-2">
+            Signed in as <span className="text-[#006666]">{user.username}</span>
+          </p>
+        </div>
+
+        <div className="p-8 space-y-6">
+          <TwoFactorSettings onEnabled={handleEnabled} />
+
+          <div className="text-center">
+            <button
+              onClick={handleLogout}
+              className="text-[10px] font-black text-[#006666] uppercase tracking-widest hover:underline"
+            >
+              Sign out
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default TwoFactorSetup;
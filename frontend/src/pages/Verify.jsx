@@ -0,0 +1,197 @@
+import React, { useState, useEffect } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import { ShieldCheck, Search, BadgeCheck, BadgeX } from "lucide-react";
+import api from "../api";
+import { formatLongDate } from "../dates";
+
+const VERIFY_PATH = "/api/verify";
+
+const STATUS_STYLES = {
+  valid: {
+    label: "Valid",
+    className: "bg-emerald-50 border-emerald-500 text-emerald-700",
+    Icon: BadgeCheck,
+  },
+  expired: {
+    label: "Expired",
+    className: "bg-amber-50 border-amber-500 text-amber-700",
+    Icon: BadgeX,
+  },
+  revoked: {
+    label: "Revoked",
+    className: "bg-red-50 border-red-500 text-red-700",
+    Icon: BadgeX,
+  },
+  unknown: {
+    label: "Validity Unconfirmed",
+    className: "bg-slate-50 border-slate-400 text-slate-600",
+    Icon: ShieldCheck,
+  },
+};
+
+/**
+ * Verify - public page where anyone can check a certificate code or ID
+ * registration number against the registry. /verify/:code looks the code
+ * up straight away, so it can be linked to (e.g. from a QR code).
+ */
+function Verify() {
+  const { code: codeParam } = useParams();
+  const navigate = useNavigate();
+  const [code, setCode] = useState(codeParam || "");
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [isChecking, setIsChecking] = useState(false);
+
+  useEffect(() => {
+    if (!codeParam) return;
+
+    let cancelled = false;
+    const lookup = async () => {
+      setIsChecking(true);
+      setResult(null);
+      setError(null);
+      try {
+        const res = await api.get(
+          `${VERIFY_PATH}/${encodeURIComponent(codeParam)}`,
+        );
+        if (!cancelled) setResult(res.data);
+      } catch (err) {
+        if (!cancelled) {
+          setError(
+            err.response?.data?.message || "Unable to reach the registry",
+          );
+        }
+      } finally {
+        if (!cancelled) setIsChecking(false);
+      }
+    };
+
+    setCode(codeParam);
+    lookup();
+    return () => {
+      cancelled = true;
+    };
+  }, [codeParam]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const trimmed = code.trim().toUpperCase();
+    if (!trimmed) {
+      setError("Enter a certificate code");
+      return;
+    }
+    navigate(`/verify/${encodeURIComponent(trimmed)}`);
+  };
+
+  const status = result ? STATUS_STYLES[result.status] : null;
+
+  const renderRow = (label, value) => (
+    <div className="flex justify-between gap-4 py-2 border-b border-slate-100 last:border-0">
+      <span className="text-[9px] font-black text-slate-400 uppercase tracking-widest pt-0.5">
+        {label}
+      </span>
+      <span className="text-[12px] font-bold text-[#1A365D] text-right">
+        {value || "—"}
+      </span>
+    </div>
+  );
+
+  return (
+    <div className="min-h-screen flex justify-center items-center bg-slate-50 p-4">
+      <div className="w-full max-w-md bg-white shadow-2xl overflow-hidden border-t-8 border-[#006666] rounded-t-lg">
+        {/* Header Section */}
+        <div className="bg-white px-8 pt-10 pb-6 text-center border-b border-slate-100">
+          <div className="inline-flex items-center justify-center w-16 h-16 bg-[#006666] rounded-full mb-4 shadow-lg text-white">
+            <ShieldCheck size={32} />
+          </div>
+          <h2 className="text-2xl font-black text-[#1A365D] uppercase tracking-tighter">
+            Certificate Verification
+          </h2>
+          <p className="text-[10px] font-bold text-slate-400 uppercase tracking-[0.2em] mt-2">
+            Official DOH Training Portal //{" "}
+            <span className="text-[#006666]">Public Registry Check</span>
+          </p>
+        </div>
+
+        <form className="p-8 space-y-4" onSubmit={handleSubmit}>
+          <div className="relative">
+            <Search
+              size={18}
+              className="absolute top-[0.95rem] left-4 text-slate-300"
+            />
+            <input
+              type="text"
+              value={code}
+              onChange={(e) => {
+                setCode(e.target.value);
+                setError(null);
+              }}
+              placeholder="DOHCHD-1-BLS-LR-2026-42"
+              className="w-full bg-white border-2 border-slate-200 focus:border-[#006666] p-3 pl-11 rounded-md text-[14px] font-bold uppercase text-slate-700 outline-none transition-all placeholder:text-slate-300"
+              autoComplete="off"
+            />
+            <p className="text-[9px] font-bold text-slate-400 uppercase tracking-widest mt-2">
+              Certificate code or ID card registration number
+            </p>
+          </div>
+
+          <button
+            type="submit"
+            disabled={isChecking}
+            className={`w-full flex items-center justify-center gap-3 py-4 rounded font-black text-[12px] uppercase tracking-[0.2em] transition-all shadow-md active:scale-[0.98] ${
+              isChecking
+                ? "bg-slate-400 cursor-wait"
+                : "bg-[#1A365D] hover:bg-[#006666] text-white"
+            }`}
+          >
+            {isChecking ? (
+              <>
+                <div className="h-4 w-4 border-2 border-white/30 border-t-white rounded-full animate-spin" />
+                <span>Checking...</span>
+              </>
+            ) : (
+              "Verify Certificate"
+            )}
+          </button>
+
+          {error && (
+            <div className="border-l-4 border-red-500 bg-red-50 px-4 py-3 text-[11px] font-bold text-red-700">
+              {error}
+            </div>
+          )}
+
+          {result && status && (
+            <div className="border border-slate-200 rounded-md overflow-hidden">
+              <div
+                className={`flex items-center gap-2 px-4 py-3 border-l-4 ${status.className}`}
+              >
+                <status.Icon size={18} />
+                <span className="text-[11px] font-black uppercase tracking-widest">
+                  {status.label}
+                </span>
+              </div>
+              <div className="px-4 py-2">
+                {renderRow("Participant", result.participant_name)}
+                {renderRow("Training", result.training_type)}
+                {renderRow("Training Date", result.training_date)}
+                {result.revoked_at
+                  ? renderRow(
+                      "Revoked On",
+                      new Date(result.revoked_at).toLocaleDateString(),
+                    )
+                  : renderRow(
+                      "Valid Until",
+                      formatLongDate(result.valid_until),
+                    )}
+                {renderRow("Certificate Code", result.certificate_code)}
+                {renderRow("Registration No.", result.registration_no)}
+              </div>
+            </div>
+          )}
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default Verify;
@@ -0,0 +1,55 @@
+// Roles mirror backend/middleware/auth.js
+export const ROLES = {
+  ADMIN: "admin",
+  ENCODER: "encoder",
+  VIEWER: "viewer",
+  SIGNATORY: "signatory",
+};
+
+export const ROLE_LABELS = {
+  [ROLES.ADMIN]: "System Administrator",
+  [ROLES.ENCODER]: "Authorized Registrar",
+  [ROLES.VIEWER]: "Registry Viewer",
+  [ROLES.SIGNATORY]: "Signing Official",
+};
+
+// Which roles may open each view
+const VIEW_ACCESS = {
+  home: [ROLES.ADMIN, ROLES.ENCODER, ROLES.VIEWER, ROLES.SIGNATORY],
+  table: [ROLES.ADMIN, ROLES.ENCODER, ROLES.VIEWER, ROLES.SIGNATORY],
+  form: [ROLES.ADMIN, ROLES.ENCODER],
+  expiry: [ROLES.ADMIN, ROLES.ENCODER, ROLES.VIEWER, ROLES.SIGNATORY],
+  settings: [ROLES.ADMIN, ROLES.SIGNATORY],
+  activity: [ROLES.ADMIN],
+  recycle: [ROLES.ADMIN],
+  users: [ROLES.ADMIN],
+  sessions: [ROLES.ADMIN, ROLES.ENCODER, ROLES.VIEWER, ROLES.SIGNATORY],
+};
+
+/**
+ * Check whether a user holds one of the given roles
+ * @param {Object} user - Current user
+ * @param {...string} roles - Accepted roles
+ * @returns {boolean}
+ */
+export const hasRole = (user, ...roles) => roles.includes(user?.role);
+
+/**
+ * Check whether a user may open a view
+ * @param {Object} user - Current user
+ * @param {string} view - View id (home, table, form, expiry, settings,
+ *   activity, recycle, users, sessions)
+ * @returns {boolean}
+ */
+export const canAccessView = (user, view) =>
+  hasRole(user, ...(VIEW_ACCESS[view] || []));
+
+export const canEditCerts = (user) => hasRole(user, ROLES.ADMIN, ROLES.ENCODER);
+
+export const canDeleteCerts = (user) => hasRole(user, ROLES.ADMIN);
+
+export const canRevokeCerts = (user) => hasRole(user, ROLES.ADMIN);
+
+export const canManageValidityRules = (user) => hasRole(user, ROLES.ADMIN);
+
+export const canManageUsers = (user) => hasRole(user, ROLES.ADMIN);
@@ -0,0 +1,150 @@
+// Participant photos for ID cards: where each one is served from,
+// uploading and cropping new ones to the card's photo box, and pairing a
+// folder of photo files with the records they belong to.
+
+import api from "./api";
+import { readAsDataUrl, dataUrlToBlob } from "./files";
+import { getCertificateCode, getRegistrationNumber } from "./certificateCodes";
+
+// Width / height of the photo box on the ID card (80 x 90 pt)
+export const PHOTO_ASPECT_RATIO = 80 / 90;
+
+// Size and format photos are stored in
+const PHOTO_WIDTH = 400;
+const PHOTO_TYPE = "image/jpeg";
+const PHOTO_QUALITY = 0.9;
+
+export const PHOTO_FILE_TYPES = ["image/jpeg", "image/png"];
+
+const certId = (cert) => cert._id || cert.id;
+
+export const getPhotoPath = (cert) =>
+  `/api/auth/certificates/${certId(cert)}/photo`;
+
+/**
+ * URL of a certificate's current photo. It changes whenever the photo is
+ * replaced, so loadImage's cache never serves an old one.
+ * @param {Object} cert - Certificate with photo_updated_at
+ * @returns {string}
+ */
+export const getPhotoUrl = (cert) =>
+  `${getPhotoPath(cert)}?v=${Date.parse(cert.photo_updated_at)}`;
+
+/**
+ * Upload a participant's photo
+ * @param {Object} cert - Certificate
+ * @param {string} image - PNG or JPEG data URL
+ * @returns {Promise<string>} The certificate's new photo_updated_at
+ */
+export const uploadPhoto = async (cert, image) => {
+  const form = new FormData();
+  form.append("photo", await dataUrlToBlob(image), "photo.jpg");
+  const res = await api.put(getPhotoPath(cert), form);
+  return res.data.photo_updated_at;
+};
+
+/**
+ * Read an image file as a data URL
+ * @param {File} file
+ * @returns {Promise<string>}
+ */
+export const readImageFile = (file) => readAsDataUrl(file);
+
+/**
+ * Crop the middle of an image to the photo box and scale it to the stored
+ * size; used for bulk uploads, where there is no manual cropping
+ * @param {File} file - PNG or JPEG
+ * @returns {Promise<string>} JPEG data URL
+ */
+export const cropToPhoto = async (file) => {
+  const image = new Image();
+  image.src = await readImageFile(file);
+  await image.decode();
+
+  let width = image.width;
+  let height = width / PHOTO_ASPECT_RATIO;
+  if (height > image.height) {
+    height = image.height;
+    width = height * PHOTO_ASPECT_RATIO;
+  }
+
+  const canvas = document.createElement("canvas");
+  canvas.width = PHOTO_WIDTH;
+  canvas.height = PHOTO_WIDTH / PHOTO_ASPECT_RATIO;
+  canvas
+    .getContext("2d")
+    .drawImage(
+      image,
+      (image.width - width) / 2,
+      (image.height - height) / 2,
+      width,
+      height,
+      0,
+      0,
+      canvas.width,
+      canvas.height,
+    );
+  return canvas.toDataURL(PHOTO_TYPE, PHOTO_QUALITY);
+};
+
+/**
+ * Cropper settings for photos (see ManualCropperModal)
+ */
+export const PHOTO_CROPPER_PROPS = {
+  aspectRatio: PHOTO_ASPECT_RATIO,
+  subtitle: "Participant Photo Cropper",
+  hint: "Frame the participant's head and shoulders; the box matches the photo space on the ID card.",
+  outputType: PHOTO_TYPE,
+};
+
+// Lower-case letters and digits only, so "DELA CRUZ, Juan.jpg" and
+// "dela_cruz_juan" compare equal once sorted
+const nameKey = (text) =>
+  text
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .sort()
+    .join(" ");
+
+const codeKey = (text) => text.toLowerCase().replace(/[^a-z0-9]/g, "");
+
+/**
+ * Pair photo files with certificates. A file matches when its name (less
+ * the extension) is the participant's name, in any word order, or the
+ * record's registration number or certificate code.
+ * @param {File[]} files - Image files, e.g. from a folder picker
+ * @param {Array} certs - Candidate certificates
+ * @returns {Array<{file: File, cert: Object|null, problem: string|null}>}
+ *   problem explains a missing match ("no match", "several records",
+ *   "duplicate file")
+ */
+export const matchPhotoFiles = (files, certs) => {
+  const byCode = new Map();
+  const byName = new Map();
+  for (const cert of certs) {
+    byCode.set(codeKey(getRegistrationNumber(cert)), cert);
+    byCode.set(codeKey(getCertificateCode(cert)), cert);
+    const key = nameKey(cert.participant_name || "");
+    byName.set(key, byName.has(key) ? null : cert); // null: ambiguous
+  }
+
+  const taken = new Set();
+  return files.map((file) => {
+    const base = file.name.replace(/\.[^.]+$/, "");
+    const nameMatch = byName.get(nameKey(base));
+    const cert = byCode.get(codeKey(base)) ?? nameMatch;
+
+    if (cert === null) {
+      return { file, cert: null, problem: "several records" };
+    }
+    if (!cert) return { file, cert: null, problem: "no match" };
+    if (taken.has(certId(cert))) {
+      return { file, cert, problem: "duplicate file" };
+    }
+    taken.add(certId(cert));
+    return { file, cert, problem: null };
+  });
+};
@@ -0,0 +1,76 @@
+// Officers who sign each kind of document. The settings hold up to three
+// officers (off1..off3: name, position, signature) and, per document type,
+// which of them sign it as a list of officer numbers such as "1,3".
+// Signatory periods keep the same keys for past terms.
+
+export const OFFICER_NUMBERS = [1, 2, 3];
+
+export const DOCUMENT_TYPES = {
+  certificate: {
+    label: "Certificates",
+    setting: "certificate_signers",
+    defaultSigners: [3],
+  },
+  id_card: {
+    label: "ID Cards",
+    setting: "id_card_signers",
+    defaultSigners: [1, 2, 3],
+  },
+};
+
+/**
+ * Officer numbers in a signer list setting, in officer order
+ * @param {string} value - e.g. "1,3"
+ * @returns {number[]}
+ */
+export const parseSignerList = (value) =>
+  OFFICER_NUMBERS.filter((num) =>
+    String(value ?? "")
+      .split(",")
+      .map((part) => part.trim())
+      .includes(String(num)),
+  );
+
+/**
+ * Officer numbers signing a document type; the type's default when the
+ * settings do not choose
+ * @param {Object} settings - System settings
+ * @param {string} documentType - Key of DOCUMENT_TYPES
+ * @returns {number[]}
+ */
+export const getSignerNumbers = (settings, documentType) => {
+  const { setting, defaultSigners } = DOCUMENT_TYPES[documentType];
+  const chosen = parseSignerList(settings?.[setting]);
+  return chosen.length > 0 ? chosen : defaultSigners;
+};
+
+/**
+ * Officers signing a document type
+ * @param {Object} settings - System settings
+ * @param {string} documentType - Key of DOCUMENT_TYPES
+ * @returns {Array<{number, name, position, signature}>} signature is the
+ *   URL of the stored image, or "" when there is none
+ */
+export const getSigners = (settings, documentType) =>
+  getSignerNumbers(settings, documentType).map((num) => ({
+    number: num,
+    name: settings?.[`off${num}_name`] || "",
+    position: settings?.[`off${num}_pos`] || "",
+    signature: settings?.[`off${num}_sig`] || "",
+  }));
+
+/**
+ * Signatory settings for a training completed on a date: those of the
+ * signatory period covering it, otherwise the current settings
+ * @param {Object} settings - Current system settings
+ * @param {Array} periods - Signatory periods
+ * @param {string|null} date - Completion date (YYYY-MM-DD)
+ * @returns {Object} Settings to print with; the same object for every date
+ *   in a period, so memoized documents are not rebuilt
+ */
+export const getSignatoriesOn = (settings, periods, date) =>
+  (date &&
+    periods?.find(
+      (period) => period.effective_from <= date && date <= period.effective_to,
+    )?.signatories) ||
+  settings;